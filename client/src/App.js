@@ -1,23 +1,65 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { apiFetch, clearSession, downloadFile, getSession, onUnauthorized, requestJson } from './api';
+import HistoryPanel from './components/HistoryPanel';
+import RenderPreview from './components/RenderPreview';
+import TestPanel from './components/TestPanel';
+import TestSuitePanel from './components/TestSuitePanel';
+import InventoryEditor, { InventoryTable } from './components/InventoryEditor';
+import ImportModal from './components/ImportModal';
+import LoginScreen from './components/LoginScreen';
+import Pager from './components/Pager';
+import TrashModal from './components/TrashModal';
+import ActivityModal from './components/ActivityModal';
+import ApiKeysModal from './components/ApiKeysModal';
+import WebhooksModal from './components/WebhooksModal';
+import ConflictDialog from './components/ConflictDialog';
+import TokenMeter from './components/TokenMeter';
+import FieldError from './components/FieldError';
+import PublishControls, { PublishStatusBadge } from './components/PublishControls';
+import LocationPage from './components/LocationPage';
+import SlotFields from './components/SlotFields';
+import DirectoryFields from './components/DirectoryFields';
+import KnowledgebasePicker, { DocumentChips } from './components/KnowledgebasePicker';
+import { inventorySummary } from './utils/inventory';
+import { withKnowledgebase } from './utils/knowledgebase';
+import { channelLabel, purposeLabel } from './utils/locations';
+import { canEdit, canEditAny, hasRoleAnywhere } from './utils/permissions';
+import { promptTokens } from './utils/tokens';
+import { validateSchema } from './utils/schema';
 
-// Determine API base URL
-// Priority: REACT_APP_API_BASE_URL -> (production) '/.netlify/functions/prompts' -> (dev) localhost
-const API_BASE_URL =
-  process.env.REACT_APP_API_BASE_URL ||
-  (process.env.NODE_ENV === 'production' ? '/.netlify/functions/prompts' : 'http://localhost:5001/api');
+const PAGE_SIZE = 25;
+const SEARCH_DEBOUNCE_MS = 300;
 
-if (!process.env.REACT_APP_API_BASE_URL) {
-  // Helpful hint in console when running without the env var set
-  // In production on Netlify, we fall back to '/api' which proxies to Netlify Functions
-  // In development, we fall back to http://localhost:5001/api
-  console.warn('REACT_APP_API_BASE_URL is not set. Using default:', API_BASE_URL);
-}
+// Revision token sent as If-Match on edits (created_at until a prompt's first save)
+const revisionOf = (prompt) => prompt.updated_at || prompt.created_at;
+
+const EMPTY_FORM = {
+  name: '',
+  prompt: '',
+  location_id: '',
+  business_id: '',
+  business_name: '',
+  knowledgebase: '',
+  knowledgebase_ids: [],
+  inventory: '',
+  channel: 'all',
+  purpose: 'general',
+};
 
 function App() {
+  const [session, setSession] = useState(getSession);
+  const [roles, setRoles] = useState([]);
   const [prompts, setPrompts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+  const [sort, setSort] = useState({ key: 'created_at', direction: 'asc' });
+  const [page, setPage] = useState(1);
+  const [pageInfo, setPageInfo] = useState({ total: 0, pages: 1, page_size: PAGE_SIZE });
+  const [tokenBudget, setTokenBudget] = useState(null);
+  const [promptSchema, setPromptSchema] = useState(null);
+  const [library, setLibrary] = useState([]);
   const [showAddModal, setShowAddModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
@@ -27,66 +69,123 @@ function App() {
   const [showEditKnowledgebaseModal, setShowEditKnowledgebaseModal] = useState(false);
   const [showEditInventoryModal, setShowEditInventoryModal] = useState(false);
   const [showEditPromptModal, setShowEditPromptModal] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showTest, setShowTest] = useState(false);
+  const [testTab, setTestTab] = useState('console');
+  const [viewContentTab, setViewContentTab] = useState('template');
+  const [formErrors, setFormErrors] = useState([]);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [showTrashModal, setShowTrashModal] = useState(false);
+  const [showActivityModal, setShowActivityModal] = useState(false);
+  const [showApiKeysModal, setShowApiKeysModal] = useState(false);
+  const [showWebhooksModal, setShowWebhooksModal] = useState(false);
+  const [activityPrompt, setActivityPrompt] = useState(null);
   const [selectedPrompt, setSelectedPrompt] = useState(null);
-  const [formData, setFormData] = useState({
-    name: '',
-    prompt: '',
-    location_id: '',
-    business_name: '',
-    knowledgebase: '',
-    inventory: ''
-  });
+  const [openLocation, setOpenLocation] = useState(null);
+  const [locationRefresh, setLocationRefresh] = useState(0);
+  const [conflict, setConflict] = useState(null);
+  const [savingEdit, setSavingEdit] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  // The prompt list request in flight, and whether the list has rows to keep showing
+  // while the next page loads
+  const listRequestRef = useRef(null);
+  const showingPromptsRef = useRef(false);
 
-  // Fetch prompts from API
-  const fetchPrompts = async (isRefresh = false) => {
+  // Fetch the current page of prompts; search, sort and paging happen server-side. A
+  // newer fetch aborts the one still in flight, so a slow reply for an earlier search,
+  // sort or page never replaces the current one.
+  const fetchPrompts = useCallback(async (isRefresh = false) => {
+    if (listRequestRef.current) listRequestRef.current.abort();
+    const controller = new AbortController();
+    listRequestRef.current = controller;
     try {
       if (isRefresh) {
         setRefreshing(true);
       } else {
         setLoading(true);
       }
-      const response = await fetch(`${API_BASE_URL}/prompts`, {
-        headers: { Accept: 'application/json' },
+      const params = new URLSearchParams({
+        sort: sort.key,
+        direction: sort.direction,
+        page: String(page),
+        page_size: String(PAGE_SIZE),
       });
-      const text = await response.text();
-      let data = [];
-      try {
-        data = text ? JSON.parse(text) : [];
-      } catch (e) {
-        console.error('Invalid JSON from API:', text);
-        throw new Error('Invalid JSON from API');
-      }
-      if (!response.ok) {
-        const msg = typeof data === 'object' && data && data.error ? data.error : text;
-        throw new Error(`HTTP ${response.status}: ${msg}`);
+      if (debouncedQuery) params.set('q', debouncedQuery);
+      const data = await requestJson(`/prompts?${params}`, { signal: controller.signal });
+      // Deleting the last row of the last page leaves us past the end
+      if (data.total > 0 && data.page > data.pages) {
+        setPage(data.pages);
+        return;
       }
-      setPrompts(Array.isArray(data) ? data : []);
+      const items = Array.isArray(data.items) ? data.items : [];
+      showingPromptsRef.current = items.length > 0;
+      setPrompts(items);
+      setPageInfo({ total: data.total || 0, pages: data.pages || 1, page_size: data.page_size || PAGE_SIZE });
+      if (data.token_budget) setTokenBudget(data.token_budget);
     } catch (error) {
+      if (controller.signal.aborted) return;
       console.error('Error fetching prompts:', error);
+      showingPromptsRef.current = false;
       setPrompts([]);
+      setPageInfo({ total: 0, pages: 1, page_size: PAGE_SIZE });
     } finally {
-      setLoading(false);
-      setRefreshing(false);
+      if (!controller.signal.aborted) {
+        listRequestRef.current = null;
+        setLoading(false);
+        setRefreshing(false);
+      }
     }
-  };
+  }, [sort, page, debouncedQuery]);
 
+  // Drop back to the login screen whenever the API rejects the session token
   useEffect(() => {
-    fetchPrompts();
+    onUnauthorized(() => setSession(null));
+    return () => onUnauthorized(null);
   }, []);
 
-  const filteredPrompts = (Array.isArray(prompts) ? prompts : []).filter(p => {
-    const q = searchQuery.trim().toLowerCase();
-    if (!q) return true;
-    const fields = [
-      p.name,
-      p.location_id,
-      p.business_name,
-      p.knowledgebase,
-      typeof p.inventory === 'string' ? p.inventory : JSON.stringify(p.inventory || {}),
-      p.prompt,
-    ];
-    return fields.some(f => (f || '').toString().toLowerCase().includes(q));
-  });
+  useEffect(() => {
+    if (!session) return;
+    requestJson('/auth/me')
+      .then((data) => setRoles(Array.isArray(data.roles) ? data.roles : []))
+      .catch((error) => console.error('Error loading roles:', error));
+    // The rules the API checks prompts against, so forms can flag fields before saving
+    requestJson('/schema/prompt')
+      .then(setPromptSchema)
+      .catch((error) => console.error('Error loading prompt schema:', error));
+  }, [session]);
+
+  // Wait for typing to pause before searching, and start again from the first page
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedQuery(searchQuery.trim());
+      setPage(1);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  // Refetch whenever the search, sort or page changes (keeping the rows on screen while
+  // there are some), and abandon the request in flight on sign-out
+  useEffect(() => {
+    if (!session) return undefined;
+    fetchPrompts(showingPromptsRef.current);
+    return () => listRequestRef.current && listRequestRef.current.abort();
+  }, [session, fetchPrompts]);
+
+  const toggleSort = (key) => {
+    setSort(prev => ({ key, direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc' }));
+    setPage(1);
+  };
+
+  const sortIndicator = (key) => (sort.key === key ? (sort.direction === 'asc' ? '▲' : '▼') : '↕');
+
+  const handleSignOut = () => {
+    clearSession();
+    setSession(null);
+    showingPromptsRef.current = false;
+    setPrompts([]);
+    setRoles([]);
+  };
 
   // Handle form input changes
   const handleInputChange = (e) => {
@@ -97,11 +196,69 @@ function App() {
     }));
   };
 
+  // The location and business pickers change both halves of the pair at once, and the
+  // knowledgebase picker the document list and the location's own block
+  const handleFieldsChange = (fields) => {
+    setFormData(prev => ({
+      ...prev,
+      ...fields
+    }));
+  };
+
+  const handleInventoryChange = (inventory) => {
+    setFormData(prev => ({
+      ...prev,
+      inventory
+    }));
+  };
+
+  // Read field-level errors from a failed create/update response
+  const readFormErrors = async (response) => {
+    try {
+      const data = await response.json();
+      return Array.isArray(data.errors) ? data.errors : [{ field: 'form', message: data.error || `HTTP ${response.status}` }];
+    } catch (e) {
+      return [{ field: 'form', message: `HTTP ${response.status}` }];
+    }
+  };
+
+  // Check the form against the API's prompt schema; shows the errors and returns false
+  // when it would be rejected (the server still checks sizes and that the location slot is free)
+  const checkForm = (data) => {
+    const errors = promptSchema ? validateSchema(promptSchema, data) : [];
+    setFormErrors(errors);
+    return errors.length === 0;
+  };
+
+  // Live estimate for the add/edit forms, library documents included; saving is blocked
+  // above the hard limit
+  const formTokens = promptTokens(withKnowledgebase(formData, library), tokenBudget);
+  const overBudget = formTokens.status === 'over';
+  const inventoryErrors = formErrors.filter((error) => error.field.startsWith('inventory'));
+  const knowledgebaseErrors = formErrors.filter((error) => error.field.startsWith('knowledgebase'));
+  const formDocuments = (formData.knowledgebase_ids || [])
+    .map((id) => library.find((document) => document.id === id))
+    .filter(Boolean);
+
+  // The documents the forms can list; fetched as they open so "used by" counts are current
+  const fetchLibrary = () => {
+    requestJson('/knowledgebase')
+      .then((data) => setLibrary(Array.isArray(data) ? data : []))
+      .catch((error) => console.error('Error loading knowledgebase library:', error));
+  };
+
+  // Reload the list, and the open location page, after a save or delete
+  const refreshAfterChange = () => {
+    fetchPrompts();
+    setLocationRefresh((count) => count + 1);
+  };
+
   // Add new prompt
   const handleAddPrompt = async (e) => {
     e.preventDefault();
+    if (overBudget || !checkForm(formData)) return;
     try {
-      const response = await fetch(`${API_BASE_URL}/prompts`, {
+      const response = await apiFetch('/prompts', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -111,75 +268,135 @@ function App() {
       
       if (response.ok) {
         setShowAddModal(false);
-        setFormData({ name: '', prompt: '', location_id: '', business_name: '', knowledgebase: '', inventory: '' });
-        fetchPrompts();
+        setFormErrors([]);
+        setFormData(EMPTY_FORM);
+        refreshAfterChange();
+      } else {
+        setFormErrors(await readFormErrors(response));
       }
     } catch (error) {
       console.error('Error adding prompt:', error);
+      setFormErrors([{ field: 'form', message: error.message }]);
     }
   };
 
-  // Edit prompt
-  const handleEditPrompt = async (e) => {
-    e.preventDefault();
+  const closeEditModal = () => {
+    setShowEditModal(false);
+    setSelectedPrompt(null);
+    setConflict(null);
+    setFormErrors([]);
+    setFormData(EMPTY_FORM);
+  };
+
+  // Save an edit made against `revision`; a 409 means someone saved in between,
+  // so the conflict dialog takes over with the server's copy
+  const saveEdit = async (data, revision) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/prompts/${selectedPrompt.id}`, {
+      setSavingEdit(true);
+      const response = await apiFetch(`/prompts/${selectedPrompt.id}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
+          'If-Match': `"${revision}"`,
         },
-        body: JSON.stringify(formData),
+        body: JSON.stringify(data),
       });
-      
+
       if (response.ok) {
-        setShowEditModal(false);
-        setSelectedPrompt(null);
-        setFormData({ name: '', prompt: '', location_id: '', business_name: '', knowledgebase: '', inventory: '' });
-        fetchPrompts();
+        closeEditModal();
+        refreshAfterChange();
+      } else if (response.status === 409) {
+        const { current } = await response.json();
+        setConflict((prev) => ({ base: prev ? prev.theirs : selectedPrompt, mine: data, theirs: current }));
+      } else {
+        setConflict(null);
+        setFormData(data);
+        setFormErrors(await readFormErrors(response));
       }
     } catch (error) {
       console.error('Error updating prompt:', error);
+      setFormErrors([{ field: 'form', message: error.message }]);
+    } finally {
+      setSavingEdit(false);
     }
   };
 
+  // Edit prompt
+  const handleEditPrompt = async (e) => {
+    e.preventDefault();
+    if (overBudget || !checkForm(formData)) return;
+    await saveEdit(formData, revisionOf(selectedPrompt));
+  };
+
+  const discardEdit = () => {
+    closeEditModal();
+    refreshAfterChange();
+  };
+
   // Delete prompt
   const handleDeletePrompt = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/prompts/${selectedPrompt.id}`, {
+      const response = await apiFetch(`/prompts/${selectedPrompt.id}`, {
         method: 'DELETE',
       });
       
       if (response.ok) {
         setShowDeleteModal(false);
         setSelectedPrompt(null);
-        fetchPrompts();
+        refreshAfterChange();
       }
     } catch (error) {
       console.error('Error deleting prompt:', error);
     }
   };
 
+  // Export all prompts
+  const handleExport = async (format) => {
+    setShowExportMenu(false);
+    try {
+      await downloadFile(`/prompts/export?format=${format}`, `prompts.${format}`);
+    } catch (error) {
+      console.error('Error exporting prompts:', error);
+    }
+  };
+
   // Open edit modal
   const openEditModal = (prompt) => {
     setSelectedPrompt(prompt);
     setFormData({
       name: prompt.name,
       prompt: prompt.prompt,
-      location_id: prompt.location_id,
-      business_name: prompt.business_name,
+      location_id: prompt.location_id || '',
+      business_id: prompt.business_id || '',
+      business_name: prompt.business_name || '',
       knowledgebase: prompt.knowledgebase,
-      inventory: prompt.inventory
+      knowledgebase_ids: prompt.knowledgebase_ids || [],
+      inventory: prompt.inventory,
+      channel: prompt.channel || 'all',
+      purpose: prompt.purpose || 'general'
     });
+    setFormErrors([]);
+    fetchLibrary();
     setShowEditModal(true);
   };
 
+  // Open add modal, prefilled when adding from a location page
+  const openAddModal = (prefill = {}) => {
+    setFormData({ ...EMPTY_FORM, ...prefill });
+    setFormErrors([]);
+    fetchLibrary();
+    setShowAddModal(true);
+  };
+
   // Open delete modal
   const openDeleteModal = (prompt) => {
     setSelectedPrompt(prompt);
     setShowDeleteModal(true);
   };
 
-  
+  if (!session) {
+    return <LoginScreen onLogin={setSession} />;
+  }
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50">
@@ -191,6 +408,12 @@ function App() {
               <div>
                 <h1 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-white mb-2 sm:mb-3 tracking-tight">Prompt Management</h1>
                 <p className="text-indigo-100 text-sm sm:text-base font-medium">Manage and organize your AI prompts efficiently</p>
+                <p className="text-indigo-100/80 text-xs sm:text-sm mt-2">
+                  Signed in as <span className="font-semibold text-white">{session.user.email || session.user.id}</span>
+                  <button onClick={handleSignOut} className="ml-3 underline hover:text-white transition-colors">
+                    Sign out
+                  </button>
+                </p>
               </div>
               <div className="flex flex-col sm:flex-row space-y-3 sm:space-y-0 sm:space-x-4 w-full sm:w-auto">
                 <div className="relative w-full sm:w-80">
@@ -205,35 +428,143 @@ function App() {
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
                   </svg>
                 </div>
+                {canEditAny(roles) && (
+                  <button
+                    onClick={() => openAddModal()}
+                    className="group relative px-4 sm:px-6 py-3 sm:py-3.5 bg-white text-indigo-600 rounded-xl hover:bg-white/95 transition-all duration-200 transform hover:scale-105 hover:shadow-xl border border-white/50 font-semibold w-full sm:w-auto justify-center"
+                  >
+                    <span className="flex items-center space-x-2">
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                      </svg>
+                      <span className="font-medium">Add New Prompt</span>
+                    </span>
+                  </button>
+                )}
                 <button
-                  onClick={() => setShowAddModal(true)}
-                  className="group relative px-4 sm:px-6 py-3 sm:py-3.5 bg-white text-indigo-600 rounded-xl hover:bg-white/95 transition-all duration-200 transform hover:scale-105 hover:shadow-xl border border-white/50 font-semibold w-full sm:w-auto justify-center"
+                  onClick={() => fetchPrompts(true)}
+                  disabled={refreshing}
+                  className="group relative px-4 sm:px-6 py-3 sm:py-3.5 bg-white/15 backdrop-blur-sm text-white rounded-xl hover:bg-white/25 transition-all duration-200 transform hover:scale-105 border border-white/30 disabled:opacity-50 disabled:cursor-not-allowed font-medium w-full sm:w-auto justify-center"
+                >
+                  <span className="flex items-center space-x-2">
+                    <svg className={`w-5 h-5 ${refreshing ? 'animate-spin' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                    </svg>
+                    <span className="font-medium">{refreshing ? 'Refreshing...' : 'Refresh'}</span>
+                  </span>
+                </button>
+                {canEditAny(roles) && (
+                  <button
+                    onClick={() => setShowImportModal(true)}
+                    className="group relative px-4 sm:px-6 py-3 sm:py-3.5 bg-white/15 backdrop-blur-sm text-white rounded-xl hover:bg-white/25 transition-all duration-200 transform hover:scale-105 border border-white/30 font-medium w-full sm:w-auto justify-center"
+                  >
+                    <span className="flex items-center space-x-2">
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                      </svg>
+                      <span className="font-medium">Import</span>
+                    </span>
+                  </button>
+                )}
+                <div className="relative w-full sm:w-auto">
+                  <button
+                    onClick={() => setShowExportMenu(prev => !prev)}
+                    className="group relative px-4 sm:px-6 py-3 sm:py-3.5 bg-white/15 backdrop-blur-sm text-white rounded-xl hover:bg-white/25 transition-all duration-200 transform hover:scale-105 border border-white/30 font-medium w-full sm:w-auto justify-center"
+                  >
+                    <span className="flex items-center space-x-2">
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                      </svg>
+                      <span className="font-medium">Export</span>
+                    </span>
+                  </button>
+                  {showExportMenu && (
+                    <div className="absolute right-0 mt-2 w-40 bg-white rounded-xl shadow-xl border border-gray-100 overflow-hidden z-20">
+                      {['csv', 'json'].map((format) => (
+                        <button
+                          key={format}
+                          onClick={() => handleExport(format)}
+                          className="block w-full text-left px-4 py-2.5 text-sm text-gray-700 hover:bg-indigo-50 hover:text-indigo-700 transition-colors"
+                        >
+                          {format.toUpperCase()}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+                <button
+                  onClick={() => setShowTrashModal(true)}
+                  className="group relative px-4 sm:px-6 py-3 sm:py-3.5 bg-white/15 backdrop-blur-sm text-white rounded-xl hover:bg-white/25 transition-all duration-200 transform hover:scale-105 border border-white/30 font-medium w-full sm:w-auto justify-center"
                 >
                   <span className="flex items-center space-x-2">
                     <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
                     </svg>
-                    <span className="font-medium">Add New Prompt</span>
+                    <span className="font-medium">Trash</span>
                   </span>
                 </button>
                 <button
-                  onClick={() => fetchPrompts(true)}
-                  disabled={refreshing}
-                  className="group relative px-4 sm:px-6 py-3 sm:py-3.5 bg-white/15 backdrop-blur-sm text-white rounded-xl hover:bg-white/25 transition-all duration-200 transform hover:scale-105 border border-white/30 disabled:opacity-50 disabled:cursor-not-allowed font-medium w-full sm:w-auto justify-center"
+                  onClick={() => {
+                    setActivityPrompt(null);
+                    setShowActivityModal(true);
+                  }}
+                  className="group relative px-4 sm:px-6 py-3 sm:py-3.5 bg-white/15 backdrop-blur-sm text-white rounded-xl hover:bg-white/25 transition-all duration-200 transform hover:scale-105 border border-white/30 font-medium w-full sm:w-auto justify-center"
                 >
                   <span className="flex items-center space-x-2">
-                    <svg className={`w-5 h-5 ${refreshing ? 'animate-spin' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
                     </svg>
-                    <span className="font-medium">{refreshing ? 'Refreshing...' : 'Refresh'}</span>
+                    <span className="font-medium">Activity</span>
                   </span>
                 </button>
+                {hasRoleAnywhere(roles, 'admin') && (
+                  <button
+                    onClick={() => setShowApiKeysModal(true)}
+                    className="group relative px-4 sm:px-6 py-3 sm:py-3.5 bg-white/15 backdrop-blur-sm text-white rounded-xl hover:bg-white/25 transition-all duration-200 transform hover:scale-105 border border-white/30 font-medium w-full sm:w-auto justify-center"
+                  >
+                    <span className="flex items-center space-x-2">
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z" />
+                      </svg>
+                      <span className="font-medium">API Keys</span>
+                    </span>
+                  </button>
+                )}
+                {hasRoleAnywhere(roles, 'admin') && (
+                  <button
+                    onClick={() => setShowWebhooksModal(true)}
+                    className="group relative px-4 sm:px-6 py-3 sm:py-3.5 bg-white/15 backdrop-blur-sm text-white rounded-xl hover:bg-white/25 transition-all duration-200 transform hover:scale-105 border border-white/30 font-medium w-full sm:w-auto justify-center"
+                  >
+                    <span className="flex items-center space-x-2">
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
+                      </svg>
+                      <span className="font-medium">Webhooks</span>
+                    </span>
+                  </button>
+                )}
               </div>
             </div>
           </div>
 
-          {/* Enhanced Table */}
-          <div className={`p-6 sm:p-8 ${filteredPrompts.length === 0 ? 'min-h-[400px]' : 'min-h-0'}`}>
+          {openLocation ? (
+            <LocationPage
+              locationId={openLocation}
+              roles={roles}
+              schema={promptSchema}
+              refreshKey={locationRefresh}
+              onBack={() => setOpenLocation(null)}
+              onView={(prompt) => {
+                setSelectedPrompt(prompt);
+                setShowViewModal(true);
+              }}
+              onEdit={openEditModal}
+              onDelete={openDeleteModal}
+              onAdd={openAddModal}
+            />
+          ) : (
+          /* Enhanced Table */
+          <div className={`p-6 sm:p-8 ${prompts.length === 0 ? 'min-h-[400px]' : 'min-h-0'}`}>
             {loading ? (
               <div className="flex flex-col justify-center items-center py-16">
                 <div className="relative">
@@ -243,7 +574,7 @@ function App() {
                 <div className="text-gray-700 font-semibold mt-6 text-lg">Loading prompts...</div>
                 <div className="text-gray-500 text-sm mt-2">Please wait a moment</div>
               </div>
-            ) : filteredPrompts.length === 0 ? (
+            ) : prompts.length === 0 ? (
               <div className="flex flex-col justify-center items-center py-16">
                 <div className="bg-gradient-to-br from-indigo-50 to-purple-50 rounded-full p-6 mb-6">
                   <svg className="w-16 h-16 text-indigo-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -254,9 +585,9 @@ function App() {
                 <p className="text-gray-600 text-center max-w-md mb-6">
                   {searchQuery ? `No prompts match "${searchQuery}". Try a different search term.` : 'Get started by creating your first prompt template.'}
                 </p>
-                {!searchQuery && (
+                {!searchQuery && canEditAny(roles) && (
                   <button
-                    onClick={() => setShowAddModal(true)}
+                    onClick={() => openAddModal()}
                     className="px-6 py-3 bg-gradient-to-r from-indigo-600 to-purple-600 text-white rounded-xl hover:from-indigo-700 hover:to-purple-700 transition-all duration-200 transform hover:scale-105 font-semibold shadow-lg"
                   >
                     Create Your First Prompt
@@ -267,7 +598,7 @@ function App() {
               <>
               {/* Mobile Card View */}
               <div className="block md:hidden space-y-4 mb-6">
-                {filteredPrompts.map((prompt) => (
+                {prompts.map((prompt) => (
                   <div key={prompt.id} className="bg-white rounded-2xl border border-gray-200 shadow-sm p-5 hover:shadow-md transition-shadow">
                     <div className="flex items-start justify-between mb-4">
                       <div className="flex items-center">
@@ -283,7 +614,14 @@ function App() {
                     <div className="space-y-3 mb-4">
                       <div>
                         <span className="text-xs font-semibold text-gray-500 uppercase">Location ID</span>
-                        <p className="text-sm font-medium text-gray-900 mt-1">{prompt.location_id}</p>
+                        <button
+                          onClick={() => setOpenLocation(prompt.location_id)}
+                          className="block text-sm font-medium text-indigo-700 hover:text-indigo-900 hover:underline mt-1"
+                          title="Open this location"
+                        >
+                          {prompt.location_id}
+                        </button>
+                        <p className="text-xs text-gray-500">{channelLabel(prompt.channel)} · {purposeLabel(prompt.purpose)}</p>
                       </div>
                       <div>
                         <span className="text-xs font-semibold text-gray-500 uppercase">Business Name</span>
@@ -324,6 +662,9 @@ function App() {
                             </svg>
                           </button>
                         </div>
+                        <div className="mt-1">
+                          <DocumentChips documents={prompt.knowledgebase_documents} />
+                        </div>
                         <p className="text-sm font-medium text-gray-900 mt-1 line-clamp-2">{prompt.knowledgebase}</p>
                       </div>
                       <div>
@@ -342,29 +683,31 @@ function App() {
                             </svg>
                           </button>
                         </div>
-                        <p className="text-sm font-medium text-gray-900 mt-1 line-clamp-2">{String(prompt.inventory)}</p>
+                        <p className="text-sm font-medium text-gray-900 mt-1 line-clamp-2">{inventorySummary(prompt.inventory)}</p>
                       </div>
                     </div>
-                    <div className="flex gap-2 pt-3 border-t border-gray-100">
-                      <button
-                        onClick={() => openEditModal(prompt)}
-                        className="flex-1 inline-flex items-center justify-center px-4 py-2.5 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-all font-semibold shadow-sm text-sm"
-                      >
-                        <svg className="w-4 h-4 mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                        </svg>
-                        Edit
-                      </button>
-                      <button
-                        onClick={() => openDeleteModal(prompt)}
-                        className="flex-1 inline-flex items-center justify-center px-4 py-2.5 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-all font-semibold shadow-sm text-sm"
-                      >
-                        <svg className="w-4 h-4 mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                        </svg>
-                        Delete
-                      </button>
-                    </div>
+                    {canEdit(roles, prompt) && (
+                      <div className="flex gap-2 pt-3 border-t border-gray-100">
+                        <button
+                          onClick={() => openEditModal(prompt)}
+                          className="flex-1 inline-flex items-center justify-center px-4 py-2.5 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-all font-semibold shadow-sm text-sm"
+                        >
+                          <svg className="w-4 h-4 mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                          </svg>
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => openDeleteModal(prompt)}
+                          className="flex-1 inline-flex items-center justify-center px-4 py-2.5 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-all font-semibold shadow-sm text-sm"
+                        >
+                          <svg className="w-4 h-4 mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                          </svg>
+                          Delete
+                        </button>
+                      </div>
+                    )}
                   </div>
                 ))}
               </div>
@@ -379,19 +722,24 @@ function App() {
                           <svg className="w-4 h-4 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
                           </svg>
-                          <span>Name</span>
+                          <button onClick={() => toggleSort('name')} className="inline-flex items-center space-x-1 uppercase hover:text-indigo-700" title="Sort by name">
+                            <span>Name</span>
+                            <span className="text-gray-400">{sortIndicator('name')}</span>
+                          </button>
                         </div>
                       </th>
                       
                       <th className="px-3 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider w-24">
-                        <div className="flex items-center space-x-1">
+                        <button onClick={() => toggleSort('location_id')} className="inline-flex items-center space-x-1 uppercase hover:text-indigo-700" title="Sort by location">
                           <span>Location</span>
-                        </div>
+                          <span className="text-gray-400">{sortIndicator('location_id')}</span>
+                        </button>
                       </th>
                       <th className="px-3 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider w-32">
-                        <div className="flex items-center space-x-1">
+                        <button onClick={() => toggleSort('business_name')} className="inline-flex items-center space-x-1 uppercase hover:text-indigo-700" title="Sort by business">
                           <span>Business</span>
-                        </div>
+                          <span className="text-gray-400">{sortIndicator('business_name')}</span>
+                        </button>
                       </th>
                       <th className="px-2 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider hidden xl:table-cell w-48">
                         <div className="flex items-center space-x-1">
@@ -408,6 +756,11 @@ function App() {
                           <span>Inventory</span>
                         </div>
                       </th>
+                      <th className="px-2 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider hidden lg:table-cell w-20">
+                        <div className="flex items-center space-x-1" title="Approximate tokens of prompt, knowledgebase and inventory combined">
+                          <span>Tokens</span>
+                        </div>
+                      </th>
                       <th className="px-3 py-3 text-left text-xs font-bold text-gray-800 uppercase tracking-wider w-32">
                         <div className="flex items-center justify-center">
                           <span>Actions</span>
@@ -416,7 +769,7 @@ function App() {
                     </tr>
                   </thead>
                   <tbody className="bg-white divide-y divide-gray-100">
-                    {filteredPrompts.map((prompt, index) => (
+                    {prompts.map((prompt, index) => (
                       <tr key={prompt.id} className="group odd:bg-white even:bg-slate-50/50 hover:bg-gradient-to-r hover:from-indigo-50 hover:to-purple-50 transition-all duration-200 border-b border-gray-100 last:border-0 h-16">
                         <td className="px-4 py-4 whitespace-nowrap">
                           <div className="flex items-center">
@@ -427,13 +780,23 @@ function App() {
                             </div>
                             <div className="ml-4">
                               <div className="text-base font-bold text-gray-900">{prompt.name}</div>
-                              <div className="text-xs text-gray-500 mt-0.5">ID: {String(prompt.id).slice(0, 8)}...</div>
+                              <div className="flex items-center gap-2 mt-0.5">
+                                <span className="text-xs text-gray-500">ID: {String(prompt.id).slice(0, 8)}...</span>
+                                <PublishStatusBadge prompt={prompt} />
+                              </div>
                             </div>
                           </div>
                         </td>
                         
                         <td className="px-3 py-4 whitespace-nowrap">
-                          <span className="text-sm font-medium text-gray-700 truncate block w-24">{prompt.location_id}</span>
+                          <button
+                            onClick={() => setOpenLocation(prompt.location_id)}
+                            className="text-sm font-medium text-indigo-700 hover:text-indigo-900 hover:underline truncate block w-24 text-left"
+                            title="Open this location"
+                          >
+                            {prompt.location_id}
+                          </button>
+                          <span className="text-xs text-gray-500 truncate block w-24">{channelLabel(prompt.channel)} · {purposeLabel(prompt.purpose)}</span>
                         </td>
                         <td className="px-3 py-4 whitespace-nowrap">
                           <span className="text-sm font-medium text-gray-900 truncate block w-32">{prompt.business_name}</span>
@@ -460,8 +823,11 @@ function App() {
                         </td>
                         <td className="px-2 py-4 text-sm text-gray-700 w-40 hidden xl:table-cell">
                           <div className="flex items-start space-x-1">
-                            <div className="line-clamp-2 leading-relaxed flex-1 text-xs">
-                              {prompt.knowledgebase}
+                            <div className="flex-1 space-y-1">
+                              <DocumentChips documents={prompt.knowledgebase_documents} />
+                              <div className="line-clamp-2 leading-relaxed text-xs">
+                                {prompt.knowledgebase}
+                              </div>
                             </div>
                             <button
                               onClick={() => {
@@ -480,7 +846,7 @@ function App() {
                         <td className="px-2 py-4 text-sm text-gray-700 w-32 hidden xl:table-cell">
                           <div className="flex items-start space-x-1">
                             <div className="line-clamp-2 leading-relaxed flex-1 text-xs">
-                              {String(prompt.inventory)}
+                              {inventorySummary(prompt.inventory)}
                             </div>
                             <button
                               onClick={() => {
@@ -496,27 +862,34 @@ function App() {
                             </button>
                           </div>
                         </td>
+                        <td className="px-2 py-4 whitespace-nowrap hidden lg:table-cell w-20">
+                          <TokenMeter tokens={prompt.tokens} compact />
+                        </td>
                         <td className="px-2 py-4 whitespace-nowrap text-center">
-                          <div className="flex items-center justify-center space-x-1">
-                            <button
-                              onClick={() => openEditModal(prompt)}
-                              className="p-1.5 text-blue-600 hover:text-blue-800 hover:bg-blue-50 rounded-md transition-all"
-                              title="Edit"
-                            >
-                              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                              </svg>
-                            </button>
-                            <button
-                              onClick={() => openDeleteModal(prompt)}
-                              className="p-1.5 text-red-600 hover:text-red-800 hover:bg-red-50 rounded-md transition-all"
-                              title="Delete"
-                            >
-                              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                              </svg>
-                            </button>
-                          </div>
+                          {canEdit(roles, prompt) ? (
+                            <div className="flex items-center justify-center space-x-1">
+                              <button
+                                onClick={() => openEditModal(prompt)}
+                                className="p-1.5 text-blue-600 hover:text-blue-800 hover:bg-blue-50 rounded-md transition-all"
+                                title="Edit"
+                              >
+                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                                </svg>
+                              </button>
+                              <button
+                                onClick={() => openDeleteModal(prompt)}
+                                className="p-1.5 text-red-600 hover:text-red-800 hover:bg-red-50 rounded-md transition-all"
+                                title="Delete"
+                              >
+                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                </svg>
+                              </button>
+                            </div>
+                          ) : (
+                            <span className="text-xs text-gray-400" title="You have read-only access to this prompt">View only</span>
+                          )}
                         </td>
                       </tr>
                     ))}
@@ -524,12 +897,50 @@ function App() {
                 </table>
                 </div>
               </div>
+              <Pager
+                page={page}
+                pages={pageInfo.pages}
+                pageSize={pageInfo.page_size}
+                total={pageInfo.total}
+                onChange={setPage}
+                disabled={refreshing}
+              />
               </>
             )}
           </div>
+          )}
         </div>
       </div>
 
+      {/* Activity Modal */}
+      {showActivityModal && (
+        <ActivityModal
+          prompt={activityPrompt}
+          onClose={() => setShowActivityModal(false)}
+        />
+      )}
+
+      {/* API Keys Modal */}
+      {showApiKeysModal && <ApiKeysModal onClose={() => setShowApiKeysModal(false)} />}
+      {showWebhooksModal && <WebhooksModal onClose={() => setShowWebhooksModal(false)} />}
+
+      {/* Trash Modal */}
+      {showTrashModal && (
+        <TrashModal
+          roles={roles}
+          onClose={() => setShowTrashModal(false)}
+          onRestored={() => fetchPrompts(true)}
+        />
+      )}
+
+      {/* Import Modal */}
+      {showImportModal && (
+        <ImportModal
+          onClose={() => setShowImportModal(false)}
+          onImported={() => fetchPrompts(true)}
+        />
+      )}
+
       {/* Enhanced Add Prompt Modal */}
       {showAddModal && (
         <div
@@ -572,45 +983,25 @@ function App() {
                     placeholder="Enter prompt name..."
                     required
                   />
+                    <FieldError errors={formErrors} field="name" />
                 </div>
               </div>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                <div>
-                  <label className="block text-sm font-bold text-gray-800 mb-2">
-                    <svg className="w-4 h-4 inline mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
-                    </svg>
-                    Location ID
-                  </label>
-                  <input
-                    type="text"
-                    name="location_id"
-                    value={formData.location_id}
-                    onChange={handleInputChange}
-                    className="w-full px-4 py-3.5 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all bg-white hover:border-gray-300 text-gray-900 placeholder:text-gray-400"
-                    placeholder="Enter location ID..."
-                  />
-                  
-                </div>
-                <div>
-                  <label className="block text-sm font-bold text-gray-800 mb-2">
-                    <svg className="w-4 h-4 inline mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4" />
-                    </svg>
-                    Business Name
-                  </label>
-                  <input
-                    type="text"
-                    name="business_name"
-                    value={formData.business_name}
-                    onChange={handleInputChange}
-                    className="w-full px-4 py-3.5 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all bg-white hover:border-gray-300 text-gray-900 placeholder:text-gray-400"
-                    placeholder="Enter business name..."
-                    required
-                  />
-                </div>
-              </div>
+              <DirectoryFields
+                formData={formData}
+                onChange={handleFieldsChange}
+                errors={formErrors}
+                roles={roles}
+                labelClassName="block text-sm font-bold text-gray-800 mb-2"
+                inputClassName="w-full px-4 py-3.5 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all bg-white hover:border-gray-300 text-gray-900 placeholder:text-gray-400"
+              />
+              <SlotFields
+                formData={formData}
+                onChange={handleInputChange}
+                errors={formErrors}
+                schema={promptSchema}
+                labelClassName="block text-sm font-bold text-gray-800 mb-2"
+                selectClassName="w-full px-4 py-3.5 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all bg-white hover:border-gray-300 text-gray-900"
+              />
               <div>
                 <label className="block text-sm font-bold text-gray-800 mb-2">
                   <svg className="w-4 h-4 inline mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -627,6 +1018,7 @@ function App() {
                   placeholder="Enter your prompt content here..."
                   required
                 />
+                <FieldError errors={formErrors} field="prompt" />
               </div>
               <div>
                 <label className="block text-sm font-bold text-gray-800 mb-2">
@@ -635,15 +1027,25 @@ function App() {
                   </svg>
                   Knowledgebase
                 </label>
+                <div className="flex items-center justify-between gap-3 mb-2">
+                  <DocumentChips documents={formDocuments} />
+                  <button
+                    type="button"
+                    onClick={() => setShowEditKnowledgebaseModal(true)}
+                    className="shrink-0 px-3 py-1.5 text-sm bg-indigo-50 text-indigo-700 rounded-lg hover:bg-indigo-100 font-medium transition-all"
+                  >
+                    Choose documents
+                  </button>
+                </div>
                 <textarea
                   name="knowledgebase"
                   value={formData.knowledgebase}
                   onChange={handleInputChange}
                   rows={6}
                   className="w-full px-4 py-3.5 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all bg-white hover:border-gray-300 resize-y min-h-[120px] text-gray-900 placeholder:text-gray-400"
-                  placeholder="Enter your knowledgebase here..."
-                  required
+                  placeholder="Anything specific to this location; it takes precedence over the documents..."
                 />
+                <FieldError errors={knowledgebaseErrors} field={knowledgebaseErrors.map((error) => error.field)} />
               </div>
               <div>
                 <label className="block text-sm font-bold text-gray-800 mb-2">
@@ -652,22 +1054,21 @@ function App() {
                   </svg>
                   Inventory
                 </label>
-                <textarea
-                  name="inventory"
+                <InventoryEditor
                   value={formData.inventory}
-                  onChange={handleInputChange}
-                  rows={6}
-                  className="w-full px-4 py-3.5 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-all bg-white hover:border-gray-300 resize-y min-h-[120px] text-gray-900 placeholder:text-gray-400"
-                  placeholder="Enter your inventory here..."
-                  required
+                  onChange={handleInventoryChange}
+                  errors={inventoryErrors}
                 />
               </div>
+              <FieldError errors={formErrors} field={['form', 'tokens']} />
+              <TokenMeter tokens={formTokens} budget={tokenBudget} />
               <div className="flex flex-col-reverse sm:flex-row justify-end gap-3 pt-4 sm:pt-6 border-t-2 border-gray-100 bg-gray-50 -mx-4 sm:-mx-6 lg:-mx-8 px-4 sm:px-6 lg:px-8 -mb-4 sm:-mb-6 lg:-mb-8 pb-4 sm:pb-6 mt-6 sm:mt-8">
                 <button
                   type="button"
                   onClick={() => {
                     setShowAddModal(false);
-                    setFormData({ name: '', prompt: '', location_id: '', business_name: '', knowledgebase: '', inventory: '' });
+                    setFormErrors([]);
+                    setFormData(EMPTY_FORM);
                   }}
                   className="w-full sm:w-auto px-6 py-3 border-2 border-gray-300 text-gray-700 rounded-xl hover:bg-gray-100 hover:border-gray-400 transition-all font-semibold"
                 >
@@ -675,7 +1076,8 @@ function App() {
                 </button>
                 <button
                   type="submit"
-                  className="w-full sm:w-auto px-8 py-3 bg-gradient-to-r from-indigo-600 to-purple-600 text-white rounded-xl hover:from-indigo-700 hover:to-purple-700 transition-all font-bold shadow-lg hover:shadow-xl"
+                  disabled={overBudget}
+                  className="w-full sm:w-auto px-8 py-3 bg-gradient-to-r from-indigo-600 to-purple-600 text-white rounded-xl hover:from-indigo-700 hover:to-purple-700 transition-all font-bold shadow-lg hover:shadow-xl disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   Create Prompt
                 </button>
@@ -725,45 +1127,26 @@ function App() {
                     placeholder="Enter prompt name..."
                     required
                   />
+                    <FieldError errors={formErrors} field="name" />
                 </div>
                 
               </div>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                <div>
-                  <label className="block text-sm font-semibold text-gray-700 mb-3">
-                    <svg className="w-4 h-4 inline mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
-                    </svg>
-                    Location ID
-                  </label>
-                  <input
-                    type="text"
-                    name="location_id"
-                    value={formData.location_id}
-                    onChange={handleInputChange}
-                    className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-gray-50 hover:bg-white"
-                    placeholder="Enter location ID..."
-                  />
-                  
-                </div>
-                <div>
-                  <label className="block text-sm font-semibold text-gray-700 mb-3">
-                    <svg className="w-4 h-4 inline mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                    </svg>
-                    Business Name
-                  </label>
-                  <input
-                    type="text"
-                    name="business_name"
-                    value={formData.business_name}
-                    onChange={handleInputChange}
-                    className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-gray-50 hover:bg-white"
-                    placeholder="Enter business name..."
-                    required
-                  />
-                </div>
-              </div>
+              <DirectoryFields
+                formData={formData}
+                onChange={handleFieldsChange}
+                errors={formErrors}
+                roles={roles}
+                labelClassName="block text-sm font-semibold text-gray-700 mb-3"
+                inputClassName="w-full px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-gray-50 hover:bg-white placeholder:text-gray-400"
+              />
+              <SlotFields
+                formData={formData}
+                onChange={handleInputChange}
+                errors={formErrors}
+                schema={promptSchema}
+                labelClassName="block text-sm font-semibold text-gray-700 mb-3"
+                selectClassName="w-full px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-gray-50 hover:bg-white"
+              />
               <div>
                 <div className="flex items-center justify-between mb-3">
                   <label className="block text-sm font-semibold text-gray-700">
@@ -794,6 +1177,7 @@ function App() {
                   title="Double-click to enlarge editor"
                   required
                 />
+                <FieldError errors={formErrors} field="prompt" />
               </div>
               <div>
                 <div className="flex items-center justify-between mb-3">
@@ -806,14 +1190,14 @@ function App() {
                   <button
                     type="button"
                     onClick={() => setShowEditKnowledgebaseModal(true)}
-                    className="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-all"
-                    title="Enlarge editor"
+                    className="px-3 py-1.5 text-sm bg-blue-50 text-blue-700 rounded-lg hover:bg-blue-100 font-medium transition-all"
                   >
-                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0zM10 7v3m0 0v3m0-3h3m-3 0H7" />
-                    </svg>
+                    Choose documents
                   </button>
                 </div>
+                <div className="mb-2">
+                  <DocumentChips documents={formDocuments} />
+                </div>
                 <textarea
                   name="knowledgebase"
                   value={formData.knowledgebase}
@@ -821,10 +1205,10 @@ function App() {
                   onDoubleClick={() => setShowEditKnowledgebaseModal(true)}
                   rows={8}
                   className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-gray-50 hover:bg-white resize-none cursor-pointer"
-                  placeholder="Enter your knowledgebase here..."
-                  title="Double-click to enlarge editor"
-                  required
+                  placeholder="Anything specific to this location; it takes precedence over the documents..."
+                  title="Double-click to choose documents"
                 />
+                <FieldError errors={knowledgebaseErrors} field={knowledgebaseErrors.map((error) => error.field)} />
               </div>
               <div>
                 <div className="flex items-center justify-between mb-3">
@@ -845,25 +1229,22 @@ function App() {
                     </svg>
                   </button>
                 </div>
-                <textarea
-                  name="inventory"
+                <InventoryEditor
                   value={formData.inventory}
-                  onChange={handleInputChange}
-                  onDoubleClick={() => setShowEditInventoryModal(true)}
-                  rows={8}
-                  className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all duration-200 bg-gray-50 hover:bg-white resize-none cursor-pointer"
-                  placeholder="Enter your inventory here..."
-                  title="Double-click to enlarge editor"
-                  required
+                  onChange={handleInventoryChange}
+                  errors={inventoryErrors}
                 />
               </div>
+              <FieldError errors={formErrors} field={['form', 'tokens']} />
+              <TokenMeter tokens={formTokens} budget={tokenBudget} />
               <div className="flex justify-end space-x-4 pt-6 border-t border-gray-200">
                 <button
                   type="button"
                   onClick={() => {
                     setShowEditModal(false);
                     setSelectedPrompt(null);
-                    setFormData({ name: '', prompt: '', location_id: '', business_name: '', knowledgebase: '', inventory: '' });
+                    setFormErrors([]);
+                    setFormData(EMPTY_FORM);
                   }}
                   className="px-6 py-3 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50 transition-all duration-200 transform hover:scale-105 font-medium"
                 >
@@ -871,7 +1252,8 @@ function App() {
                 </button>
                 <button
                   type="submit"
-                  className="px-8 py-3 bg-gradient-to-r from-blue-600 to-indigo-600 text-white rounded-xl hover:from-blue-700 hover:to-indigo-700 transition-all duration-200 transform hover:scale-105 font-semibold shadow-lg"
+                  disabled={overBudget}
+                  className="px-8 py-3 bg-gradient-to-r from-blue-600 to-indigo-600 text-white rounded-xl hover:from-blue-700 hover:to-indigo-700 transition-all duration-200 transform hover:scale-105 font-semibold shadow-lg disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
                 >
                   Update Prompt
                 </button>
@@ -899,7 +1281,7 @@ function App() {
               </div>
               <div>
                 <h2 className="text-2xl font-bold text-gray-900">Delete Prompt</h2>
-                <p className="text-gray-600 text-sm">This action cannot be undone</p>
+                <p className="text-gray-600 text-sm">It can be restored from the Trash</p>
               </div>
             </div>
             
@@ -908,7 +1290,7 @@ function App() {
                 Are you sure you want to delete "{selectedPrompt?.name}"?
               </p>
               <p className="text-red-600 text-sm mt-1">
-                This will permanently remove the prompt from your system.
+                The prompt will be moved to the trash and disappear from the list.
               </p>
             </div>
             
@@ -939,6 +1321,9 @@ function App() {
           className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 animate-fadeIn"
           onClick={() => {
             setShowViewModal(false);
+            setShowHistory(false);
+            setShowTest(false);
+            setViewContentTab('template');
             setSelectedPrompt(null);
           }}
         >
@@ -955,13 +1340,19 @@ function App() {
                   </svg>
                 </div>
                 <div>
-                  <h2 className="text-2xl font-bold text-gray-900">Prompt Details</h2>
+                  <div className="flex items-center gap-3">
+                    <h2 className="text-2xl font-bold text-gray-900">Prompt Details</h2>
+                    <PublishStatusBadge prompt={selectedPrompt} />
+                  </div>
                   <p className="text-gray-600 text-sm">Full prompt information and content</p>
                 </div>
               </div>
               <button
                 onClick={() => {
                   setShowViewModal(false);
+                  setShowHistory(false);
+                  setShowTest(false);
+                  setViewContentTab('template');
                   setSelectedPrompt(null);
                 }}
                 className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
@@ -991,6 +1382,9 @@ function App() {
                   <h3 className="font-semibold text-green-900">Location ID</h3>
                 </div>
                 <p className="text-green-800 font-medium text-lg">{selectedPrompt.location_id}</p>
+                <p className="text-green-700 text-sm mt-1">
+                  {channelLabel(selectedPrompt.channel)} · {purposeLabel(selectedPrompt.purpose)}
+                </p>
               </div>
               <div className="bg-gradient-to-br from-yellow-50 to-orange-50 rounded-xl p-6 border border-yellow-100">
                 <div className="flex items-center mb-3">
@@ -1004,17 +1398,37 @@ function App() {
             </div>
             
             <div className="bg-gradient-to-br from-gray-50 to-slate-50 rounded-xl p-6 border border-gray-200">
-              <div className="flex items-center mb-4">
-                <svg className="w-5 h-5 text-gray-600 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
-                </svg>
-                <h3 className="font-semibold text-gray-900">Prompt Content</h3>
-              </div>
-              <div className="bg-white rounded-lg p-6 border border-gray-200 shadow-sm">
-                <pre className="whitespace-pre-wrap text-sm text-gray-800 leading-relaxed font-mono">
-                  {selectedPrompt.prompt}
-                </pre>
+              <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center">
+                  <svg className="w-5 h-5 text-gray-600 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
+                  </svg>
+                  <h3 className="font-semibold text-gray-900">Prompt Content</h3>
+                </div>
+                <div className="flex bg-white rounded-lg border border-gray-200 p-1">
+                  {[
+                    { key: 'template', label: 'Template' },
+                    { key: 'rendered', label: 'Preview rendered' },
+                  ].map((tab) => (
+                    <button
+                      key={tab.key}
+                      onClick={() => setViewContentTab(tab.key)}
+                      className={`px-3 py-1.5 text-xs font-semibold rounded-md transition-all ${viewContentTab === tab.key ? 'bg-indigo-600 text-white shadow-sm' : 'text-gray-600 hover:bg-gray-100'}`}
+                    >
+                      {tab.label}
+                    </button>
+                  ))}
+                </div>
               </div>
+              {viewContentTab === 'rendered' ? (
+                <RenderPreview promptId={selectedPrompt.id} />
+              ) : (
+                <div className="bg-white rounded-lg p-6 border border-gray-200 shadow-sm">
+                  <pre className="whitespace-pre-wrap text-sm text-gray-800 leading-relaxed font-mono">
+                    {selectedPrompt.prompt}
+                  </pre>
+                </div>
+              )}
             </div>
             <div className="bg-gradient-to-br from-blue-50 to-indigo-50 rounded-xl p-6 border border-blue-100">
               <div className="flex items-center mb-4">
@@ -1023,6 +1437,11 @@ function App() {
                 </svg>
                 <h3 className="font-semibold text-blue-900">Knowledgebase</h3>
               </div>
+              {selectedPrompt.knowledgebase_documents && selectedPrompt.knowledgebase_documents.length > 0 && (
+                <div className="mb-4">
+                  <DocumentChips documents={selectedPrompt.knowledgebase_documents} />
+                </div>
+              )}
               <div className="bg-white rounded-lg p-6 border border-gray-200 shadow-sm">
                 <pre className="whitespace-pre-wrap text-sm text-gray-800 leading-relaxed font-mono">
                   {selectedPrompt.knowledgebase}
@@ -1037,26 +1456,112 @@ function App() {
                 <h3 className="font-semibold text-purple-900">Inventory</h3>
               </div>
               <div className="bg-white rounded-lg p-6 border border-gray-200 shadow-sm">
-                <pre className="whitespace-pre-wrap text-sm text-gray-800 leading-relaxed font-mono">
-                  {String(selectedPrompt.inventory)}
-                </pre>
+                <InventoryTable value={selectedPrompt.inventory} />
               </div>
             </div>
-            
+
+            {showTest && (
+              <div className="bg-gradient-to-br from-emerald-50 to-teal-50 rounded-xl p-6 border border-emerald-100 mt-6">
+                <div className="flex items-center justify-between mb-4">
+                  <div className="flex items-center">
+                    <svg className="w-5 h-5 text-emerald-600 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 10V3L4 14h7v7l9-11h-7z" />
+                    </svg>
+                    <h3 className="font-semibold text-emerald-900">Test</h3>
+                  </div>
+                  <div className="flex bg-white rounded-lg border border-gray-200 p-1">
+                    {[
+                      { key: 'console', label: 'Console' },
+                      { key: 'suite', label: 'Tests' },
+                    ].map((tab) => (
+                      <button
+                        key={tab.key}
+                        onClick={() => setTestTab(tab.key)}
+                        className={`px-3 py-1.5 text-xs font-semibold rounded-md transition-all ${testTab === tab.key ? 'bg-emerald-600 text-white shadow-sm' : 'text-gray-600 hover:bg-gray-100'}`}
+                      >
+                        {tab.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                {testTab === 'suite' ? (
+                  <TestSuitePanel promptId={selectedPrompt.id} canEdit={canEdit(roles, selectedPrompt)} />
+                ) : (
+                  <TestPanel promptId={selectedPrompt.id} />
+                )}
+              </div>
+            )}
+
+            {showHistory && (
+              <div className="bg-gradient-to-br from-amber-50 to-orange-50 rounded-xl p-6 border border-amber-100 mt-6">
+                <div className="flex items-center mb-4">
+                  <svg className="w-5 h-5 text-amber-600 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                  </svg>
+                  <h3 className="font-semibold text-amber-900">History</h3>
+                </div>
+                <HistoryPanel
+                  promptId={selectedPrompt.id}
+                  revision={revisionOf(selectedPrompt)}
+                  canRestore={canEdit(roles, selectedPrompt)}
+                  onRestored={(updated) => {
+                    setSelectedPrompt(updated);
+                    fetchPrompts(true);
+                  }}
+                />
+              </div>
+            )}
+
             <div className="flex justify-between items-center mt-8 pt-6 border-t border-gray-200">
               <div className="text-xs text-gray-500">
                 ID: {selectedPrompt.id}
               </div>
               <div className="flex space-x-3">
+                <button
+                  onClick={() => setShowTest(prev => !prev)}
+                  className="px-6 py-3 bg-emerald-50 text-emerald-700 rounded-xl hover:bg-emerald-100 transition-all duration-200 transform hover:scale-105 font-medium"
+                >
+                  {showTest ? 'Hide Test' : 'Test'}
+                </button>
+                <button
+                  onClick={() => setShowHistory(prev => !prev)}
+                  className="px-6 py-3 bg-amber-50 text-amber-700 rounded-xl hover:bg-amber-100 transition-all duration-200 transform hover:scale-105 font-medium"
+                >
+                  {showHistory ? 'Hide History' : 'History'}
+                </button>
                 <button
                   onClick={() => {
-                    setShowViewModal(false);
-                    openEditModal(selectedPrompt);
+                    setActivityPrompt(selectedPrompt);
+                    setShowActivityModal(true);
                   }}
-                  className="px-6 py-3 bg-blue-50 text-blue-700 rounded-xl hover:bg-blue-100 transition-all duration-200 transform hover:scale-105 font-medium"
+                  className="px-6 py-3 bg-indigo-50 text-indigo-700 rounded-xl hover:bg-indigo-100 transition-all duration-200 transform hover:scale-105 font-medium"
                 >
-                  Edit Prompt
+                  Activity
                 </button>
+                {canEdit(roles, selectedPrompt) && (
+                  <PublishControls
+                    prompt={selectedPrompt}
+                    actor={session.user.email || session.user.id}
+                    onChange={(updated) => {
+                      setSelectedPrompt(updated);
+                      fetchPrompts(true);
+                    }}
+                  />
+                )}
+                {canEdit(roles, selectedPrompt) && (
+                  <button
+                    onClick={() => {
+                      setShowViewModal(false);
+                      setShowHistory(false);
+                      setShowTest(false);
+                      setViewContentTab('template');
+                      openEditModal(selectedPrompt);
+                    }}
+                    className="px-6 py-3 bg-blue-50 text-blue-700 rounded-xl hover:bg-blue-100 transition-all duration-200 transform hover:scale-105 font-medium"
+                  >
+                    Edit Prompt
+                  </button>
+                )}
                 <button
                   onClick={() => {
                     setShowViewModal(false);
@@ -1105,6 +1610,11 @@ function App() {
               </div>
             </div>
             <div className="p-8 overflow-y-auto max-h-[calc(90vh-120px)]">
+              {selectedPrompt.knowledgebase_documents && selectedPrompt.knowledgebase_documents.length > 0 && (
+                <div className="mb-4">
+                  <DocumentChips documents={selectedPrompt.knowledgebase_documents} />
+                </div>
+              )}
               <div className="bg-gray-50 rounded-xl p-6 border border-gray-200">
                 <pre className="whitespace-pre-wrap text-sm text-gray-800 leading-relaxed font-mono">
                   {selectedPrompt.knowledgebase}
@@ -1149,62 +1659,26 @@ function App() {
             </div>
             <div className="p-8 overflow-y-auto max-h-[calc(90vh-120px)]">
               <div className="bg-gray-50 rounded-xl p-6 border border-gray-200">
-                <pre className="whitespace-pre-wrap text-sm text-gray-800 leading-relaxed font-mono">
-                  {String(selectedPrompt.inventory)}
-                </pre>
+                <InventoryTable value={selectedPrompt.inventory} />
               </div>
             </div>
           </div>
         </div>
       )}
 
-      {/* Edit Knowledgebase Enlarge Modal */}
+      {/* Knowledgebase document picker */}
       {showEditKnowledgebaseModal && (
-        <div
-          className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 animate-fadeIn"
-          onClick={() => setShowEditKnowledgebaseModal(false)}
-        >
-          <div
-            className="bg-white rounded-2xl shadow-2xl max-w-6xl w-full mx-4 max-h-[90vh] overflow-hidden animate-slideUp"
-            onClick={(e) => e.stopPropagation()}
-          >
-            <div className="bg-gradient-to-r from-blue-500 to-indigo-600 px-8 py-6 text-white">
-              <div className="flex items-center justify-between">
-                <div>
-                  <h2 className="text-2xl font-bold">Edit Knowledgebase</h2>
-                  <p className="text-blue-100 mt-1">Large editor for easier editing</p>
-                </div>
-                <button
-                  onClick={() => setShowEditKnowledgebaseModal(false)}
-                  className="p-2 hover:bg-white/20 rounded-xl transition-all duration-200"
-                >
-                  <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                  </svg>
-                </button>
-              </div>
-            </div>
-            <div className="p-8">
-              <textarea
-                name="knowledgebase"
-                value={formData.knowledgebase}
-                onChange={handleInputChange}
-                rows={20}
-                className="w-full px-6 py-4 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-gray-50 hover:bg-white resize-none text-base leading-relaxed"
-                placeholder="Enter your knowledgebase content here..."
-              />
-              <div className="flex justify-end space-x-4 mt-6">
-                <button
-                  type="button"
-                  onClick={() => setShowEditKnowledgebaseModal(false)}
-                  className="px-6 py-3 bg-gray-100 text-gray-700 rounded-xl hover:bg-gray-200 transition-all duration-200 font-medium"
-                >
-                  Done
-                </button>
-              </div>
-            </div>
-          </div>
-        </div>
+        <KnowledgebasePicker
+          formData={formData}
+          library={library}
+          roles={roles}
+          errors={formErrors}
+          tokens={formTokens}
+          budget={tokenBudget}
+          onChange={handleFieldsChange}
+          onLibraryChange={setLibrary}
+          onClose={() => setShowEditKnowledgebaseModal(false)}
+        />
       )}
 
       {/* Edit Inventory Enlarge Modal */}
@@ -1234,14 +1708,16 @@ function App() {
               </div>
             </div>
             <div className="p-8">
-              <textarea
-                name="inventory"
-                value={formData.inventory}
-                onChange={handleInputChange}
-                rows={20}
-                className="w-full px-6 py-4 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-purple-500 transition-all duration-200 bg-gray-50 hover:bg-white resize-none text-base leading-relaxed"
-                placeholder="Enter your inventory content here..."
-              />
+              <div className="overflow-y-auto max-h-[calc(90vh-220px)]">
+                <InventoryEditor
+                  value={formData.inventory}
+                  onChange={handleInventoryChange}
+                  errors={inventoryErrors}
+                />
+              </div>
+              <div className="mt-6">
+                <TokenMeter tokens={formTokens} budget={tokenBudget} />
+              </div>
               <div className="flex justify-end space-x-4 mt-6">
                 <button
                   type="button"
@@ -1256,6 +1732,19 @@ function App() {
         </div>
       )}
 
+      {conflict && (
+        <ConflictDialog
+          key={revisionOf(conflict.theirs)}
+          base={conflict.base}
+          mine={conflict.mine}
+          theirs={conflict.theirs}
+          library={library}
+          saving={savingEdit}
+          onResolve={(merged) => saveEdit(merged, revisionOf(conflict.theirs))}
+          onDiscard={discardEdit}
+        />
+      )}
+
       {/* Edit Prompt Content Enlarge Modal */}
       {showEditPromptModal && (
         <div
@@ -1291,6 +1780,10 @@ function App() {
                 className="w-full px-6 py-4 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500 transition-all duration-200 bg-gray-50 hover:bg-white resize-none text-base leading-relaxed"
                 placeholder="Enter your prompt content here..."
               />
+              <FieldError errors={formErrors} field="prompt" />
+              <div className="mt-6">
+                <TokenMeter tokens={formTokens} budget={tokenBudget} />
+              </div>
               <div className="flex justify-end space-x-4 mt-6">
                 <button
                   type="button"
@@ -0,0 +1,147 @@
+// Determine API base URL
+// Priority: REACT_APP_API_BASE_URL -> (production) '/.netlify/functions/prompts' -> (dev) localhost
+export const API_BASE_URL =
+  process.env.REACT_APP_API_BASE_URL ||
+  (process.env.NODE_ENV === 'production' ? '/.netlify/functions/prompts' : 'http://localhost:5001/api');
+
+if (!process.env.REACT_APP_API_BASE_URL) {
+  // Helpful hint in console when running without the env var set
+  // In production on Netlify, we fall back to '/api' which proxies to Netlify Functions
+  // In development, we fall back to http://localhost:5001/api
+  console.warn('REACT_APP_API_BASE_URL is not set. Using default:', API_BASE_URL);
+}
+
+const SESSION_KEY = 'prompt-crud.session';
+let unauthorizedHandler = null;
+
+// The signed-in session ({ token, expires_at, user }) lives in localStorage so a
+// reload keeps the user logged in until the token expires
+export function getSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    if (!session || !session.token) return null;
+    if (session.expires_at && session.expires_at * 1000 <= Date.now()) {
+      localStorage.removeItem(SESSION_KEY);
+      return null;
+    }
+    return session;
+  } catch (e) {
+    return null;
+  }
+}
+
+export function saveSession(session) {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+}
+
+export function clearSession() {
+  localStorage.removeItem(SESSION_KEY);
+}
+
+// Called when the API rejects our token so the app can return to the login screen
+export function onUnauthorized(handler) {
+  unauthorizedHandler = handler;
+}
+
+// fetch() relative to API_BASE_URL with the session token attached
+export async function apiFetch(path, options = {}) {
+  const session = getSession();
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: {
+      ...(session ? { Authorization: `Bearer ${session.token}` } : {}),
+      ...(options.headers || {}),
+    },
+  });
+  if (response.status === 401 && session) {
+    clearSession();
+    if (unauthorizedHandler) unauthorizedHandler();
+  }
+  return response;
+}
+
+// Fetch a JSON endpoint relative to API_BASE_URL, throwing with the server's
+// error message on non-2xx responses (the parsed body is kept on err.data)
+export async function requestJson(path, options = {}) {
+  const response = await apiFetch(path, {
+    ...options,
+    headers: {
+      Accept: 'application/json',
+      ...(options.body ? { 'Content-Type': 'application/json' } : {}),
+      ...(options.headers || {}),
+    },
+  });
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch (e) {
+    console.error('Invalid JSON from API:', text);
+    throw new Error('Invalid JSON from API');
+  }
+  if (!response.ok) {
+    const msg = typeof data === 'object' && data && data.error ? data.error : text;
+    const retryAfter = response.status === 429 ? response.headers.get('Retry-After') : null;
+    const err = new Error(`HTTP ${response.status}: ${msg}${retryAfter ? ` (try again in ${retryAfter}s)` : ''}`);
+    err.status = response.status;
+    err.data = data;
+    throw err;
+  }
+  return data;
+}
+
+// Download a file endpoint (e.g. an export) and hand it to the browser as a file
+export async function downloadFile(path, fallbackName) {
+  const response = await apiFetch(path);
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`HTTP ${response.status}: ${text}`);
+  }
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const match = disposition.match(/filename="?([^";]+)"?/);
+  const blob = await response.blob();
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = match ? match[1] : fallbackName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// POST to a streaming NDJSON endpoint, calling onLine with each parsed line as it
+// arrives. Errors before the stream starts throw like requestJson.
+export async function streamJsonLines(path, body, onLine, { signal } = {}) {
+  const response = await apiFetch(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/x-ndjson' },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!response.ok) {
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (e) {
+      // not JSON; fall back to the raw text below
+    }
+    const err = new Error(`HTTP ${response.status}: ${data && data.error ? data.error : text}`);
+    err.status = response.status;
+    err.data = data;
+    throw err;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+    const lines = buffer.split('\n');
+    buffer = done ? '' : lines.pop();
+    lines.filter((line) => line.trim()).forEach((line) => onLine(JSON.parse(line)));
+    if (done) return;
+  }
+}
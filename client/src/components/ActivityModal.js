@@ -0,0 +1,214 @@
+import React, { useEffect, useState } from 'react';
+import { requestJson } from '../api';
+import Pager from './Pager';
+
+const ACTIONS = [
+  { value: 'create', label: 'Created', style: 'bg-green-100 text-green-700' },
+  { value: 'update', label: 'Updated', style: 'bg-blue-100 text-blue-700' },
+  { value: 'delete', label: 'Deleted', style: 'bg-red-100 text-red-700' },
+  { value: 'restore', label: 'Restored from trash', style: 'bg-emerald-100 text-emerald-700' },
+  { value: 'restore_version', label: 'Rolled back', style: 'bg-amber-100 text-amber-700' },
+  { value: 'purge', label: 'Purged', style: 'bg-gray-200 text-gray-700' },
+  { value: 'request_publish', label: 'Publish requested', style: 'bg-sky-100 text-sky-700' },
+  { value: 'publish', label: 'Published', style: 'bg-teal-100 text-teal-700' },
+  { value: 'discard_draft', label: 'Draft discarded', style: 'bg-orange-100 text-orange-700' },
+];
+const PAGE_SIZE = 25;
+
+const actionInfo = (value) => ACTIONS.find((a) => a.value === value) || { label: value, style: 'bg-gray-100 text-gray-600' };
+
+// Audit trail of prompt changes with filters for prompt, actor, action and date range.
+// Stacks above the details modal it can be opened from.
+function ActivityModal({ prompt = null, onClose }) {
+  const [filters, setFilters] = useState({ actor: '', action: '', from: '', to: '' });
+  const [promptFilter, setPromptFilter] = useState(prompt);
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const params = new URLSearchParams({ page: String(page), page_size: String(PAGE_SIZE) });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value.trim()) params.set(key, value.trim());
+    });
+    if (promptFilter) params.set('prompt_id', promptFilter.id);
+
+    let cancelled = false;
+    setError('');
+    requestJson(`/audit?${params}`)
+      .then((result) => {
+        if (!cancelled) setData(result);
+      })
+      .catch((err) => {
+        console.error('Error loading activity:', err);
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [filters, promptFilter, page]);
+
+  const updateFilter = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 bg-gray-50 hover:bg-white text-sm';
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-[60] animate-fadeIn"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-2xl shadow-2xl max-w-6xl w-full mx-4 max-h-[90vh] overflow-hidden animate-slideUp"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="bg-gradient-to-r from-indigo-600 to-purple-600 px-8 py-6 text-white">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-2xl font-bold">Activity</h2>
+              <p className="text-indigo-100 mt-1">Who changed which prompt, and when</p>
+            </div>
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-white/20 rounded-xl transition-all duration-200"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-8 overflow-y-auto max-h-[calc(90vh-120px)] space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <label className="block text-xs font-semibold text-gray-600 uppercase tracking-wider">
+              Actor
+              <input
+                type="text"
+                value={filters.actor}
+                onChange={(e) => updateFilter('actor', e.target.value)}
+                placeholder="email@example.com"
+                className={`${inputClass} mt-1 normal-case font-normal`}
+              />
+            </label>
+            <label className="block text-xs font-semibold text-gray-600 uppercase tracking-wider">
+              Action
+              <select
+                value={filters.action}
+                onChange={(e) => updateFilter('action', e.target.value)}
+                className={`${inputClass} mt-1 normal-case font-normal`}
+              >
+                <option value="">All actions</option>
+                {ACTIONS.map((action) => (
+                  <option key={action.value} value={action.value}>{action.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block text-xs font-semibold text-gray-600 uppercase tracking-wider">
+              From
+              <input
+                type="date"
+                value={filters.from}
+                onChange={(e) => updateFilter('from', e.target.value)}
+                className={`${inputClass} mt-1 normal-case font-normal`}
+              />
+            </label>
+            <label className="block text-xs font-semibold text-gray-600 uppercase tracking-wider">
+              To
+              <input
+                type="date"
+                value={filters.to}
+                onChange={(e) => updateFilter('to', e.target.value)}
+                className={`${inputClass} mt-1 normal-case font-normal`}
+              />
+            </label>
+          </div>
+
+          {promptFilter && (
+            <div className="flex items-center text-sm">
+              <span className="px-3 py-1 rounded-full bg-indigo-50 text-indigo-700 font-medium">
+                Prompt: {promptFilter.name}
+              </span>
+              <button
+                onClick={() => {
+                  setPromptFilter(null);
+                  setPage(1);
+                }}
+                className="ml-2 text-gray-500 hover:text-gray-800 underline"
+              >
+                Show all prompts
+              </button>
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-xl p-4 text-sm text-red-700">{error}</div>
+          )}
+
+          {!data ? (
+            <div className="text-sm text-gray-500">Loading activity...</div>
+          ) : data.items.length === 0 ? (
+            <p className="text-center text-gray-500 py-12">No activity matches these filters.</p>
+          ) : (
+            <>
+              <div className="overflow-x-auto border border-gray-200 rounded-xl">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr className="text-left text-xs font-bold text-gray-700 uppercase tracking-wider">
+                      <th className="px-3 py-2">When</th>
+                      <th className="px-3 py-2">Who</th>
+                      <th className="px-3 py-2">Action</th>
+                      <th className="px-3 py-2">Prompt</th>
+                      <th className="px-3 py-2">Changed</th>
+                      <th className="px-3 py-2">Content hash</th>
+                      <th className="px-3 py-2">IP</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {data.items.map((event) => {
+                      const info = actionInfo(event.action);
+                      return (
+                        <tr key={event.id}>
+                          <td className="px-3 py-2 text-gray-700 whitespace-nowrap">{new Date(event.created_at).toLocaleString()}</td>
+                          <td className="px-3 py-2 text-gray-900">{event.actor || '—'}</td>
+                          <td className="px-3 py-2">
+                            <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${info.style}`}>{info.label}</span>
+                          </td>
+                          <td className="px-3 py-2">
+                            <div className="text-gray-900">{event.prompt_name || event.prompt_id}</div>
+                            <div className="text-xs text-gray-500">
+                              {[event.business_name, event.location_id].filter(Boolean).join(' · ')}
+                            </div>
+                          </td>
+                          <td className="px-3 py-2 text-gray-700">
+                            {event.changed_fields && event.changed_fields.length ? event.changed_fields.join(', ') : '—'}
+                          </td>
+                          <td className="px-3 py-2 font-mono text-xs text-gray-500" title={`before: ${event.before_hash || '—'}\nafter: ${event.after_hash || '—'}`}>
+                            {(event.before_hash || '—').slice(0, 8)} → {(event.after_hash || '—').slice(0, 8)}
+                          </td>
+                          <td className="px-3 py-2 text-xs text-gray-500">{event.ip || '—'}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              <Pager
+                page={data.page}
+                pages={data.pages}
+                pageSize={data.page_size}
+                total={data.total}
+                onChange={setPage}
+                noun="events"
+              />
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ActivityModal;
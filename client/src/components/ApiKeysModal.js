@@ -0,0 +1,296 @@
+import React, { useEffect, useState } from 'react';
+import { requestJson } from '../api';
+
+const SCOPES = [
+  { value: 'read-published', label: 'Read published', hint: 'Published prompts and location bundles' },
+  { value: 'read-all', label: 'Read all', hint: 'Every read endpoint, drafts included' },
+  { value: 'write', label: 'Write', hint: 'Create, edit, publish and delete prompts' },
+];
+const emptyForm = { name: '', scopes: ['read-published'], business_name: '', location_id: '' };
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+// API keys for bots and integrations: admins create, rotate and revoke them. A key's
+// secret is only returned when it is created or rotated, so it is shown once here.
+function ApiKeysModal({ onClose }) {
+  const [keys, setKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState(null);
+  const [formErrors, setFormErrors] = useState([]);
+  const [workingId, setWorkingId] = useState(null);
+  const [revealed, setRevealed] = useState(null);
+
+  useEffect(() => {
+    requestJson('/api-keys')
+      .then(setKeys)
+      .catch((err) => {
+        console.error('Error loading API keys:', err);
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const toggleScope = (scope) => {
+    setForm((prev) => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope) ? prev.scopes.filter((s) => s !== scope) : [...prev.scopes, scope],
+    }));
+  };
+
+  const createKey = async (e) => {
+    e.preventDefault();
+    try {
+      setFormErrors([]);
+      const { key, ...created } = await requestJson('/api-keys', {
+        method: 'POST',
+        body: JSON.stringify({
+          name: form.name,
+          scopes: form.scopes,
+          business_name: form.business_name.trim() || null,
+          location_id: form.location_id.trim() || null,
+        }),
+      });
+      setKeys((prev) => [...prev, created]);
+      setRevealed({ name: created.name, key });
+      setForm(null);
+    } catch (err) {
+      if (err.data && Array.isArray(err.data.errors)) {
+        setFormErrors(err.data.errors);
+      } else {
+        console.error('Error creating API key:', err);
+        setFormErrors([{ field: 'form', message: err.message }]);
+      }
+    }
+  };
+
+  const rotateKey = async (apiKey) => {
+    if (!window.confirm(`Rotate "${apiKey.name}"? The current key stops working immediately.`)) return;
+    try {
+      setWorkingId(apiKey.id);
+      setError('');
+      const { key, ...rotated } = await requestJson(`/api-keys/${apiKey.id}/rotate`, { method: 'POST', body: JSON.stringify({}) });
+      setKeys((prev) => prev.map((k) => (k.id === rotated.id ? rotated : k)));
+      setRevealed({ name: rotated.name, key });
+    } catch (err) {
+      console.error('Error rotating API key:', err);
+      setError(err.message);
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  const revokeKey = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Clients using it will be rejected.`)) return;
+    try {
+      setWorkingId(apiKey.id);
+      setError('');
+      await requestJson(`/api-keys/${apiKey.id}`, { method: 'DELETE' });
+      setKeys((prev) => prev.map((k) => (k.id === apiKey.id ? { ...k, revoked_at: new Date().toISOString() } : k)));
+    } catch (err) {
+      console.error('Error revoking API key:', err);
+      setError(err.message);
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  const inputClass = 'mt-1 w-full px-3 py-2 border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm font-normal';
+  const fieldError = (field) => formErrors
+    .filter((e) => e.field === field || e.field.startsWith(`${field}[`))
+    .map((e) => e.message)
+    .join(', ');
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 animate-fadeIn"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-2xl shadow-2xl max-w-4xl w-full mx-4 max-h-[90vh] overflow-hidden animate-slideUp"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="bg-gradient-to-r from-slate-700 to-indigo-800 px-8 py-6 text-white">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-2xl font-bold">API Keys</h2>
+              <p className="text-indigo-100 mt-1">Credentials for bots and integrations calling the API</p>
+            </div>
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-white/20 rounded-xl transition-all duration-200"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-8 overflow-y-auto max-h-[calc(90vh-120px)] space-y-4">
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-xl p-4 text-sm text-red-700">{error}</div>
+          )}
+
+          {revealed && (
+            <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 space-y-2">
+              <p className="text-sm text-amber-800">
+                Copy the key for <span className="font-semibold">{revealed.name}</span> now. It will not be shown again.
+              </p>
+              <div className="flex items-center space-x-2">
+                <code className="flex-1 bg-white border border-amber-200 rounded-lg px-3 py-2 text-xs break-all">{revealed.key}</code>
+                <button
+                  onClick={() => navigator.clipboard && navigator.clipboard.writeText(revealed.key)}
+                  className="px-3 py-2 text-xs bg-amber-100 text-amber-800 rounded-lg hover:bg-amber-200 font-medium"
+                >
+                  Copy
+                </button>
+                <button
+                  onClick={() => setRevealed(null)}
+                  className="px-3 py-2 text-xs bg-white border border-amber-200 text-amber-800 rounded-lg hover:bg-amber-100 font-medium"
+                >
+                  Done
+                </button>
+              </div>
+            </div>
+          )}
+
+          {loading ? (
+            <div className="text-sm text-gray-500">Loading API keys...</div>
+          ) : keys.length === 0 ? (
+            <p className="text-center text-gray-500 py-8">No API keys yet.</p>
+          ) : (
+            <div className="divide-y divide-gray-100 border border-gray-200 rounded-xl">
+              {keys.map((apiKey) => (
+                <div key={apiKey.id} className={`flex items-center justify-between px-4 py-3 ${apiKey.revoked_at ? 'opacity-60' : ''}`}>
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="text-sm font-semibold text-gray-900 truncate">{apiKey.name}</span>
+                      <code className="text-xs text-gray-500">{apiKey.prefix}…</code>
+                      {apiKey.revoked_at && (
+                        <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-red-100 text-red-700">Revoked</span>
+                      )}
+                    </div>
+                    <div className="flex flex-wrap gap-1 mt-1">
+                      {apiKey.scopes.map((scope) => (
+                        <span key={scope} className="px-2 py-0.5 rounded-full text-xs bg-indigo-50 text-indigo-700">{scope}</span>
+                      ))}
+                      <span className="text-xs text-gray-500 ml-1">
+                        {[apiKey.business_name, apiKey.location_id].filter(Boolean).join(' · ') || 'All prompts'}
+                      </span>
+                    </div>
+                    <div className="text-xs text-gray-400 mt-0.5">
+                      Last used {formatDate(apiKey.last_used_at)}{apiKey.last_used_ip ? ` from ${apiKey.last_used_ip}` : ''}
+                      {' · '}Created {formatDate(apiKey.created_at)}{apiKey.created_by ? ` by ${apiKey.created_by}` : ''}
+                    </div>
+                  </div>
+                  {!apiKey.revoked_at && (
+                    <div className="flex items-center space-x-2 flex-shrink-0 ml-4">
+                      <button
+                        onClick={() => rotateKey(apiKey)}
+                        disabled={workingId !== null}
+                        className="px-4 py-2 text-sm bg-blue-50 text-blue-700 rounded-lg hover:bg-blue-100 transition-all font-medium disabled:opacity-50"
+                      >
+                        {workingId === apiKey.id ? 'Working...' : 'Rotate'}
+                      </button>
+                      <button
+                        onClick={() => revokeKey(apiKey)}
+                        disabled={workingId !== null}
+                        className="px-4 py-2 text-sm bg-red-50 text-red-700 rounded-lg hover:bg-red-100 transition-all font-medium disabled:opacity-50"
+                      >
+                        Revoke
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {form ? (
+            <form onSubmit={createKey} className="bg-gray-50 rounded-xl border border-gray-200 p-4 space-y-3">
+              {fieldError('form') && <p className="text-sm text-red-600">{fieldError('form')}</p>}
+              <label className="block text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                Name
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  className={inputClass}
+                  placeholder="e.g. Dallas chatbot"
+                />
+                {fieldError('name') && <span className="text-xs text-red-600 normal-case">{fieldError('name')}</span>}
+              </label>
+              <div>
+                <span className="block text-xs font-semibold text-gray-600 uppercase tracking-wider">Scopes</span>
+                <div className="mt-1 grid grid-cols-1 md:grid-cols-3 gap-2">
+                  {SCOPES.map(({ value, label, hint }) => (
+                    <label key={value} className="flex items-start space-x-2 bg-white border border-gray-200 rounded-lg px-3 py-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={form.scopes.includes(value)}
+                        onChange={() => toggleScope(value)}
+                        className="mt-1"
+                      />
+                      <span>
+                        <span className="font-medium text-gray-800">{label}</span>
+                        <span className="block text-xs text-gray-500">{hint}</span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+                {fieldError('scopes') && <span className="text-xs text-red-600">{fieldError('scopes')}</span>}
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <label className="block text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                  Business (optional)
+                  <input
+                    type="text"
+                    value={form.business_name}
+                    onChange={(e) => setForm({ ...form, business_name: e.target.value })}
+                    className={inputClass}
+                  />
+                </label>
+                <label className="block text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                  Location ID (optional)
+                  <input
+                    type="text"
+                    value={form.location_id}
+                    onChange={(e) => setForm({ ...form, location_id: e.target.value })}
+                    className={inputClass}
+                  />
+                </label>
+              </div>
+              <div className="flex justify-end space-x-2">
+                <button
+                  type="button"
+                  onClick={() => setForm(null)}
+                  className="px-4 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 font-medium"
+                >
+                  Cancel
+                </button>
+                <button type="submit" className="px-4 py-2 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 font-semibold">
+                  Create key
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className="flex justify-end">
+              <button
+                onClick={() => {
+                  setFormErrors([]);
+                  setForm(emptyForm);
+                }}
+                className="px-6 py-3 bg-indigo-600 text-white rounded-xl hover:bg-indigo-700 transition-all font-semibold"
+              >
+                New API key
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ApiKeysModal;
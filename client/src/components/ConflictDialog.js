@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { comparable, conflictingFields, defaultChoice, mergeFields } from '../utils/merge';
+import { channelLabel, purposeLabel } from '../utils/locations';
+
+// Text a field is shown as: slots by their labels and documents by name from `library`
+function display(key, value, library) {
+  if (key === 'channel') return channelLabel(value);
+  if (key === 'purpose') return purposeLabel(value);
+  if (key === 'knowledgebase_ids') {
+    return (value || []).map((id) => (library.find((document) => document.id === id) || { name: id }).name).join('\n');
+  }
+  return comparable(key, value);
+}
+
+// Shown when a save hits a 409: someone else saved the prompt after it was opened.
+// base is the copy the edit started from, mine the unsaved form, theirs the server copy;
+// library names the knowledgebase documents either side lists.
+function ConflictDialog({ base, mine, theirs, library = [], saving = false, onResolve, onDiscard }) {
+  const conflicting = conflictingFields(mine, theirs);
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(conflicting.map(({ key }) => [key, defaultChoice(key, base, mine)]))
+  );
+
+  const resolve = (pick) => onResolve(mergeFields(mine, theirs, pick));
+
+  const optionClass = (selected) =>
+    `flex-1 text-left rounded-xl border-2 p-3 transition-all cursor-pointer ${
+      selected ? 'border-indigo-500 bg-indigo-50' : 'border-gray-200 bg-gray-50 hover:bg-white'
+    }`;
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-[60] animate-fadeIn">
+      <div className="bg-white rounded-2xl shadow-2xl max-w-5xl w-full mx-4 max-h-[90vh] overflow-hidden animate-slideUp">
+        <div className="bg-gradient-to-r from-amber-500 to-orange-600 px-8 py-6 text-white">
+          <h2 className="text-2xl font-bold">Someone else changed this prompt</h2>
+          <p className="text-amber-100 mt-1">
+            {theirs.updated_at ? `Saved ${new Date(theirs.updated_at).toLocaleString()}. ` : ''}
+            Pick which version of each field to keep.
+          </p>
+        </div>
+
+        <div className="p-8 overflow-y-auto max-h-[calc(90vh-220px)] space-y-6">
+          {conflicting.length === 0 ? (
+            <p className="text-gray-600">The other save made the same changes as yours.</p>
+          ) : (
+            conflicting.map(({ key, label }) => (
+              <div key={key}>
+                <div className="flex items-center justify-between mb-2">
+                  <span className="text-sm font-semibold text-gray-700 uppercase tracking-wider">{label}</span>
+                  {comparable(key, mine[key]) !== comparable(key, base[key]) &&
+                    comparable(key, theirs[key]) !== comparable(key, base[key]) && (
+                      <span className="text-xs font-semibold text-orange-600">Changed on both sides</span>
+                    )}
+                </div>
+                <div className="flex flex-col md:flex-row gap-3">
+                  {['mine', 'theirs'].map((side) => (
+                    <label key={side} className={optionClass(choices[key] === side)}>
+                      <div className="flex items-center mb-2">
+                        <input
+                          type="radio"
+                          name={`conflict-${key}`}
+                          checked={choices[key] === side}
+                          onChange={() => setChoices((prev) => ({ ...prev, [key]: side }))}
+                          className="mr-2"
+                        />
+                        <span className="text-sm font-medium text-gray-800">
+                          {side === 'mine' ? 'My version' : 'Their version'}
+                        </span>
+                      </div>
+                      <pre className="text-xs text-gray-700 whitespace-pre-wrap break-words max-h-40 overflow-y-auto font-sans">
+                        {display(key, side === 'mine' ? mine[key] : theirs[key], library) || '—'}
+                      </pre>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+
+        <div className="flex flex-col sm:flex-row justify-end gap-3 px-8 py-6 border-t border-gray-100">
+          <button
+            type="button"
+            onClick={onDiscard}
+            disabled={saving}
+            className="px-6 py-3 bg-gray-100 text-gray-700 rounded-xl hover:bg-gray-200 transition-all duration-200 font-medium disabled:opacity-50"
+          >
+            Discard my changes
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              if (window.confirm('Replace every field with your version? Their changes will be lost.')) resolve(() => 'mine');
+            }}
+            disabled={saving}
+            className="px-6 py-3 bg-red-50 text-red-700 rounded-xl hover:bg-red-100 transition-all duration-200 font-medium disabled:opacity-50"
+          >
+            Overwrite with mine
+          </button>
+          <button
+            type="button"
+            onClick={() => resolve((key) => choices[key] || 'mine')}
+            disabled={saving}
+            className="px-6 py-3 bg-gradient-to-r from-indigo-600 to-purple-600 text-white rounded-xl hover:from-indigo-700 hover:to-purple-700 transition-all duration-200 font-semibold disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save merged'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ConflictDialog;
@@ -0,0 +1,183 @@
+import React, { useEffect, useState } from 'react';
+import { requestJson } from '../api';
+import FieldError from './FieldError';
+import { canEdit, hasRoleAnywhere } from '../utils/permissions';
+
+// Text box that filters a list of options as you type; `onCreate` (when given) adds an
+// entry for the text typed when nothing matches it exactly
+function Picker({ value, options, placeholder, inputClassName, onSelect, onCreate, createLabel }) {
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+  const selected = options.find((option) => option.value === value);
+  const text = open ? query : selected ? selected.label : value || '';
+  const needle = query.trim().toLowerCase();
+  const matches = options.filter((option) =>
+    [option.label, option.detail].some((part) => part && part.toLowerCase().includes(needle))
+  );
+  const exact = options.some((option) => option.label.toLowerCase() === needle);
+
+  const choose = (option) => {
+    setOpen(false);
+    setQuery('');
+    onSelect(option);
+  };
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        value={text}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => {
+          setQuery('');
+          setOpen(true);
+        }}
+        // Let a click on an option land before the list closes
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        className={inputClassName}
+        placeholder={placeholder}
+      />
+      {open && (
+        <ul className="absolute z-20 mt-1 w-full max-h-60 overflow-auto bg-white border border-gray-200 rounded-xl shadow-lg py-1">
+          {value && (
+            <li>
+              <button type="button" onMouseDown={() => choose(null)} className="w-full text-left px-4 py-2 text-sm text-gray-500 hover:bg-gray-50">
+                None
+              </button>
+            </li>
+          )}
+          {matches.map((option) => (
+            <li key={option.value}>
+              <button
+                type="button"
+                onMouseDown={() => choose(option)}
+                className={`w-full text-left px-4 py-2 text-sm hover:bg-indigo-50 ${option.value === value ? 'font-semibold text-indigo-700' : 'text-gray-900'}`}
+              >
+                {option.label}
+                {option.detail && <span className="ml-2 text-xs text-gray-500">{option.detail}</span>}
+              </button>
+            </li>
+          ))}
+          {onCreate && needle && !exact && (
+            <li>
+              <button
+                type="button"
+                onMouseDown={() => {
+                  setOpen(false);
+                  onCreate(query.trim());
+                }}
+                className="w-full text-left px-4 py-2 text-sm text-indigo-700 hover:bg-indigo-50"
+              >
+                {createLabel} "{query.trim()}"
+              </button>
+            </li>
+          )}
+          {!matches.length && !(onCreate && needle && !exact) && (
+            <li className="px-4 py-2 text-sm text-gray-500">No matches</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Location and business pickers of the add/edit forms, listing the directory the user can
+// see. Picking a location that belongs to a business picks that business too; editors can
+// add a location and admins a business without leaving the form.
+function DirectoryFields({ formData, onChange, errors, roles, labelClassName, inputClassName }) {
+  const [businesses, setBusinesses] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [createError, setCreateError] = useState(null);
+
+  useEffect(() => {
+    requestJson('/businesses')
+      .then((data) => setBusinesses(Array.isArray(data) ? data : []))
+      .catch((error) => console.error('Error loading businesses:', error));
+    requestJson('/locations')
+      .then((data) => setLocations(Array.isArray(data) ? data : []))
+      .catch((error) => console.error('Error loading locations:', error));
+  }, []);
+
+  const pickLocation = (location) => {
+    setCreateError(null);
+    if (!location) return onChange({ location_id: '' });
+    return onChange({
+      location_id: location.id,
+      ...(location.business_id ? { business_id: location.business_id, business_name: location.business_name } : {}),
+    });
+  };
+
+  // A location of another business no longer fits once the business changes
+  const pickBusiness = (business) => {
+    setCreateError(null);
+    const location = locations.find((row) => row.id === formData.location_id);
+    const keepLocation = !business || !location || !location.business_id || location.business_id === business.id;
+    onChange({
+      business_id: business ? business.id : '',
+      business_name: business ? business.name : '',
+      ...(keepLocation ? {} : { location_id: '' }),
+    });
+  };
+
+  const create = async (path, body, pick, field) => {
+    try {
+      setCreateError(null);
+      const row = await requestJson(path, { method: 'POST', body: JSON.stringify(body) });
+      if (path === '/businesses') setBusinesses((prev) => [...prev, row]);
+      else setLocations((prev) => [...prev, row]);
+      pick(row);
+    } catch (error) {
+      const invalid = error.data && Array.isArray(error.data.errors) ? error.data.errors : [];
+      setCreateError({ field, message: invalid.length ? invalid.map((e) => `${e.field} ${e.message}`).join(', ') : error.message });
+    }
+  };
+
+  const business = businesses.find((row) => row.id === formData.business_id);
+  const businessScope = { business_name: business ? business.name : formData.business_name };
+  const allErrors = createError ? [...errors, createError] : errors;
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      <div>
+        <label className={labelClassName}>Location</label>
+        <Picker
+          value={formData.location_id}
+          options={locations.map((location) => ({
+            value: location.id,
+            label: location.id,
+            detail: [location.name, location.business_name].filter(Boolean).join(' · '),
+            ...location,
+          }))}
+          placeholder="Search locations..."
+          inputClassName={inputClassName}
+          onSelect={pickLocation}
+          onCreate={
+            canEdit(roles, { ...businessScope, location_id: '' })
+              ? (id) => create('/locations', { id, business_id: business ? business.id : null }, pickLocation, 'location_id')
+              : null
+          }
+          createLabel="Add location"
+        />
+        <FieldError errors={allErrors} field="location_id" />
+      </div>
+      <div>
+        <label className={labelClassName}>Business</label>
+        <Picker
+          value={business ? business.id : formData.business_name}
+          options={businesses.map((row) => ({ value: row.id, label: row.name, ...row }))}
+          placeholder="Search businesses..."
+          inputClassName={inputClassName}
+          onSelect={pickBusiness}
+          onCreate={hasRoleAnywhere(roles, 'admin') ? (name) => create('/businesses', { name }, pickBusiness, 'business_id') : null}
+          createLabel="Add business"
+        />
+        <FieldError errors={allErrors} field={['business_id', 'business_name']} />
+      </div>
+    </div>
+  );
+}
+
+export default DirectoryFields;
@@ -0,0 +1,15 @@
+import React from 'react';
+
+// Messages under a form input for the { field, message } errors of one field (or of
+// several, e.g. ['form', 'tokens'] for errors that belong to no single input)
+function FieldError({ errors, field }) {
+  const fields = Array.isArray(field) ? field : [field];
+  const messages = errors.filter((error) => fields.includes(error.field)).map((error) => error.message);
+  if (!messages.length) return null;
+
+  return (
+    <p className="mt-1.5 text-sm text-red-600">{messages.join(', ')}</p>
+  );
+}
+
+export default FieldError;
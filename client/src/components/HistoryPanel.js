@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { requestJson } from '../api';
+import { diffLines, fieldToText } from '../utils/diff';
+
+const DIFF_FIELDS = [
+  { key: 'prompt', label: 'Prompt Content' },
+  { key: 'knowledgebase', label: 'Knowledgebase' },
+  { key: 'inventory', label: 'Inventory' },
+  { key: 'business_name', label: 'Business Name' },
+  { key: 'name', label: 'Prompt Name' },
+  { key: 'location_id', label: 'Location ID' },
+];
+
+const cellStyles = {
+  same: ['text-gray-700', 'text-gray-700'],
+  changed: ['bg-red-50 text-red-800', 'bg-green-50 text-green-800'],
+  removed: ['bg-red-50 text-red-800', 'bg-gray-50'],
+  added: ['bg-gray-50', 'bg-green-50 text-green-800'],
+};
+
+function formatRevision(version) {
+  const when = version.created_at ? new Date(version.created_at).toLocaleString() : 'unknown date';
+  return `Rev ${version.rev} · ${version.author || 'unknown'} · ${when}`;
+}
+
+// revision is the token of the prompt as shown, sent as If-Match so a restore cannot
+// overwrite an edit made since
+function HistoryPanel({ promptId, revision, onRestored, canRestore = true }) {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [fromRev, setFromRev] = useState(null);
+  const [toRev, setToRev] = useState(null);
+  const [restoringRev, setRestoringRev] = useState(null);
+
+  const fetchVersions = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const data = await requestJson(`/prompts/${promptId}/versions`);
+      const list = Array.isArray(data) ? data : [];
+      setVersions(list);
+      // Default to comparing the two most recent revisions
+      setToRev(list.length ? list[0].rev : null);
+      setFromRev(list.length > 1 ? list[1].rev : list.length ? list[0].rev : null);
+    } catch (err) {
+      console.error('Error fetching prompt versions:', err);
+      setError(err.message);
+      setVersions([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [promptId]);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [fetchVersions]);
+
+  const handleRestore = async (rev) => {
+    if (!window.confirm(`Restore revision ${rev}? The current content will remain in history.`)) return;
+    try {
+      setRestoringRev(rev);
+      const updated = await requestJson(`/prompts/${promptId}/versions/${rev}/restore`, {
+        method: 'POST',
+        headers: { 'If-Match': `"${revision}"` },
+        body: JSON.stringify({}),
+      });
+      await fetchVersions();
+      if (onRestored) onRestored(updated);
+    } catch (err) {
+      console.error('Error restoring prompt version:', err);
+      if (err.status === 409 && err.data && err.data.current) {
+        // Show the newer copy so the restore can be retried against it
+        await fetchVersions();
+        if (onRestored) onRestored(err.data.current);
+        setError('Someone else changed this prompt since you opened it. History is up to date now; restore again if you still want to.');
+      } else {
+        setError(err.message);
+      }
+    } finally {
+      setRestoringRev(null);
+    }
+  };
+
+  const fromVersion = versions.find((v) => v.rev === fromRev);
+  const toVersion = versions.find((v) => v.rev === toRev);
+
+  if (loading) {
+    return <div className="text-sm text-gray-500 py-6 text-center">Loading history...</div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-xl p-4 text-sm text-red-700">{error}</div>
+      )}
+
+      {versions.length === 0 ? (
+        <div className="text-sm text-gray-500 py-6 text-center">
+          No revisions recorded yet. A revision is saved every time this prompt is updated.
+        </div>
+      ) : (
+        <>
+          <div className="bg-white rounded-xl border border-gray-200 divide-y divide-gray-100">
+            {versions.map((version, index) => (
+              <div key={version.rev} className="flex items-center justify-between px-4 py-3">
+                <div>
+                  <div className="text-sm font-semibold text-gray-900">
+                    {formatRevision(version)}
+                    {index === 0 && (
+                      <span className="ml-2 px-2 py-0.5 text-xs font-medium bg-green-100 text-green-700 rounded-full">current</span>
+                    )}
+                  </div>
+                  {version.restored_from && (
+                    <div className="text-xs text-gray-500 mt-0.5">Restored from rev {version.restored_from}</div>
+                  )}
+                </div>
+                {index > 0 && canRestore && (
+                  <button
+                    onClick={() => handleRestore(version.rev)}
+                    disabled={restoringRev !== null}
+                    className="px-4 py-2 text-sm bg-amber-50 text-amber-700 rounded-lg hover:bg-amber-100 transition-all font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {restoringRev === version.rev ? 'Restoring...' : 'Restore'}
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="block text-sm font-semibold text-gray-700">
+              Compare from
+              <select
+                value={fromRev ?? ''}
+                onChange={(e) => setFromRev(Number(e.target.value))}
+                className="mt-2 w-full px-3 py-2 border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              >
+                {versions.map((v) => (
+                  <option key={v.rev} value={v.rev}>{formatRevision(v)}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block text-sm font-semibold text-gray-700">
+              Compare to
+              <select
+                value={toRev ?? ''}
+                onChange={(e) => setToRev(Number(e.target.value))}
+                className="mt-2 w-full px-3 py-2 border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              >
+                {versions.map((v) => (
+                  <option key={v.rev} value={v.rev}>{formatRevision(v)}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {fromVersion && toVersion && DIFF_FIELDS.map(({ key, label }) => {
+            const unchanged = fieldToText(fromVersion[key]) === fieldToText(toVersion[key]);
+            return (
+              <div key={key} className="bg-white rounded-xl border border-gray-200 overflow-hidden">
+                <div className="flex items-center justify-between px-4 py-2 bg-gray-50 border-b border-gray-200">
+                  <h4 className="text-sm font-semibold text-gray-900">{label}</h4>
+                  {unchanged && <span className="text-xs text-gray-500">No changes</span>}
+                </div>
+                {!unchanged && (
+                  <div className="grid grid-cols-2 divide-x divide-gray-200 text-xs font-mono">
+                    {diffLines(fromVersion[key], toVersion[key]).map((row, i) => (
+                      <React.Fragment key={i}>
+                        <pre className={`whitespace-pre-wrap px-3 py-0.5 min-h-[1.25rem] ${cellStyles[row.type][0]}`}>{row.left ?? ''}</pre>
+                        <pre className={`whitespace-pre-wrap px-3 py-0.5 min-h-[1.25rem] ${cellStyles[row.type][1]}`}>{row.right ?? ''}</pre>
+                      </React.Fragment>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default HistoryPanel;
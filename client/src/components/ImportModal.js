@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import { requestJson } from '../api';
+
+const actionStyles = {
+  create: 'bg-green-100 text-green-700',
+  update: 'bg-blue-100 text-blue-700',
+  skip: 'bg-gray-100 text-gray-600',
+  error: 'bg-red-100 text-red-700',
+};
+
+// Upload a CSV/JSON file, preview what the server would create, update or skip
+// (dry run), then commit the import
+function ImportModal({ onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [payload, setPayload] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [working, setWorking] = useState(false);
+
+  const handleFile = async (e) => {
+    const selected = e.target.files && e.target.files[0];
+    setPreview(null);
+    setResult(null);
+    setError('');
+    setFile(selected || null);
+    if (!selected) return;
+
+    try {
+      setWorking(true);
+      const format = /\.json$/i.test(selected.name) ? 'json' : 'csv';
+      const data = await selected.text();
+      const nextPayload = { format, data };
+      setPayload(nextPayload);
+      const plan = await requestJson('/prompts/import', {
+        method: 'POST',
+        body: JSON.stringify({ ...nextPayload, dryRun: true }),
+      });
+      setPreview(plan);
+    } catch (err) {
+      console.error('Error previewing import:', err);
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCommit = async () => {
+    try {
+      setWorking(true);
+      setError('');
+      const committed = await requestJson('/prompts/import', {
+        method: 'POST',
+        body: JSON.stringify({ ...payload, dryRun: false }),
+      });
+      setResult(committed);
+      setPreview(null);
+      if (onImported) onImported(committed);
+    } catch (err) {
+      console.error('Error importing prompts:', err);
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const report = result || preview;
+  const changes = preview ? preview.summary.create + preview.summary.update : 0;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 animate-fadeIn"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-2xl shadow-2xl max-w-5xl w-full mx-4 max-h-[90vh] overflow-hidden animate-slideUp"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="bg-gradient-to-r from-indigo-600 to-purple-600 px-8 py-6 text-white">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-2xl font-bold">Import Prompts</h2>
+              <p className="text-indigo-100 mt-1">CSV or JSON, matched to existing prompts by Location ID</p>
+            </div>
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-white/20 rounded-xl transition-all duration-200"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-8 overflow-y-auto max-h-[calc(90vh-120px)] space-y-6">
+          <div>
+            <input
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              onChange={handleFile}
+              className="block w-full text-sm text-gray-700 file:mr-4 file:py-2.5 file:px-4 file:rounded-xl file:border-0 file:font-semibold file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100"
+            />
+            <p className="text-xs text-gray-500 mt-2">
+              Columns: name, prompt, location_id, business_name, knowledgebase, inventory (JSON). Rows without a
+              location_id are always created; businesses and locations must already exist.
+            </p>
+          </div>
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-xl p-4 text-sm text-red-700">{error}</div>
+          )}
+          {working && <div className="text-sm text-gray-500">{preview ? 'Importing...' : 'Checking file...'}</div>}
+
+          {report && (
+            <>
+              <div className="flex flex-wrap gap-3 text-sm">
+                {result && <span className="font-semibold text-gray-900 mr-2">Import complete:</span>}
+                {Object.entries(report.summary).map(([action, count]) => (
+                  <span key={action} className={`px-3 py-1 rounded-full font-semibold ${actionStyles[action]}`}>
+                    {count} {action === 'skip' ? 'unchanged' : action === 'error' ? 'with errors' : `to ${action}`}
+                  </span>
+                ))}
+              </div>
+
+              <div className="overflow-x-auto border border-gray-200 rounded-xl">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr className="text-left text-xs font-bold text-gray-700 uppercase tracking-wider">
+                      <th className="px-3 py-2">Row</th>
+                      <th className="px-3 py-2">Action</th>
+                      <th className="px-3 py-2">Name</th>
+                      <th className="px-3 py-2">Location ID</th>
+                      <th className="px-3 py-2">Problems</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {report.rows.map((row) => (
+                      <tr key={row.row}>
+                        <td className="px-3 py-2 text-gray-500">{row.row}</td>
+                        <td className="px-3 py-2">
+                          <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${actionStyles[row.action]}`}>
+                            {row.action}
+                          </span>
+                        </td>
+                        <td className="px-3 py-2 text-gray-900">{row.name}</td>
+                        <td className="px-3 py-2 text-gray-700">{row.location_id || <span className="text-gray-400">new</span>}</td>
+                        <td className="px-3 py-2 text-red-700 text-xs">
+                          {(row.errors || []).map((e) => `${e.field}: ${e.message}`).join('; ')}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          <div className="flex justify-end space-x-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-6 py-3 border border-gray-300 text-gray-700 rounded-xl hover:bg-gray-50 transition-all duration-200 font-medium"
+            >
+              {result ? 'Close' : 'Cancel'}
+            </button>
+            {preview && (
+              <button
+                type="button"
+                onClick={handleCommit}
+                disabled={working || !file || changes === 0}
+                className="px-8 py-3 bg-gradient-to-r from-indigo-600 to-purple-600 text-white rounded-xl hover:from-indigo-700 hover:to-purple-700 transition-all duration-200 font-semibold shadow-lg disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {`Import ${changes} change${changes === 1 ? '' : 's'}`}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImportModal;
@@ -0,0 +1,250 @@
+import React, { useState } from 'react';
+import {
+  AVAILABILITY_OPTIONS,
+  availabilityLabel,
+  emptyItem,
+  inventoryToJson,
+  parseInventory,
+} from '../utils/inventory';
+
+const COLUMNS = [
+  { key: 'sku', label: 'SKU', type: 'text' },
+  { key: 'name', label: 'Name', type: 'text' },
+  { key: 'price', label: 'Price', type: 'number', step: '0.01' },
+  { key: 'quantity', label: 'Qty', type: 'number', step: '1' },
+  { key: 'availability', label: 'Availability', type: 'select' },
+];
+
+const ITEM_FIELD = /^inventory\.items\[(\d+)\]\.(\w+)$/;
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a ?? '').localeCompare(String(b ?? ''), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// Read-only inventory table for the details and enlarge modals
+export function InventoryTable({ value }) {
+  const { items } = parseInventory(value);
+
+  if (!items) {
+    return (
+      <pre className="whitespace-pre-wrap text-sm text-gray-800 leading-relaxed font-mono">
+        {String(value)}
+      </pre>
+    );
+  }
+  if (!items.length) {
+    return <p className="text-sm text-gray-500">No inventory items.</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs font-bold text-gray-600 uppercase tracking-wider border-b border-gray-200">
+            {COLUMNS.map((column) => (
+              <th key={column.key} className="px-3 py-2">{column.label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {items.map((item, index) => (
+            <tr key={`${item.sku}-${index}`}>
+              <td className="px-3 py-2 font-mono text-gray-700">{item.sku}</td>
+              <td className="px-3 py-2 text-gray-900">{item.name}</td>
+              <td className="px-3 py-2 text-gray-700">{typeof item.price === 'number' ? item.price.toFixed(2) : item.price}</td>
+              <td className="px-3 py-2 text-gray-700">{item.quantity}</td>
+              <td className="px-3 py-2 text-gray-700">{availabilityLabel(item.availability)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Table-style inventory editor with a raw JSON fallback. Emits { items } while in
+// table mode and the raw text while in JSON mode (the server validates both).
+function InventoryEditor({ value, onChange, errors = [] }) {
+  const initial = parseInventory(value);
+  const [mode, setMode] = useState(initial.items ? 'table' : 'raw');
+  const [rawText, setRawText] = useState(() => inventoryToJson(value));
+  const [rawError, setRawError] = useState(initial.error);
+  const [sort, setSort] = useState(null);
+
+  const items = parseInventory(value).items || [];
+
+  const cellErrors = {};
+  const otherErrors = [];
+  errors.forEach((error) => {
+    const match = ITEM_FIELD.exec(error.field);
+    if (match) cellErrors[`${match[1]}.${match[2]}`] = error.message;
+    else otherErrors.push(error);
+  });
+
+  const updateItems = (nextItems) => onChange({ items: nextItems });
+
+  const updateCell = (index, column, rawValue) => {
+    let nextValue = rawValue;
+    if (column.type === 'number') nextValue = rawValue === '' ? '' : Number(rawValue);
+    updateItems(items.map((item, i) => (i === index ? { ...item, [column.key]: nextValue } : item)));
+  };
+
+  const toggleSort = (key) => {
+    const direction = sort && sort.key === key && sort.direction === 'asc' ? 'desc' : 'asc';
+    setSort({ key, direction });
+    const sorted = [...items].sort((a, b) => compareValues(a[key], b[key]) * (direction === 'asc' ? 1 : -1));
+    updateItems(sorted);
+  };
+
+  const switchMode = (nextMode) => {
+    if (nextMode === mode) return;
+    if (nextMode === 'raw') {
+      setRawText(inventoryToJson(value));
+      setRawError(null);
+      setMode('raw');
+      return;
+    }
+    const parsed = parseInventory(rawText);
+    if (!parsed.items) {
+      setRawError(parsed.error);
+      return;
+    }
+    setRawError(null);
+    updateItems(parsed.items);
+    setMode('table');
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <div className="flex bg-gray-100 rounded-lg p-1">
+          {[
+            { key: 'table', label: 'Table' },
+            { key: 'raw', label: 'Raw JSON' },
+          ].map((tab) => (
+            <button
+              key={tab.key}
+              type="button"
+              onClick={() => switchMode(tab.key)}
+              className={`px-3 py-1.5 text-xs font-semibold rounded-md transition-all ${mode === tab.key ? 'bg-white text-purple-700 shadow-sm' : 'text-gray-600 hover:text-gray-900'}`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+        {mode === 'table' && (
+          <button
+            type="button"
+            onClick={() => updateItems([...items, emptyItem()])}
+            className="px-3 py-1.5 text-xs font-semibold bg-purple-50 text-purple-700 rounded-lg hover:bg-purple-100 transition-all"
+          >
+            + Add item
+          </button>
+        )}
+      </div>
+
+      {mode === 'table' ? (
+        <div className="overflow-x-auto border border-gray-200 rounded-xl bg-white">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                {COLUMNS.map((column) => (
+                  <th key={column.key} className="px-2 py-2 text-left text-xs font-bold text-gray-700 uppercase tracking-wider">
+                    <button
+                      type="button"
+                      onClick={() => toggleSort(column.key)}
+                      className="inline-flex items-center space-x-1 hover:text-purple-700"
+                      title={`Sort by ${column.label}`}
+                    >
+                      <span>{column.label}</span>
+                      <span className="text-gray-400">
+                        {sort && sort.key === column.key ? (sort.direction === 'asc' ? '▲' : '▼') : '↕'}
+                      </span>
+                    </button>
+                  </th>
+                ))}
+                <th className="px-2 py-2 w-10" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {items.length === 0 && (
+                <tr>
+                  <td colSpan={COLUMNS.length + 1} className="px-3 py-6 text-center text-sm text-gray-500">
+                    No items yet. Click "Add item" to start.
+                  </td>
+                </tr>
+              )}
+              {items.map((item, index) => (
+                <tr key={index}>
+                  {COLUMNS.map((column) => {
+                    const error = cellErrors[`${index}.${column.key}`];
+                    const inputClass = `w-full px-2 py-1.5 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 bg-white ${error ? 'border-red-400' : 'border-gray-200'}`;
+                    return (
+                      <td key={column.key} className="px-2 py-1.5 align-top">
+                        {column.type === 'select' ? (
+                          <select
+                            value={item[column.key] ?? ''}
+                            onChange={(e) => updateCell(index, column, e.target.value)}
+                            className={inputClass}
+                          >
+                            {AVAILABILITY_OPTIONS.map((option) => (
+                              <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                          </select>
+                        ) : (
+                          <input
+                            type={column.type}
+                            step={column.step}
+                            min={column.type === 'number' ? 0 : undefined}
+                            value={item[column.key] ?? ''}
+                            onChange={(e) => updateCell(index, column, e.target.value)}
+                            className={inputClass}
+                          />
+                        )}
+                        {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+                      </td>
+                    );
+                  })}
+                  <td className="px-2 py-1.5 align-top">
+                    <button
+                      type="button"
+                      onClick={() => updateItems(items.filter((_, i) => i !== index))}
+                      className="p-1.5 text-red-600 hover:text-red-800 hover:bg-red-50 rounded-md transition-all"
+                      title="Remove item"
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                      </svg>
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <textarea
+          value={rawText}
+          onChange={(e) => {
+            setRawText(e.target.value);
+            onChange(e.target.value);
+          }}
+          rows={12}
+          spellCheck={false}
+          className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-gray-50 hover:bg-white font-mono text-sm resize-y"
+          placeholder='{ "items": [] }'
+        />
+      )}
+
+      {rawError && <p className="text-sm text-red-600">{rawError}</p>}
+      {(mode === 'raw' ? errors : otherErrors).map((error) => (
+        <p key={`${error.field}-${error.message}`} className="text-sm text-red-600">
+          {error.field}: {error.message}
+        </p>
+      ))}
+    </div>
+  );
+}
+
+export default InventoryEditor;
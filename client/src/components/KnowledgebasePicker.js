@@ -0,0 +1,266 @@
+import React, { useState } from 'react';
+import { requestJson } from '../api';
+import FieldError from './FieldError';
+import TokenMeter from './TokenMeter';
+import { canEdit } from '../utils/permissions';
+import { usedByLabel } from '../utils/knowledgebase';
+
+const EMPTY_DRAFT = { id: null, name: '', content: '' };
+
+// Names of the library documents a prompt lists, as small chips
+export function DocumentChips({ documents }) {
+  if (!documents || !documents.length) return null;
+  return (
+    <div className="flex flex-wrap gap-1.5">
+      {documents.map((document) => (
+        <span key={document.id} className="px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+          {document.name}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// Picks the library documents a prompt lists, in order, and edits the block specific to
+// its location. Documents can be added or edited in place; an edit reaches the draft of
+// every prompt listing the document, which the "used by" count warns about.
+function KnowledgebasePicker({ formData, library, roles, errors, tokens, budget, onChange, onLibraryChange, onClose }) {
+  const [search, setSearch] = useState('');
+  const [draft, setDraft] = useState(null);
+  const [draftErrors, setDraftErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const selected = formData.knowledgebase_ids || [];
+  const businessName = formData.business_name || null;
+  // A prompt may list shared documents and those of its own business
+  const usable = library.filter((document) => !document.business_id || document.business_id === formData.business_id);
+  const needle = search.trim().toLowerCase();
+  const matches = usable.filter((document) =>
+    [document.name, document.content].some((text) => text && text.toLowerCase().includes(needle))
+  );
+  const documentFor = (id) => library.find((document) => document.id === id);
+  const canAdd = canEdit(roles, { business_name: businessName, location_id: null });
+
+  const setSelected = (ids) => onChange({ knowledgebase_ids: ids });
+  const move = (index, offset) => {
+    const ids = [...selected];
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+    setSelected(ids);
+  };
+
+  const saveDraft = async () => {
+    try {
+      setSaving(true);
+      setDraftErrors([]);
+      const body = draft.id
+        ? { name: draft.name, content: draft.content }
+        : { name: draft.name, content: draft.content, business_id: formData.business_id || null };
+      const saved = await requestJson(draft.id ? `/knowledgebase/${draft.id}` : '/knowledgebase', {
+        method: draft.id ? 'PUT' : 'POST',
+        body: JSON.stringify(body),
+      });
+      if (draft.id) {
+        onLibraryChange(library.map((document) => (document.id === saved.id ? saved : document)));
+      } else {
+        onLibraryChange([...library, saved].sort((a, b) => a.name.localeCompare(b.name)));
+        setSelected([...selected, saved.id]);
+      }
+      setDraft(null);
+    } catch (error) {
+      setDraftErrors(error.data && Array.isArray(error.data.errors) ? error.data.errors : [{ field: 'form', message: error.message }]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-4 py-2.5 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-gray-50 hover:bg-white transition-all';
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 animate-fadeIn"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-2xl shadow-2xl max-w-6xl w-full mx-4 max-h-[90vh] overflow-hidden animate-slideUp"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="bg-gradient-to-r from-blue-500 to-indigo-600 px-8 py-6 text-white">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-2xl font-bold">Knowledgebase</h2>
+              <p className="text-blue-100 mt-1">Pick documents from the library, then add what is specific to this location</p>
+            </div>
+            <button type="button" onClick={onClose} className="p-2 hover:bg-white/20 rounded-xl transition-all duration-200">
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-8 overflow-y-auto max-h-[calc(90vh-120px)] grid grid-cols-1 lg:grid-cols-2 gap-8">
+          <div className="space-y-4">
+            <div className="flex items-center justify-between">
+              <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wider">Library</h3>
+              {canAdd && !draft && (
+                <button
+                  type="button"
+                  onClick={() => setDraft(EMPTY_DRAFT)}
+                  className="text-sm font-medium text-indigo-600 hover:text-indigo-800"
+                >
+                  + New document
+                </button>
+              )}
+            </div>
+
+            {draft ? (
+              <div className="rounded-xl border-2 border-indigo-200 bg-indigo-50/40 p-4 space-y-3">
+                <input
+                  type="text"
+                  value={draft.name}
+                  onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                  className={inputClass}
+                  placeholder="Document name, e.g. Opening hours"
+                />
+                <FieldError errors={draftErrors} field="name" />
+                <textarea
+                  value={draft.content}
+                  onChange={(e) => setDraft({ ...draft, content: e.target.value })}
+                  rows={10}
+                  className={`${inputClass} resize-y`}
+                  placeholder="Document content..."
+                />
+                <FieldError errors={draftErrors} field={['content', 'business_id', 'form']} />
+                {draft.id && documentFor(draft.id).used_by > 1 && (
+                  <p className="text-sm text-amber-700">
+                    {usedByLabel(documentFor(draft.id).used_by)}. Saving changes the draft of all of them; published ones keep the current text until they are published again.
+                  </p>
+                )}
+                <div className="flex justify-end gap-3">
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setDraft(null);
+                      setDraftErrors([]);
+                    }}
+                    className="px-4 py-2 text-sm bg-gray-100 text-gray-700 rounded-xl hover:bg-gray-200 font-medium"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="button"
+                    onClick={saveDraft}
+                    disabled={saving}
+                    className="px-4 py-2 text-sm bg-indigo-600 text-white rounded-xl hover:bg-indigo-700 font-semibold disabled:opacity-50"
+                  >
+                    {saving ? 'Saving...' : draft.id ? 'Save document' : 'Add to library'}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <>
+                <input
+                  type="text"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  className={inputClass}
+                  placeholder="Search documents..."
+                />
+                {matches.length === 0 ? (
+                  <p className="text-sm text-gray-500 py-6 text-center">
+                    {usable.length ? 'No documents match.' : 'The library has no documents for this business yet.'}
+                  </p>
+                ) : (
+                  <ul className="divide-y divide-gray-100 border border-gray-200 rounded-xl">
+                    {matches.map((document) => (
+                      <li key={document.id} className="flex items-center justify-between gap-3 px-4 py-3">
+                        <div className="min-w-0">
+                          <p className="text-sm font-semibold text-gray-900 truncate">{document.name}</p>
+                          <p className="text-xs text-gray-500">
+                            {document.business_name || 'Shared'} · {usedByLabel(document.used_by)}
+                          </p>
+                        </div>
+                        <div className="flex items-center gap-2 shrink-0">
+                          {canEdit(roles, { business_name: document.business_name, location_id: null }) && (
+                            <button
+                              type="button"
+                              onClick={() => setDraft({ id: document.id, name: document.name, content: document.content })}
+                              className="px-3 py-1.5 text-xs bg-gray-50 text-gray-700 rounded-lg hover:bg-gray-100 font-medium"
+                            >
+                              Edit
+                            </button>
+                          )}
+                          <button
+                            type="button"
+                            onClick={() => setSelected([...selected, document.id])}
+                            disabled={selected.includes(document.id)}
+                            className="px-3 py-1.5 text-xs bg-blue-50 text-blue-700 rounded-lg hover:bg-blue-100 font-medium disabled:opacity-50"
+                          >
+                            {selected.includes(document.id) ? 'Added' : 'Add'}
+                          </button>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </>
+            )}
+          </div>
+
+          <div className="space-y-4">
+            <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wider">This prompt</h3>
+            {selected.length === 0 ? (
+              <p className="text-sm text-gray-500">No library documents. Add some from the list.</p>
+            ) : (
+              <ol className="space-y-2">
+                {selected.map((id, index) => {
+                  const document = documentFor(id);
+                  return (
+                    <li key={id} className="rounded-xl border border-gray-200 bg-gray-50 px-4 py-2.5">
+                      <div className="flex items-center justify-between gap-3">
+                        <span className="text-sm font-medium text-gray-900 truncate">
+                          {index + 1}. {document ? document.name : 'Unknown document'}
+                        </span>
+                        <div className="flex items-center gap-1 shrink-0">
+                          <button type="button" onClick={() => move(index, -1)} disabled={index === 0} className="px-2 py-1 text-xs text-gray-600 hover:bg-white rounded disabled:opacity-30" title="Move up">↑</button>
+                          <button type="button" onClick={() => move(index, 1)} disabled={index === selected.length - 1} className="px-2 py-1 text-xs text-gray-600 hover:bg-white rounded disabled:opacity-30" title="Move down">↓</button>
+                          <button type="button" onClick={() => setSelected(selected.filter((other) => other !== id))} className="px-2 py-1 text-xs text-red-600 hover:bg-white rounded" title="Remove">✕</button>
+                        </div>
+                      </div>
+                      <FieldError errors={errors} field={`knowledgebase_ids[${index}]`} />
+                    </li>
+                  );
+                })}
+              </ol>
+            )}
+            <FieldError errors={errors} field="knowledgebase_ids" />
+
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-2">This location</label>
+              <textarea
+                value={formData.knowledgebase || ''}
+                onChange={(e) => onChange({ knowledgebase: e.target.value })}
+                rows={8}
+                className={`${inputClass} resize-y`}
+                placeholder="Anything that differs here; it comes after the documents and takes precedence over them..."
+              />
+              <FieldError errors={errors} field="knowledgebase" />
+            </div>
+            <TokenMeter tokens={tokens} budget={budget} />
+            <div className="flex justify-end">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-6 py-3 bg-gray-100 text-gray-700 rounded-xl hover:bg-gray-200 transition-all duration-200 font-medium"
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default KnowledgebasePicker;
@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from 'react';
+import { requestJson } from '../api';
+import { canEdit } from '../utils/permissions';
+import { channelLabel, purposeLabel, slotOptions } from '../utils/locations';
+import TokenMeter from './TokenMeter';
+import { PublishStatusBadge } from './PublishControls';
+
+// One location and the prompts it owns, in a tab per channel. Viewing, editing and
+// deleting go through the App's modals; `refreshKey` changes after they save.
+function LocationPage({ locationId, roles, schema, refreshKey, onBack, onView, onEdit, onDelete, onAdd }) {
+  const [location, setLocation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [channel, setChannel] = useState(null);
+
+  useEffect(() => {
+    setLoading(true);
+    setError('');
+    requestJson(`/locations/${encodeURIComponent(locationId)}`)
+      .then((data) => {
+        setLocation(data);
+        setChannel((prev) => prev || data.channels[0] || 'all');
+      })
+      .catch((err) => {
+        console.error('Error loading location:', err);
+        setLocation(null);
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, [locationId, refreshKey]);
+
+  const prompts = location ? location.prompts : [];
+  const inChannel = prompts.filter((prompt) => (prompt.channel || 'all') === channel);
+  const scope = {
+    location_id: locationId,
+    business_id: location ? location.business_id || '' : '',
+    business_name: location ? location.business_name || '' : '',
+  };
+  const countFor = (value) => prompts.filter((prompt) => (prompt.channel || 'all') === value).length;
+
+  return (
+    <div className="p-6 sm:p-8 min-h-[400px]">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+        <div>
+          <button onClick={onBack} className="text-sm text-indigo-600 hover:text-indigo-800 font-medium">
+            ← All prompts
+          </button>
+          <h2 className="text-2xl font-bold text-gray-900 mt-1">
+            {location && location.name ? `${location.name} (${locationId})` : `Location ${locationId}`}
+          </h2>
+          {location && (
+            <p className="text-sm text-gray-500 mt-0.5">
+              {[location.business_name || 'No business', `${location.prompt_count} prompt${location.prompt_count === 1 ? '' : 's'}`]
+                .filter(Boolean)
+                .join(' · ')}
+            </p>
+          )}
+        </div>
+        {canEdit(roles, scope) && (
+          <button
+            onClick={() => onAdd({ ...scope, channel: channel || 'all' })}
+            className="px-5 py-2.5 bg-gradient-to-r from-indigo-600 to-purple-600 text-white rounded-xl hover:from-indigo-700 hover:to-purple-700 transition-all font-semibold shadow"
+          >
+            Add {channelLabel(channel)} prompt
+          </button>
+        )}
+      </div>
+
+      {error && <div className="bg-red-50 border border-red-200 rounded-xl p-4 text-sm text-red-700 mb-4">{error}</div>}
+
+      {loading && !location ? (
+        <div className="text-sm text-gray-500">Loading location...</div>
+      ) : location && (
+        <>
+          <div className="flex flex-wrap gap-1 border-b border-gray-200 mb-6">
+            {slotOptions(schema, 'channel').map((value) => (
+              <button
+                key={value}
+                onClick={() => setChannel(value)}
+                className={`px-4 py-2 text-sm font-medium rounded-t-lg border-b-2 -mb-px transition-colors ${
+                  channel === value
+                    ? 'border-indigo-600 text-indigo-700 bg-indigo-50'
+                    : countFor(value)
+                      ? 'border-transparent text-gray-700 hover:text-indigo-700'
+                      : 'border-transparent text-gray-400 hover:text-gray-600'
+                }`}
+              >
+                {channelLabel(value)} <span className="text-xs text-gray-400">({countFor(value)})</span>
+              </button>
+            ))}
+          </div>
+
+          {channel === 'all' && (
+            <p className="text-xs text-gray-500 mb-4">
+              These prompts answer on every channel that has no prompt of its own for the same purpose.
+            </p>
+          )}
+
+          {inChannel.length === 0 ? (
+            <p className="text-center text-gray-500 py-12">No {channelLabel(channel)} prompts at this location yet.</p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+              {inChannel.map((prompt) => (
+                <div key={prompt.id} className="bg-white rounded-2xl border border-gray-200 shadow-sm p-5 flex flex-col">
+                  <div className="flex items-center justify-between mb-2">
+                    <span className="text-xs font-semibold uppercase tracking-wide text-indigo-600">{purposeLabel(prompt.purpose)}</span>
+                    <div className="flex items-center gap-2">
+                      <TokenMeter tokens={prompt.tokens} compact />
+                      <PublishStatusBadge prompt={prompt} />
+                    </div>
+                  </div>
+                  <h3 className="text-base font-bold text-gray-900">{prompt.name}</h3>
+                  {prompt.business_name && <p className="text-xs text-gray-500 mt-0.5">{prompt.business_name}</p>}
+                  <p className="text-sm text-gray-700 mt-3 line-clamp-3 flex-1">{prompt.prompt}</p>
+                  <div className="flex gap-2 pt-3 mt-4 border-t border-gray-100">
+                    <button
+                      onClick={() => onView(prompt)}
+                      className="flex-1 px-3 py-2 text-sm bg-gray-50 text-gray-700 rounded-lg hover:bg-gray-100 transition-all font-medium"
+                    >
+                      View
+                    </button>
+                    {canEdit(roles, prompt) && (
+                      <>
+                        <button
+                          onClick={() => onEdit(prompt)}
+                          className="flex-1 px-3 py-2 text-sm bg-blue-50 text-blue-700 rounded-lg hover:bg-blue-100 transition-all font-medium"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => onDelete(prompt)}
+                          className="flex-1 px-3 py-2 text-sm bg-red-50 text-red-700 rounded-lg hover:bg-red-100 transition-all font-medium"
+                        >
+                          Delete
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default LocationPage;
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { requestJson, saveSession } from '../api';
+
+// Email/password sign-in shown until the user has a session token
+function LoginScreen({ onLogin }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [working, setWorking] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setWorking(true);
+      setError('');
+      const session = await requestJson('/auth/login', {
+        method: 'POST',
+        body: JSON.stringify({ email, password }),
+      });
+      saveSession(session);
+      onLogin(session);
+    } catch (err) {
+      console.error('Error signing in:', err);
+      setError(err.data && err.data.error ? err.data.error : err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50 flex items-center justify-center px-4">
+      <div className="w-full max-w-md bg-white/90 backdrop-blur-md rounded-3xl shadow-2xl border border-white/30 overflow-hidden">
+        <div className="bg-gradient-to-r from-indigo-600 via-purple-600 to-blue-600 px-8 py-6">
+          <h1 className="text-2xl font-bold text-white tracking-tight">Prompt Management</h1>
+          <p className="text-indigo-100 text-sm font-medium mt-1">Sign in to manage your prompts</p>
+        </div>
+        <form onSubmit={handleSubmit} className="px-8 py-8 space-y-5">
+          <div>
+            <label className="block text-sm font-bold text-gray-700 mb-2">Email</label>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              required
+              autoComplete="username"
+              className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-gray-50 hover:bg-white"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-bold text-gray-700 mb-2">Password</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              autoComplete="current-password"
+              className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-gray-50 hover:bg-white"
+            />
+          </div>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          <button
+            type="submit"
+            disabled={working}
+            className="w-full px-6 py-3 bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-semibold rounded-xl hover:from-indigo-700 hover:to-purple-700 disabled:opacity-60 transition-all shadow-lg"
+          >
+            {working ? 'Signing in...' : 'Sign in'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default LoginScreen;
@@ -0,0 +1,31 @@
+import React from 'react';
+
+// Previous/next pager with a "showing x-y of total" summary
+function Pager({ page, pages, pageSize, total, onChange, disabled = false, noun = 'prompts' }) {
+  if (!total) return null;
+  const first = (page - 1) * pageSize + 1;
+  const last = Math.min(page * pageSize, total);
+  const buttonClass = 'px-4 py-2 text-sm font-medium rounded-lg border border-gray-200 bg-white text-gray-700 hover:bg-indigo-50 hover:text-indigo-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="flex flex-col sm:flex-row items-center justify-between gap-3 pt-2">
+      <p className="text-sm text-gray-600">
+        Showing <span className="font-semibold">{first}</span>-<span className="font-semibold">{last}</span> of{' '}
+        <span className="font-semibold">{total}</span> {noun}
+      </p>
+      <div className="flex items-center space-x-2">
+        <button onClick={() => onChange(page - 1)} disabled={disabled || page <= 1} className={buttonClass}>
+          Previous
+        </button>
+        <span className="text-sm text-gray-600 px-2">
+          Page {page} of {pages}
+        </span>
+        <button onClick={() => onChange(page + 1)} disabled={disabled || page >= pages} className={buttonClass}>
+          Next
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default Pager;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { requestJson } from '../api';
+
+const STATUSES = {
+  draft: { label: 'Draft', style: 'bg-gray-100 text-gray-700' },
+  published: { label: 'Published', style: 'bg-green-100 text-green-700' },
+  changed: { label: 'Unpublished changes', style: 'bg-amber-100 text-amber-700' },
+  pending: { label: 'Awaiting approval', style: 'bg-sky-100 text-sky-700' },
+};
+
+// Where a prompt's draft stands relative to the copy bots read
+export function PublishStatusBadge({ prompt }) {
+  const status = STATUSES[prompt.publish_status];
+  if (!status) return null;
+  return (
+    <span
+      className={`px-2 py-0.5 rounded-full text-xs font-semibold ${status.style}`}
+      title={prompt.published_rev ? `Rev ${prompt.published_rev} published by ${prompt.published_by || 'unknown'}` : 'Never published'}
+    >
+      {status.label}
+    </span>
+  );
+}
+
+// Publish / approve / discard-draft buttons for the prompt details footer. `actor` is
+// the signed-in user as the API records them, so a requester cannot approve their own request.
+function PublishControls({ prompt, actor, onChange }) {
+  const [busy, setBusy] = useState(false);
+  const [notice, setNotice] = useState('');
+
+  const run = async (path, confirmMessage) => {
+    if (confirmMessage && !window.confirm(confirmMessage)) return;
+    try {
+      setBusy(true);
+      setNotice('');
+      const updated = await requestJson(`/prompts/${prompt.id}/${path}`, { method: 'POST', body: JSON.stringify({}) });
+      if (updated.publish_status === 'pending') setNotice('Publish requested. Another editor must approve it.');
+      onChange(updated);
+    } catch (err) {
+      console.error(`Error calling ${path}:`, err);
+      setNotice(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const status = prompt.publish_status;
+  const ownRequest = status === 'pending' && prompt.publish_requested_by === actor;
+  const buttonClass = 'px-6 py-3 rounded-xl transition-all duration-200 transform hover:scale-105 font-medium disabled:opacity-50 disabled:transform-none';
+
+  return (
+    <>
+      {notice && <span className="self-center text-xs text-gray-600 max-w-[12rem]">{notice}</span>}
+      {(status === 'changed' || (status === 'pending' && prompt.published_rev)) && (
+        <button
+          onClick={() => run('discard-draft', 'Discard the draft and go back to the published content? The draft stays in history.')}
+          disabled={busy}
+          className={`${buttonClass} bg-orange-50 text-orange-700 hover:bg-orange-100`}
+        >
+          Discard draft
+        </button>
+      )}
+      {status !== 'published' && (
+        <button
+          onClick={() => run('publish')}
+          disabled={busy || ownRequest}
+          title={ownRequest ? 'Waiting for another editor to approve' : undefined}
+          className={`${buttonClass} bg-teal-50 text-teal-700 hover:bg-teal-100`}
+        >
+          {ownRequest ? 'Awaiting approval' : status === 'pending' ? 'Approve & publish' : 'Publish'}
+        </button>
+      )}
+    </>
+  );
+}
+
+export default PublishControls;
@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from 'react';
+import { requestJson } from '../api';
+
+// Shows the prompt text with {{variables}} resolved by the server, and inputs for
+// any custom variables the template needs
+function RenderPreview({ promptId }) {
+  const [variables, setVariables] = useState({});
+  const [result, setResult] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [requestError, setRequestError] = useState('');
+  const [customNames, setCustomNames] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    // Debounce so typing a variable value does not fire a request per keystroke
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        setRequestError('');
+        const data = await requestJson(`/prompts/${promptId}/render`, {
+          method: 'POST',
+          body: JSON.stringify({ variables }),
+        });
+        if (cancelled) return;
+        setResult(data.text);
+        setErrors([]);
+      } catch (err) {
+        if (cancelled) return;
+        if (err.status === 422 && err.data) {
+          setResult(err.data.text);
+          setErrors(err.data.errors || []);
+          const undefinedNames = (err.data.errors || [])
+            .filter((e) => /is not defined/.test(e.message))
+            .map((e) => e.variable.split('.')[0]);
+          setCustomNames((prev) => [...new Set([...prev, ...undefinedNames])]);
+        } else {
+          console.error('Error rendering prompt:', err);
+          setRequestError(err.message);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [promptId, variables]);
+
+  return (
+    <div className="space-y-4">
+      {customNames.length > 0 && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {customNames.map((name) => (
+            <label key={name} className="block text-sm font-semibold text-gray-700">
+              {`{{${name}}}`}
+              <input
+                type="text"
+                value={variables[name] || ''}
+                onChange={(e) => setVariables((prev) => ({ ...prev, [name]: e.target.value }))}
+                className="mt-2 w-full px-3 py-2 border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                placeholder={`Value for ${name}...`}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      {requestError && (
+        <div className="bg-red-50 border border-red-200 rounded-xl p-4 text-sm text-red-700">{requestError}</div>
+      )}
+
+      {errors.length > 0 && (
+        <div className="bg-amber-50 border border-amber-200 rounded-xl p-4">
+          <p className="text-sm font-semibold text-amber-900 mb-2">Unresolved variables</p>
+          <ul className="text-sm text-amber-800 list-disc list-inside space-y-1">
+            {errors.map((e) => (
+              <li key={e.variable}>
+                <code className="font-mono">{`{{${e.variable}}}`}</code>: {e.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg p-6 border border-gray-200 shadow-sm">
+        {loading && result === null ? (
+          <div className="text-sm text-gray-500">Rendering...</div>
+        ) : (
+          <pre className="whitespace-pre-wrap text-sm text-gray-800 leading-relaxed font-mono">
+            {result}
+          </pre>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default RenderPreview;
@@ -0,0 +1,26 @@
+import React from 'react';
+import FieldError from './FieldError';
+import { channelLabel, purposeLabel, slotOptions } from '../utils/locations';
+
+const LABELS = { channel: channelLabel, purpose: purposeLabel };
+
+// Channel and purpose pickers of the add/edit forms; the modals pass their own styling
+function SlotFields({ formData, onChange, errors, schema, labelClassName, selectClassName }) {
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      {['channel', 'purpose'].map((field) => (
+        <div key={field}>
+          <label className={labelClassName}>{field === 'channel' ? 'Channel' : 'Purpose'}</label>
+          <select name={field} value={formData[field]} onChange={onChange} className={selectClassName}>
+            {slotOptions(schema, field).map((value) => (
+              <option key={value} value={value}>{LABELS[field](value)}</option>
+            ))}
+          </select>
+          <FieldError errors={errors} field={field} />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default SlotFields;
@@ -0,0 +1,122 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { streamJsonLines } from '../api';
+
+// Sends a customer message to the configured LLM with this prompt as the system
+// message and streams the reply in, with token counts and latency when it finishes
+function TestPanel({ promptId }) {
+  const [message, setMessage] = useState('');
+  const [variables, setVariables] = useState({});
+  const [customNames, setCustomNames] = useState([]);
+  const [reply, setReply] = useState('');
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState('');
+  const [running, setRunning] = useState(false);
+  const abortRef = useRef(null);
+
+  // Stop a reply still streaming when the panel closes
+  useEffect(() => () => abortRef.current && abortRef.current.abort(), []);
+
+  const runTest = async (e) => {
+    e.preventDefault();
+    if (!message.trim() || running) return;
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setRunning(true);
+    setReply('');
+    setStats(null);
+    setError('');
+    try {
+      await streamJsonLines(
+        `/prompts/${promptId}/test`,
+        { message, variables },
+        (line) => {
+          if (line.type === 'delta') setReply((prev) => prev + line.text);
+          if (line.type === 'done') setStats(line);
+          if (line.type === 'error') setError(line.error);
+        },
+        { signal: controller.signal }
+      );
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      if (err.status === 422 && err.data) {
+        const undefinedNames = (err.data.errors || [])
+          .filter((e) => /is not defined/.test(e.message))
+          .map((e) => e.variable.split('.')[0]);
+        setCustomNames((prev) => [...new Set([...prev, ...undefinedNames])]);
+        setError('Fill in the template variables below, then send again.');
+      } else {
+        console.error('Error testing prompt:', err);
+        setError(err.message);
+      }
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <form onSubmit={runTest} className="space-y-4">
+      {customNames.length > 0 && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {customNames.map((name) => (
+            <label key={name} className="block text-sm font-semibold text-gray-700">
+              {`{{${name}}}`}
+              <input
+                type="text"
+                value={variables[name] || ''}
+                onChange={(e) => setVariables((prev) => ({ ...prev, [name]: e.target.value }))}
+                className="mt-2 w-full px-3 py-2 border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-emerald-500"
+                placeholder={`Value for ${name}...`}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div className="flex flex-col md:flex-row gap-3">
+        <textarea
+          value={message}
+          onChange={(e) => setMessage(e.target.value)}
+          rows={2}
+          className="flex-1 px-4 py-3 border border-gray-200 rounded-xl bg-white focus:outline-none focus:ring-2 focus:ring-emerald-500 resize-none text-sm"
+          placeholder="Type a customer message..."
+        />
+        <button
+          type="submit"
+          disabled={running || !message.trim()}
+          className="px-6 py-3 bg-emerald-600 text-white rounded-xl hover:bg-emerald-700 transition-all font-semibold disabled:opacity-50 self-start md:self-stretch"
+        >
+          {running ? 'Running...' : 'Send'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-xl p-4 text-sm text-red-700">{error}</div>
+      )}
+
+      {(reply || running) && (
+        <div className="bg-white rounded-lg p-6 border border-gray-200 shadow-sm">
+          <pre className="whitespace-pre-wrap text-sm text-gray-800 leading-relaxed font-sans">
+            {reply || 'Waiting for the first tokens...'}
+          </pre>
+        </div>
+      )}
+
+      {stats && (
+        <div className="flex flex-wrap gap-2 text-xs">
+          <span className="px-2 py-1 rounded-full bg-gray-100 text-gray-700">{stats.provider} · {stats.model}</span>
+          <span className="px-2 py-1 rounded-full bg-emerald-50 text-emerald-700">
+            {stats.usage.prompt_tokens} prompt + {stats.usage.completion_tokens} completion = {stats.usage.total_tokens} tokens
+            {stats.usage.estimated ? ' (estimated)' : ''}
+          </span>
+          {stats.first_token_ms !== null && (
+            <span className="px-2 py-1 rounded-full bg-blue-50 text-blue-700">First token {stats.first_token_ms} ms</span>
+          )}
+          <span className="px-2 py-1 rounded-full bg-blue-50 text-blue-700">Total {stats.latency_ms} ms</span>
+        </div>
+      )}
+    </form>
+  );
+}
+
+export default TestPanel;
@@ -0,0 +1,312 @@
+import React, { useEffect, useState } from 'react';
+import { requestJson } from '../api';
+
+const emptyCase = { name: '', message: '', expected: '', patterns: '', forbidden: '' };
+const CHECK_LABELS = { expected: 'Missing', pattern: 'No match for', forbidden: 'Contains forbidden' };
+
+const toLines = (list) => (list || []).join('\n');
+const fromLines = (text) => text.split('\n').map((line) => line.trim()).filter(Boolean);
+
+// Latest status of a case across runs (newest first) and the revision where it
+// started failing: { status: 'pass' | 'fail' | null, since: rev, regressed }
+function caseHistory(runs, caseId) {
+  let status = null;
+  let since = null;
+  let regressed = false;
+  [...runs].reverse().forEach((run) => {
+    const result = run.results.find((r) => r.case_id === caseId);
+    if (!result) return;
+    if (!result.passed && status !== 'fail') {
+      regressed = status === 'pass';
+      since = run.rev;
+    }
+    status = result.passed ? 'pass' : 'fail';
+  });
+  return { status, since: status === 'fail' ? since : null, regressed };
+}
+
+function describeFailure(failure) {
+  return `${CHECK_LABELS[failure.check] || failure.check} "${failure.value}"`;
+}
+
+// Saved test cases for a prompt, a button to run them all against the current
+// revision, and the history of runs showing which revision broke which case
+function TestSuitePanel({ promptId, canEdit }) {
+  const [cases, setCases] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState(null);
+  const [formErrors, setFormErrors] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [openRunId, setOpenRunId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    Promise.all([
+      requestJson(`/prompts/${promptId}/test-cases`),
+      requestJson(`/prompts/${promptId}/test-suite/runs`),
+    ])
+      .then(([caseList, runPage]) => {
+        if (cancelled) return;
+        setCases(caseList);
+        setRuns(runPage.items);
+      })
+      .catch((err) => {
+        console.error('Error loading test suite:', err);
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [promptId]);
+
+  const saveCase = async (e) => {
+    e.preventDefault();
+    const body = {
+      name: form.name,
+      message: form.message,
+      expected: fromLines(form.expected),
+      patterns: fromLines(form.patterns),
+      forbidden: fromLines(form.forbidden),
+    };
+    try {
+      setFormErrors([]);
+      const saved = await requestJson(
+        form.id ? `/prompts/${promptId}/test-cases/${form.id}` : `/prompts/${promptId}/test-cases`,
+        { method: form.id ? 'PUT' : 'POST', body: JSON.stringify(body) }
+      );
+      setCases((prev) => (form.id ? prev.map((c) => (c.id === saved.id ? saved : c)) : [...prev, saved]));
+      setForm(null);
+    } catch (err) {
+      if (err.data && Array.isArray(err.data.errors)) {
+        setFormErrors(err.data.errors);
+      } else {
+        console.error('Error saving test case:', err);
+        setFormErrors([{ field: 'form', message: err.message }]);
+      }
+    }
+  };
+
+  const deleteCase = async (testCase) => {
+    if (!window.confirm(`Delete the test case "${testCase.name}"?`)) return;
+    try {
+      await requestJson(`/prompts/${promptId}/test-cases/${testCase.id}`, { method: 'DELETE' });
+      setCases((prev) => prev.filter((c) => c.id !== testCase.id));
+    } catch (err) {
+      console.error('Error deleting test case:', err);
+      setError(err.message);
+    }
+  };
+
+  const runSuite = async () => {
+    try {
+      setRunning(true);
+      setError('');
+      const run = await requestJson(`/prompts/${promptId}/test-suite/run`, { method: 'POST', body: JSON.stringify({}) });
+      setRuns((prev) => [run, ...prev]);
+      setOpenRunId(run.id);
+    } catch (err) {
+      console.error('Error running test suite:', err);
+      setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const inputClass = 'mt-1 w-full px-3 py-2 border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-emerald-500 text-sm font-normal';
+  const fieldError = (field) => formErrors
+    .filter((e) => e.field === field || e.field.startsWith(`${field}[`))
+    .map((e) => e.message)
+    .join(', ');
+
+  if (loading) return <div className="text-sm text-gray-500">Loading tests...</div>;
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-xl p-4 text-sm text-red-700">{error}</div>
+      )}
+
+      <div className="space-y-2">
+        {cases.length === 0 && <p className="text-sm text-gray-500">No test cases yet.</p>}
+        {cases.map((testCase) => {
+          const history = caseHistory(runs, testCase.id);
+          return (
+            <div key={testCase.id} className="flex items-start justify-between bg-white rounded-lg border border-gray-200 px-4 py-3">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="text-sm font-semibold text-gray-900">{testCase.name}</span>
+                  {history.status === 'pass' && (
+                    <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-green-100 text-green-700">Passing</span>
+                  )}
+                  {history.status === 'fail' && (
+                    <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-red-100 text-red-700">
+                      {history.regressed ? `Broke in rev ${history.since}` : `Failing since rev ${history.since}`}
+                    </span>
+                  )}
+                </div>
+                <div className="text-xs text-gray-500 mt-1 truncate">“{testCase.message}”</div>
+              </div>
+              {canEdit && (
+                <div className="flex space-x-2 flex-shrink-0 ml-4">
+                  <button
+                    onClick={() => {
+                      setFormErrors([]);
+                      setForm({
+                        id: testCase.id,
+                        name: testCase.name,
+                        message: testCase.message,
+                        expected: toLines(testCase.expected),
+                        patterns: toLines(testCase.patterns),
+                        forbidden: toLines(testCase.forbidden),
+                      });
+                    }}
+                    className="px-3 py-1.5 text-xs bg-blue-50 text-blue-700 rounded-lg hover:bg-blue-100 font-medium"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => deleteCase(testCase)}
+                    className="px-3 py-1.5 text-xs bg-red-50 text-red-700 rounded-lg hover:bg-red-100 font-medium"
+                  >
+                    Delete
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {form ? (
+        <form onSubmit={saveCase} className="bg-white rounded-lg border border-gray-200 p-4 space-y-3">
+          {fieldError('form') && <p className="text-sm text-red-600">{fieldError('form')}</p>}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <label className="block text-xs font-semibold text-gray-600 uppercase tracking-wider">
+              Name
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                className={inputClass}
+              />
+              {fieldError('name') && <span className="text-xs text-red-600 normal-case">{fieldError('name')}</span>}
+            </label>
+            <label className="block text-xs font-semibold text-gray-600 uppercase tracking-wider">
+              Customer message
+              <input
+                type="text"
+                value={form.message}
+                onChange={(e) => setForm({ ...form, message: e.target.value })}
+                className={inputClass}
+              />
+              {fieldError('message') && <span className="text-xs text-red-600 normal-case">{fieldError('message')}</span>}
+            </label>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            {[
+              { key: 'expected', label: 'Must contain', hint: 'One phrase per line' },
+              { key: 'patterns', label: 'Must match regex', hint: 'One pattern per line (case-insensitive)' },
+              { key: 'forbidden', label: 'Must not contain', hint: 'One phrase per line' },
+            ].map(({ key, label, hint }) => (
+              <label key={key} className="block text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                {label}
+                <textarea
+                  rows={3}
+                  value={form[key]}
+                  onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+                  className={`${inputClass} font-mono resize-none`}
+                  placeholder={hint}
+                />
+                {fieldError(key) && <span className="text-xs text-red-600 normal-case">{fieldError(key)}</span>}
+              </label>
+            ))}
+          </div>
+          <div className="flex justify-end space-x-2">
+            <button
+              type="button"
+              onClick={() => setForm(null)}
+              className="px-4 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 font-medium"
+            >
+              Cancel
+            </button>
+            <button type="submit" className="px-4 py-2 text-sm bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 font-semibold">
+              {form.id ? 'Save test case' : 'Add test case'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        canEdit && (
+          <div className="flex justify-end space-x-2">
+            <button
+              onClick={() => {
+                setFormErrors([]);
+                setForm(emptyCase);
+              }}
+              className="px-4 py-2 text-sm bg-white border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 font-medium"
+            >
+              New test case
+            </button>
+            <button
+              onClick={runSuite}
+              disabled={running || cases.length === 0}
+              className="px-4 py-2 text-sm bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 font-semibold disabled:opacity-50"
+            >
+              {running ? 'Running...' : 'Run all tests'}
+            </button>
+          </div>
+        )
+      )}
+
+      <div>
+        <h4 className="text-sm font-semibold text-gray-700 mb-2">Run history</h4>
+        {runs.length === 0 ? (
+          <p className="text-sm text-gray-500">The suite has not been run yet.</p>
+        ) : (
+          <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg bg-white">
+            {runs.map((run) => (
+              <div key={run.id} className="px-4 py-3">
+                <button
+                  onClick={() => setOpenRunId(openRunId === run.id ? null : run.id)}
+                  className="w-full flex items-center justify-between text-left text-sm"
+                >
+                  <span className="text-gray-700">
+                    {new Date(run.created_at).toLocaleString()} · rev {run.rev ?? '—'} · {run.actor || 'unknown'}
+                  </span>
+                  <span className={run.failed ? 'text-red-600 font-semibold' : 'text-green-600 font-semibold'}>
+                    {run.passed} passed, {run.failed} failed
+                  </span>
+                </button>
+                {openRunId === run.id && (
+                  <ul className="mt-3 space-y-2">
+                    {run.results.map((result) => (
+                      <li key={result.case_id} className="text-xs border-l-4 pl-3 py-1 border-gray-200">
+                        <div className={result.passed ? 'text-green-700 font-semibold' : 'text-red-700 font-semibold'}>
+                          {result.passed ? '✓' : '✗'} {result.name}
+                        </div>
+                        {result.error && <div className="text-red-600">{result.error}</div>}
+                        {result.failures.map((failure) => (
+                          <div key={`${failure.check}-${failure.value}`} className="text-red-600">{describeFailure(failure)}</div>
+                        ))}
+                        {result.reply && (
+                          <pre className="mt-1 whitespace-pre-wrap text-gray-600 font-sans max-h-32 overflow-y-auto">{result.reply}</pre>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TestSuitePanel;
@@ -0,0 +1,53 @@
+import React from 'react';
+
+const STYLES = {
+  ok: { bar: 'bg-green-500', text: 'text-green-700', badge: 'bg-green-100 text-green-700' },
+  warn: { bar: 'bg-amber-500', text: 'text-amber-700', badge: 'bg-amber-100 text-amber-700' },
+  over: { bar: 'bg-red-500', text: 'text-red-700', badge: 'bg-red-100 text-red-700' },
+};
+
+const format = (n) => n.toLocaleString();
+
+// Approximate token usage of a prompt against the deployment's budget. `compact`
+// renders a single badge for table rows; the full meter shows a bar and per-field counts.
+function TokenMeter({ tokens, budget, compact = false }) {
+  if (!tokens) return null;
+  const style = STYLES[tokens.status] || STYLES.ok;
+
+  if (compact) {
+    return (
+      <span
+        className={`px-2 py-0.5 rounded-full text-xs font-semibold ${style.badge}`}
+        title={`Prompt ${format(tokens.prompt)} · Knowledgebase ${format(tokens.knowledgebase)} · Inventory ${format(tokens.inventory)}`}
+      >
+        {format(tokens.total)}
+      </span>
+    );
+  }
+
+  const percent = budget ? Math.min(100, (tokens.total / budget.limit) * 100) : 0;
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center justify-between text-xs">
+        <span className={`font-semibold ${style.text}`}>
+          ~{format(tokens.total)}{budget ? ` / ${format(budget.limit)}` : ''} tokens
+        </span>
+        <span className="text-gray-500">
+          Prompt {format(tokens.prompt)} · Knowledgebase {format(tokens.knowledgebase)} · Inventory {format(tokens.inventory)}
+        </span>
+      </div>
+      {budget && (
+        <div className="h-2 w-full bg-gray-200 rounded-full overflow-hidden">
+          <div className={`h-full ${style.bar} transition-all`} style={{ width: `${percent}%` }} />
+        </div>
+      )}
+      {tokens.status === 'over' && (
+        <p className="text-xs text-red-600">
+          Over the {format(budget.limit)} token limit. Shorten the prompt, knowledgebase or inventory to save.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default TokenMeter;
@@ -0,0 +1,147 @@
+import React, { useEffect, useState } from 'react';
+import { requestJson } from '../api';
+import { canEdit, hasRole, hasRoleAnywhere } from '../utils/permissions';
+
+function formatDeleted(prompt) {
+  const when = new Date(prompt.deleted_at).toLocaleString();
+  return prompt.deleted_by ? `${when} by ${prompt.deleted_by}` : when;
+}
+
+// Deleted prompts: editors can restore them, admins can remove them for good
+function TrashModal({ roles, onClose, onRestored }) {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [workingId, setWorkingId] = useState(null);
+
+  useEffect(() => {
+    requestJson('/prompts/trash')
+      .then(setItems)
+      .catch((err) => {
+        console.error('Error loading trash:', err);
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleRestore = async (prompt) => {
+    try {
+      setWorkingId(prompt.id);
+      setError('');
+      const restored = await requestJson(`/prompts/${prompt.id}/restore`, { method: 'POST' });
+      setItems((prev) => prev.filter((item) => item.id !== prompt.id));
+      if (onRestored) onRestored(restored);
+    } catch (err) {
+      console.error('Error restoring prompt:', err);
+      setError(err.message);
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  const purge = async (body, confirmMessage) => {
+    if (!window.confirm(confirmMessage)) return;
+    try {
+      setWorkingId(body.ids ? body.ids[0] : 'all');
+      setError('');
+      const { purged } = await requestJson('/prompts/trash/purge', { method: 'POST', body: JSON.stringify(body) });
+      setItems((prev) => prev.filter((item) => !purged.includes(item.id)));
+    } catch (err) {
+      console.error('Error purging trash:', err);
+      setError(err.message);
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 animate-fadeIn"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-2xl shadow-2xl max-w-4xl w-full mx-4 max-h-[90vh] overflow-hidden animate-slideUp"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="bg-gradient-to-r from-gray-700 to-gray-900 px-8 py-6 text-white">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-2xl font-bold">Trash</h2>
+              <p className="text-gray-300 mt-1">Deleted prompts can be restored until they are purged</p>
+            </div>
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-white/20 rounded-xl transition-all duration-200"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-8 overflow-y-auto max-h-[calc(90vh-120px)] space-y-4">
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-xl p-4 text-sm text-red-700">{error}</div>
+          )}
+
+          {loading ? (
+            <div className="text-sm text-gray-500">Loading trash...</div>
+          ) : items.length === 0 ? (
+            <p className="text-center text-gray-500 py-12">The trash is empty.</p>
+          ) : (
+            <>
+              <div className="divide-y divide-gray-100 border border-gray-200 rounded-xl">
+                {items.map((prompt) => (
+                  <div key={prompt.id} className="flex items-center justify-between px-4 py-3">
+                    <div className="min-w-0">
+                      <div className="text-sm font-semibold text-gray-900 truncate">{prompt.name}</div>
+                      <div className="text-xs text-gray-500 mt-0.5">
+                        {[prompt.business_name, prompt.location_id].filter(Boolean).join(' · ')}
+                      </div>
+                      <div className="text-xs text-gray-400 mt-0.5">Deleted {formatDeleted(prompt)}</div>
+                    </div>
+                    <div className="flex items-center space-x-2 flex-shrink-0 ml-4">
+                      {canEdit(roles, prompt) && (
+                        <button
+                          onClick={() => handleRestore(prompt)}
+                          disabled={workingId !== null}
+                          className="px-4 py-2 text-sm bg-green-50 text-green-700 rounded-lg hover:bg-green-100 transition-all font-medium disabled:opacity-50"
+                        >
+                          {workingId === prompt.id ? 'Working...' : 'Restore'}
+                        </button>
+                      )}
+                      {hasRole(roles, prompt, 'admin') && (
+                        <button
+                          onClick={() => purge({ ids: [prompt.id] }, `Permanently delete "${prompt.name}"? This cannot be undone.`)}
+                          disabled={workingId !== null}
+                          className="px-4 py-2 text-sm bg-red-50 text-red-700 rounded-lg hover:bg-red-100 transition-all font-medium disabled:opacity-50"
+                        >
+                          Delete forever
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {hasRoleAnywhere(roles, 'admin') && (
+                <div className="flex justify-end">
+                  <button
+                    onClick={() => purge({}, 'Permanently delete every prompt in the trash? This cannot be undone.')}
+                    disabled={workingId !== null}
+                    className="px-6 py-3 bg-red-600 text-white rounded-xl hover:bg-red-700 transition-all font-semibold disabled:opacity-50"
+                  >
+                    {workingId === 'all' ? 'Emptying...' : 'Empty trash'}
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TrashModal;
@@ -0,0 +1,383 @@
+import React, { useEffect, useState } from 'react';
+import { requestJson } from '../api';
+import Pager from './Pager';
+
+const EVENTS = ['prompt.created', 'prompt.updated', 'prompt.deleted', 'prompt.published'];
+const STATUS_STYLES = {
+  succeeded: 'bg-green-100 text-green-700',
+  pending: 'bg-amber-100 text-amber-700',
+  failed: 'bg-red-100 text-red-700',
+};
+const PAGE_SIZE = 20;
+const emptyForm = { url: '', events: ['prompt.updated', 'prompt.published'], secret: '', business_name: '', location_id: '' };
+
+// Settings a webhook is saved with (PUT replaces them all)
+const webhookBody = (hook) => ({
+  url: hook.url,
+  events: hook.events,
+  business_name: hook.business_name || null,
+  location_id: hook.location_id || null,
+  active: hook.active,
+});
+
+// Delivery log of one webhook, newest first, with a button to send any delivery again
+function DeliveryLog({ webhookId }) {
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+  const [redelivering, setRedelivering] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    requestJson(`/webhooks/${webhookId}/deliveries?${new URLSearchParams({ page: String(page), page_size: String(PAGE_SIZE) })}`)
+      .then((result) => {
+        if (!cancelled) setData(result);
+      })
+      .catch((err) => {
+        console.error('Error loading webhook deliveries:', err);
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [webhookId, page, reloadKey]);
+
+  const redeliver = async (delivery) => {
+    try {
+      setRedelivering(delivery.id);
+      setError('');
+      await requestJson(`/webhooks/${webhookId}/deliveries/${delivery.id}/redeliver`, { method: 'POST', body: JSON.stringify({}) });
+      setPage(1);
+      setReloadKey((key) => key + 1);
+    } catch (err) {
+      console.error('Error redelivering webhook:', err);
+      setError(err.message);
+    } finally {
+      setRedelivering(null);
+    }
+  };
+
+  if (!data) return <div className="text-xs text-gray-500 py-2">{error || 'Loading deliveries...'}</div>;
+
+  return (
+    <div className="mt-3 space-y-2">
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      <div className="flex justify-end">
+        <button onClick={() => setReloadKey((key) => key + 1)} className="text-xs text-indigo-600 hover:underline">
+          Refresh
+        </button>
+      </div>
+      {data.items.length === 0 ? (
+        <p className="text-xs text-gray-500">No deliveries yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg bg-white">
+          {data.items.map((delivery) => (
+            <li key={delivery.id} className="flex items-center justify-between px-3 py-2 text-xs">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className={`px-2 py-0.5 rounded-full font-semibold ${STATUS_STYLES[delivery.status] || 'bg-gray-100 text-gray-600'}`}>
+                    {delivery.status}
+                  </span>
+                  <span className="font-medium text-gray-800">{delivery.event}</span>
+                  <span className="text-gray-500">{delivery.payload && delivery.payload.data ? delivery.payload.data.name : ''}</span>
+                </div>
+                <div className="text-gray-500 mt-0.5">
+                  {new Date(delivery.created_at).toLocaleString()} · {delivery.attempts} attempt{delivery.attempts === 1 ? '' : 's'}
+                  {delivery.response_status ? ` · HTTP ${delivery.response_status}` : ''}
+                  {delivery.error ? ` · ${delivery.error}` : ''}
+                  {delivery.status === 'pending' && delivery.next_attempt_at ? ` · next try ${new Date(delivery.next_attempt_at).toLocaleTimeString()}` : ''}
+                </div>
+              </div>
+              <button
+                onClick={() => redeliver(delivery)}
+                disabled={redelivering !== null}
+                className="ml-3 px-3 py-1.5 bg-indigo-50 text-indigo-700 rounded-lg hover:bg-indigo-100 font-medium disabled:opacity-50 flex-shrink-0"
+              >
+                {redelivering === delivery.id ? 'Sending...' : 'Redeliver'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <Pager page={data.page} pages={data.pages} pageSize={data.page_size} total={data.total} onChange={setPage} noun="deliveries" />
+    </div>
+  );
+}
+
+// Outgoing webhooks: admins register receiver URLs for prompt events and inspect deliveries
+function WebhooksModal({ onClose }) {
+  const [hooks, setHooks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [form, setForm] = useState(null);
+  const [formErrors, setFormErrors] = useState([]);
+  const [openId, setOpenId] = useState(null);
+  const [revealed, setRevealed] = useState(null);
+
+  useEffect(() => {
+    requestJson('/webhooks')
+      .then(setHooks)
+      .catch((err) => {
+        console.error('Error loading webhooks:', err);
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const toggleEvent = (event) => {
+    setForm((prev) => ({
+      ...prev,
+      events: prev.events.includes(event) ? prev.events.filter((e) => e !== event) : [...prev.events, event],
+    }));
+  };
+
+  const createHook = async (e) => {
+    e.preventDefault();
+    try {
+      setFormErrors([]);
+      const { secret, ...created } = await requestJson('/webhooks', {
+        method: 'POST',
+        body: JSON.stringify({
+          url: form.url.trim(),
+          events: form.events,
+          ...(form.secret ? { secret: form.secret } : {}),
+          business_name: form.business_name.trim() || null,
+          location_id: form.location_id.trim() || null,
+        }),
+      });
+      setHooks((prev) => [...prev, created]);
+      if (!form.secret) setRevealed({ url: created.url, secret });
+      setForm(null);
+    } catch (err) {
+      if (err.data && Array.isArray(err.data.errors)) {
+        setFormErrors(err.data.errors);
+      } else {
+        console.error('Error creating webhook:', err);
+        setFormErrors([{ field: 'form', message: err.message }]);
+      }
+    }
+  };
+
+  const toggleActive = async (hook) => {
+    try {
+      setError('');
+      const updated = await requestJson(`/webhooks/${hook.id}`, {
+        method: 'PUT',
+        body: JSON.stringify({ ...webhookBody(hook), active: !hook.active }),
+      });
+      setHooks((prev) => prev.map((h) => (h.id === updated.id ? updated : h)));
+    } catch (err) {
+      console.error('Error updating webhook:', err);
+      setError(err.message);
+    }
+  };
+
+  const deleteHook = async (hook) => {
+    if (!window.confirm(`Delete the webhook to ${hook.url}? Its delivery log is deleted too.`)) return;
+    try {
+      setError('');
+      await requestJson(`/webhooks/${hook.id}`, { method: 'DELETE' });
+      setHooks((prev) => prev.filter((h) => h.id !== hook.id));
+    } catch (err) {
+      console.error('Error deleting webhook:', err);
+      setError(err.message);
+    }
+  };
+
+  const inputClass = 'mt-1 w-full px-3 py-2 border border-gray-200 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500 text-sm font-normal';
+  const fieldError = (field) => formErrors
+    .filter((e) => e.field === field || e.field.startsWith(`${field}[`))
+    .map((e) => e.message)
+    .join(', ');
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 animate-fadeIn"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-2xl shadow-2xl max-w-4xl w-full mx-4 max-h-[90vh] overflow-hidden animate-slideUp"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="bg-gradient-to-r from-indigo-700 to-fuchsia-700 px-8 py-6 text-white">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-2xl font-bold">Webhooks</h2>
+              <p className="text-indigo-100 mt-1">Notify bots and services when prompts change</p>
+            </div>
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-white/20 rounded-xl transition-all duration-200"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="p-8 overflow-y-auto max-h-[calc(90vh-120px)] space-y-4">
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-xl p-4 text-sm text-red-700">{error}</div>
+          )}
+
+          {revealed && (
+            <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 space-y-2">
+              <p className="text-sm text-amber-800">
+                Signing secret for <span className="font-semibold">{revealed.url}</span>. Copy it now; it will not be shown again.
+              </p>
+              <div className="flex items-center space-x-2">
+                <code className="flex-1 bg-white border border-amber-200 rounded-lg px-3 py-2 text-xs break-all">{revealed.secret}</code>
+                <button
+                  onClick={() => setRevealed(null)}
+                  className="px-3 py-2 text-xs bg-white border border-amber-200 text-amber-800 rounded-lg hover:bg-amber-100 font-medium"
+                >
+                  Done
+                </button>
+              </div>
+            </div>
+          )}
+
+          {loading ? (
+            <div className="text-sm text-gray-500">Loading webhooks...</div>
+          ) : hooks.length === 0 ? (
+            <p className="text-center text-gray-500 py-8">No webhooks yet.</p>
+          ) : (
+            <div className="divide-y divide-gray-100 border border-gray-200 rounded-xl">
+              {hooks.map((hook) => (
+                <div key={hook.id} className="px-4 py-3">
+                  <div className="flex items-center justify-between">
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2">
+                        <span className="text-sm font-semibold text-gray-900 truncate">{hook.url}</span>
+                        {!hook.active && (
+                          <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-gray-100 text-gray-600">Paused</span>
+                        )}
+                      </div>
+                      <div className="flex flex-wrap gap-1 mt-1">
+                        {hook.events.map((event) => (
+                          <span key={event} className="px-2 py-0.5 rounded-full text-xs bg-indigo-50 text-indigo-700">{event}</span>
+                        ))}
+                        <span className="text-xs text-gray-500 ml-1">
+                          {[hook.business_name, hook.location_id].filter(Boolean).join(' · ') || 'All prompts'}
+                        </span>
+                      </div>
+                    </div>
+                    <div className="flex items-center space-x-2 flex-shrink-0 ml-4">
+                      <button
+                        onClick={() => setOpenId(openId === hook.id ? null : hook.id)}
+                        className="px-4 py-2 text-sm bg-indigo-50 text-indigo-700 rounded-lg hover:bg-indigo-100 transition-all font-medium"
+                      >
+                        {openId === hook.id ? 'Hide deliveries' : 'Deliveries'}
+                      </button>
+                      <button
+                        onClick={() => toggleActive(hook)}
+                        className="px-4 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-all font-medium"
+                      >
+                        {hook.active ? 'Pause' : 'Resume'}
+                      </button>
+                      <button
+                        onClick={() => deleteHook(hook)}
+                        className="px-4 py-2 text-sm bg-red-50 text-red-700 rounded-lg hover:bg-red-100 transition-all font-medium"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                  {openId === hook.id && <DeliveryLog webhookId={hook.id} />}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {form ? (
+            <form onSubmit={createHook} className="bg-gray-50 rounded-xl border border-gray-200 p-4 space-y-3">
+              {fieldError('form') && <p className="text-sm text-red-600">{fieldError('form')}</p>}
+              <label className="block text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                Receiver URL
+                <input
+                  type="url"
+                  value={form.url}
+                  onChange={(e) => setForm({ ...form, url: e.target.value })}
+                  className={inputClass}
+                  placeholder="https://bots.example.com/hooks/prompts"
+                />
+                {fieldError('url') && <span className="text-xs text-red-600 normal-case">{fieldError('url')}</span>}
+              </label>
+              <div>
+                <span className="block text-xs font-semibold text-gray-600 uppercase tracking-wider">Events</span>
+                <div className="mt-1 flex flex-wrap gap-3">
+                  {EVENTS.map((event) => (
+                    <label key={event} className="flex items-center space-x-2 text-sm text-gray-700">
+                      <input type="checkbox" checked={form.events.includes(event)} onChange={() => toggleEvent(event)} />
+                      <span>{event}</span>
+                    </label>
+                  ))}
+                </div>
+                {fieldError('events') && <span className="text-xs text-red-600">{fieldError('events')}</span>}
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <label className="block text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                  Secret (optional)
+                  <input
+                    type="text"
+                    value={form.secret}
+                    onChange={(e) => setForm({ ...form, secret: e.target.value })}
+                    className={inputClass}
+                    placeholder="Generated if empty"
+                  />
+                  {fieldError('secret') && <span className="text-xs text-red-600 normal-case">{fieldError('secret')}</span>}
+                </label>
+                <label className="block text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                  Business (optional)
+                  <input
+                    type="text"
+                    value={form.business_name}
+                    onChange={(e) => setForm({ ...form, business_name: e.target.value })}
+                    className={inputClass}
+                  />
+                </label>
+                <label className="block text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                  Location ID (optional)
+                  <input
+                    type="text"
+                    value={form.location_id}
+                    onChange={(e) => setForm({ ...form, location_id: e.target.value })}
+                    className={inputClass}
+                  />
+                </label>
+              </div>
+              <div className="flex justify-end space-x-2">
+                <button
+                  type="button"
+                  onClick={() => setForm(null)}
+                  className="px-4 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 font-medium"
+                >
+                  Cancel
+                </button>
+                <button type="submit" className="px-4 py-2 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 font-semibold">
+                  Add webhook
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className="flex justify-end">
+              <button
+                onClick={() => {
+                  setFormErrors([]);
+                  setForm(emptyForm);
+                }}
+                className="px-6 py-3 bg-indigo-600 text-white rounded-xl hover:bg-indigo-700 transition-all font-semibold"
+              >
+                New webhook
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default WebhooksModal;
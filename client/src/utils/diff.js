@@ -0,0 +1,80 @@
+// Above this many line pairs the LCS table gets too large for the browser;
+// fall back to a positional comparison instead
+const MAX_LCS_CELLS = 4000000;
+
+// Convert a prompt field to comparable text (inventory may be stored as JSON)
+export function fieldToText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string') return value;
+  return JSON.stringify(value, null, 2);
+}
+
+function lcsOps(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'same', left: a[i++], right: b[j++] });
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      ops.push({ type: 'removed', left: a[i++] });
+    } else {
+      ops.push({ type: 'added', right: b[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: 'removed', left: a[i++] });
+  while (j < m) ops.push({ type: 'added', right: b[j++] });
+  return ops;
+}
+
+function positionalOps(a, b) {
+  const ops = [];
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === b[i]) ops.push({ type: 'same', left: a[i], right: b[i] });
+    else {
+      if (i < a.length) ops.push({ type: 'removed', left: a[i] });
+      if (i < b.length) ops.push({ type: 'added', right: b[i] });
+    }
+  }
+  return ops;
+}
+
+// Line-based side-by-side diff. Returns rows of { type, left, right } where type is
+// 'same', 'changed', 'removed' or 'added' and a missing side is null.
+export function diffLines(before, after) {
+  const a = fieldToText(before).split('\n');
+  const b = fieldToText(after).split('\n');
+  const ops = a.length * b.length > MAX_LCS_CELLS ? positionalOps(a, b) : lcsOps(a, b);
+
+  // Pair each run of removals with the additions that follow it so edited
+  // lines sit next to each other
+  const rows = [];
+  let k = 0;
+  while (k < ops.length) {
+    if (ops[k].type === 'same') {
+      rows.push({ type: 'same', left: ops[k].left, right: ops[k].right });
+      k++;
+      continue;
+    }
+    const removed = [];
+    const added = [];
+    while (k < ops.length && ops[k].type === 'removed') removed.push(ops[k++].left);
+    while (k < ops.length && ops[k].type === 'added') added.push(ops[k++].right);
+    for (let r = 0; r < Math.max(removed.length, added.length); r++) {
+      const left = r < removed.length ? removed[r] : null;
+      const right = r < added.length ? added[r] : null;
+      const type = left !== null && right !== null ? 'changed' : left !== null ? 'removed' : 'added';
+      rows.push({ type, left, right });
+    }
+  }
+  return rows;
+}
@@ -0,0 +1,46 @@
+// Availability values accepted by the server schema (server/inventory.js)
+export const AVAILABILITY_OPTIONS = [
+  { value: 'in_stock', label: 'In stock' },
+  { value: 'low_stock', label: 'Low stock' },
+  { value: 'out_of_stock', label: 'Out of stock' },
+  { value: 'preorder', label: 'Preorder' },
+  { value: 'discontinued', label: 'Discontinued' },
+];
+
+export const emptyItem = () => ({ sku: '', name: '', price: 0, quantity: 0, availability: 'in_stock' });
+
+// Inventory arrives as { items } from the API, but older rows (and the raw JSON
+// editor) hold strings. Returns { items, error } where items is null when unparseable.
+export function parseInventory(value) {
+  if (value === null || value === undefined || value === '') return { items: [], error: null };
+  let doc = value;
+  if (typeof value === 'string') {
+    try {
+      doc = JSON.parse(value);
+    } catch (e) {
+      return { items: null, error: 'Inventory is not valid JSON' };
+    }
+  }
+  if (Array.isArray(doc)) return { items: doc, error: null };
+  if (doc && typeof doc === 'object' && Array.isArray(doc.items)) return { items: doc.items, error: null };
+  return { items: null, error: 'Inventory must be an object with an "items" array' };
+}
+
+export function inventoryToJson(value) {
+  const { items } = parseInventory(value);
+  if (!items) return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  return JSON.stringify({ items }, null, 2);
+}
+
+export function inventorySummary(value) {
+  const { items } = parseInventory(value);
+  if (!items) return String(value);
+  if (!items.length) return 'No items';
+  const inStock = items.filter((item) => item.availability === 'in_stock' || item.availability === 'low_stock').length;
+  return `${items.length} item${items.length === 1 ? '' : 's'} · ${inStock} available`;
+}
+
+export function availabilityLabel(value) {
+  const option = AVAILABILITY_OPTIONS.find((o) => o.value === value);
+  return option ? option.label : value;
+}
@@ -0,0 +1,18 @@
+// Mirrors server/knowledgebase.js: a prompt's knowledgebase is the library documents it
+// lists (knowledgebase_ids, in order) followed by its own location-specific block, so
+// the token meter counts the same text the API does
+export const OVERRIDE_HEADING = 'This location (takes precedence over the documents above)';
+
+export function assembleKnowledgebase(fields, library) {
+  const documents = (fields.knowledgebase_ids || [])
+    .map((id) => library.find((document) => document.id === id))
+    .filter(Boolean);
+  if (!documents.length) return fields.knowledgebase;
+  const sections = documents.map((document) => `### ${document.name}\n${document.content}`);
+  if (fields.knowledgebase) sections.push(`### ${OVERRIDE_HEADING}\n${fields.knowledgebase}`);
+  return sections.join('\n\n');
+}
+
+export const withKnowledgebase = (fields, library) => ({ ...fields, knowledgebase: assembleKnowledgebase(fields, library) });
+
+export const usedByLabel = (count) => `Used by ${count} prompt${count === 1 ? '' : 's'}`;
@@ -0,0 +1,29 @@
+// Display names for the slots a prompt can fill at its location (server/locations.js
+// has the values; the prompt schema lists them as the channel and purpose enums)
+export const CHANNEL_LABELS = {
+  all: 'All channels',
+  sms: 'SMS',
+  web_chat: 'Web chat',
+  voice: 'Voice',
+  email: 'Email',
+};
+
+export const PURPOSE_LABELS = {
+  general: 'General',
+  greeting: 'Greeting',
+  support: 'Support',
+  reminder: 'Reminder',
+  follow_up: 'Follow-up',
+  escalation: 'Escalation',
+  pending: 'Pending',
+};
+
+export const channelLabel = (channel) => CHANNEL_LABELS[channel || 'all'] || channel;
+export const purposeLabel = (purpose) => PURPOSE_LABELS[purpose || 'general'] || purpose;
+
+// Choices for a slot field: the schema's enum when it has loaded, else the known values
+export function slotOptions(schema, field) {
+  const property = schema && schema.properties && schema.properties[field];
+  if (property && Array.isArray(property.enum)) return property.enum;
+  return Object.keys(field === 'channel' ? CHANNEL_LABELS : PURPOSE_LABELS);
+}
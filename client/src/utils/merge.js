@@ -0,0 +1,44 @@
+import { inventoryToJson } from './inventory';
+
+// Fields the conflict dialog compares and merges, one choice each. A choice can carry
+// several keys that only change together (the business picker sets both of these).
+export const MERGE_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'location_id', label: 'Location ID' },
+  { key: 'business_name', label: 'Business Name', keys: ['business_id', 'business_name'] },
+  { key: 'channel', label: 'Channel' },
+  { key: 'purpose', label: 'Purpose' },
+  { key: 'prompt', label: 'Prompt' },
+  { key: 'knowledgebase_ids', label: 'Knowledgebase Documents' },
+  { key: 'knowledgebase', label: 'Knowledgebase' },
+  { key: 'inventory', label: 'Inventory' },
+];
+
+// Text a field is compared as (inventory may be an object or raw JSON, and a prompt
+// listing no documents may have null or an empty list)
+export function comparable(key, value) {
+  if (key === 'inventory') return inventoryToJson(value);
+  if (key === 'knowledgebase_ids') return (value || []).join(',');
+  return String(value ?? '');
+}
+
+// The fields where my unsaved form and their saved copy differ
+export const conflictingFields = (mine, theirs) =>
+  MERGE_FIELDS.filter(({ key }) => comparable(key, mine[key]) !== comparable(key, theirs[key]));
+
+// Keep their version of fields I did not touch; anything I edited defaults to mine
+export function defaultChoice(key, base, mine) {
+  return comparable(key, mine[key]) === comparable(key, base[key]) ? 'theirs' : 'mine';
+}
+
+// The body to save: each field (with the keys it carries) from the side pick(key) names
+export function mergeFields(mine, theirs, pick) {
+  const merged = {};
+  MERGE_FIELDS.forEach(({ key, keys = [key] }) => {
+    const side = pick(key) === 'theirs' ? theirs : mine;
+    keys.forEach((carried) => {
+      merged[carried] = side[carried];
+    });
+  });
+  return merged;
+}
@@ -0,0 +1,44 @@
+import { MERGE_FIELDS, conflictingFields, defaultChoice, mergeFields } from './merge';
+
+const base = {
+  name: 'Response',
+  prompt: 'Hello',
+  location_id: 'dallas-01',
+  business_id: 'business-acme',
+  business_name: 'Acme Dental',
+  knowledgebase: 'Open 9-5',
+  knowledgebase_ids: ['doc-hours'],
+  inventory: null,
+  channel: 'all',
+  purpose: 'general',
+};
+
+describe('conflict merging', () => {
+  it('merges a conflicting knowledgebase_ids with the other fields', () => {
+    const mine = { ...base, knowledgebase_ids: ['doc-hours', 'doc-policies'], channel: 'sms' };
+    const theirs = { ...base, knowledgebase_ids: [], name: 'Renamed', updated_at: '2026-01-01T00:00:00.000Z' };
+
+    expect(conflictingFields(mine, theirs).map(({ key }) => key)).toEqual(['name', 'channel', 'knowledgebase_ids']);
+    const choices = Object.fromEntries(
+      conflictingFields(mine, theirs).map(({ key }) => [key, defaultChoice(key, base, mine)])
+    );
+    expect(choices).toEqual({ name: 'theirs', channel: 'mine', knowledgebase_ids: 'mine' });
+
+    const merged = mergeFields(mine, theirs, (key) => choices[key] || 'mine');
+    expect(merged).toEqual({ ...base, name: 'Renamed', channel: 'sms', knowledgebase_ids: ['doc-hours', 'doc-policies'] });
+    expect(mergeFields(mine, theirs, () => 'theirs').knowledgebase_ids).toEqual([]);
+  });
+
+  it('carries every field of the edit form, the business id with its name', () => {
+    const keys = MERGE_FIELDS.flatMap(({ key, keys: carried = [key] }) => carried);
+    expect([...keys].sort()).toEqual(Object.keys(base).sort());
+
+    const theirs = { ...base, business_id: 'business-bright', business_name: 'Bright Smiles' };
+    expect(conflictingFields(base, theirs).map(({ key }) => key)).toEqual(['business_name']);
+    expect(mergeFields(base, theirs, () => 'theirs')).toMatchObject({ business_id: 'business-bright', business_name: 'Bright Smiles' });
+  });
+
+  it('does not count an empty document list against none', () => {
+    expect(conflictingFields({ ...base, knowledgebase_ids: [] }, { ...base, knowledgebase_ids: null })).toEqual([]);
+  });
+});
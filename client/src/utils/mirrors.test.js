@@ -0,0 +1,87 @@
+// schema.js, tokens.js, permissions.js and locations.js mirror server modules so forms
+// check what the API will. These run both copies on the same inputs and fail when
+// one side changes without the other.
+import * as serverSchema from '../../../server/schema';
+import * as serverPromptSchema from '../../../server/promptSchema';
+import * as serverInventory from '../../../server/inventory';
+import * as serverTokens from '../../../server/tokens';
+import * as serverPermissions from '../../../server/permissions';
+import * as serverLocations from '../../../server/locations';
+import { validateSchema } from './schema';
+import { countTokens, promptTokens } from './tokens';
+import { roleFor } from './permissions';
+import { CHANNEL_LABELS, PURPOSE_LABELS } from './locations';
+
+const { PROMPT_SCHEMA } = serverPromptSchema;
+const { INVENTORY_SCHEMA } = serverInventory;
+
+const ITEM = { sku: 'CLN-1', name: 'Cleaning', price: 89, quantity: 10, availability: 'in_stock' };
+
+describe('client mirrors of server modules', () => {
+  it('validates bodies against the prompt and inventory schemas like the server', () => {
+    const prompts = [
+      { name: 'Response', prompt: 'Hello' },
+      { name: ' ', prompt: '', extra: true },
+      { name: 42, prompt: 'Hi', location_id: 'has space', channel: 'fax', purpose: 'general' },
+      { name: 'x'.repeat(201), prompt: 'Hi', knowledgebase_ids: ['doc', '', 7], business_name: null },
+      { prompt: null, inventory: 12 },
+      [],
+      null,
+    ];
+    prompts.forEach((body) => {
+      expect(validateSchema(PROMPT_SCHEMA, body)).toEqual(serverSchema.validateSchema(PROMPT_SCHEMA, body));
+    });
+
+    const inventories = [
+      { items: [ITEM] },
+      { items: [{ ...ITEM, price: -1, quantity: 1.5, availability: 'soon' }, { sku: 'X' }] },
+      { items: 'none' },
+      {},
+    ];
+    inventories.forEach((body) => {
+      expect(validateSchema(INVENTORY_SCHEMA, body)).toEqual(serverSchema.validateSchema(INVENTORY_SCHEMA, body));
+    });
+  });
+
+  it('counts tokens like the server', () => {
+    const texts = ['', 'Hello {{customer_name}}, welcome to 12345 Main St.', 'Café  crème!!! ...\n\n- item', '日本語 text'];
+    texts.forEach((text) => {
+      expect(countTokens(text)).toBe(serverTokens.countTokens(text));
+    });
+
+    const budget = { warn: 20, limit: 30 };
+    const rows = [
+      { prompt: 'Hi', knowledgebase: null, inventory: null },
+      { prompt: texts[1], knowledgebase: texts[2], inventory: { items: [ITEM] } },
+      { prompt: texts[1].repeat(3), knowledgebase: '', inventory: { items: [] } },
+    ];
+    rows.forEach((row) => {
+      expect(promptTokens(row, budget)).toEqual(serverTokens.promptTokens(row, budget));
+    });
+  });
+
+  it('resolves roles from grants like the server', () => {
+    const grants = [
+      { role: 'viewer', business_name: null, location_id: null },
+      { role: 'editor', business_name: 'Acme Dental', location_id: null },
+      { role: 'admin', business_name: 'Acme Dental', location_id: 'dallas-01' },
+      { role: 'editor', business_name: null, location_id: 7 },
+    ];
+    const prompts = [
+      { business_name: 'Acme Dental', location_id: 'dallas-01' },
+      { business_name: 'Acme Dental', location_id: 'dallas-02' },
+      { business_name: 'Bright Smiles', location_id: '7' },
+      { business_name: null, location_id: null },
+    ];
+    [[], grants.slice(1, 2), grants.slice(2), grants].forEach((held) => {
+      prompts.forEach((prompt) => {
+        expect(roleFor(held, prompt)).toBe(serverPermissions.roleFor(held, prompt));
+      });
+    });
+  });
+
+  it('labels every channel and purpose the server accepts', () => {
+    expect(Object.keys(CHANNEL_LABELS)).toEqual(serverLocations.CHANNELS);
+    expect(Object.keys(PURPOSE_LABELS)).toEqual(serverLocations.PURPOSES);
+  });
+});
@@ -0,0 +1,35 @@
+// Mirrors server/permissions.js so the UI only offers actions the API will allow.
+// Grants come from GET /auth/me: { role, business_name, location_id }.
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const rank = (role) => ROLES.indexOf(role) + 1;
+
+function grantCovers(grant, prompt) {
+  if (grant.business_name && grant.business_name !== (prompt.business_name || '')) return false;
+  if (grant.location_id && String(grant.location_id) !== String(prompt.location_id || '')) return false;
+  return true;
+}
+
+export function roleFor(grants, prompt) {
+  return grants.reduce((best, grant) => {
+    if (!grantCovers(grant, prompt)) return best;
+    return rank(grant.role) > rank(best) ? grant.role : best;
+  }, null);
+}
+
+export function hasRole(grants, prompt, role) {
+  return rank(roleFor(grants, prompt)) >= rank(role);
+}
+
+export function canEdit(grants, prompt) {
+  return hasRole(grants, prompt, 'editor');
+}
+
+// Whether the user holds `role` anywhere (e.g. editor shows the Add and Import buttons)
+export function hasRoleAnywhere(grants, role) {
+  return grants.some((grant) => rank(grant.role) >= rank(role));
+}
+
+export function canEditAny(grants) {
+  return hasRoleAnywhere(grants, 'editor');
+}
@@ -0,0 +1,75 @@
+// Mirrors server/schema.js so forms can check a body against the schemas the API
+// serves (e.g. GET /schema/prompt) before saving, with the same { field, message } errors.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+export function validateSchema(schema, value, field = '') {
+  const errors = [];
+  const add = (message) => errors.push({ field: field || '(root)', message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      add(`must be ${types.map((t) => (t === 'null' ? t : t === 'integer' || t === 'array' || t === 'object' ? `an ${t}` : `a ${t}`)).join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    add(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      add(schema.minLength === 1 ? 'is required' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      add(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      add(schema.patternMessage || `must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    add(`must be at least ${schema.minimum}`);
+  }
+
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(schema.items, item, `${field}[${index}]`));
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ field: field ? `${field}.${key}` : key, message: 'is required' });
+      }
+    });
+    Object.keys(value).forEach((key) => {
+      const child = field ? `${field}.${key}` : key;
+      if (properties[key]) {
+        if (value[key] !== undefined && value[key] !== null) {
+          errors.push(...validateSchema(properties[key], value[key], child));
+        }
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: child, message: 'is not an allowed field' });
+      }
+    });
+  }
+
+  return errors;
+}
@@ -0,0 +1,40 @@
+// Mirrors server/tokens.js so the editor's token meter matches what the API enforces.
+// The budget ({ warn, limit }) comes from the token_budget of GET /prompts.
+import { parseInventory } from './inventory';
+
+const PIECE = /\s?[A-Za-z\u00C0-\u024F]+|\s?\d{1,3}|\s?[^\sA-Za-z\d\u00C0-\u024F]+|\s+/g;
+const LETTER = /[A-Za-z\u00C0-\u024F]/;
+
+function pieceTokens(piece) {
+  const text = piece.trim();
+  if (!text) return 1;
+  if (/\d/.test(text[0])) return 1;
+  return Math.ceil(text.length / (LETTER.test(text[0]) ? 4 : 2));
+}
+
+export function countTokens(text) {
+  if (!text) return 0;
+  const pieces = String(text).match(PIECE) || [];
+  return pieces.reduce((sum, piece) => sum + pieceTokens(piece), 0);
+}
+
+// The inventory as the server stores it: compact { items } JSON, empty without items
+function inventoryText(value) {
+  const { items } = parseInventory(value);
+  if (!items) return typeof value === 'string' ? value : JSON.stringify(value);
+  return items.length ? JSON.stringify({ items }) : '';
+}
+
+// { prompt, knowledgebase, inventory, total, status } for unsaved form values
+export function promptTokens(fields, budget) {
+  const counts = {
+    prompt: countTokens(fields.prompt),
+    knowledgebase: countTokens(fields.knowledgebase),
+    inventory: countTokens(inventoryText(fields.inventory)),
+  };
+  const total = counts.prompt + counts.knowledgebase + counts.inventory;
+  let status = 'ok';
+  if (budget && total > budget.limit) status = 'over';
+  else if (budget && total > budget.warn) status = 'warn';
+  return { ...counts, total, status };
+}
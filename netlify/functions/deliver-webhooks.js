@@ -0,0 +1,16 @@
+import { createPromptsService } from '../../server/promptsService';
+import { storageFromEnv } from '../../server/storage';
+
+// Scheduled (see netlify.toml): retries webhook deliveries that are due. Functions are
+// frozen once they respond, so in-process retry timers cannot be relied on here.
+export const handler = async () => {
+  try {
+    const supabase = storageFromEnv(process.env);
+    const { attempted, delivered } = await createPromptsService({ supabase }).deliverDueWebhooks();
+    console.log(`Attempted ${attempted} webhook deliver${attempted === 1 ? 'y' : 'ies'}, ${delivered} succeeded`);
+    return { statusCode: 200 };
+  } catch (err) {
+    console.error('Failed to deliver webhooks:', err.message);
+    return { statusCode: 500 };
+  }
+};
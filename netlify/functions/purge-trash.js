@@ -0,0 +1,16 @@
+import { createPromptsService } from '../../server/promptsService';
+import { storageFromEnv } from '../../server/storage';
+
+// Scheduled (see netlify.toml): permanently removes prompts that have been in the
+// trash longer than TRASH_RETENTION_DAYS (default 30)
+export const handler = async () => {
+  try {
+    const supabase = storageFromEnv(process.env);
+    const purged = await createPromptsService({ supabase }).purgeExpiredTrash();
+    console.log(`Purged ${purged.length} prompt(s) from the trash`);
+    return { statusCode: 200 };
+  } catch (err) {
+    console.error('Failed to purge trash:', err.message);
+    return { statusCode: 500 };
+  }
+};
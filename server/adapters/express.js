@@ -0,0 +1,34 @@
+// Express adapter: mount with app.use('/api', createExpressHandler(service))
+function createExpressHandler(service) {
+  return async (req, res, next) => {
+    try {
+      const result = await service.handle({
+        method: req.method,
+        path: req.path,
+        query: req.query,
+        headers: req.headers,
+        body: req.body,
+        ip: req.ip,
+      });
+
+      if (result.headers) res.set(result.headers);
+      if (result.stream) {
+        res.status(result.status);
+        res.flushHeaders();
+        for await (const chunk of result.stream) res.write(chunk);
+        return res.end();
+      }
+      if (result.text !== undefined) {
+        return res.status(result.status).send(result.text);
+      }
+      if (result.body === undefined) {
+        return res.status(result.status).send();
+      }
+      return res.status(result.status).json(result.body);
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+module.exports = { createExpressHandler };
@@ -0,0 +1,78 @@
+// Netlify Functions adapter: export const handler = createNetlifyHandler(getService)
+// getService is called per invocation and may throw a ServiceError (e.g. missing env vars).
+// CORS headers come from the same allowlist as the Express server (see cors.js).
+const { ServiceError } = require('../promptsService');
+const { corsFromEnv, corsHeaders } = require('../cors');
+const { bodyLimitFromEnv } = require('../limits');
+
+const jsonHeaders = {
+  'Content-Type': 'application/json',
+};
+
+// Normalize path after '/.netlify/functions/prompts'. Netlify hands over the path
+// already decoded, so each segment is encoded again to match what Express passes.
+function subpathOf(eventPath) {
+  const m = (eventPath || '/').match(/\.netlify\/functions\/prompts(.*)$/);
+  const subpath = (m && m[1]) || '/';
+  return (subpath.startsWith('/') ? subpath : `/${subpath}`).split('/').map(encodeURIComponent).join('/');
+}
+
+function createNetlifyHandler(getService, { cors = corsFromEnv(process.env), bodyLimit = bodyLimitFromEnv(process.env) } = {}) {
+  return async function handler(event) {
+    const headers = event.headers || {};
+    const baseHeaders = { ...jsonHeaders, ...corsHeaders(cors, headers.origin || headers.Origin) };
+    const respond = (status, body, extra) => ({
+      statusCode: status,
+      headers: { ...baseHeaders, ...(extra || {}) },
+      body: body === undefined ? '' : JSON.stringify(body),
+    });
+
+    // CORS preflight
+    if (event.httpMethod === 'OPTIONS') {
+      return { statusCode: 204, headers: baseHeaders };
+    }
+
+    let body = {};
+    if (event.body) {
+      const raw = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+      if (Buffer.byteLength(raw, 'utf8') > bodyLimit) {
+        return respond(413, { error: 'Request body too large' });
+      }
+      try {
+        body = JSON.parse(raw);
+      } catch (err) {
+        return respond(400, { error: 'Invalid JSON body' });
+      }
+    }
+
+    try {
+      const service = getService();
+      const result = await service.handle({
+        method: event.httpMethod,
+        path: subpathOf(event.path),
+        query: event.queryStringParameters || {},
+        headers,
+        body,
+        ip: headers['x-nf-client-connection-ip'] || String(headers['x-forwarded-for'] || '').split(',')[0].trim() || null,
+      });
+      // Classic Netlify functions cannot stream, so streamed replies arrive in one piece
+      if (result.stream) {
+        let text = '';
+        for await (const chunk of result.stream) text += chunk;
+        return { statusCode: result.status, headers: { ...baseHeaders, ...result.headers }, body: text };
+      }
+      if (result.text !== undefined) {
+        return { statusCode: result.status, headers: { ...baseHeaders, ...result.headers }, body: result.text };
+      }
+      return respond(result.status, result.body, result.headers);
+    } catch (err) {
+      if (err instanceof ServiceError) {
+        return respond(err.status, { error: err.message });
+      }
+      console.error('Function error:', err);
+      return respond(500, { error: 'Unexpected server error' });
+    }
+  };
+}
+
+module.exports = { createNetlifyHandler, jsonHeaders };
@@ -0,0 +1,87 @@
+// API keys for machine clients (bots, the CRM integration), stored in the api_keys table.
+// A key is sent like a session token (Authorization: Bearer <key>) and is recognised by
+// its prefix. Only a SHA-256 hash of the key is stored; the key itself is shown once,
+// when it is created or rotated. Keys are limited to a business and/or location like
+// role grants, and carry scopes:
+//   read-published - the published copy and location bundles bots read
+//   read-all       - every read route (implies read-published)
+//   write          - every route that changes data
+const crypto = require('crypto');
+const { validateSchema } = require('./schema');
+
+const API_KEY_PREFIX = 'pcrud_';
+const API_KEY_SCOPES = ['read-published', 'read-all', 'write'];
+const API_KEY_COLUMNS = 'id, name, prefix, scopes, business_name, location_id, created_by, created_at, last_used_at, last_used_ip, rotated_at, revoked_at';
+// last_used_at is written at most this often per key, so polling bots do not turn every read into a write
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const API_KEY_SCHEMA = {
+  type: 'object',
+  required: ['name', 'scopes'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 200 },
+    scopes: { type: 'array', items: { type: 'string', enum: API_KEY_SCOPES } },
+    business_name: { type: ['string', 'null'], maxLength: 200 },
+    location_id: { type: ['string', 'null'], maxLength: 200 },
+  },
+};
+
+const isApiKey = (token) => String(token).startsWith(API_KEY_PREFIX);
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// A new secret: { key, prefix, key_hash }. prefix is what the admin screen shows.
+function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 8), key_hash: hashApiKey(key) };
+}
+
+// Check a create body; returns the columns to write plus any field errors
+function checkApiKey(body) {
+  const errors = validateSchema(API_KEY_SCHEMA, body);
+  if (!errors.length && !body.scopes.length) errors.push({ field: 'scopes', message: 'must include at least one scope' });
+  return {
+    fields: {
+      name: typeof body.name === 'string' ? body.name.trim() : body.name,
+      scopes: Array.isArray(body.scopes) ? [...new Set(body.scopes)] : body.scopes,
+      business_name: body.business_name || null,
+      location_id: body.location_id || null,
+    },
+    errors,
+  };
+}
+
+function hasScope(key, scope) {
+  const scopes = key.scopes || [];
+  return scopes.includes(scope) || (scope === 'read-published' && scopes.includes('read-all'));
+}
+
+// Role grants equivalent to a key, so the usual permission checks limit it to its scope
+function keyGrants(key) {
+  const role = hasScope(key, 'write') ? 'editor' : 'viewer';
+  return [{ id: null, email: null, role, business_name: key.business_name || null, location_id: key.location_id || null }];
+}
+
+// The "user" a key acts as; audit events and revisions name it api-key:<prefix>
+function keyUser(key) {
+  return { id: `api-key:${key.prefix}`, email: null, api_key: { id: key.id, name: key.name, scopes: key.scopes } };
+}
+
+function lastUsedIsStale(key, now = Date.now()) {
+  return !key.last_used_at || now - new Date(key.last_used_at).getTime() >= LAST_USED_INTERVAL_MS;
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  API_KEY_COLUMNS,
+  isApiKey,
+  hashApiKey,
+  generateApiKey,
+  checkApiKey,
+  hasScope,
+  keyGrants,
+  keyUser,
+  lastUsedIsStale,
+};
@@ -0,0 +1,59 @@
+const express = require('express');
+const cors = require('cors');
+const { createPromptsService } = require('./promptsService');
+const { createExpressHandler } = require('./adapters/express');
+const { bundleCacheFromEnv } = require('./lruCache');
+const { rateLimitsFromEnv, bodyLimitFromEnv } = require('./limits');
+const { ALLOWED_HEADERS, ALLOWED_METHODS, EXPOSED_HEADERS, corsFromEnv, allowedOrigin } = require('./cors');
+
+function parseTrustProxy(value) {
+  if (value === true || value === 'true') return true;
+  return /^\d+$/.test(String(value)) ? Number(value) : value;
+}
+
+// Build the Express app around a Supabase client (or one of the local storage backends). Other
+// options (auth, adminEmails) go to the prompts service, which defaults them from env.
+// The server is long-lived, so it keeps location bundles in an in-process LRU cache and
+// rate limit counters in memory. Browsers may only call it from the CORS allowlist.
+function createApp({
+  logger = console,
+  bundleCache = bundleCacheFromEnv(process.env),
+  rateLimits = rateLimitsFromEnv(process.env),
+  cors: corsConfig = corsFromEnv(process.env),
+  bodyLimit = bodyLimitFromEnv(process.env),
+  trustProxy = process.env.TRUST_PROXY,
+  ...options
+}) {
+  const app = express();
+  // Behind a proxy, req.ip (which the per-IP rate limit counts) comes from X-Forwarded-For
+  // (TRUST_PROXY: true, a hop count, or Express's list of trusted addresses)
+  if (trustProxy) app.set('trust proxy', parseTrustProxy(trustProxy));
+
+  // Origins off the allowlist get no CORS headers, so browsers refuse the response
+  app.use(cors({
+    origin: (origin, callback) => callback(null, allowedOrigin(corsConfig, origin) || false),
+    methods: ALLOWED_METHODS,
+    allowedHeaders: ALLOWED_HEADERS,
+    exposedHeaders: EXPOSED_HEADERS,
+  }));
+  // Bulk imports carry whole knowledgebases, so allow more than the 100kb default
+  app.use(express.json({ limit: bodyLimit }));
+
+  app.use('/api', createExpressHandler(createPromptsService({ ...options, bundleCache, rateLimits, logger })));
+
+  // Malformed and oversized JSON bodies get the same response as on Netlify
+  app.use((err, req, res, next) => {
+    if (err && err.type === 'entity.parse.failed') {
+      return res.status(400).json({ error: 'Invalid JSON body' });
+    }
+    if (err && err.type === 'entity.too.large') {
+      return res.status(413).json({ error: 'Request body too large' });
+    }
+    logger.error('Unexpected server error:', err);
+    return res.status(500).json({ error: 'Unexpected server error' });
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
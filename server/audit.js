@@ -0,0 +1,116 @@
+// Append-only audit trail of prompt changes, stored in the audit_events table.
+// Events keep hashes of the content before and after the change rather than the
+// content itself (prompt_versions has that); the hash lets an auditor prove which
+// revision was live at a given moment.
+const crypto = require('crypto');
+const { VERSION_FIELDS } = require('./promptVersions');
+const { SLOT_DEFAULTS } = require('./locations');
+const { ServiceError } = require('./errors');
+
+// Fields a hash covers: the revision fields except business_id, since the business is
+// hashed by name (what bots see) and hashes from before businesses had ids must match
+const CONTENT_FIELDS = VERSION_FIELDS.filter((field) => field !== 'business_id');
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'restore_version', 'purge', 'request_publish', 'publish', 'discard_draft'];
+const AUDIT_COLUMNS = 'id, created_at, actor, action, prompt_id, prompt_name, business_name, location_id, changed_fields, before_hash, after_hash, ip';
+
+// Stable JSON (sorted keys) so equal content always hashes the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Fields added after hashes were first taken. Unset ones are left out of the hash, so
+// hashes from before they existed (published_hash, older events) still match.
+const LATER_FIELDS = [...Object.keys(SLOT_DEFAULTS), 'knowledgebase_ids'];
+
+// A field's content, with channel and purpose at their defaults and an empty document
+// list counting as unset
+function fieldContent(row, field) {
+  const value = row[field] ?? null;
+  if (Array.isArray(value) && !value.length && LATER_FIELDS.includes(field)) return null;
+  return SLOT_DEFAULTS[field] !== undefined && value === SLOT_DEFAULTS[field] ? null : value;
+}
+
+function contentHash(row) {
+  if (!row) return null;
+  const content = {};
+  CONTENT_FIELDS.forEach((field) => {
+    const value = fieldContent(row, field);
+    if (value !== null || !LATER_FIELDS.includes(field)) content[field] = value;
+  });
+  return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+function changedFields(before, after) {
+  if (!before || !after) return [];
+  return CONTENT_FIELDS.filter((field) => canonicalJson(fieldContent(before, field)) !== canonicalJson(fieldContent(after, field)));
+}
+
+// Build the event row for a change from `before` to `after` (either may be null).
+// `fields` names what changed when it is not stored on the prompt (a document it lists).
+function auditEvent({ action, actor, ip, before = null, after = null, fields = null }) {
+  const subject = after || before;
+  return {
+    actor: actor || null,
+    action,
+    prompt_id: subject.id,
+    prompt_name: subject.name || null,
+    business_name: subject.business_name || null,
+    location_id: subject.location_id || null,
+    changed_fields: fields || (action === 'create' ? CONTENT_FIELDS.filter((field) => fieldContent(after, field) != null) : changedFields(before, after)),
+    before_hash: contentHash(before),
+    after_hash: contentHash(after),
+    ip: ip || null,
+  };
+}
+
+function parseDate(value, field) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new ServiceError(400, `${field} must be a date`);
+  return date;
+}
+
+// Validate ?prompt_id=&actor=&action=&from=&to= (from/to are ISO dates; a bare
+// date for `to` covers that whole day)
+function parseAuditQuery(query = {}) {
+  if (query.action && !AUDIT_ACTIONS.includes(query.action)) {
+    throw new ServiceError(400, `action must be one of ${AUDIT_ACTIONS.join(', ')}`);
+  }
+  const from = parseDate(query.from, 'from');
+  let to = parseDate(query.to, 'to');
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) to = new Date(to.getTime() + 24 * 60 * 60 * 1000 - 1);
+
+  return {
+    promptId: query.prompt_id || null,
+    actor: query.actor || null,
+    action: query.action || null,
+    from: from && from.toISOString(),
+    to: to && to.toISOString(),
+  };
+}
+
+function applyAuditFilters(builder, { promptId, actor, action, from, to }) {
+  let query = builder;
+  if (promptId) query = query.eq('prompt_id', promptId);
+  if (actor) query = query.eq('actor', actor);
+  if (action) query = query.eq('action', action);
+  if (from) query = query.gte('created_at', from);
+  if (to) query = query.lte('created_at', to);
+  return query.order('created_at', { ascending: false });
+}
+
+module.exports = {
+  canonicalJson,
+  AUDIT_ACTIONS,
+  AUDIT_COLUMNS,
+  contentHash,
+  changedFields,
+  auditEvent,
+  parseAuditQuery,
+  applyAuditFilters,
+};
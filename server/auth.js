@@ -0,0 +1,144 @@
+// Authentication for the prompts API. Two providers share one interface:
+//   supabase - sign in with Supabase Auth; tokens are Supabase access tokens, verified
+//              locally with SUPABASE_JWT_SECRET when set, otherwise via auth.getUser
+//   local    - stand-in for offline dev and tests; users come from configuration and
+//              tokens are HS256 JWTs signed with AUTH_JWT_SECRET
+// Both resolve a bearer token to a user { id, email } or throw a 401 ServiceError.
+const crypto = require('crypto');
+const { ServiceError } = require('./errors');
+const { storageDriver } = require('./storage');
+const { createSupabaseAuthClient } = require('./storage/supabase');
+
+const DEFAULT_TOKEN_TTL_SECONDS = 8 * 60 * 60;
+
+const unauthorized = (message = 'Authentication required') => new ServiceError(401, message);
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+}
+
+function hmac(data, secret) {
+  return base64url(crypto.createHmac('sha256', secret).update(data).digest());
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function signJwt(payload, secret) {
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(payload));
+  return `${header}.${body}.${hmac(`${header}.${body}`, secret)}`;
+}
+
+// Verify an HS256 JWT and return its payload
+function verifyJwt(token, secret) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) throw unauthorized('Invalid token');
+
+  let header;
+  let payload;
+  try {
+    header = decodeSegment(parts[0]);
+    payload = decodeSegment(parts[1]);
+  } catch (err) {
+    throw unauthorized('Invalid token');
+  }
+
+  if (header.alg !== 'HS256' || !safeEqual(hmac(`${parts[0]}.${parts[1]}`, secret), parts[2])) {
+    throw unauthorized('Invalid token');
+  }
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof payload.exp === 'number' && payload.exp <= now) throw unauthorized('Token expired');
+  if (typeof payload.nbf === 'number' && payload.nbf > now) throw unauthorized('Invalid token');
+  return payload;
+}
+
+function createLocalAuth({ jwtSecret, users = [], tokenTtlSeconds = DEFAULT_TOKEN_TTL_SECONDS }) {
+  if (!jwtSecret) throw new Error('Local auth requires AUTH_JWT_SECRET');
+
+  return {
+    provider: 'local',
+
+    async login(email, password) {
+      const user = users.find((u) => String(u.email).toLowerCase() === String(email || '').toLowerCase());
+      if (!user || !safeEqual(user.password, password || '')) {
+        throw unauthorized('Invalid email or password');
+      }
+      const now = Math.floor(Date.now() / 1000);
+      const id = user.id || user.email;
+      const token = signJwt({ sub: id, email: user.email, iat: now, exp: now + tokenTtlSeconds }, jwtSecret);
+      return { token, expires_at: now + tokenTtlSeconds, user: { id, email: user.email } };
+    },
+
+    async verify(token) {
+      const payload = verifyJwt(token, jwtSecret);
+      return { id: payload.sub, email: payload.email || null };
+    },
+  };
+}
+
+function createSupabaseAuth({ supabase, jwtSecret }) {
+  return {
+    provider: 'supabase',
+
+    async login(email, password) {
+      const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+      if (error || !data || !data.session) throw unauthorized('Invalid email or password');
+      const { session } = data;
+      return {
+        token: session.access_token,
+        expires_at: session.expires_at,
+        user: { id: session.user.id, email: session.user.email },
+      };
+    },
+
+    async verify(token) {
+      if (jwtSecret) {
+        const payload = verifyJwt(token, jwtSecret);
+        if (payload.role && payload.role !== 'authenticated') throw unauthorized('Invalid token');
+        return { id: payload.sub, email: payload.email || null };
+      }
+      const { data, error } = await supabase.auth.getUser(token);
+      if (error || !data || !data.user) throw unauthorized('Invalid token');
+      return { id: data.user.id, email: data.user.email };
+    },
+  };
+}
+
+// LOCAL_AUTH_USERS is a JSON array of { email, password } objects
+function parseLocalUsers(value) {
+  if (!value) return [];
+  try {
+    const users = JSON.parse(value);
+    return Array.isArray(users) ? users.filter((u) => u && u.email && u.password) : [];
+  } catch (err) {
+    console.error('LOCAL_AUTH_USERS is not valid JSON');
+    return [];
+  }
+}
+
+// Without AUTH_PROVIDER, local storage backends (which have no Supabase Auth) use local
+// accounts. Supabase Auth gets its own client (see createSupabaseAuthClient).
+function authFromEnv(env) {
+  const provider = env.AUTH_PROVIDER || (storageDriver(env) === 'supabase' ? 'supabase' : 'local');
+  if (provider === 'local') {
+    return createLocalAuth({ jwtSecret: env.AUTH_JWT_SECRET, users: parseLocalUsers(env.LOCAL_AUTH_USERS) });
+  }
+  return createSupabaseAuth({ supabase: createSupabaseAuthClient(env), jwtSecret: env.SUPABASE_JWT_SECRET });
+}
+
+// Pull the bearer token out of request headers (adapters lower-case header names)
+function bearerToken(headers = {}) {
+  const value = headers.authorization || headers.Authorization || '';
+  const match = /^Bearer\s+(.+)$/i.exec(value);
+  return match ? match[1].trim() : null;
+}
+
+module.exports = { createLocalAuth, createSupabaseAuth, authFromEnv, bearerToken, signJwt, verifyJwt };
@@ -0,0 +1,39 @@
+// CORS allowlist shared by both adapters. CORS_ORIGINS is a comma-separated list of
+// origins allowed to call the API from a browser, or * for any origin. Unset, only the
+// React dev server is allowed; the Netlify site calls its own function, which needs no
+// CORS at all.
+const DEFAULT_ORIGINS = ['http://localhost:3000', 'http://127.0.0.1:3000'];
+
+const ALLOWED_HEADERS = 'Content-Type, Authorization, If-Match, If-None-Match';
+const ALLOWED_METHODS = 'GET,POST,PUT,DELETE,OPTIONS';
+const EXPOSED_HEADERS = ['Content-Disposition', 'ETag', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'];
+
+function corsFromEnv(env) {
+  const origins = String(env.CORS_ORIGINS || '')
+    .split(',')
+    .map((origin) => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+  return { origins: origins.length ? origins : DEFAULT_ORIGINS };
+}
+
+// The Access-Control-Allow-Origin value for a request's Origin, or null when it is not allowed
+function allowedOrigin(cors, origin) {
+  if (cors.origins.includes('*')) return '*';
+  return origin && cors.origins.includes(origin) ? origin : null;
+}
+
+// Response headers for a request from `origin` (none for origins off the list, so the
+// browser blocks the response)
+function corsHeaders(cors, origin) {
+  const allowed = allowedOrigin(cors, origin);
+  if (!allowed) return {};
+  return {
+    'Access-Control-Allow-Origin': allowed,
+    'Access-Control-Allow-Headers': ALLOWED_HEADERS,
+    'Access-Control-Allow-Methods': ALLOWED_METHODS,
+    'Access-Control-Expose-Headers': EXPOSED_HEADERS.join(', '),
+    ...(allowed === '*' ? {} : { Vary: 'Origin' }),
+  };
+}
+
+module.exports = { ALLOWED_HEADERS, ALLOWED_METHODS, EXPOSED_HEADERS, corsFromEnv, allowedOrigin, corsHeaders };
@@ -0,0 +1,78 @@
+// RFC 4180 CSV helpers for prompt import/export (quoted fields may contain
+// commas, quotes and newlines, which knowledgebases routinely do)
+
+// Spreadsheets run cells starting with these as formulas, so exports prefix them with
+// an apostrophe, which Excel and Sheets show as text. Cells that already start with
+// apostrophes before one get another, so parsing always strips exactly one.
+const FORMULA_CELL = /^'*[=+\-@\t\r]/;
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+  const raw = typeof value === 'string' ? value : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  const text = FORMULA_CELL.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => escapeCell(row[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Parse CSV text into records keyed by the header row. Throws on unterminated quotes.
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const records = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      records.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (inQuotes) throw new Error('Unterminated quoted field');
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    records.push(row);
+  }
+
+  const nonEmpty = records.filter((r) => r.some((value) => value !== ''));
+  if (!nonEmpty.length) return [];
+
+  const header = nonEmpty[0].map((h) => h.trim());
+  return nonEmpty.slice(1).map((values) => {
+    const record = {};
+    header.forEach((column, index) => {
+      const value = values[index] === undefined ? '' : values[index];
+      if (column) record[column] = value.startsWith("'") && FORMULA_CELL.test(value) ? value.slice(1) : value;
+    });
+    return record;
+  });
+}
+
+module.exports = { toCsv, parseCsv };
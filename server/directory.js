@@ -0,0 +1,113 @@
+// Businesses and locations: the directory prompts are filed under. Each is a row of its
+// own (the businesses and locations tables) that prompts reference by foreign key, so a
+// name is typed once and a typo cannot start a new business. A location's id is the
+// location_id bots ask for and never changes; a location may belong to a business, and
+// then every prompt there belongs to that business too.
+// Prompts keep business_name next to business_id because role grants, API keys,
+// webhooks, search and the {{business_name}} variable all work by name; the service
+// rewrites those copies when a business is renamed.
+const { validateSchema } = require('./schema');
+
+const BUSINESS_COLUMNS = 'id, name, created_at, updated_at';
+const LOCATION_COLUMNS = 'id, name, business_id, created_at, updated_at';
+
+const BUSINESS_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 200 },
+  },
+};
+
+const LOCATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', minLength: 1, maxLength: 200, pattern: '^\\S*$', patternMessage: 'must not contain spaces' },
+    name: { type: ['string', 'null'], maxLength: 200 },
+    business_id: { type: ['string', 'null'], maxLength: 200 },
+  },
+};
+
+// Business names are stored with single spaces and compared without case, so
+// "acme  dental" finds "Acme Dental"
+const cleanName = (name) => String(name).trim().replace(/\s+/g, ' ');
+const nameKey = (name) => cleanName(name || '').toLowerCase();
+
+// Check a business body; returns the columns to write plus any field errors
+function checkBusiness(body) {
+  const errors = validateSchema(BUSINESS_SCHEMA, body);
+  return { fields: { name: typeof body.name === 'string' ? cleanName(body.name) : body.name }, errors };
+}
+
+// Check a location body; the id is only taken on create (it is the location_id prompts
+// and bots use, so it cannot change afterwards)
+function checkLocation(body, { create = false } = {}) {
+  const errors = validateSchema(create ? { ...LOCATION_SCHEMA, required: ['id'] } : LOCATION_SCHEMA, body);
+  const fields = {
+    name: typeof body.name === 'string' ? body.name.trim() || null : null,
+    business_id: body.business_id || null,
+  };
+  if (create) fields.id = typeof body.id === 'string' ? body.id.trim() : body.id;
+  return { fields, errors };
+}
+
+// File a prompt's validated fields in the directory ({ businesses, locations }, every
+// row of each). location_id must name a known location; the business is body.business_id,
+// else business_name in any spelling, else the location's. Returns the fields with
+// business_id set and business_name spelled as the business has it, plus field errors.
+function placePrompt(fields, body, { businesses, locations }) {
+  const errors = [];
+  const locationId = fields.location_id || null;
+  const location = locationId ? locations.find((row) => row.id === locationId) : null;
+  if (locationId && !location) errors.push({ field: 'location_id', message: 'is not a known location' });
+
+  let business = null;
+  if (body.business_id) {
+    business = businesses.find((row) => row.id === body.business_id) || null;
+    if (!business) errors.push({ field: 'business_id', message: 'is not a known business' });
+  } else if (fields.business_name) {
+    business = businesses.find((row) => nameKey(row.name) === nameKey(fields.business_name)) || null;
+    if (!business) errors.push({ field: 'business_name', message: 'is not a known business' });
+  } else if (location && location.business_id) {
+    business = businesses.find((row) => row.id === location.business_id) || null;
+  }
+
+  if (business && location && location.business_id && location.business_id !== business.id) {
+    const owner = businesses.find((row) => row.id === location.business_id);
+    errors.push({
+      field: 'location_id',
+      message: `belongs to ${owner ? `"${owner.name}"` : 'another business'}`,
+    });
+  }
+
+  return {
+    fields: {
+      ...fields,
+      location_id: locationId,
+      business_id: business ? business.id : null,
+      business_name: business ? business.name : null,
+    },
+    errors,
+  };
+}
+
+// A location (with its business's name) shaped like a prompt, for permission checks
+const locationScope = (location) => ({ business_name: location.business_name || null, location_id: location.id });
+
+// Locations as returned to clients: with their business's name
+const presentLocation = (location, businesses) => {
+  const business = businesses.find((row) => row.id === location.business_id);
+  return { ...location, business_name: business ? business.name : null };
+};
+
+module.exports = {
+  BUSINESS_COLUMNS,
+  LOCATION_COLUMNS,
+  cleanName,
+  nameKey,
+  checkBusiness,
+  checkLocation,
+  placePrompt,
+  locationScope,
+  presentLocation,
+};
@@ -0,0 +1,275 @@
+// Routes for the directory (see directory.js): businesses and the locations under them.
+// createPromptsService registers them on its route(), passing the loaders and prompt
+// writes they share with the prompt routes.
+const { ServiceError, supabaseFailure, countOf, listOf } = require('./errors');
+const { selectAll } = require('./promptQuery');
+const { locationSummary } = require('./locations');
+const { contentHash } = require('./audit');
+const { latestRevision } = require('./promptVersions');
+const {
+  BUSINESS_COLUMNS,
+  LOCATION_COLUMNS,
+  nameKey,
+  checkBusiness,
+  checkLocation,
+  locationScope,
+  presentLocation,
+} = require('./directory');
+
+function registerDirectoryRoutes(route, {
+  supabase,
+  logger,
+  loadDirectory,
+  visibleDirectory,
+  loadLocation,
+  loadLocationPrompts,
+  presentPrompts,
+  updatePrompt,
+  forgetBundles,
+}) {
+  // Prompts filed under a business or location, trashed ones included (they still hold
+  // the foreign key)
+  async function promptsFiledUnder(column, value, message) {
+    const { data, error } = await selectAll(() => supabase.from('prompts').select('*').eq(column, value));
+    if (error) throw supabaseFailure(error, message, logger);
+    return data || [];
+  }
+
+  async function loadBusiness(id, permissions) {
+    const { businesses, locations } = await visibleDirectory(permissions);
+    const business = businesses.find((row) => row.id === id);
+    if (!business) throw new ServiceError(404, 'Business not found');
+    return { ...business, locations: locations.filter((row) => row.business_id === id) };
+  }
+
+  function validateBusiness(body) {
+    const { fields, errors } = checkBusiness(body);
+    if (errors.length) throw new ServiceError(422, 'Invalid business', { errors });
+    return fields;
+  }
+
+  // 422 when another business already has the name (in any case or spacing)
+  async function requireFreeBusinessName(name, exceptId) {
+    const { businesses } = await loadDirectory();
+    const owner = businesses.find((row) => row.id !== exceptId && nameKey(row.name) === nameKey(name));
+    if (owner) {
+      throw new ServiceError(422, 'Invalid business', { errors: [{ field: 'name', message: `is already used by "${owner.name}"` }] });
+    }
+  }
+
+  // GET /api/businesses -> the businesses the user can view, by name
+  route('GET', '/businesses', async ({ permissions }) => {
+    const { businesses } = await visibleDirectory(permissions);
+    return { status: 200, body: businesses };
+  });
+
+  // GET /api/businesses/:id -> a business and the locations of it the user can view
+  route('GET', '/businesses/:id', async ({ params, permissions }) => ({
+    status: 200,
+    body: await loadBusiness(params.id, permissions),
+  }));
+
+  // POST /api/businesses -> create { name } (admins whose grants cover the name)
+  route('POST', '/businesses', async ({ body, permissions }) => {
+    const fields = validateBusiness(body);
+    permissions.require('admin', { business_name: fields.name }, 'You cannot create this business');
+    await requireFreeBusinessName(fields.name, null);
+
+    const { data, error } = await supabase
+      .from('businesses')
+      .insert([{ ...fields, updated_at: new Date().toISOString() }])
+      .select(BUSINESS_COLUMNS)
+      .single();
+    if (error) throw supabaseFailure(error, 'Failed to create business', logger);
+    return { status: 201, body: data };
+  });
+
+  // Publish the revision a rename just recorded for `prompt`, keeping the documents it
+  // was published with. Only while the row is still that revision: an edit saved since
+  // has moved updated_at on and the prompt is left 'changed'.
+  async function republishRenamed(prompt) {
+    const { data: rev, error } = await latestRevision(supabase, prompt.id);
+    if (error) throw supabaseFailure(error, 'Failed to rename business', logger);
+    const { error: publishErr } = await supabase
+      .from('prompts')
+      .update({ published_rev: rev, published_hash: contentHash(prompt) })
+      .eq('id', prompt.id)
+      .eq('updated_at', prompt.updated_at);
+    if (publishErr) throw supabaseFailure(publishErr, 'Failed to rename business', logger);
+    forgetBundles(prompt);
+  }
+
+  // PUT /api/businesses/:id -> rename { name }. Role grants, API keys, webhooks and audit
+  // events under the old name follow it; live prompts are saved under the new name as
+  // ordinary edits (a revision, audit event and webhook each) and trashed ones rewritten
+  // in place. Published copies are served under the new name (see publishedPrompt), and a
+  // prompt whose draft matched its published copy has the renamed revision published so
+  // it stays in sync. Prompts are brought up to the business's name on every call, so
+  // repeating a rename that failed halfway finishes it.
+  route('PUT', '/businesses/:id', async ({ params, body, origin, permissions }) => {
+    const fields = validateBusiness(body);
+    const { locations, ...current } = await loadBusiness(params.id, permissions);
+    permissions.require('admin', { business_name: current.name }, 'You cannot rename this business');
+    await requireFreeBusinessName(fields.name, current.id);
+
+    let business = current;
+    if (fields.name !== current.name) {
+      const { data, error } = await supabase
+        .from('businesses')
+        .update({ name: fields.name, updated_at: new Date().toISOString() })
+        .eq('id', current.id)
+        .select(BUSINESS_COLUMNS)
+        .single();
+      if (error) throw supabaseFailure(error, 'Failed to rename business', logger);
+      business = data;
+
+      for (const table of ['user_roles', 'api_keys', 'webhooks', 'audit_events']) {
+        const { error: scopeErr } = await supabase
+          .from(table)
+          .update({ business_name: business.name })
+          .eq('business_name', current.name);
+        if (scopeErr) throw supabaseFailure(scopeErr, 'Failed to rename business', logger);
+      }
+    }
+
+    const prompts = await promptsFiledUnder('business_id', business.id, 'Failed to rename business');
+    for (const prompt of prompts.filter((row) => row.business_name !== business.name)) {
+      if (!prompt.deleted_at) {
+        const inSync = prompt.published_rev != null && contentHash(prompt) === prompt.published_hash;
+        const updated = await updatePrompt(prompt, { business_name: business.name }, origin);
+        if (inSync) await republishRenamed(updated);
+        continue;
+      }
+      const { error } = await supabase.from('prompts').update({ business_name: business.name }).eq('id', prompt.id);
+      if (error) throw supabaseFailure(error, 'Failed to rename business', logger);
+    }
+    return { status: 200, body: business };
+  });
+
+  // DELETE /api/businesses/:id -> remove a business no location or prompt refers to
+  route('DELETE', '/businesses/:id', async ({ params, permissions }) => {
+    const business = await loadBusiness(params.id, permissions);
+    permissions.require('admin', { business_name: business.name }, 'You cannot delete this business');
+
+    const { data: locations, error } = await supabase.from('locations').select('id').eq('business_id', business.id);
+    if (error) throw supabaseFailure(error, 'Failed to delete business', logger);
+    const { data: documents, error: documentsErr } = await supabase
+      .from('knowledgebase_documents')
+      .select('id')
+      .eq('business_id', business.id);
+    if (documentsErr) throw supabaseFailure(documentsErr, 'Failed to delete business', logger);
+    const prompts = await promptsFiledUnder('business_id', business.id, 'Failed to delete business');
+    const uses = [
+      locations.length && countOf(locations.length, 'location'),
+      documents.length && countOf(documents.length, 'knowledgebase document'),
+      prompts.length && countOf(prompts.length, 'prompt'),
+    ].filter(Boolean);
+    if (uses.length) throw new ServiceError(409, `Business is still used by ${listOf(uses)}`);
+
+    const { error: deleteErr } = await supabase.from('businesses').delete().eq('id', business.id);
+    if (deleteErr) throw supabaseFailure(deleteErr, 'Failed to delete business', logger);
+    return { status: 204 };
+  });
+
+  // The checked columns of a location body, with the business it names (422 when there
+  // is no such business)
+  async function validateLocation(body, options) {
+    const { fields, errors } = checkLocation(body, options);
+    const { businesses, locations } = await loadDirectory();
+    const business = fields.business_id ? businesses.find((row) => row.id === fields.business_id) : null;
+    if (!errors.length && fields.business_id && !business) {
+      errors.push({ field: 'business_id', message: 'is not a known business' });
+    }
+    if (!errors.length && options && options.create && locations.some((row) => row.id === fields.id)) {
+      errors.push({ field: 'id', message: 'is already used by another location' });
+    }
+    if (errors.length) throw new ServiceError(422, 'Invalid location', { errors });
+    return { fields, businesses };
+  }
+
+  // GET /api/locations?business_id= -> the locations the user can view, by id, each with
+  // the count and channels of its prompts (see locationSummary)
+  route('GET', '/locations', async ({ query, permissions }) => {
+    const { locations } = await visibleDirectory(permissions);
+    const { data, error } = await supabase
+      .from('prompts')
+      .select('id, business_name, location_id, channel, purpose')
+      .is('deleted_at', null)
+      .not('location_id', 'is', null);
+    if (error) throw supabaseFailure(error, 'Failed to fetch locations', logger);
+
+    const prompts = permissions.visible(data || []);
+    const body = locations
+      .filter((location) => !query.business_id || location.business_id === query.business_id)
+      .map((location) => {
+        const { prompts: own, ...summary } = locationSummary(location, prompts.filter((row) => row.location_id === location.id));
+        return summary;
+      });
+    return { status: 200, body };
+  });
+
+  // GET /api/locations/:location_id -> the location and its prompts (see locationSummary)
+  route('GET', '/locations/:location_id', async ({ params, permissions }) => {
+    const location = await loadLocation(params.location_id, permissions);
+    const summary = locationSummary(location, await loadLocationPrompts(location.id, permissions));
+    return { status: 200, body: { ...summary, prompts: await presentPrompts(summary.prompts) } };
+  });
+
+  // POST /api/locations -> create { id, name?, business_id? } (editors of the business;
+  // locations without one need an unscoped grant). The id is the location_id prompts and
+  // bots use and cannot be changed later.
+  route('POST', '/locations', async ({ body, permissions }) => {
+    const { fields, businesses } = await validateLocation(body, { create: true });
+    const location = presentLocation(fields, businesses);
+    permissions.require('editor', locationScope(location), 'You cannot add locations to this business');
+
+    const { data, error } = await supabase
+      .from('locations')
+      .insert([{ ...fields, updated_at: new Date().toISOString() }])
+      .select(LOCATION_COLUMNS)
+      .single();
+    if (error) throw supabaseFailure(error, 'Failed to create location', logger);
+    return { status: 201, body: presentLocation(data, businesses) };
+  });
+
+  // PUT /api/locations/:location_id -> update { name, business_id }. A location only
+  // moves to a business that every prompt filed there already belongs to.
+  route('PUT', '/locations/:location_id', async ({ params, body, permissions }) => {
+    const current = await loadLocation(params.location_id, permissions);
+    permissions.require('editor', locationScope(current), 'You cannot edit this location');
+    const { fields, businesses } = await validateLocation(body);
+    permissions.require('editor', locationScope(presentLocation({ ...current, ...fields }, businesses)),
+      'You cannot move locations to this business');
+
+    if (fields.business_id && fields.business_id !== current.business_id) {
+      const prompts = await promptsFiledUnder('location_id', current.id, 'Failed to update location');
+      if (prompts.some((row) => row.business_id !== fields.business_id)) {
+        throw new ServiceError(409, 'Prompts at this location belong to another business');
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('locations')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', current.id)
+      .select(LOCATION_COLUMNS)
+      .single();
+    if (error) throw supabaseFailure(error, 'Failed to update location', logger);
+    return { status: 200, body: presentLocation(data, businesses) };
+  });
+
+  // DELETE /api/locations/:location_id -> remove a location no prompt is filed under
+  route('DELETE', '/locations/:location_id', async ({ params, permissions }) => {
+    const location = await loadLocation(params.location_id, permissions);
+    permissions.require('editor', locationScope(location), 'You cannot delete this location');
+
+    const prompts = await promptsFiledUnder('location_id', location.id, 'Failed to delete location');
+    if (prompts.length) throw new ServiceError(409, `Location is still used by ${countOf(prompts.length, 'prompt')}`);
+
+    const { error } = await supabase.from('locations').delete().eq('id', location.id);
+    if (error) throw supabaseFailure(error, 'Failed to delete location', logger);
+    return { status: 204 };
+  });
+}
+
+module.exports = { registerDirectoryRoutes };
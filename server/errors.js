@@ -0,0 +1,27 @@
+// Error carrying the HTTP status and client-safe message to respond with
+class ServiceError extends Error {
+  constructor(status, message, extra) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+// Log a Supabase error and convert it into a client-safe ServiceError
+function supabaseFailure(error, message, logger) {
+  logger.error(`${message}:`, error);
+  // PostgREST returns PGRST116 when .single() matches no rows
+  if (error && error.code === 'PGRST116') {
+    return new ServiceError(404, 'Prompt not found');
+  }
+  return new ServiceError(500, message);
+}
+
+// "1 prompt", "2 prompts"
+const countOf = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+// "a", "a and b", "a, b and c"
+const listOf = (items) => (items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items.join(''));
+
+module.exports = { ServiceError, supabaseFailure, countOf, listOf };
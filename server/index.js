@@ -1,120 +1,40 @@
-const express = require('express');
-const cors = require('cors');
 require('dotenv').config();
-const { supabase } = require('./supabaseClient');
+const { storageDriver, storageFromEnv } = require('./storage');
+const { checkSchema } = require('./storage/migrations');
+const { createApp } = require('./app');
+const { createPromptsService } = require('./promptsService');
+const { startDeliverySweep } = require('./webhooks');
 
-const app = express();
 const PORT = process.env.PORT || 5001;
-
-app.use(cors());
-app.use(express.json());
-
-// GET all prompts from Supabase
-app.get('/api/prompts', async (req, res) => {
-  try {
-    const { data, error } = await supabase
-      .from('prompts')
-      .select('id, name, prompt, location_id, business_name, knowledgebase, inventory, created_at')
-      .order('created_at', { ascending: true });
-
-    if (error) {
-      console.error('Error fetching prompts from Supabase:', error);
-      return res.status(500).json({ error: 'Failed to fetch prompts' });
-    }
-
-    return res.json(data || []);
-  } catch (err) {
-    console.error('Unexpected error fetching prompts:', err);
-    return res.status(500).json({ error: 'Unexpected server error' });
-  }
-});
-
-// POST create new prompt in Supabase
-app.post('/api/prompts', async (req, res) => {
-  const { name, prompt, location_id, business_name, knowledgebase, inventory } = req.body;
-
-  if (!name || !prompt) {
-    return res.status(400).json({ error: 'Name and prompt are required' });
-  }
-
-  try {
-    const { data, error } = await supabase
-      .from('prompts')
-      .insert([{ name, prompt, location_id, business_name, knowledgebase, inventory }])
-      .select()
-      .single();
-
-    if (error) {
-      console.error('Error creating prompt in Supabase:', error);
-      return res.status(500).json({ error: 'Failed to create prompt' });
-    }
-
-    return res.status(201).json(data);
-  } catch (err) {
-    console.error('Unexpected error creating prompt:', err);
-    return res.status(500).json({ error: 'Unexpected server error' });
-  }
-});
-
-// PUT update prompt in Supabase
-app.put('/api/prompts/:id', async (req, res) => {
-  const { id } = req.params;
-  const { name, prompt, location_id, business_name, knowledgebase, inventory } = req.body;
-
-  if (!name || !prompt) {
-    return res.status(400).json({ error: 'Name and prompt are required' });
-  }
-
-  try {
-    const { data, error } = await supabase
-      .from('prompts')
-      .update({ name, prompt, location_id, business_name, knowledgebase, inventory })
-      .eq('id', id)
-      .select()
-      .single();
-
-    if (error) {
-      console.error('Error updating prompt in Supabase:', error);
-      // If Supabase returns no rows, treat as 404
-      if (error.code === 'PGRST116') {
-        return res.status(404).json({ error: 'Prompt not found' });
-      }
-      return res.status(500).json({ error: 'Failed to update prompt' });
-    }
-
-    if (!data) {
-      return res.status(404).json({ error: 'Prompt not found' });
-    }
-
-    return res.json(data);
-  } catch (err) {
-    console.error('Unexpected error updating prompt:', err);
-    return res.status(500).json({ error: 'Unexpected server error' });
-  }
-});
-
-// DELETE prompt in Supabase
-app.delete('/api/prompts/:id', async (req, res) => {
-  const { id } = req.params;
-
-  try {
-    const { error } = await supabase
-      .from('prompts')
-      .delete()
-      .eq('id', id);
-
-    if (error) {
-      console.error('Error deleting prompt in Supabase:', error);
-      return res.status(500).json({ error: 'Failed to delete prompt' });
-    }
-
-    return res.status(204).send();
-  } catch (err) {
-    console.error('Unexpected error deleting prompt:', err);
-    return res.status(500).json({ error: 'Unexpected server error' });
-  }
-});
-
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-});
+// How often due webhook deliveries are retried from the delivery log (the first retries
+// of a delivery also run on in-process timers, which a restart loses)
+const WEBHOOK_SWEEP_MS = Number(process.env.WEBHOOK_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+// STORAGE_DRIVER selects Supabase (default) or a local backend, see storage/index.js
+const storage = storageFromEnv(process.env);
+
+// Refuse to start against a schema this release does not match; SKIP_SCHEMA_CHECK=true
+// skips the check (e.g. when the key in use cannot read schema_migrations)
+async function verifySchema() {
+  if (process.env.SKIP_SCHEMA_CHECK === 'true') return;
+  const problems = await checkSchema(storage, storageDriver(process.env));
+  if (!problems.length) return;
+  console.error('The database schema does not match this release:');
+  problems.forEach((problem) => console.error(`  - ${problem}`));
+  console.error('Run `npm run migrate` (see the Storage section of the README) and start again.');
+  process.exit(1);
+}
+
+verifySchema()
+  .then(() => {
+    const app = createApp({ supabase: storage });
+    app.listen(PORT, () => {
+      console.log(`Server running on http://localhost:${PORT}`);
+    });
+    const { deliverDueWebhooks } = createPromptsService({ supabase: storage });
+    startDeliverySweep(deliverDueWebhooks, { intervalMs: WEBHOOK_SWEEP_MS });
+  })
+  .catch((err) => {
+    console.error('Schema check failed:', err.message || err);
+    process.exit(1);
+  });
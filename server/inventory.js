@@ -0,0 +1,65 @@
+// Structured inventory document stored on each prompt: { items: [{ sku, name, price, quantity, availability }] }
+const { validateSchema } = require('./schema');
+
+const AVAILABILITY = ['in_stock', 'low_stock', 'out_of_stock', 'preorder', 'discontinued'];
+
+const INVENTORY_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Inventory',
+  type: 'object',
+  required: ['items'],
+  additionalProperties: false,
+  properties: {
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['sku', 'name', 'price', 'quantity', 'availability'],
+        additionalProperties: false,
+        properties: {
+          sku: { type: 'string', minLength: 1, maxLength: 64 },
+          name: { type: 'string', minLength: 1, maxLength: 200 },
+          price: { type: 'number', minimum: 0 },
+          quantity: { type: 'integer', minimum: 0 },
+          availability: { type: 'string', enum: AVAILABILITY },
+        },
+      },
+    },
+  },
+};
+
+// Accepts the inventory as sent by clients (object, JSON string, bare items array
+// or empty) and returns { value, errors } with value normalized to { items }.
+function normalizeInventory(input) {
+  if (input === undefined || input === null || (typeof input === 'string' && !input.trim())) {
+    return { value: { items: [] }, errors: [] };
+  }
+
+  let doc = input;
+  if (typeof input === 'string') {
+    try {
+      doc = JSON.parse(input);
+    } catch (err) {
+      return { value: null, errors: [{ field: 'inventory', message: 'must be valid JSON' }] };
+    }
+  }
+  if (Array.isArray(doc)) doc = { items: doc };
+
+  const errors = validateSchema(INVENTORY_SCHEMA, doc, 'inventory');
+
+  if (!errors.length) {
+    const seen = new Map();
+    doc.items.forEach((item, index) => {
+      const sku = item.sku.trim();
+      if (seen.has(sku)) {
+        errors.push({ field: `inventory.items[${index}].sku`, message: `duplicates items[${seen.get(sku)}].sku` });
+      } else {
+        seen.set(sku, index);
+      }
+    });
+  }
+
+  return { value: errors.length ? null : doc, errors };
+}
+
+module.exports = { INVENTORY_SCHEMA, AVAILABILITY, normalizeInventory };
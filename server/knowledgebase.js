@@ -0,0 +1,107 @@
+// Knowledgebase library: named documents (opening hours, policies, FAQs) kept once and
+// listed by the prompts that use them. A prompt's knowledgebase_ids is an ordered list of
+// document ids; its own knowledgebase text is the location-specific block that follows
+// them and takes precedence. Documents are read when a prompt is rendered, tested or
+// served, so editing one updates every prompt that lists it without a republish.
+// A document may belong to a business, and then only that business's prompts can use it;
+// documents without one are shared by all.
+const { validateSchema } = require('./schema');
+
+const DOCUMENT_COLUMNS = 'id, name, content, business_id, created_at, updated_at';
+
+const DOCUMENT_SCHEMA = {
+  type: 'object',
+  required: ['name', 'content'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 200 },
+    content: { type: 'string' },
+    business_id: { type: ['string', 'null'], maxLength: 200 },
+  },
+};
+
+const OVERRIDE_HEADING = 'This location (takes precedence over the documents above)';
+
+// Check a document body. The business is only taken on create: moving a document would
+// pull it out from under the prompts of its old business.
+function checkDocument(body, { create = false } = {}) {
+  const schema = create ? DOCUMENT_SCHEMA : { ...DOCUMENT_SCHEMA, required: [] };
+  const errors = validateSchema(schema, body);
+  const fields = {};
+  if (body.name !== undefined) fields.name = typeof body.name === 'string' ? body.name.trim() : body.name;
+  if (body.content !== undefined) fields.content = body.content;
+  if (create) fields.business_id = body.business_id || null;
+  return { fields, errors };
+}
+
+// knowledgebase_ids as stored: ids in order without repeats, null for none. CSV imports
+// carry the list as JSON text, as they do the inventory.
+function normalizeDocumentIds(value) {
+  let ids = value;
+  if (typeof ids === 'string') {
+    if (!ids.trim()) return null;
+    try {
+      ids = JSON.parse(ids);
+    } catch (err) {
+      return value;
+    }
+  }
+  if (!Array.isArray(ids)) return ids;
+  const unique = ids.filter((id, index) => ids.indexOf(id) === index);
+  return unique.length ? unique : null;
+}
+
+// Field errors for a filed prompt's document list: every document must exist and be
+// shared or belong to the prompt's business ({ businesses } is the directory)
+function documentErrors(fields, library, { businesses }) {
+  const errors = [];
+  (fields.knowledgebase_ids || []).forEach((id, index) => {
+    const field = `knowledgebase_ids[${index}]`;
+    const document = library.find((row) => row.id === id);
+    if (!document) {
+      errors.push({ field, message: 'is not a known document' });
+    } else if (document.business_id && document.business_id !== fields.business_id) {
+      const owner = businesses.find((row) => row.id === document.business_id);
+      errors.push({ field, message: `belongs to ${owner ? `"${owner.name}"` : 'another business'}` });
+    }
+  });
+  return errors;
+}
+
+// The knowledgebase a prompt runs with: its documents in order, each under its name, then
+// the prompt's own block. Prompts without documents keep their text as it is. Documents
+// deleted since the prompt listed them are skipped.
+function assembleKnowledgebase(row, library) {
+  const documents = (row.knowledgebase_ids || [])
+    .map((id) => library.find((document) => document.id === id))
+    .filter(Boolean);
+  if (!documents.length) return row.knowledgebase;
+  const sections = documents.map((document) => `### ${document.name}\n${document.content}`);
+  if (row.knowledgebase) sections.push(`### ${OVERRIDE_HEADING}\n${row.knowledgebase}`);
+  return sections.join('\n\n');
+}
+
+// The row with knowledgebase replaced by the assembled text, for rendering and counting
+const withKnowledgebase = (row, library) => ({ ...row, knowledgebase: assembleKnowledgebase(row, library) });
+
+// The documents a prompt lists, in order, as they read now: the copy publishing keeps,
+// so later document edits reach bots only once the prompt is published again
+const documentSnapshot = (row, library) => (row.knowledgebase_ids || [])
+  .map((id) => library.find((document) => document.id === id))
+  .filter(Boolean)
+  .map(({ id, name, content }) => ({ id, name, content }));
+
+// How many of `prompts` list the document
+const usageCount = (document, prompts) =>
+  prompts.filter((prompt) => (prompt.knowledgebase_ids || []).includes(document.id)).length;
+
+module.exports = {
+  DOCUMENT_COLUMNS,
+  OVERRIDE_HEADING,
+  checkDocument,
+  normalizeDocumentIds,
+  documentErrors,
+  assembleKnowledgebase,
+  withKnowledgebase,
+  documentSnapshot,
+  usageCount,
+};
@@ -0,0 +1,233 @@
+// Routes for the knowledgebase library (see knowledgebase.js). createPromptsService
+// registers them on its route(), passing the loaders they share with the prompt routes,
+// recordChange for the prompts a document edit reaches, and the limits prompts are
+// checked against.
+const { ServiceError, supabaseFailure, countOf } = require('./errors');
+const { selectAll } = require('./promptQuery');
+const { budgetError } = require('./tokens');
+const { fieldSizeErrors } = require('./limits');
+const { nameKey } = require('./directory');
+const { PUBLISH_REQUEST_CLEARED } = require('./publishing');
+const {
+  DOCUMENT_COLUMNS,
+  checkDocument,
+  normalizeDocumentIds,
+  withKnowledgebase,
+  usageCount,
+} = require('./knowledgebase');
+
+function registerKnowledgebaseRoutes(route, {
+  supabase,
+  logger,
+  tokenBudget,
+  fieldLimits,
+  bundleCache,
+  loadLibrary,
+  loadDirectory,
+  visibleDirectory,
+  recordChange,
+}) {
+  // Knowledgebase documents the user can see: shared ones to anybody with a role, and a
+  // business's to those who can see the business (see visibleDirectory). Each comes with
+  // its business's name and how many live prompts list it.
+  async function visibleLibrary(permissions) {
+    const [library, { businesses }, { data: prompts, error }] = await Promise.all([
+      loadLibrary(),
+      visibleDirectory(permissions),
+      selectAll(() => supabase.from('prompts').select('id, name, business_name, location_id, channel, purpose, knowledgebase_ids').is('deleted_at', null).order('created_at', { ascending: true })),
+    ]);
+    if (error) throw supabaseFailure(error, 'Failed to load knowledgebase documents', logger);
+    const documents = library
+      .filter((document) => (document.business_id
+        ? businesses.some((business) => business.id === document.business_id)
+        : permissions.grants.length > 0))
+      .map((document) => presentDocument(document, businesses, prompts || []));
+    return { documents, prompts: prompts || [] };
+  }
+
+  const presentDocument = (document, businesses, prompts) => {
+    const business = businesses.find((row) => row.id === document.business_id);
+    return { ...document, business_name: business ? business.name : null, used_by: usageCount(document, prompts) };
+  };
+
+  // A document shaped like a prompt for permission checks: editing a business's documents
+  // takes an editor of the whole business, shared ones an editor of everything
+  const documentScope = (document) => ({ business_name: document.business_name, location_id: null });
+
+  async function loadDocument(id, permissions) {
+    const { documents, prompts } = await visibleLibrary(permissions);
+    const document = documents.find((row) => row.id === id);
+    if (!document) throw new ServiceError(404, 'Document not found');
+    return { document, prompts };
+  }
+
+  // The checked columns of a document body: 413 when the content is over the
+  // knowledgebase size limit, 422 for anything else wrong, including a name another
+  // document of the same business (or another shared one) already has
+  async function validateDocument(body, current) {
+    const { fields, errors } = checkDocument(body, { create: !current });
+    const oversized = fieldSizeErrors({ content: fields.content }, { content: fieldLimits.knowledgebase });
+    if (oversized.length) throw new ServiceError(413, 'Document is too large', { errors: oversized });
+
+    const { businesses } = await loadDirectory();
+    const businessId = current ? current.business_id : fields.business_id;
+    const business = businesses.find((row) => row.id === businessId);
+    if (!errors.length && businessId && !business) errors.push({ field: 'business_id', message: 'is not a known business' });
+    if (!errors.length && fields.name !== undefined) {
+      const library = await loadLibrary();
+      const taken = library.some((row) => (!current || row.id !== current.id)
+        && (row.business_id || null) === (businessId || null) && nameKey(row.name) === nameKey(fields.name));
+      if (taken) errors.push({ field: 'name', message: 'is already used by another document' });
+    }
+    if (errors.length) throw new ServiceError(422, 'Invalid document', { errors });
+    return { fields, business_name: business ? business.name : null };
+  }
+
+  // Copies published before documents were kept with them read the library, so any
+  // document write drops the whole bundle cache
+  const forgetAllBundles = () => {
+    if (bundleCache) bundleCache.clear();
+  };
+
+  // GET /api/knowledgebase -> the documents the user can view, by name, each with
+  // used_by (how many live prompts list it)
+  route('GET', '/knowledgebase', async ({ permissions }) => {
+    const { documents } = await visibleLibrary(permissions);
+    return { status: 200, body: documents };
+  });
+
+  // GET /api/knowledgebase/:id -> a document and the prompts listing it that the user can view
+  route('GET', '/knowledgebase/:id', async ({ params, permissions }) => {
+    const { document, prompts } = await loadDocument(params.id, permissions);
+    const users = permissions.visible(prompts.filter((prompt) => (prompt.knowledgebase_ids || []).includes(document.id)));
+    return { status: 200, body: { ...document, prompts: users.map(({ knowledgebase_ids: ids, ...prompt }) => prompt) } };
+  });
+
+  // POST /api/knowledgebase -> create { name, content, business_id? }
+  route('POST', '/knowledgebase', async ({ body, permissions }) => {
+    const { fields, business_name: businessName } = await validateDocument(body, null);
+    permissions.require('editor', { business_name: businessName, location_id: null }, 'You cannot add documents here');
+
+    const { data, error } = await supabase
+      .from('knowledgebase_documents')
+      .insert([{ ...fields, updated_at: new Date().toISOString() }])
+      .select(DOCUMENT_COLUMNS)
+      .single();
+    if (error) throw supabaseFailure(error, 'Failed to create document', logger);
+    return { status: 201, body: { ...data, business_name: businessName, used_by: 0 } };
+  });
+
+  // Live prompts listing the document, whole, for checking and recording a document edit
+  async function promptsListing(document) {
+    const { data, error } = await selectAll(() => supabase.from('prompts').select('*').is('deleted_at', null));
+    if (error) throw supabaseFailure(error, 'Failed to load prompts', logger);
+    return (data || []).filter((prompt) => (prompt.knowledgebase_ids || []).includes(document.id));
+  }
+
+  // 422 when the edited library would put a prompt over the token budget, like an edit
+  // of the prompt itself would; prompts the user cannot see are not named
+  function requireDocumentBudget(prompts, library, permissions) {
+    const errors = prompts
+      .map((prompt) => ({ prompt, overBudget: budgetError(withKnowledgebase(prompt, library), tokenBudget) }))
+      .filter(({ overBudget }) => overBudget)
+      .map(({ prompt, overBudget }) => {
+        const who = permissions.can('viewer', prompt) ? `"${prompt.name}"` : 'another prompt';
+        return { field: 'content', message: `would put ${who} over the token budget (it ${overBudget.message})` };
+      });
+    if (errors.length) throw new ServiceError(422, 'Document would put prompts over the token budget', { errors });
+  }
+
+  // PUT /api/knowledgebase/:id -> change { name?, content? }. The draft of every prompt
+  // listing the document reads the new content from now on, so the edit is checked
+  // against each one's token budget, and each one whose knowledgebase changes gets an
+  // update audit event (and prompt.updated webhooks) and loses any pending publish
+  // request, as a draft edit would. Published copies keep the documents they were
+  // published with until the prompt is published again.
+  route('PUT', '/knowledgebase/:id', async ({ params, body, origin, permissions }) => {
+    const { document } = await loadDocument(params.id, permissions);
+    permissions.require('editor', documentScope(document), 'You cannot edit this document');
+    const { fields } = await validateDocument(body, document);
+
+    const [library, prompts] = await Promise.all([loadLibrary(), promptsListing(document)]);
+    const nextLibrary = library.map((row) => (row.id === document.id ? { ...row, ...fields } : row));
+    requireDocumentBudget(prompts, nextLibrary, permissions);
+
+    const { data, error } = await supabase
+      .from('knowledgebase_documents')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', document.id)
+      .select(DOCUMENT_COLUMNS)
+      .single();
+    if (error) throw supabaseFailure(error, 'Failed to update document', logger);
+    forgetAllBundles();
+    for (const prompt of prompts) {
+      if (withKnowledgebase(prompt, library).knowledgebase === withKnowledgebase(prompt, nextLibrary).knowledgebase) continue;
+      let after = prompt;
+      if (prompt.publish_requested_rev != null) {
+        const { data: withdrawn, error: withdrawErr } = await supabase
+          .from('prompts')
+          .update(PUBLISH_REQUEST_CLEARED)
+          .eq('id', prompt.id)
+          .select()
+          .single();
+        if (withdrawErr) throw supabaseFailure(withdrawErr, 'Failed to update document', logger);
+        after = withdrawn;
+      }
+      await recordChange({ action: 'update', ...origin, before: prompt, after, fields: ['knowledgebase'] });
+    }
+    return { status: 200, body: { ...data, business_name: document.business_name, used_by: document.used_by } };
+  });
+
+  // Live prompts whose published revision lists the document. Drafts may have dropped it
+  // since, but bots are still served the published copy.
+  async function publishedListing(document) {
+    const { data: published, error } = await selectAll(() => supabase
+      .from('prompts')
+      .select('id, published_rev')
+      .is('deleted_at', null)
+      .not('published_rev', 'is', null));
+    if (error) throw supabaseFailure(error, 'Failed to load published prompts', logger);
+    const listing = [];
+    for (const prompt of published || []) {
+      const { data: version, error: versionErr } = await supabase
+        .from('prompt_versions')
+        .select('knowledgebase_ids')
+        .eq('prompt_id', prompt.id)
+        .eq('rev', prompt.published_rev)
+        .maybeSingle();
+      if (versionErr) throw supabaseFailure(versionErr, 'Failed to load published prompts', logger);
+      if (version && (version.knowledgebase_ids || []).includes(document.id)) listing.push(prompt);
+    }
+    return listing;
+  }
+
+  // DELETE /api/knowledgebase/:id -> remove a document no live prompt lists, in its draft
+  // or its published copy; trashed prompts drop it from their lists
+  route('DELETE', '/knowledgebase/:id', async ({ params, permissions }) => {
+    const { document } = await loadDocument(params.id, permissions);
+    permissions.require('editor', documentScope(document), 'You cannot delete this document');
+    if (document.used_by) throw new ServiceError(409, `Document is still used by ${countOf(document.used_by, 'prompt')}`);
+    const published = await publishedListing(document);
+    if (published.length) {
+      throw new ServiceError(409, `Document is still used by the published copy of ${countOf(published.length, 'prompt')}`);
+    }
+
+    const { data: trashed, error: trashErr } = await supabase
+      .from('prompts')
+      .select('id, knowledgebase_ids')
+      .not('deleted_at', 'is', null);
+    if (trashErr) throw supabaseFailure(trashErr, 'Failed to delete document', logger);
+    for (const prompt of (trashed || []).filter((row) => (row.knowledgebase_ids || []).includes(document.id))) {
+      const ids = normalizeDocumentIds(prompt.knowledgebase_ids.filter((id) => id !== document.id));
+      const { error } = await supabase.from('prompts').update({ knowledgebase_ids: ids }).eq('id', prompt.id);
+      if (error) throw supabaseFailure(error, 'Failed to delete document', logger);
+    }
+
+    const { error } = await supabase.from('knowledgebase_documents').delete().eq('id', document.id);
+    if (error) throw supabaseFailure(error, 'Failed to delete document', logger);
+    forgetAllBundles();
+    return { status: 204 };
+  });
+}
+
+module.exports = { registerKnowledgebaseRoutes };
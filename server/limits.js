@@ -0,0 +1,110 @@
+// Abuse protection: fixed-window request rate limits per client IP and per credential
+// (bearer token or API key), and size limits for request bodies and the large prompt
+// fields. Rate limit counters live in memory, so each server process (or warm Netlify
+// function instance) counts separately.
+const crypto = require('crypto');
+
+const DEFAULT_WINDOW_SECONDS = 60;
+const DEFAULT_IP_LIMIT = 300;
+const DEFAULT_CREDENTIAL_LIMIT = 600;
+const DEFAULT_BODY_BYTES = 10 * 1024 * 1024;
+const DEFAULT_KNOWLEDGEBASE_BYTES = 256 * 1024;
+const DEFAULT_INVENTORY_BYTES = 1024 * 1024;
+
+// Counts hits per key in windows of windowMs. hit(key) returns
+// { allowed, limit, remaining, reset } with reset in whole seconds.
+function createRateLimiter({ max, windowMs, now = Date.now }) {
+  const windows = new Map();
+
+  function hit(key) {
+    const time = now();
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= time) {
+      // Drop finished windows now and then so idle clients do not pile up
+      if (windows.size > 10000) {
+        for (const [k, e] of windows) if (e.resetAt <= time) windows.delete(k);
+      }
+      entry = { count: 0, resetAt: time + windowMs };
+      windows.set(key, entry);
+    }
+    entry.count += 1;
+    return {
+      allowed: entry.count <= max,
+      limit: max,
+      remaining: Math.max(0, max - entry.count),
+      reset: Math.max(1, Math.ceil((entry.resetAt - time) / 1000)),
+    };
+  }
+
+  return { hit };
+}
+
+// A limit from env: unset uses the default, 0 turns it off
+function limitFromEnv(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const limit = Number(value);
+  return Number.isFinite(limit) && limit >= 0 ? limit : fallback;
+}
+
+// RATE_LIMIT_WINDOW (seconds), RATE_LIMIT_PER_IP and RATE_LIMIT_PER_CREDENTIAL (requests
+// per window). Returns { ip, credential } limiters, either null when turned off.
+function rateLimitsFromEnv(env) {
+  const windowMs = (Number(env.RATE_LIMIT_WINDOW) || DEFAULT_WINDOW_SECONDS) * 1000;
+  const ipMax = limitFromEnv(env.RATE_LIMIT_PER_IP, DEFAULT_IP_LIMIT);
+  const credentialMax = limitFromEnv(env.RATE_LIMIT_PER_CREDENTIAL, DEFAULT_CREDENTIAL_LIMIT);
+  return {
+    ip: ipMax ? createRateLimiter({ max: ipMax, windowMs }) : null,
+    credential: credentialMax ? createRateLimiter({ max: credentialMax, windowMs }) : null,
+  };
+}
+
+// Counter key for a bearer token or API key; only a hash of it is kept in memory
+const credentialKey = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// RateLimit-* headers (IETF draft) for the result closest to its limit, plus
+// Retry-After when it was refused
+function rateLimitHeaders(result) {
+  const headers = {
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.reset),
+  };
+  if (!result.allowed) headers['Retry-After'] = String(result.reset);
+  return headers;
+}
+
+// MAX_BODY_BYTES: the largest JSON request body either adapter accepts
+function bodyLimitFromEnv(env) {
+  return limitFromEnv(env.MAX_BODY_BYTES, DEFAULT_BODY_BYTES) || DEFAULT_BODY_BYTES;
+}
+
+// MAX_KNOWLEDGEBASE_BYTES and MAX_INVENTORY_BYTES cap the two fields that can grow
+// without bound (the inventory is measured as JSON)
+function fieldLimitsFromEnv(env) {
+  return {
+    knowledgebase: limitFromEnv(env.MAX_KNOWLEDGEBASE_BYTES, DEFAULT_KNOWLEDGEBASE_BYTES),
+    inventory: limitFromEnv(env.MAX_INVENTORY_BYTES, DEFAULT_INVENTORY_BYTES),
+  };
+}
+
+const byteSize = (value) => {
+  if (value === null || value === undefined || value === '') return 0;
+  return Buffer.byteLength(typeof value === 'string' ? value : JSON.stringify(value), 'utf8');
+};
+
+// Field errors for prompt fields over their size limit (a limit of 0 is off)
+function fieldSizeErrors(fields, limits) {
+  return Object.entries(limits)
+    .filter(([field, limit]) => limit && byteSize(fields[field]) > limit)
+    .map(([field, limit]) => ({ field, message: `must be at most ${limit} bytes (is ${byteSize(fields[field])})` }));
+}
+
+module.exports = {
+  createRateLimiter,
+  rateLimitsFromEnv,
+  credentialKey,
+  rateLimitHeaders,
+  bodyLimitFromEnv,
+  fieldLimitsFromEnv,
+  fieldSizeErrors,
+};
@@ -0,0 +1,208 @@
+// LLM providers for the test console (POST /api/prompts/:id/test). A provider has
+// { name, model, chat({ messages }) }: chat() sends the request and resolves once the
+// provider has accepted it, to an async iterable of { delta } text chunks optionally
+// followed by { usage: { prompt_tokens, completion_tokens } }.
+//
+// LLM_PROVIDER picks the provider: 'openai' (the default when LLM_API_KEY is set; any
+// OpenAI-compatible chat completions API via LLM_BASE_URL and LLM_MODEL) or 'mock'
+// (deterministic, no network).
+const { renderPrompt } = require('./templates');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+// Rough count for providers that do not report usage (about 4 characters per token)
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function inventoryLines(inventory) {
+  const items = inventory && Array.isArray(inventory.items) ? inventory.items : [];
+  return items.map((item) => {
+    const details = [
+      item.price !== undefined ? `price ${item.price}` : null,
+      item.quantity !== undefined ? `quantity ${item.quantity}` : null,
+      item.availability || null,
+    ].filter(Boolean);
+    return `- ${[item.sku, item.name].filter(Boolean).join(' ')}${details.length ? ` (${details.join(', ')})` : ''}`;
+  });
+}
+
+// System prompt = the rendered template, plus the knowledgebase and inventory unless
+// the template already pulls them in through {{knowledgebase}} / {{inventory...}}.
+// Returns { text, errors } where errors are unresolved template variables.
+function systemPrompt(prompt, variables = {}) {
+  const { text, errors, placeholders } = renderPrompt(prompt, variables);
+  const uses = (name) => placeholders.some((p) => p === name || p.startsWith(`${name}.`));
+
+  const sections = [text];
+  if (prompt.knowledgebase && !uses('knowledgebase')) {
+    sections.push(`## Knowledgebase\n${prompt.knowledgebase}`);
+  }
+  const items = inventoryLines(prompt.inventory);
+  if (items.length && !uses('inventory')) {
+    sections.push(`## Inventory\n${items.join('\n')}`);
+  }
+  return { text: sections.join('\n\n'), errors };
+}
+
+// The system prompt plus the customer's message; returns { messages, errors }
+function buildChatMessages(prompt, message, variables = {}) {
+  const { text, errors } = systemPrompt(prompt, variables);
+  return {
+    messages: [
+      { role: 'system', content: text },
+      { role: 'user', content: message },
+    ],
+    errors,
+  };
+}
+
+// Split a fetch body into server-sent event data payloads
+async function* sseData(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line.startsWith('data:')) yield line.slice(5).trim();
+    }
+  }
+}
+
+function createOpenAiProvider({ apiKey, baseUrl = DEFAULT_BASE_URL, model = DEFAULT_MODEL, fetchImpl = fetch }) {
+  return {
+    name: 'openai',
+    model,
+    async chat({ messages }) {
+      const response = await fetchImpl(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({ model, messages, stream: true, stream_options: { include_usage: true } }),
+      });
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`LLM provider responded ${response.status}: ${detail.slice(0, 500)}`);
+      }
+
+      return (async function* events() {
+        for await (const data of sseData(response.body)) {
+          if (data === '[DONE]') return;
+          const chunk = JSON.parse(data);
+          const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+          if (delta && delta.content) yield { delta: delta.content };
+          if (chunk.usage) yield { usage: chunk.usage };
+        }
+      })();
+    },
+  };
+}
+
+// Echoes the request back word by word so tests and offline development get a
+// stable, streamed reply without calling out
+function createMockProvider({ model = 'mock-1' } = {}) {
+  return {
+    name: 'mock',
+    model,
+    async chat({ messages }) {
+      const system = messages.find((m) => m.role === 'system');
+      const user = [...messages].reverse().find((m) => m.role === 'user');
+      const reply = `Mock reply to "${user ? user.content : ''}" (system prompt: ${system ? system.content.length : 0} characters)`;
+
+      return (async function* events() {
+        const words = reply.split(' ');
+        for (let i = 0; i < words.length; i += 1) {
+          yield { delta: i === 0 ? words[i] : ` ${words[i]}` };
+        }
+        yield {
+          usage: {
+            prompt_tokens: messages.reduce((sum, m) => sum + estimateTokens(m.content), 0),
+            completion_tokens: estimateTokens(reply),
+          },
+        };
+      })();
+    },
+  };
+}
+
+// NDJSON lines for a chat reply: { type: 'delta', text } per chunk, then one
+// { type: 'done', usage, latency_ms, ... } or { type: 'error', error } if the provider
+// fails mid-reply (the status line has already been sent by then)
+async function* replyLines({ provider, messages, events, startedAt, logger }) {
+  const line = (value) => `${JSON.stringify(value)}\n`;
+  let text = '';
+  let usage = null;
+  let firstTokenMs = null;
+  try {
+    for await (const event of events) {
+      if (event.delta) {
+        if (firstTokenMs === null) firstTokenMs = Date.now() - startedAt;
+        text += event.delta;
+        yield line({ type: 'delta', text: event.delta });
+      }
+      if (event.usage) usage = event.usage;
+    }
+  } catch (err) {
+    logger.error('LLM stream failed:', err);
+    yield line({ type: 'error', error: 'LLM provider stream failed' });
+    return;
+  }
+
+  const promptTokens = usage ? usage.prompt_tokens : messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+  const completionTokens = usage ? usage.completion_tokens : estimateTokens(text);
+  yield line({
+    type: 'done',
+    provider: provider.name,
+    model: provider.model,
+    usage: {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens,
+      estimated: !usage,
+    },
+    first_token_ms: firstTokenMs,
+    latency_ms: Date.now() - startedAt,
+  });
+}
+
+// Run a chat to completion for callers that do not stream: { text, usage, latency_ms }
+// (usage is null when the provider does not report it). Provider errors propagate.
+async function collectReply(provider, messages) {
+  const startedAt = Date.now();
+  let text = '';
+  let usage = null;
+  for await (const event of await provider.chat({ messages })) {
+    if (event.delta) text += event.delta;
+    if (event.usage) usage = event.usage;
+  }
+  return { text, usage, latency_ms: Date.now() - startedAt };
+}
+
+// Provider configured by the environment, or null when none is set up
+function llmFromEnv(env) {
+  if ((env.LLM_PROVIDER || '').toLowerCase() === 'mock') return createMockProvider();
+  const apiKey = env.LLM_API_KEY || env.OPENAI_API_KEY;
+  if (!env.LLM_PROVIDER && !apiKey) return null;
+  return createOpenAiProvider({
+    apiKey,
+    baseUrl: env.LLM_BASE_URL || DEFAULT_BASE_URL,
+    model: env.LLM_MODEL || DEFAULT_MODEL,
+  });
+}
+
+module.exports = {
+  estimateTokens,
+  systemPrompt,
+  buildChatMessages,
+  replyLines,
+  collectReply,
+  createOpenAiProvider,
+  createMockProvider,
+  llmFromEnv,
+};
@@ -0,0 +1,85 @@
+// The prompt slots of a location (the locations themselves are directory rows, see
+// directory.js). Each live prompt under a location_id fills one slot there, a channel
+// plus a purpose, so a location can hold an SMS greeting, a voice escalation and so on.
+// At most one live prompt fills a slot. 'all' and 'general' are the defaults: prompts
+// from before slots existed sit there, and a bot asking for a channel that has no prompt
+// of its own gets the location's 'all' prompt for that purpose.
+const { ServiceError } = require('./errors');
+
+const CHANNELS = ['all', 'sms', 'web_chat', 'voice', 'email'];
+const PURPOSES = ['general', 'greeting', 'support', 'reminder', 'follow_up', 'escalation', 'pending'];
+const SLOT_DEFAULTS = { channel: 'all', purpose: 'general' };
+const SLOT_FIELDS = Object.keys(SLOT_DEFAULTS);
+
+// The slot a prompt row (or create body) fills, with defaults for missing values
+function slotOf(row) {
+  return {
+    channel: (row && row.channel) || SLOT_DEFAULTS.channel,
+    purpose: (row && row.purpose) || SLOT_DEFAULTS.purpose,
+  };
+}
+
+const slotLabel = ({ channel, purpose }) => `${channel}/${purpose}`;
+
+// " for sms/greeting" to qualify messages about a location, or nothing for the default slot
+const slotSuffix = (slot) => (slotLabel(slot) === slotLabel(SLOT_DEFAULTS) ? '' : ` for ${slotLabel(slot)}`);
+
+// Bodies may leave channel and purpose out, or send them empty (blank CSV cells), to
+// mean the default on create and "unchanged" on update
+function blankSlotsRemoved(body) {
+  const cleaned = { ...body };
+  SLOT_FIELDS.forEach((field) => {
+    if (cleaned[field] === null || cleaned[field] === '') delete cleaned[field];
+  });
+  return cleaned;
+}
+
+// ?channel=&purpose= of a lookup, checked against the known values
+function parseSlotQuery(query) {
+  const slot = slotOf(query);
+  if (!CHANNELS.includes(slot.channel)) throw new ServiceError(400, `channel must be one of ${CHANNELS.join(', ')}`);
+  if (!PURPOSES.includes(slot.purpose)) throw new ServiceError(400, `purpose must be one of ${PURPOSES.join(', ')}`);
+  return slot;
+}
+
+// The row a lookup for `slot` is served from: the exact channel, else the 'all' channel
+// for the same purpose. Rows are oldest first, so the oldest wins among duplicates left
+// from before slots were unique.
+function pickSlot(rows, slot) {
+  const forPurpose = rows.filter((row) => slotOf(row).purpose === slot.purpose);
+  return (
+    forPurpose.find((row) => slotOf(row).channel === slot.channel) ||
+    forPurpose.find((row) => slotOf(row).channel === SLOT_DEFAULTS.channel) ||
+    null
+  );
+}
+
+// Body of GET /locations/:location_id: the location row with its prompts ordered by
+// channel and purpose
+function locationSummary(location, prompts) {
+  const order = (row) => {
+    const { channel, purpose } = slotOf(row);
+    return CHANNELS.indexOf(channel) * PURPOSES.length + PURPOSES.indexOf(purpose);
+  };
+  const sorted = [...prompts].sort((a, b) => order(a) - order(b));
+  return {
+    ...location,
+    prompt_count: sorted.length,
+    channels: CHANNELS.filter((channel) => sorted.some((row) => slotOf(row).channel === channel)),
+    prompts: sorted,
+  };
+}
+
+module.exports = {
+  CHANNELS,
+  PURPOSES,
+  SLOT_DEFAULTS,
+  SLOT_FIELDS,
+  slotOf,
+  slotLabel,
+  slotSuffix,
+  blankSlotsRemoved,
+  parseSlotQuery,
+  pickSlot,
+  locationSummary,
+};
@@ -0,0 +1,44 @@
+// Small in-process LRU cache. Entries older than ttlMs (when set) count as missing, which
+// bounds staleness when another process (e.g. the Netlify function) changes the data.
+function createLruCache({ max = 500, ttlMs = 0, now = Date.now } = {}) {
+  const entries = new Map();
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (ttlMs && now() - entry.storedAt > ttlMs) {
+        entries.delete(key);
+        return undefined;
+      }
+      // Re-insert so Map order stays least- to most-recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, storedAt: now() });
+      while (entries.size > max) entries.delete(entries.keys().next().value);
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    clear() {
+      entries.clear();
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+// BUNDLE_CACHE_SIZE entries (default 500), each kept at most BUNDLE_CACHE_TTL seconds (default 60)
+function bundleCacheFromEnv(env) {
+  return createLruCache({
+    max: Number(env.BUNDLE_CACHE_SIZE) || 500,
+    ttlMs: (Number(env.BUNDLE_CACHE_TTL) || 60) * 1000,
+  });
+}
+
+module.exports = { createLruCache, bundleCacheFromEnv };
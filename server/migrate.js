@@ -0,0 +1,60 @@
+// Brings the configured storage (STORAGE_DRIVER, see storage/index.js) up to this
+// release's schema: npm run migrate. On Supabase it applies the pending files in
+// migrations/ over DATABASE_URL, the project's Postgres connection string (the Supabase
+// API cannot run DDL); the file backend is migrated by opening it. With --status it
+// only reports pending migrations and drift.
+require('dotenv').config();
+const path = require('path');
+const { DEFAULT_FILE, storageDriver } = require('./storage');
+const { SCHEMA_VERSION, createFileStorage, readDatabase } = require('./storage/file');
+const { label, runMigrations, migrationStatus, driftProblems } = require('./storage/migrations');
+
+async function migratePostgres(env, { statusOnly }) {
+  if (!env.DATABASE_URL) {
+    throw new Error('Set DATABASE_URL to the Postgres connection string (Supabase: Project Settings > Database)');
+  }
+  const { Client } = require('pg');
+  const client = new Client({ connectionString: env.DATABASE_URL });
+  await client.connect();
+  try {
+    if (statusOnly) {
+      const comparison = await migrationStatus(client);
+      const problems = driftProblems(comparison);
+      console.log(problems.length ? problems.join('\n') : 'The database is up to date');
+      if (comparison.changed.length || comparison.unknown.length) process.exitCode = 1;
+      return;
+    }
+    const applied = await runMigrations(client, { log: console.log });
+    console.log(applied.length ? `Applied ${applied.map(label).join(', ')}` : 'The database is up to date');
+  } finally {
+    await client.end();
+  }
+}
+
+function migrateFile(env, { statusOnly }) {
+  const file = path.resolve(env.STORAGE_FILE || DEFAULT_FILE);
+  if (statusOnly) {
+    const { schema_version: version } = readDatabase(file);
+    console.log(`${file} is at schema version ${version}, this release expects ${SCHEMA_VERSION}`);
+    return;
+  }
+  const { migrations } = createFileStorage({ file });
+  console.log(migrations.length ? `Migrated ${file} to schema version ${SCHEMA_VERSION}` : `${file} is up to date`);
+}
+
+async function main(argv, env) {
+  const statusOnly = argv.includes('--status');
+  const driver = storageDriver(env);
+  if (driver === 'supabase') return migratePostgres(env, { statusOnly });
+  if (driver === 'file') return migrateFile(env, { statusOnly });
+  console.log(`Nothing to migrate for the ${driver} storage driver`);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2), process.env).catch((err) => {
+    console.error('Migration failed:', err.message || err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { main };
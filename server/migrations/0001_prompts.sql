@@ -0,0 +1,11 @@
+-- The prompts table as the app first shipped
+create table if not exists prompts (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  prompt text not null,
+  location_id text,
+  business_name text,
+  knowledgebase text,
+  inventory text,
+  created_at timestamptz not null default now()
+);
@@ -0,0 +1,16 @@
+-- Immutable revisions of every prompt (Prompt History)
+create table if not exists prompt_versions (
+  id uuid primary key default gen_random_uuid(),
+  prompt_id uuid not null references prompts(id) on delete cascade,
+  rev integer not null,
+  name text,
+  prompt text,
+  location_id text,
+  business_name text,
+  knowledgebase text,
+  inventory jsonb,
+  author text,
+  restored_from integer,
+  created_at timestamptz not null default now(),
+  unique (prompt_id, rev)
+);
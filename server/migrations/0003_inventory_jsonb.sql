@@ -0,0 +1,10 @@
+-- Structured inventory documents. Rows whose old free-text inventory is not valid JSON
+-- make this fail; fix them and run it again.
+do $$
+begin
+  if (select data_type from information_schema.columns
+      where table_schema = current_schema() and table_name = 'prompts' and column_name = 'inventory') <> 'jsonb' then
+    alter table prompts alter column inventory type jsonb using
+      case when inventory is null or inventory = '' then '{"items": []}'::jsonb else inventory::jsonb end;
+  end if;
+end $$;
@@ -0,0 +1,27 @@
+-- Revision token for optimistic concurrency (Concurrent edits). The API sets updated_at
+-- itself when it edits a prompt; the trigger covers content edits that do not (the SQL
+-- editor, scripts), so they still change the token and stale edits get a 409.
+-- Publishing and trashing leave the token alone, as they do through the API. It keeps
+-- millisecond precision because clients send the token back as a JavaScript timestamp.
+alter table prompts add column if not exists updated_at timestamptz;
+
+create or replace function set_updated_at() returns trigger
+language plpgsql as $$
+begin
+  if tg_op = 'INSERT' then
+    new.updated_at := coalesce(new.updated_at, date_trunc('milliseconds', now()));
+  elsif new.updated_at is not distinct from old.updated_at
+    and (new.name, new.prompt, new.location_id, new.business_name, new.knowledgebase, new.inventory::text)
+      is distinct from (old.name, old.prompt, old.location_id, old.business_name, old.knowledgebase, old.inventory::text) then
+    new.updated_at := greatest(
+      date_trunc('milliseconds', now()),
+      coalesce(old.updated_at, old.created_at) + interval '1 millisecond'
+    );
+  end if;
+  return new;
+end $$;
+
+drop trigger if exists prompts_set_updated_at on prompts;
+create trigger prompts_set_updated_at
+  before insert or update on prompts
+  for each row execute function set_updated_at();
@@ -0,0 +1,9 @@
+-- Drafts and publishing
+alter table prompts
+  add column if not exists published_rev integer,
+  add column if not exists published_hash text,
+  add column if not exists published_at timestamptz,
+  add column if not exists published_by text,
+  add column if not exists publish_requested_rev integer,
+  add column if not exists publish_requested_by text,
+  add column if not exists publish_requested_at timestamptz;
@@ -0,0 +1,5 @@
+-- Soft delete (Trash)
+alter table prompts
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by text;
+create index if not exists prompts_deleted_at_idx on prompts (deleted_at);
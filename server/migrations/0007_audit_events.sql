@@ -0,0 +1,17 @@
+-- Audit log. prompt_id deliberately has no foreign key so events outlive purged prompts.
+create table if not exists audit_events (
+  id uuid primary key default gen_random_uuid(),
+  created_at timestamptz not null default now(),
+  actor text,
+  action text not null,
+  prompt_id uuid not null,
+  prompt_name text,
+  business_name text,
+  location_id text,
+  changed_fields jsonb not null default '[]',
+  before_hash text,
+  after_hash text,
+  ip text
+);
+create index if not exists audit_events_prompt_idx on audit_events (prompt_id, created_at desc);
+create index if not exists audit_events_created_idx on audit_events (created_at desc);
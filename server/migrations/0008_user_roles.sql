@@ -0,0 +1,10 @@
+-- Role grants per business and/or location
+create table if not exists user_roles (
+  id uuid primary key default gen_random_uuid(),
+  email text not null,
+  role text not null check (role in ('viewer', 'editor', 'admin')),
+  business_name text,
+  location_id text,
+  created_at timestamptz not null default now()
+);
+create index if not exists user_roles_email_idx on user_roles (email);
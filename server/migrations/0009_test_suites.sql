@@ -0,0 +1,24 @@
+-- Test cases and stored runs (Test suites)
+create table if not exists prompt_test_cases (
+  id uuid primary key default gen_random_uuid(),
+  prompt_id uuid not null references prompts(id) on delete cascade,
+  name text not null,
+  message text not null,
+  expected jsonb not null default '[]',
+  patterns jsonb not null default '[]',
+  forbidden jsonb not null default '[]',
+  created_at timestamptz not null default now()
+);
+create index if not exists prompt_test_cases_prompt_idx on prompt_test_cases (prompt_id);
+
+create table if not exists prompt_test_runs (
+  id uuid primary key default gen_random_uuid(),
+  prompt_id uuid not null references prompts(id) on delete cascade,
+  rev integer,
+  actor text,
+  passed integer not null,
+  failed integer not null,
+  results jsonb not null,
+  created_at timestamptz not null default now()
+);
+create index if not exists prompt_test_runs_prompt_idx on prompt_test_runs (prompt_id, created_at desc);
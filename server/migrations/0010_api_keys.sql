@@ -0,0 +1,16 @@
+-- Hashed, scoped API keys
+create table if not exists api_keys (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  prefix text not null,
+  key_hash text not null unique,
+  scopes text[] not null,
+  business_name text,
+  location_id text,
+  created_by text,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz,
+  last_used_ip text,
+  rotated_at timestamptz,
+  revoked_at timestamptz
+);
@@ -0,0 +1,27 @@
+-- Outgoing webhooks and their delivery log
+create table if not exists webhooks (
+  id uuid primary key default gen_random_uuid(),
+  url text not null,
+  secret text not null,
+  events text[] not null,
+  business_name text,
+  location_id text,
+  active boolean not null default true,
+  created_by text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  webhook_id uuid not null references webhooks (id) on delete cascade,
+  event text not null,
+  payload jsonb not null,
+  status text not null,
+  attempts int not null default 0,
+  response_status int,
+  error text,
+  next_attempt_at timestamptz,
+  delivered_at timestamptz,
+  created_at timestamptz not null default now()
+);
+create index if not exists webhook_deliveries_due_idx on webhook_deliveries (status, next_attempt_at);
@@ -0,0 +1,6 @@
+-- location_id is unique among prompts that are not in the trash (the API checks this
+-- too, but only the index holds under concurrent writes). The other indexes back the
+-- list filters and the default sort.
+create unique index if not exists prompts_location_id_live_key on prompts (location_id) where deleted_at is null;
+create index if not exists prompts_business_name_idx on prompts (business_name);
+create index if not exists prompts_created_at_idx on prompts (created_at);
@@ -0,0 +1,36 @@
+-- Locations own several prompts: each fills a slot of its location, a channel plus a
+-- purpose (see server/locations.js). Existing prompts take the default slot,
+-- all/general, and location_id becomes unique per slot among live prompts.
+alter table prompts
+  add column if not exists channel text not null default 'all',
+  add column if not exists purpose text not null default 'general';
+alter table prompts
+  add constraint prompts_channel_check check (channel in ('all', 'sms', 'web_chat', 'voice', 'email')),
+  add constraint prompts_purpose_check
+    check (purpose in ('general', 'greeting', 'support', 'reminder', 'follow_up', 'escalation', 'pending'));
+
+-- Revisions from before this keep null, meaning the default slot
+alter table prompt_versions
+  add column if not exists channel text,
+  add column if not exists purpose text;
+
+drop index if exists prompts_location_id_live_key;
+create unique index if not exists prompts_location_slot_live_key
+  on prompts (location_id, channel, purpose) where deleted_at is null;
+
+-- Moving a prompt to another slot changes its revision token too (see 0004_updated_at.sql)
+create or replace function set_updated_at() returns trigger
+language plpgsql as $$
+begin
+  if tg_op = 'INSERT' then
+    new.updated_at := coalesce(new.updated_at, date_trunc('milliseconds', now()));
+  elsif new.updated_at is not distinct from old.updated_at
+    and (new.name, new.prompt, new.location_id, new.channel, new.purpose, new.business_name, new.knowledgebase, new.inventory::text)
+      is distinct from (old.name, old.prompt, old.location_id, old.channel, old.purpose, old.business_name, old.knowledgebase, old.inventory::text) then
+    new.updated_at := greatest(
+      date_trunc('milliseconds', now()),
+      coalesce(old.updated_at, old.created_at) + interval '1 millisecond'
+    );
+  end if;
+  return new;
+end $$;
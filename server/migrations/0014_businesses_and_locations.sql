@@ -0,0 +1,89 @@
+-- Businesses and locations become rows of their own that prompts reference by foreign
+-- key (see server/directory.js). The free-text values already on prompts are
+-- de-duplicated: business names that differ only in case or spacing become one business,
+-- spelled the way most prompts spell it, and each distinct location_id becomes a
+-- location, owned by a business when all of its prompts name the same one. Role grants,
+-- API keys and webhooks scoped to a variant spelling move to the surviving one.
+create table if not exists businesses (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create unique index if not exists businesses_name_key on businesses (lower(name));
+
+create table if not exists locations (
+  id text primary key,
+  name text,
+  business_id uuid references businesses (id) on delete restrict,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create index if not exists locations_business_id_idx on locations (business_id);
+
+alter table prompts add column if not exists business_id uuid;
+-- Revisions keep the id next to the name so restoring one finds a renamed business
+alter table prompt_versions add column if not exists business_id uuid;
+
+with spellings as (
+  select btrim(regexp_replace(business_name, '\s+', ' ', 'g')) as name, count(*) as uses
+  from prompts
+  where btrim(coalesce(business_name, '')) <> ''
+  group by 1
+), ranked as (
+  select name, row_number() over (partition by lower(name) order by uses desc, name) as rank
+  from spellings
+)
+insert into businesses (name)
+select name from ranked where rank = 1
+on conflict do nothing;
+
+update prompts p
+set business_id = b.id, business_name = b.name
+from businesses b
+where p.business_id is null
+  and lower(btrim(regexp_replace(p.business_name, '\s+', ' ', 'g'))) = lower(b.name);
+
+update prompt_versions v
+set business_id = b.id
+from businesses b
+where v.business_id is null
+  and lower(btrim(regexp_replace(v.business_name, '\s+', ' ', 'g'))) = lower(b.name);
+
+update user_roles r
+set business_name = b.name
+from businesses b
+where r.business_name <> b.name
+  and lower(btrim(regexp_replace(r.business_name, '\s+', ' ', 'g'))) = lower(b.name);
+
+update api_keys k
+set business_name = b.name
+from businesses b
+where k.business_name <> b.name
+  and lower(btrim(regexp_replace(k.business_name, '\s+', ' ', 'g'))) = lower(b.name);
+
+update webhooks w
+set business_name = b.name
+from businesses b
+where w.business_name <> b.name
+  and lower(btrim(regexp_replace(w.business_name, '\s+', ' ', 'g'))) = lower(b.name);
+
+-- Blank location_ids mean no location. Trashed prompts count too: the foreign key
+-- covers them.
+update prompts set location_id = null where btrim(location_id) = '';
+insert into locations (id, business_id)
+select location_id,
+  case when count(business_id) = count(*) and count(distinct business_id) = 1
+    then (array_agg(business_id))[1] end
+from prompts
+where location_id is not null
+group by location_id
+on conflict (id) do nothing;
+
+alter table prompts drop constraint if exists prompts_business_id_fkey;
+alter table prompts
+  add constraint prompts_business_id_fkey foreign key (business_id) references businesses (id) on delete restrict;
+alter table prompts drop constraint if exists prompts_location_id_fkey;
+alter table prompts
+  add constraint prompts_location_id_fkey foreign key (location_id) references locations (id) on delete restrict;
+create index if not exists prompts_business_id_idx on prompts (business_id);
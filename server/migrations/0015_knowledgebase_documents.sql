@@ -0,0 +1,20 @@
+-- Knowledgebase library: named documents prompts list in order (see
+-- server/knowledgebase.js) ahead of their own knowledgebase text, which stays as the
+-- location-specific block. A document belongs to a business or, without one, is shared
+-- by all; names are unique within each.
+create table if not exists knowledgebase_documents (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  content text not null default '',
+  business_id uuid references businesses (id) on delete restrict,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+create unique index if not exists knowledgebase_documents_name_key
+  on knowledgebase_documents (coalesce(business_id::text, ''), lower(name));
+create index if not exists knowledgebase_documents_business_id_idx on knowledgebase_documents (business_id);
+
+-- Ordered arrays of document ids; null means the prompt lists none (revisions from
+-- before this keep null too)
+alter table prompts add column if not exists knowledgebase_ids jsonb;
+alter table prompt_versions add column if not exists knowledgebase_ids jsonb;
@@ -0,0 +1,17 @@
+-- Row level security on every table, with no policies. The anon and authenticated roles
+-- (anyone holding the public anon key, or a signed-in user's token) can then neither read
+-- nor write anything through the Supabase REST API. The API connects with the service
+-- role key, which bypasses row level security, and authorizes each request itself.
+alter table prompts enable row level security;
+alter table prompt_versions enable row level security;
+alter table audit_events enable row level security;
+alter table user_roles enable row level security;
+alter table prompt_test_cases enable row level security;
+alter table prompt_test_runs enable row level security;
+alter table api_keys enable row level security;
+alter table webhooks enable row level security;
+alter table webhook_deliveries enable row level security;
+alter table businesses enable row level security;
+alter table locations enable row level security;
+alter table knowledgebase_documents enable row level security;
+alter table if exists schema_migrations enable row level security;
@@ -0,0 +1,5 @@
+-- The library documents a published copy lists, as they read when it was published
+-- ([{ id, name, content }], see server/publishing.js), so a document edit reaches bots
+-- only once the prompt is published again. Copies published before this keep null and
+-- read the current documents.
+alter table prompts add column if not exists published_documents jsonb;
@@ -0,0 +1,87 @@
+// Role-based access to prompts. Grants are rows in the user_roles table:
+//   { id, email, role, business_name, location_id }
+// A grant applies to prompts matching every scope column it sets; a grant with neither
+// business_name nor location_id applies to all prompts. Emails in ADMIN_EMAILS are
+// global admins without needing a row (bootstrap for the first admin).
+//   viewer - read prompts, history and previews
+//   editor - also create, update, restore, import and delete
+//   admin  - also manage role grants within their scope
+const { ServiceError } = require('./errors');
+
+const ROLES = ['viewer', 'editor', 'admin'];
+const ROLE_COLUMNS = 'id, email, role, business_name, location_id, created_at';
+
+const rank = (role) => ROLES.indexOf(role) + 1;
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function parseAdminEmails(value) {
+  return String(value || '').split(',').map(normalizeEmail).filter(Boolean);
+}
+
+function grantCovers(grant, prompt) {
+  if (grant.business_name && grant.business_name !== (prompt.business_name || '')) return false;
+  if (grant.location_id && String(grant.location_id) !== String(prompt.location_id || '')) return false;
+  return true;
+}
+
+// Highest role any grant gives on the prompt (or null)
+function roleFor(grants, prompt) {
+  return grants.reduce((best, grant) => {
+    if (!grantCovers(grant, prompt)) return best;
+    return rank(grant.role) > rank(best) ? grant.role : best;
+  }, null);
+}
+
+function createPermissions(grants) {
+  const can = (role, prompt) => rank(roleFor(grants, prompt)) >= rank(role);
+
+  return {
+    grants,
+    roleFor: (prompt) => roleFor(grants, prompt),
+    can,
+    // Throw 403 unless the user holds at least `role` on the prompt
+    require(role, prompt, message = `You do not have ${role} access to this prompt`) {
+      if (!can(role, prompt)) throw new ServiceError(403, message);
+    },
+    visible: (prompts) => prompts.filter((prompt) => can('viewer', prompt)),
+    // Equality filters selecting exactly the rows the user can view, so listings can
+    // page in the query: none when a grant covers everything, the scope of the only
+    // grant otherwise, and null when it takes several grants (rows are then filtered
+    // with visible())
+    viewerFilter() {
+      if (grants.some((grant) => !grant.business_name && !grant.location_id)) return {};
+      if (grants.length !== 1) return null;
+      const filter = {};
+      if (grants[0].business_name) filter.business_name = grants[0].business_name;
+      if (grants[0].location_id) filter.location_id = String(grants[0].location_id);
+      return filter;
+    },
+  };
+}
+
+// Load the grants that apply to a signed-in user; resolves to { data, error }
+async function loadGrants(supabase, user, adminEmails = []) {
+  const email = normalizeEmail(user.email);
+  if (!email) return { data: [], error: null };
+  if (adminEmails.includes(email)) {
+    return { data: [{ id: null, email, role: 'admin', business_name: null, location_id: null }], error: null };
+  }
+
+  const { data, error } = await supabase.from('user_roles').select(ROLE_COLUMNS).eq('email', email);
+  if (error) return { data: null, error };
+  return { data: (data || []).filter((grant) => ROLES.includes(grant.role)), error: null };
+}
+
+module.exports = {
+  ROLES,
+  ROLE_COLUMNS,
+  normalizeEmail,
+  parseAdminEmails,
+  grantCovers,
+  roleFor,
+  createPermissions,
+  loadGrants,
+};
@@ -0,0 +1,134 @@
+// Search, filter, sort and pagination for GET /api/prompts and the other paged
+// listings. Equality filters, the sort and, where the user's roles can be written as
+// filters (see permissions.js), the page itself are pushed into the Supabase query.
+// Otherwise search and role scoping run over every row, read in batches, so totals
+// always match what is visible.
+const { ServiceError } = require('./errors');
+
+const SORT_KEYS = ['name', 'business_name', 'location_id', 'created_at'];
+const FILTER_KEYS = ['business_name', 'business_id', 'location_id'];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+// Rows asked for per request by selectAll; PostgREST may cap it lower (max_rows)
+const FETCH_BATCH = 1000;
+
+function positiveInt(value, field, fallback) {
+  if (value === undefined || value === '') return fallback;
+  if (!/^\d+$/.test(String(value)) || Number(value) < 1) {
+    throw new ServiceError(400, `${field} must be a positive integer`);
+  }
+  return Number(value);
+}
+
+// ?page=&page_size= shared by every paged listing
+function parsePaging(query = {}) {
+  return {
+    page: positiveInt(query.page, 'page', 1),
+    pageSize: Math.min(positiveInt(query.page_size, 'page_size', DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE),
+  };
+}
+
+// Validate ?q=&business_name=&business_id=&location_id=&sort=&direction=&page=&page_size=
+function parseListQuery(query = {}) {
+  const sort = query.sort || 'created_at';
+  if (!SORT_KEYS.includes(sort)) {
+    throw new ServiceError(400, `sort must be one of ${SORT_KEYS.join(', ')}`);
+  }
+  const direction = (query.direction || 'asc').toLowerCase();
+  if (direction !== 'asc' && direction !== 'desc') {
+    throw new ServiceError(400, 'direction must be "asc" or "desc"');
+  }
+
+  const filters = {};
+  FILTER_KEYS.forEach((key) => {
+    if (query[key] !== undefined && query[key] !== '') filters[key] = String(query[key]);
+  });
+
+  return {
+    q: String(query.q || '').trim(),
+    filters,
+    sort,
+    direction,
+    ...parsePaging(query),
+  };
+}
+
+// Text a prompt is searched by: its fields plus inventory SKUs and item names
+// (not the raw inventory JSON, whose keys would match every search for "price")
+function searchableText(prompt) {
+  const items = prompt.inventory && Array.isArray(prompt.inventory.items) ? prompt.inventory.items : [];
+  return [
+    prompt.name,
+    prompt.prompt,
+    prompt.location_id,
+    prompt.business_name,
+    prompt.knowledgebase,
+    ...items.map((item) => `${item.sku || ''} ${item.name || ''}`),
+  ].filter(Boolean).join('\n').toLowerCase();
+}
+
+// Every whitespace-separated term must appear somewhere in the prompt
+function matchesSearch(prompt, q) {
+  if (!q) return true;
+  const text = searchableText(prompt);
+  return q.toLowerCase().split(/\s+/).every((term) => text.includes(term));
+}
+
+// Apply the filters and sort to a Supabase select
+function applyToQuery(builder, { filters, sort, direction }) {
+  let query = builder;
+  Object.entries(filters).forEach(([key, value]) => {
+    query = query.eq(key, value);
+  });
+  query = query.order(sort, { ascending: direction === 'asc' });
+  // Stable pages when the sort key has ties
+  if (sort !== 'created_at') query = query.order('created_at', { ascending: true });
+  return query;
+}
+
+// The first and last row of a page, for .range()
+const pageRange = ({ page, pageSize }) => [(page - 1) * pageSize, page * pageSize - 1];
+
+// A page of `total` rows, `items` being the ones on it
+function pageOf(items, total, { page, pageSize }) {
+  return {
+    items,
+    total,
+    page,
+    page_size: pageSize,
+    pages: Math.max(1, Math.ceil(total / pageSize)),
+  };
+}
+
+function paginate(rows, { q = '', page, pageSize }) {
+  const matches = rows.filter((row) => matchesSearch(row, q));
+  const start = (page - 1) * pageSize;
+  return pageOf(matches.slice(start, start + pageSize), matches.length, { page, pageSize });
+}
+
+// Every row of a select. PostgREST stops a response at max_rows, so rows are read a
+// batch at a time until one comes back empty. makeQuery() builds a fresh, ordered select;
+// id breaks ties so no row falls between two batches.
+async function selectAll(makeQuery) {
+  const rows = [];
+  for (;;) {
+    const { data, error } = await makeQuery()
+      .order('id', { ascending: true })
+      .range(rows.length, rows.length + FETCH_BATCH - 1);
+    if (error) return { data: null, error };
+    if (!data || !data.length) return { data: rows, error: null };
+    rows.push(...data);
+  }
+}
+
+module.exports = {
+  SORT_KEYS,
+  parsePaging,
+  parseListQuery,
+  applyToQuery,
+  pageRange,
+  pageOf,
+  paginate,
+  selectAll,
+  matchesSearch,
+};
@@ -0,0 +1,36 @@
+// Declarative rules for prompt create/update bodies, in the JSON Schema subset schema.js
+// understands. GET /api/schema/prompt serves it so the add/edit forms check the same
+// rules before saving (client/src/utils/schema.js mirrors the validator). Sizes in bytes
+// (limits.js), the inventory document (inventory.js), the token budget, free location
+// slots, that the business and location exist (directory.js) and that the knowledgebase
+// documents exist (knowledgebase.js) are checked by the service on top of this.
+const { CHANNELS, PURPOSES } = require('./locations');
+
+const PROMPT_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Prompt',
+  type: 'object',
+  required: ['name', 'prompt'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 200 },
+    prompt: { type: 'string', minLength: 1, maxLength: 200000 },
+    location_id: {
+      type: ['string', 'null'],
+      maxLength: 200,
+      pattern: '^\\S*$',
+      patternMessage: 'must not contain spaces',
+    },
+    channel: { type: 'string', enum: CHANNELS },
+    purpose: { type: 'string', enum: PURPOSES },
+    business_name: { type: ['string', 'null'], maxLength: 200 },
+    business_id: { type: ['string', 'null'], maxLength: 200 },
+    knowledgebase: { type: ['string', 'null'] },
+    knowledgebase_ids: { type: ['array', 'null'], items: { type: 'string', minLength: 1, maxLength: 200 } },
+    inventory: { type: ['object', 'array', 'string', 'null'] },
+  },
+};
+
+// Text fields stored without surrounding whitespace
+const TRIMMED_FIELDS = ['name', 'location_id', 'business_name'];
+
+module.exports = { PROMPT_SCHEMA, TRIMMED_FIELDS };
@@ -0,0 +1,62 @@
+// Fields captured in every prompt revision (everything a restore needs to bring back)
+const VERSION_FIELDS = ['name', 'prompt', 'location_id', 'business_name', 'business_id', 'knowledgebase', 'knowledgebase_ids', 'inventory', 'channel', 'purpose'];
+
+// Highest revision number recorded for a prompt: { data: rev or null, error }
+async function latestRevision(supabase, promptId) {
+  const { data, error } = await supabase
+    .from('prompt_versions')
+    .select('rev')
+    .eq('prompt_id', promptId)
+    .order('rev', { ascending: false })
+    .limit(1);
+
+  if (error) return { data: null, error };
+  return { data: data && data.length ? data[0].rev : null, error: null };
+}
+
+// Times recordVersion takes the next number again after losing it to a concurrent write
+const VERSION_ATTEMPTS = 5;
+
+// Postgres unique_violation: another write took the revision number first
+const isUniqueViolation = (error) => Boolean(error && error.code === '23505');
+
+// Append an immutable revision for the given prompt row: { data: version row, error }.
+// Revision numbers are sequential per prompt; (prompt_id, rev) is unique in the table,
+// so when a concurrent write takes the same number the insert fails and is retried with
+// the next one.
+async function recordVersion(supabase, prompt, { author = null, restoredFrom = null } = {}) {
+  const row = { prompt_id: prompt.id, author, restored_from: restoredFrom };
+  VERSION_FIELDS.forEach((field) => {
+    row[field] = prompt[field];
+  });
+
+  for (let attempt = 1; ; attempt++) {
+    const { data: latest, error: latestErr } = await latestRevision(supabase, prompt.id);
+    if (latestErr) return { data: null, error: latestErr };
+
+    const result = await supabase
+      .from('prompt_versions')
+      .insert([{ ...row, rev: latest === null ? 1 : latest + 1 }])
+      .select()
+      .single();
+    if (!isUniqueViolation(result.error) || attempt === VERSION_ATTEMPTS) return result;
+  }
+}
+
+// Prompts created before history existed have no revisions yet; snapshot their
+// current state first so the pre-edit content is never lost.
+async function ensureBaselineVersion(supabase, prompt) {
+  const { data, error } = await supabase
+    .from('prompt_versions')
+    .select('rev')
+    .eq('prompt_id', prompt.id)
+    .limit(1);
+
+  if (error) return { error };
+  if (data && data.length) return { error: null };
+
+  const { error: insertErr } = await recordVersion(supabase, prompt);
+  return { error: insertErr };
+}
+
+module.exports = { VERSION_FIELDS, latestRevision, recordVersion, ensureBaselineVersion };
@@ -0,0 +1,1596 @@
+// Framework-agnostic prompts API shared by the Express server and the Netlify function.
+// Adapters translate their native request into { method, path, query, headers, body }
+// (path relative to /api, percent-encoded as it came over the wire) and send back the { status, headers, body } this returns
+// (or { status, headers, text } for non-JSON responses such as CSV downloads, and
+// { status, headers, stream } for streamed ones, stream being an async iterable of strings).
+const { ServiceError, supabaseFailure } = require('./errors');
+const { VERSION_FIELDS, latestRevision, recordVersion, ensureBaselineVersion } = require('./promptVersions');
+const { renderPrompt } = require('./templates');
+const { normalizeInventory } = require('./inventory');
+const { toCsv, parseCsv } = require('./csv');
+const { authFromEnv, bearerToken } = require('./auth');
+const {
+  API_KEY_COLUMNS,
+  isApiKey,
+  hashApiKey,
+  generateApiKey,
+  checkApiKey,
+  hasScope,
+  keyGrants,
+  keyUser,
+  lastUsedIsStale,
+} = require('./apiKeys');
+const { parsePaging, parseListQuery, applyToQuery, pageRange, pageOf, paginate, selectAll } = require('./promptQuery');
+const { AUDIT_COLUMNS, auditEvent, contentHash, parseAuditQuery, applyAuditFilters } = require('./audit');
+const { buildChatMessages, replyLines, collectReply, llmFromEnv } = require('./llm');
+const { TEST_CASE_COLUMNS, TEST_RUN_COLUMNS, checkTestCase, evaluateReply } = require('./testSuites');
+const { budgetFromEnv, promptTokens, budgetError } = require('./tokens');
+const { validateSchema } = require('./schema');
+const { PROMPT_SCHEMA, TRIMMED_FIELDS } = require('./promptSchema');
+const {
+  rateLimitsFromEnv,
+  credentialKey,
+  rateLimitHeaders,
+  fieldLimitsFromEnv,
+  fieldSizeErrors,
+} = require('./limits');
+const {
+  WEBHOOK_COLUMNS,
+  DELIVERY_COLUMNS,
+  checkWebhook,
+  generateSecret,
+  createWebhookDispatcher,
+} = require('./webhooks');
+const {
+  PUBLISH_REQUEST_CLEARED,
+  parseBoolean,
+  documentsUnchanged,
+  publishStatus,
+  publishedWithKnowledgebase,
+  locationBundle,
+  bundleEtag,
+  matchesEtag,
+} = require('./publishing');
+const {
+  ROLES,
+  ROLE_COLUMNS,
+  normalizeEmail,
+  parseAdminEmails,
+  createPermissions,
+  loadGrants,
+} = require('./permissions');
+const {
+  SLOT_DEFAULTS,
+  SLOT_FIELDS,
+  slotOf,
+  slotLabel,
+  slotSuffix,
+  blankSlotsRemoved,
+  parseSlotQuery,
+  pickSlot,
+} = require('./locations');
+const {
+  BUSINESS_COLUMNS,
+  LOCATION_COLUMNS,
+  placePrompt,
+  locationScope,
+  presentLocation,
+} = require('./directory');
+const {
+  DOCUMENT_COLUMNS,
+  normalizeDocumentIds,
+  documentErrors,
+  withKnowledgebase,
+  documentSnapshot,
+} = require('./knowledgebase');
+const { registerDirectoryRoutes } = require('./directoryRoutes');
+const { registerKnowledgebaseRoutes } = require('./knowledgebaseRoutes');
+
+const PROMPT_FIELDS = ['name', 'prompt', 'location_id', 'business_name', 'knowledgebase', 'inventory', 'channel', 'purpose', 'knowledgebase_ids'];
+const PUBLISH_COLUMNS = 'published_rev, published_hash, published_documents, published_at, published_by, publish_requested_rev, publish_requested_by, publish_requested_at';
+const PROMPT_COLUMNS = `id, name, prompt, location_id, channel, purpose, business_name, business_id, knowledgebase, knowledgebase_ids, inventory, created_at, updated_at, ${PUBLISH_COLUMNS}`;
+const TRASH_COLUMNS = `${PROMPT_COLUMNS}, deleted_at, deleted_by`;
+const VERSION_COLUMNS = 'id, prompt_id, rev, name, prompt, location_id, channel, purpose, business_name, business_id, knowledgebase, knowledgebase_ids, inventory, author, restored_from, created_at';
+
+// Channel and purpose are only written when given, so edits that leave them out keep
+// the prompt in its slot
+function pickPromptFields(body) {
+  const fields = {};
+  PROMPT_FIELDS.forEach((field) => {
+    const value = body[field];
+    if (value === undefined && SLOT_FIELDS.includes(field)) return;
+    fields[field] = TRIMMED_FIELDS.includes(field) && typeof value === 'string' ? value.trim() : value;
+  });
+  return fields;
+}
+
+// Check a create/update body against the token budget and field size limits; returns
+// the columns to write plus any field errors (sizes are checked before the inventory is
+// parsed, and the token budget only once the inventory is valid). The budget counts the
+// documents the prompt lists from `library`.
+function checkPrompt(input, { budget, fieldLimits, library = [] }) {
+  const body = blankSlotsRemoved(input);
+  if (body.knowledgebase_ids !== undefined) body.knowledgebase_ids = normalizeDocumentIds(body.knowledgebase_ids);
+  const errors = validateSchema(PROMPT_SCHEMA, body);
+  if (errors.length) return { fields: pickPromptFields(body), errors };
+
+  const oversized = fieldSizeErrors(body, fieldLimits);
+  if (oversized.length) return { fields: pickPromptFields(body), errors: [...errors, ...oversized] };
+
+  const inventory = normalizeInventory(body.inventory);
+  errors.push(...inventory.errors);
+
+  const fields = { ...pickPromptFields(body), inventory: inventory.value };
+  if (!inventory.errors.length) {
+    const overBudget = budgetError(withKnowledgebase(fields, library), budget);
+    if (overBudget) errors.push(overBudget);
+  }
+  return { fields, errors };
+}
+
+// Summary for a 422 listing field errors
+function validationMessage(errors) {
+  if (errors.every((e) => e.field === 'tokens')) return 'Prompt exceeds the token budget';
+  if (errors.every((e) => e.field.startsWith('inventory'))) return 'Invalid inventory';
+  return 'Invalid prompt';
+}
+
+// Validate a create/update body and return the columns to write. Invalid fields get a
+// 422 listing each of them; oversized ones a 413.
+function validatePrompt(body, limits) {
+  const oversized = fieldSizeErrors(body, limits.fieldLimits);
+  if (oversized.length) {
+    throw new ServiceError(413, 'Prompt fields are too large', { errors: oversized });
+  }
+
+  const { fields, errors } = checkPrompt(body, limits);
+  if (errors.length) {
+    throw new ServiceError(422, validationMessage(errors), { errors });
+  }
+  return fields;
+}
+
+function sameContent(row, fields) {
+  const current = { ...row, ...slotOf(row) };
+  return PROMPT_FIELDS.every((field) => JSON.stringify(current[field] ?? null) === JSON.stringify(fields[field] ?? null));
+}
+
+// A row as it will be once `fields` are written (fields left undefined are not written)
+function withChanges(row, fields) {
+  const result = { ...row };
+  Object.entries(fields).forEach(([field, value]) => {
+    if (value !== undefined) result[field] = value;
+  });
+  return result;
+}
+
+// The prompt columns a revision brings back; revisions from before prompts had slots
+// bring back the default one. Documents deleted from `library` since the revision was
+// saved are left out rather than refused.
+function versionFields(version, library) {
+  const fields = {};
+  VERSION_FIELDS.forEach((field) => {
+    fields[field] = version[field];
+  });
+  if (fields.knowledgebase_ids) {
+    fields.knowledgebase_ids = fields.knowledgebase_ids.filter((id) => library.some((document) => document.id === id));
+  }
+  return { ...fields, ...slotOf(version) };
+}
+
+// Revision token for optimistic concurrency. Rows written before updated_at existed
+// fall back to created_at until their first edit.
+function revisionOf(row) {
+  return row.updated_at || row.created_at || null;
+}
+
+function sameRevision(a, b) {
+  if (!a || !b) return false;
+  const timeA = new Date(a).getTime();
+  return !Number.isNaN(timeA) && timeA === new Date(b).getTime();
+}
+
+// updated_at for a write: now, but always later than the row's current revision so
+// two saves within the same millisecond still get different tokens
+function nextRevision(row) {
+  const previous = row ? new Date(revisionOf(row)).getTime() || 0 : 0;
+  return new Date(Math.max(Date.now(), previous + 1)).toISOString();
+}
+
+// The revision an update was based on: an If-Match header (ETag syntax) or the
+// updated_at the client read with the prompt
+function expectedRevision(headers, body) {
+  const ifMatch = headers['if-match'] || headers['If-Match'];
+  if (ifMatch) return String(ifMatch).trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+  return body.updated_at || null;
+}
+
+const etagHeaders = (row) => ({ ETag: `"${revisionOf(row)}"` });
+
+// Import payloads are { format: 'csv' | 'json', data } where data is CSV text,
+// a JSON string or an already-parsed array of prompt objects
+function parseImportRows({ format, data }) {
+  if (format === 'csv') {
+    if (typeof data !== 'string') throw new ServiceError(400, 'CSV imports must send data as a string');
+    try {
+      return parseCsv(data);
+    } catch (err) {
+      throw new ServiceError(400, `Invalid CSV: ${err.message}`);
+    }
+  }
+  if (format === 'json') {
+    let rows = data;
+    if (typeof data === 'string') {
+      try {
+        rows = JSON.parse(data);
+      } catch (err) {
+        throw new ServiceError(400, 'Invalid JSON import data');
+      }
+    }
+    if (rows && !Array.isArray(rows) && Array.isArray(rows.prompts)) rows = rows.prompts;
+    if (!Array.isArray(rows) || rows.some((row) => !row || typeof row !== 'object' || Array.isArray(row))) {
+      throw new ServiceError(400, 'JSON imports must be an array of prompt objects');
+    }
+    return rows;
+  }
+  throw new ServiceError(400, 'format must be "csv" or "json"');
+}
+
+// Turn '/prompts/:id/versions' into a regex with named groups
+function compilePath(pattern) {
+  const source = pattern
+    .split('/')
+    .map((part) => (part.startsWith(':') ? `(?<${part.slice(1)}>[^/]+)` : part))
+    .join('/');
+  return new RegExp(`^${source}/?$`);
+}
+
+// The named groups of a route match, percent-decoded (ids such as "café-1" arrive as
+// "caf%C3%A9-1"); a malformed escape is the client's mistake
+function pathParams(match) {
+  const params = {};
+  Object.entries(match.groups || {}).forEach(([name, value]) => {
+    try {
+      params[name] = decodeURIComponent(value);
+    } catch (err) {
+      throw new ServiceError(400, `Invalid ${name} in path`);
+    }
+  });
+  return params;
+}
+
+// Name recorded as the author of revisions and the actor of audit events
+function actorOf(user) {
+  return user ? user.email || user.id : null;
+}
+
+// Scope columns of a role grant or API key, shaped like a prompt so permission checks apply to it
+const grantScope = (grant) => ({ business_name: grant.business_name || null, location_id: grant.location_id || null });
+
+function createPromptsService({
+  supabase,
+  auth = authFromEnv(process.env),
+  adminEmails = parseAdminEmails(process.env.ADMIN_EMAILS),
+  trashRetentionDays = Number(process.env.TRASH_RETENTION_DAYS) || 30,
+  llm = llmFromEnv(process.env),
+  tokenBudget = budgetFromEnv(process.env),
+  fieldLimits = fieldLimitsFromEnv(process.env),
+  // { ip, credential } limiters from limits.js; adapters pass one set that outlives a
+  // single service so counts carry across requests
+  rateLimits = null,
+  publishRequiresApproval = parseBoolean(process.env.PUBLISH_REQUIRES_APPROVAL),
+  // Optional LRU (see lruCache.js) for location bundles; the Express server passes one
+  bundleCache = null,
+  bundleMaxAge = Number(process.env.BUNDLE_MAX_AGE) || 30,
+  // Overrides for createWebhookDispatcher (fetchImpl, maxAttempts, baseDelayMs, ...)
+  webhookOptions = {},
+  logger = console,
+}) {
+  const routes = [];
+  const promptLimits = { budget: tokenBudget, fieldLimits };
+  const webhooks = createWebhookDispatcher({ supabase, logger, ...webhookOptions });
+  // access: 'public' (never checks credentials) or 'required' (a valid bearer token;
+  // the handler then receives the user and their permissions). keyScope is the API key
+  // scope the route needs (read-all for GETs and write otherwise unless given); null
+  // keeps API keys out entirely.
+  const route = (method, pattern, handler, { access = 'required', keyScope } = {}) => {
+    const scope = keyScope === undefined ? (method === 'GET' ? 'read-all' : 'write') : keyScope;
+    routes.push({ method, regex: compilePath(pattern), handler, access, keyScope: scope });
+  };
+
+  // Prompt rows as returned to clients: with approximate token counts against the budget
+  // (knowledgebase documents from `library` included), the names of those documents and
+  // where the draft stands relative to the published copy (whose documents stay out)
+  const presentPrompt = (row, library) => {
+    if (!row) return row;
+    const { published_documents: publishedDocuments, ...prompt } = row;
+    return {
+      ...prompt,
+      knowledgebase_documents: (row.knowledgebase_ids || [])
+        .map((id) => library.find((document) => document.id === id))
+        .filter(Boolean)
+        .map(({ id, name }) => ({ id, name })),
+      tokens: promptTokens(withKnowledgebase(row, library), tokenBudget),
+      publish_status: publishStatus(row, library),
+    };
+  };
+
+  // Every knowledgebase document. Like the directory, the library is loaded whole.
+  async function loadLibrary() {
+    const { data, error } = await selectAll(() => supabase.from('knowledgebase_documents').select(DOCUMENT_COLUMNS).order('name', { ascending: true }));
+    if (error) throw supabaseFailure(error, 'Failed to load knowledgebase documents', logger);
+    return data || [];
+  }
+
+  // presentPrompt for routes that have not loaded the library themselves
+  const presentPrompts = async (rows) => {
+    const library = await loadLibrary();
+    return rows.map((row) => presentPrompt(row, library));
+  };
+  const presentOne = async (row) => presentPrompt(row, await loadLibrary());
+
+  // Prompts in the trash are treated as missing unless includeDeleted is set
+  async function loadPrompt(id, { includeDeleted = false } = {}) {
+    const { data, error } = await supabase.from('prompts').select('*').eq('id', id).maybeSingle();
+    if (error) throw supabaseFailure(error, 'Failed to load prompt', logger);
+    if (!data || (data.deleted_at && !includeDeleted)) throw new ServiceError(404, 'Prompt not found');
+    return data;
+  }
+
+  // Prompts the user cannot view are reported as missing rather than forbidden
+  async function loadVisiblePrompt(id, permissions) {
+    const prompt = await loadPrompt(id);
+    if (!permissions.can('viewer', prompt)) throw new ServiceError(404, 'Prompt not found');
+    return prompt;
+  }
+
+  // Drop cached bundles for the locations a changed prompt was or is served under (every
+  // slot of the location, since a change to an 'all' prompt can move other channels' lookups)
+  function forgetBundles(...rows) {
+    if (!bundleCache) return;
+    rows.forEach((row) => {
+      if (row && row.location_id) bundleCache.delete(String(row.location_id));
+    });
+  }
+
+  // Side effects of every prompt write: the audit event, dropping cached bundles and
+  // firing webhooks. change: { action, actor, ip, before, after, fields? } (see
+  // auditEvent). The write has already happened, so failures here are logged rather
+  // than failing the request.
+  async function recordChange(change) {
+    forgetBundles(change.before, change.after);
+    const event = auditEvent(change);
+    const { error } = await supabase.from('audit_events').insert([event]);
+    if (error) logger.error('Failed to record audit event:', error);
+    await webhooks.dispatch(event).catch((err) => logger.error('Failed to dispatch webhooks:', err));
+  }
+
+  // Every business and location. The directory is small, and names are matched without
+  // case, so it is loaded whole and searched in memory.
+  async function loadDirectory() {
+    const [businesses, locations] = await Promise.all([
+      selectAll(() => supabase.from('businesses').select(BUSINESS_COLUMNS).order('name', { ascending: true })),
+      selectAll(() => supabase.from('locations').select(LOCATION_COLUMNS)),
+    ]);
+    const error = businesses.error || locations.error;
+    if (error) throw supabaseFailure(error, 'Failed to load businesses and locations', logger);
+    return { businesses: businesses.data || [], locations: locations.data || [] };
+  }
+
+  // Validated prompt fields filed under their business and location (see placePrompt),
+  // listing documents of the library its business may use; unknown ones get a 422 like
+  // any other field error
+  async function filePrompt(fields, body, library) {
+    const directory = await loadDirectory();
+    const placed = placePrompt(fields, body, directory);
+    const errors = placed.errors.length ? placed.errors : documentErrors(placed.fields, library || await loadLibrary(), directory);
+    if (errors.length) throw new ServiceError(422, 'Invalid prompt', { errors });
+    return placed.fields;
+  }
+
+  // The directory as a user sees it. Locations show when a grant covers them, and
+  // unassigned ones to anybody with a role so any editor can file prompts there;
+  // businesses show when a grant covers the business or one of its locations.
+  async function visibleDirectory(permissions) {
+    const { businesses, locations } = await loadDirectory();
+    const visibleLocations = locations
+      .map((location) => presentLocation(location, businesses))
+      .filter((location) => (location.business_id ? permissions.can('viewer', locationScope(location)) : permissions.grants.length > 0));
+    const visibleBusinesses = businesses.filter((business) =>
+      permissions.can('viewer', { business_name: business.name }) ||
+      visibleLocations.some((location) => location.business_id === business.id));
+    return { businesses: visibleBusinesses, locations: visibleLocations };
+  }
+
+  async function loadLocation(id, permissions) {
+    const { locations } = await visibleDirectory(permissions);
+    const location = locations.find((row) => row.id === id);
+    if (!location) throw new ServiceError(404, 'Location not found');
+    return location;
+  }
+
+  // GET /api/health -> quick diagnostics (does not leak secrets)
+  route('GET', '/health', async () => ({
+    status: 200,
+    body: {
+      ok: true,
+      env: {
+        SUPABASE_URL_SET: Boolean(process.env.SUPABASE_URL),
+        SUPABASE_ANON_KEY_SET: Boolean(process.env.SUPABASE_ANON_KEY),
+        SUPABASE_SERVICE_ROLE_KEY_SET: Boolean(process.env.SUPABASE_SERVICE_ROLE_KEY),
+        AUTH_PROVIDER: auth.provider,
+        LLM_PROVIDER: llm ? llm.name : null,
+        node: process.version,
+      },
+    },
+  }), { access: 'public' });
+
+  // GET /api/schema/prompt -> the rules create/update bodies are checked against, for
+  // clients to validate forms before saving
+  route('GET', '/schema/prompt', async () => ({ status: 200, body: PROMPT_SCHEMA }));
+
+  // POST /api/auth/login -> exchange email/password for a bearer token
+  route('POST', '/auth/login', async ({ body }) => {
+    if (!body.email || !body.password) {
+      throw new ServiceError(400, 'Email and password are required');
+    }
+    const session = await auth.login(String(body.email), String(body.password));
+    return { status: 200, body: session };
+  }, { access: 'public' });
+
+  // GET /api/auth/me -> the user the bearer token belongs to and their role grants
+  route('GET', '/auth/me', async ({ user, permissions }) => ({
+    status: 200,
+    body: { user, roles: permissions.grants },
+  }));
+
+  // One page of a listing. makeQuery(selectOptions) builds the ordered, filtered select.
+  // The query pages (id breaking ties) and counts when the user's roles can be written as filters (or
+  // `permissions` is null, the caller having checked access) and there is no search;
+  // otherwise every row is read and the page cut here.
+  async function listPage(makeQuery, permissions, paging, message) {
+    const scope = paging.q ? null : permissions ? permissions.viewerFilter() : {};
+    if (scope) {
+      let query = makeQuery({ count: 'exact' });
+      Object.entries(scope).forEach(([column, value]) => {
+        query = query.eq(column, value);
+      });
+      const { data, error, count } = await query.order('id', { ascending: true }).range(...pageRange(paging));
+      if (error) throw supabaseFailure(error, message, logger);
+      return pageOf(data || [], count || 0, paging);
+    }
+    const { data, error } = await selectAll(() => makeQuery());
+    if (error) throw supabaseFailure(error, message, logger);
+    return paginate(permissions ? permissions.visible(data) : data, paging);
+  }
+
+  // GET /api or /api/prompts -> one page of the prompts the user can view:
+  // { items, total, page, page_size, pages, token_budget } (see promptQuery.js for the parameters)
+  const listPrompts = async ({ query, permissions }) => {
+    const options = parseListQuery(query);
+    const page = await listPage(
+      (selectOptions) => applyToQuery(supabase.from('prompts').select(PROMPT_COLUMNS, selectOptions).is('deleted_at', null), options),
+      permissions,
+      options,
+      'Failed to fetch prompts'
+    );
+    return { status: 200, body: { ...page, items: await presentPrompts(page.items), token_budget: tokenBudget } };
+  };
+  route('GET', '/', listPrompts);
+  route('GET', '/prompts', listPrompts);
+
+  // origin: { actor, ip } of the request making the change
+  // 422 when another live prompt already fills the slot (location_id, channel and
+  // purpose) `target` would take; the other prompt is named only when the user can see it
+  async function requireFreeSlot(target, exceptId, permissions) {
+    if (!target.location_id) return;
+    const slot = slotOf(target);
+    const { data, error } = await supabase
+      .from('prompts')
+      .select('id, name, business_name, location_id, channel, purpose')
+      .eq('location_id', target.location_id)
+      .is('deleted_at', null);
+    if (error) throw supabaseFailure(error, 'Failed to check location_id', logger);
+    const owner = (data || []).find((row) => row.id !== exceptId && slotLabel(slotOf(row)) === slotLabel(slot));
+    if (!owner) return;
+    const who = permissions.can('viewer', owner) ? `"${owner.name}"` : 'another prompt';
+    throw new ServiceError(422, 'Invalid prompt', {
+      errors: [{ field: 'location_id', message: `is already used by ${who}${slotSuffix(slot)}` }],
+    });
+  }
+
+  async function createPrompt(fields, origin) {
+    const { data, error } = await supabase
+      .from('prompts')
+      .insert([{ ...SLOT_DEFAULTS, ...fields, updated_at: nextRevision(null) }])
+      .select()
+      .single();
+    if (error) throw supabaseFailure(error, 'Failed to create prompt', logger);
+
+    // Every prompt starts with a recorded revision (publishing pins revisions), so a
+    // prompt whose first revision cannot be recorded is removed again
+    const { error: versionErr } = await recordVersion(supabase, data, { author: origin.actor });
+    if (versionErr) {
+      const { error: undoErr } = await supabase.from('prompts').delete().eq('id', data.id);
+      if (undoErr) logger.error('Failed to remove prompt without a revision:', undoErr);
+      throw supabaseFailure(versionErr, 'Failed to create prompt', logger);
+    }
+    await recordChange({ action: 'create', ...origin, after: data });
+    return data;
+  }
+
+  // 409 carrying the server's copy so the client can merge against it
+  async function conflictWith(id) {
+    const latest = await loadPrompt(id);
+    return new ServiceError(409, 'Prompt was changed by someone else', { current: await presentOne(latest) });
+  }
+
+  // Compare-and-swap on updated_at: the write only lands if nobody saved since
+  // `current` was read, otherwise it fails with a 409. Editing the draft withdraws
+  // any publish request, since the approver would no longer see what was asked for.
+  async function updatePrompt(current, fields, origin, { action = 'update', restoredFrom = null } = {}) {
+    const { error: baselineErr } = await ensureBaselineVersion(supabase, current);
+    if (baselineErr) throw supabaseFailure(baselineErr, 'Failed to update prompt', logger);
+
+    let query = supabase
+      .from('prompts')
+      .update({ ...fields, ...PUBLISH_REQUEST_CLEARED, updated_at: nextRevision(current) })
+      .eq('id', current.id)
+      .is('deleted_at', null);
+    query = current.updated_at ? query.eq('updated_at', current.updated_at) : query.is('updated_at', null);
+    const { data, error } = await query.select().maybeSingle();
+
+    if (error) throw supabaseFailure(error, 'Failed to update prompt', logger);
+    if (!data) throw await conflictWith(current.id);
+
+    // Every draft is a recorded revision (publishing pins revisions), so an edit that
+    // cannot be recorded is put back, unless someone has saved over it since
+    const { error: versionErr } = await recordVersion(supabase, data, { author: origin.actor, restoredFrom });
+    if (versionErr) {
+      const restored = {};
+      [...VERSION_FIELDS, ...Object.keys(PUBLISH_REQUEST_CLEARED), 'updated_at'].forEach((field) => {
+        restored[field] = current[field] === undefined ? null : current[field];
+      });
+      const { error: undoErr } = await supabase.from('prompts').update(restored).eq('id', data.id).eq('updated_at', data.updated_at);
+      if (undoErr) logger.error('Failed to put back prompt edit without a revision:', undoErr);
+      throw supabaseFailure(versionErr, 'Failed to update prompt', logger);
+    }
+    await recordChange({ action, ...origin, before: current, after: data });
+    return data;
+  }
+
+  // Create from a request body, for POST /prompts and POST /locations/:location_id/prompts
+  async function createFromBody(body, origin, permissions) {
+    const library = await loadLibrary();
+    const fields = await filePrompt(validatePrompt(body, { ...promptLimits, library }), body, library);
+    permissions.require('editor', fields, 'You do not have editor access to this business');
+    await requireFreeSlot(fields, null, permissions);
+    const created = await createPrompt(fields, origin);
+    return { status: 201, headers: etagHeaders(created), body: presentPrompt(created, library) };
+  }
+
+  // POST /api/prompts -> create
+  route('POST', '/prompts', async ({ body, origin, permissions }) => createFromBody(body, origin, permissions));
+
+  // PUT /api/prompts/:id -> update. The revision being edited must be sent as
+  // If-Match (the ETag) or body.updated_at; a stale one gets a 409 with the current copy.
+  route('PUT', '/prompts/:id', async ({ params, headers, body, origin, permissions }) => {
+    const library = await loadLibrary();
+    const fields = await filePrompt(validatePrompt(body, { ...promptLimits, library }), body, library);
+    const current = await loadPrompt(params.id);
+    permissions.require('editor', current, 'You do not have permission to edit this prompt');
+    permissions.require('editor', fields, 'You do not have editor access to this business');
+
+    const expected = expectedRevision(headers, body);
+    if (!expected) {
+      throw new ServiceError(428, 'Send the revision being edited as an If-Match header or updated_at');
+    }
+    if (!sameRevision(expected, revisionOf(current))) {
+      throw new ServiceError(409, 'Prompt was changed by someone else', { current: presentPrompt(current, library) });
+    }
+    await requireFreeSlot(withChanges(current, fields), current.id, permissions);
+
+    const updated = await updatePrompt(current, fields, origin);
+    return { status: 200, headers: etagHeaders(updated), body: presentPrompt(updated, library) };
+  });
+
+  // GET /api/prompts/export?format=csv|json -> download every prompt
+  route('GET', '/prompts/export', async ({ query, permissions }) => {
+    const format = (query.format || 'json').toLowerCase();
+    if (format !== 'csv' && format !== 'json') {
+      throw new ServiceError(400, 'format must be "csv" or "json"');
+    }
+
+    const { data, error } = await selectAll(() => supabase
+      .from('prompts')
+      .select(PROMPT_COLUMNS)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: true }));
+    if (error) throw supabaseFailure(error, 'Failed to export prompts', logger);
+    const rows = permissions.visible(data || []);
+
+    const filename = `prompts-${new Date().toISOString().slice(0, 10)}.${format}`;
+    return {
+      status: 200,
+      headers: {
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+      },
+      text: format === 'csv' ? toCsv(rows, PROMPT_FIELDS) : JSON.stringify(rows, null, 2),
+    };
+  });
+
+  // POST /api/prompts/import -> upsert by slot (location_id, channel and purpose);
+  // { dryRun: true } only reports the plan
+  route('POST', '/prompts/import', async ({ body, origin, permissions }) => {
+    const rows = parseImportRows(body);
+
+    const { data: existing, error } = await selectAll(() => supabase.from('prompts').select('*').is('deleted_at', null));
+    if (error) throw supabaseFailure(error, 'Failed to import prompts', logger);
+    const directory = await loadDirectory();
+    const library = await loadLibrary();
+    const slotKey = (row) => `${row.location_id}|${slotLabel(slotOf(row))}`;
+    const bySlot = new Map((existing || []).filter((p) => p.location_id).map((p) => [slotKey(p), p]));
+
+    const seenSlots = new Map();
+    const plan = rows.map((row, index) => {
+      const rowNumber = index + 1;
+      // Businesses are matched by name, as CSV files carry them
+      const checked = checkPrompt(row, { ...promptLimits, library });
+      const placed = placePrompt({ ...SLOT_DEFAULTS, ...checked.fields }, {}, directory);
+      const { fields } = placed;
+      const errors = [
+        ...checked.errors,
+        ...placed.errors.filter((error) => !checked.errors.some((other) => other.field === error.field)),
+      ];
+      if (!errors.length) errors.push(...documentErrors(fields, library, directory));
+      const locationId = fields.location_id ? String(fields.location_id).trim() : '';
+      if (locationId) fields.location_id = locationId;
+      const key = locationId ? slotKey(fields) : null;
+
+      if (key && seenSlots.has(key)) {
+        errors.push({ field: 'location_id', message: `duplicates row ${seenSlots.get(key)}` });
+      } else if (key) {
+        seenSlots.set(key, rowNumber);
+      }
+
+      const current = key ? bySlot.get(key) : null;
+      if (current && !permissions.can('editor', current)) {
+        errors.push({ field: 'location_id', message: 'belongs to a prompt you cannot edit' });
+      } else if (!permissions.can('editor', fields)) {
+        errors.push({ field: 'business_name', message: 'you do not have editor access to this business' });
+      }
+
+      const entry = { row: rowNumber, name: fields.name || null, location_id: locationId || null };
+      if (errors.length) return { ...entry, action: 'error', errors };
+
+      if (!current) return { ...entry, action: 'create', fields };
+      if (sameContent(current, fields)) return { ...entry, action: 'skip', id: current.id, current };
+      return { ...entry, action: 'update', id: current.id, current, fields };
+    });
+
+    const summary = { create: 0, update: 0, skip: 0, error: 0 };
+    plan.forEach((entry) => {
+      summary[entry.action] += 1;
+    });
+
+    if (!body.dryRun) {
+      for (const entry of plan) {
+        try {
+          if (entry.action === 'create') entry.id = (await createPrompt(entry.fields, origin)).id;
+          if (entry.action === 'update') await updatePrompt(entry.current, entry.fields, origin);
+        } catch (err) {
+          if (!(err instanceof ServiceError)) throw err;
+          summary[entry.action] -= 1;
+          summary.error += 1;
+          entry.action = 'error';
+          entry.errors = [{ field: 'row', message: err.message }];
+        }
+      }
+    }
+
+    return {
+      status: 200,
+      body: {
+        dryRun: Boolean(body.dryRun),
+        summary,
+        rows: plan.map(({ fields, current, ...entry }) => entry),
+      },
+    };
+  });
+
+  // DELETE /api/prompts/:id -> move to the trash
+  route('DELETE', '/prompts/:id', async ({ params, origin, permissions }) => {
+    const current = await loadPrompt(params.id);
+    permissions.require('editor', current, 'You do not have permission to delete this prompt');
+
+    const { error } = await supabase
+      .from('prompts')
+      .update({ deleted_at: new Date().toISOString(), deleted_by: origin.actor })
+      .eq('id', params.id);
+    if (error) throw supabaseFailure(error, 'Failed to delete prompt', logger);
+    await recordChange({ action: 'delete', ...origin, before: current });
+    return { status: 204 };
+  });
+
+  // GET /api/prompts/trash -> deleted prompts the user can view (most recent first)
+  route('GET', '/prompts/trash', async ({ permissions }) => {
+    const { data, error } = await selectAll(() => supabase
+      .from('prompts')
+      .select(TRASH_COLUMNS)
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false }));
+
+    if (error) throw supabaseFailure(error, 'Failed to fetch trash', logger);
+    return { status: 200, body: await presentPrompts(permissions.visible(data || [])) };
+  });
+
+  // POST /api/prompts/:id/restore -> take a prompt back out of the trash
+  route('POST', '/prompts/:id/restore', async ({ params, origin, permissions }) => {
+    const current = await loadPrompt(params.id, { includeDeleted: true });
+    if (!permissions.can('viewer', current)) throw new ServiceError(404, 'Prompt not found');
+    permissions.require('editor', current, 'You do not have permission to restore this prompt');
+    if (!current.deleted_at) throw new ServiceError(409, 'Prompt is not in the trash');
+    try {
+      await requireFreeSlot(current, current.id, permissions);
+    } catch (err) {
+      if (err.status !== 422) throw err;
+      throw new ServiceError(409, `Another prompt now uses location_id ${current.location_id}${slotSuffix(slotOf(current))}`);
+    }
+
+    const { data, error } = await supabase
+      .from('prompts')
+      .update({ deleted_at: null, deleted_by: null })
+      .eq('id', params.id)
+      .select(PROMPT_COLUMNS)
+      .single();
+    if (error) throw supabaseFailure(error, 'Failed to restore prompt', logger);
+    await recordChange({ action: 'restore', ...origin, after: data });
+    return { status: 200, body: await presentOne(data) };
+  });
+
+  // Permanently delete trashed prompts (their revisions go with them via the foreign
+  // key). With `permissions`, only prompts the caller administers are touched.
+  async function purgeTrash({ ids = null, olderThanDays = null, permissions = null, origin }) {
+    const trashed = () => {
+      const query = supabase.from('prompts').select(TRASH_COLUMNS).not('deleted_at', 'is', null);
+      if (olderThanDays === null) return query;
+      return query.lt('deleted_at', new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString());
+    };
+    const { data, error } = await selectAll(trashed);
+    if (error) throw supabaseFailure(error, 'Failed to purge trash', logger);
+
+    let rows = data || [];
+    if (ids) rows = rows.filter((row) => ids.includes(row.id));
+    if (permissions) {
+      if (ids && rows.some((row) => !permissions.can('admin', row))) {
+        throw new ServiceError(403, 'Only admins can permanently delete prompts');
+      }
+      rows = rows.filter((row) => permissions.can('admin', row));
+    }
+
+    const purged = [];
+    for (const row of rows) {
+      const { error: deleteErr } = await supabase.from('prompts').delete().eq('id', row.id);
+      if (deleteErr) throw supabaseFailure(deleteErr, 'Failed to purge trash', logger);
+      await recordChange({ action: 'purge', ...origin, before: row });
+      purged.push(row.id);
+    }
+    return purged;
+  }
+
+  // POST /api/prompts/trash/purge -> { ids } purges those prompts, { older_than_days }
+  // everything deleted before then, and an empty body the whole trash (admin only)
+  route('POST', '/prompts/trash/purge', async ({ body, origin, permissions }) => {
+    if (!permissions.grants.some((grant) => grant.role === 'admin')) {
+      throw new ServiceError(403, 'Only admins can permanently delete prompts');
+    }
+    if (body.ids !== undefined && (!Array.isArray(body.ids) || body.ids.some((id) => typeof id !== 'string'))) {
+      throw new ServiceError(400, 'ids must be an array of prompt ids');
+    }
+    if (body.older_than_days !== undefined && !(Number.isInteger(body.older_than_days) && body.older_than_days >= 0)) {
+      throw new ServiceError(400, 'older_than_days must be a non-negative integer');
+    }
+
+    const purged = await purgeTrash({
+      ids: body.ids || null,
+      olderThanDays: body.older_than_days ?? null,
+      permissions,
+      origin,
+    });
+    return { status: 200, body: { purged } };
+  });
+
+  // GET /api/prompts/:id/versions -> revision history (newest first)
+  route('GET', '/prompts/:id/versions', async ({ params, permissions }) => {
+    await loadVisiblePrompt(params.id, permissions);
+
+    const { data, error } = await supabase
+      .from('prompt_versions')
+      .select(VERSION_COLUMNS)
+      .eq('prompt_id', params.id)
+      .order('rev', { ascending: false });
+
+    if (error) throw supabaseFailure(error, 'Failed to fetch prompt versions', logger);
+    return { status: 200, body: data || [] };
+  });
+
+  // POST /api/prompts/:id/versions/:rev/restore -> roll back (recorded as a new revision).
+  // Like PUT, the revision being replaced must be sent as If-Match or body.updated_at, and
+  // the restored content must pass the same checks as an edit.
+  route('POST', '/prompts/:id/versions/:rev/restore', async ({ params, headers, body, origin, permissions }) => {
+    if (!/^\d+$/.test(params.rev)) {
+      throw new ServiceError(400, 'Revision must be a positive integer');
+    }
+
+    const current = await loadVisiblePrompt(params.id, permissions);
+    permissions.require('editor', current, 'You do not have permission to edit this prompt');
+
+    const { data: version, error: versionErr } = await supabase
+      .from('prompt_versions')
+      .select('*')
+      .eq('prompt_id', params.id)
+      .eq('rev', Number(params.rev))
+      .maybeSingle();
+
+    if (versionErr) throw supabaseFailure(versionErr, 'Failed to restore prompt version', logger);
+    if (!version) throw new ServiceError(404, 'Version not found');
+
+    const library = await loadLibrary();
+    const fields = await filePrompt(validatePrompt(versionFields(version, library), { ...promptLimits, library }), version, library);
+    permissions.require('editor', fields, 'You do not have editor access to this business');
+
+    const expected = expectedRevision(headers, body);
+    if (!expected) {
+      throw new ServiceError(428, 'Send the revision being replaced as an If-Match header or updated_at');
+    }
+    if (!sameRevision(expected, revisionOf(current))) {
+      throw new ServiceError(409, 'Prompt was changed by someone else', { current: presentPrompt(current, library) });
+    }
+    await requireFreeSlot(fields, current.id, permissions);
+
+    const updated = await updatePrompt(current, fields, origin, { action: 'restore_version', restoredFrom: version.rev });
+    return { status: 200, headers: etagHeaders(updated), body: presentPrompt(updated, library) };
+  });
+
+  // Revision number of the draft as it stands (legacy prompts get their baseline first)
+  async function draftRevision(current, message) {
+    const { error: baselineErr } = await ensureBaselineVersion(supabase, current);
+    if (baselineErr) throw supabaseFailure(baselineErr, message, logger);
+    const { data: rev, error } = await latestRevision(supabase, current.id);
+    if (error) throw supabaseFailure(error, message, logger);
+    return rev;
+  }
+
+  async function savePublishState(current, changes, message) {
+    const { data, error } = await supabase
+      .from('prompts')
+      .update(changes)
+      .eq('id', current.id)
+      .is('deleted_at', null)
+      .select()
+      .maybeSingle();
+    if (error) throw supabaseFailure(error, message, logger);
+    if (!data) throw new ServiceError(404, 'Prompt not found');
+    return data;
+  }
+
+  // POST /api/prompts/:id/publish -> make the current draft the live copy. With
+  // PUBLISH_REQUIRES_APPROVAL the first call records a request (202) and a different
+  // editor's call approves and publishes it.
+  route('POST', '/prompts/:id/publish', async ({ params, origin, permissions }) => {
+    const current = await loadVisiblePrompt(params.id, permissions);
+    permissions.require('editor', current, 'You do not have permission to publish this prompt');
+
+    const rev = await draftRevision(current, 'Failed to publish prompt');
+    const library = await loadLibrary();
+    if (current.published_rev === rev && documentsUnchanged(current, library) && current.publish_requested_rev == null) {
+      throw new ServiceError(409, 'This revision is already published');
+    }
+
+    const pending = current.publish_requested_rev === rev;
+    if (publishRequiresApproval && !pending) {
+      const requested = await savePublishState(current, {
+        publish_requested_rev: rev,
+        publish_requested_by: origin.actor,
+        publish_requested_at: new Date().toISOString(),
+      }, 'Failed to request publishing');
+      await recordChange({ action: 'request_publish', ...origin, before: current, after: requested });
+      return { status: 202, body: presentPrompt(requested, library) };
+    }
+    if (publishRequiresApproval && current.publish_requested_by === origin.actor) {
+      throw new ServiceError(403, 'Publishing must be approved by a different user');
+    }
+
+    const published = await savePublishState(current, {
+      ...PUBLISH_REQUEST_CLEARED,
+      published_rev: rev,
+      published_hash: contentHash(current),
+      published_documents: documentSnapshot(current, library),
+      published_at: new Date().toISOString(),
+      published_by: origin.actor,
+    }, 'Failed to publish prompt');
+    await recordChange({ action: 'publish', ...origin, before: current, after: published });
+    return { status: 200, body: presentPrompt(published, library) };
+  });
+
+  // POST /api/prompts/:id/discard-draft -> put the published content back into the
+  // draft (recorded as a new revision restored from the published one)
+  route('POST', '/prompts/:id/discard-draft', async ({ params, origin, permissions }) => {
+    const current = await loadVisiblePrompt(params.id, permissions);
+    permissions.require('editor', current, 'You do not have permission to edit this prompt');
+    if (current.published_rev == null) throw new ServiceError(409, 'Prompt has never been published');
+
+    const { data: version, error: versionErr } = await supabase
+      .from('prompt_versions')
+      .select('*')
+      .eq('prompt_id', current.id)
+      .eq('rev', current.published_rev)
+      .maybeSingle();
+    if (versionErr) throw supabaseFailure(versionErr, 'Failed to discard draft', logger);
+    if (!version) throw new ServiceError(404, 'Published version not found');
+
+    const library = await loadLibrary();
+    const fields = await filePrompt(versionFields(version, library), version, library);
+    await requireFreeSlot(fields, current.id, permissions);
+    const data = await updatePrompt(current, fields, origin, { action: 'discard_draft', restoredFrom: version.rev });
+    return { status: 200, headers: etagHeaders(data), body: presentPrompt(data, library) };
+  });
+
+  // The published prompt serving a slot of a location (see pickSlot) and the revision it
+  // points at, or null
+  async function loadPublished(locationId, slot) {
+    const { data: rows, error } = await supabase
+      .from('prompts')
+      .select(PROMPT_COLUMNS)
+      .eq('location_id', locationId)
+      .is('deleted_at', null)
+      .not('published_rev', 'is', null)
+      .order('created_at', { ascending: true });
+    if (error) throw supabaseFailure(error, 'Failed to load published prompt', logger);
+    const row = pickSlot(rows || [], slot);
+    if (!row) return null;
+
+    const { data: version, error: versionErr } = await supabase
+      .from('prompt_versions')
+      .select('*')
+      .eq('prompt_id', row.id)
+      .eq('rev', row.published_rev)
+      .maybeSingle();
+    if (versionErr) throw supabaseFailure(versionErr, 'Failed to load published prompt', logger);
+    return version ? { row, version } : null;
+  }
+
+  // GET /api/published/:location_id?channel=&purpose= -> the published copy of a
+  // location's prompt for that slot (default all/general), its knowledgebase documents
+  // filled in as they read when it was published. It changes when someone publishes.
+  route('GET', '/published/:location_id', async ({ params, query, permissions }) => {
+    const published = await loadPublished(params.location_id, parseSlotQuery(query));
+    if (!published || !permissions.can('viewer', published.row)) {
+      throw new ServiceError(404, 'No published prompt for this location');
+    }
+    return { status: 200, body: publishedWithKnowledgebase(published.row, published.version, await loadLibrary()) };
+  }, { keyScope: 'read-published' });
+
+  // Live prompts under a location_id that the user can view, oldest first
+  async function loadLocationPrompts(locationId, permissions) {
+    const { data, error } = await supabase
+      .from('prompts')
+      .select(PROMPT_COLUMNS)
+      .eq('location_id', locationId)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: true });
+    if (error) throw supabaseFailure(error, 'Failed to load location', logger);
+    return permissions.visible(data || []);
+  }
+
+  registerDirectoryRoutes(route, {
+    supabase,
+    logger,
+    loadDirectory,
+    visibleDirectory,
+    loadLocation,
+    loadLocationPrompts,
+    presentPrompts,
+    updatePrompt,
+    forgetBundles,
+  });
+
+  // GET /api/locations/:location_id/prompts?channel=&purpose= -> the location's prompts,
+  // narrowed to a channel and/or purpose when given
+  route('GET', '/locations/:location_id/prompts', async ({ params, query, permissions }) => {
+    const wanted = parseSlotQuery(query);
+    const location = await loadLocation(params.location_id, permissions);
+    const prompts = (await loadLocationPrompts(location.id, permissions)).filter((row) => {
+      const slot = slotOf(row);
+      return (!query.channel || slot.channel === wanted.channel) && (!query.purpose || slot.purpose === wanted.purpose);
+    });
+    return { status: 200, body: await presentPrompts(prompts) };
+  });
+
+  // POST /api/locations/:location_id/prompts -> create a prompt at the location (a
+  // location_id in the body is ignored)
+  route('POST', '/locations/:location_id/prompts', async ({ params, body, origin, permissions }) => {
+    const location = await loadLocation(params.location_id, permissions);
+    return createFromBody({ ...body, location_id: location.id }, origin, permissions);
+  });
+
+  // GET /api/locations/:location_id/prompts/:channel/:purpose -> the draft filling exactly
+  // that slot (no fallback to the 'all' channel; bots use the published routes)
+  route('GET', '/locations/:location_id/prompts/:channel/:purpose', async ({ params, permissions }) => {
+    const slot = parseSlotQuery(params);
+    const prompts = await loadLocationPrompts(params.location_id, permissions);
+    const prompt = prompts.find((row) => slotLabel(slotOf(row)) === slotLabel(slot));
+    if (!prompt) throw new ServiceError(404, `No ${slotLabel(slot)} prompt for this location`);
+    return { status: 200, headers: etagHeaders(prompt), body: await presentOne(prompt) };
+  });
+
+  registerKnowledgebaseRoutes(route, {
+    supabase,
+    logger,
+    tokenBudget,
+    fieldLimits,
+    bundleCache,
+    loadLibrary,
+    loadDirectory,
+    visibleDirectory,
+    recordChange,
+  });
+
+  // GET /api/locations/:location_id/prompt?channel=&purpose= -> the bundle a bot runs
+  // with (see locationBundle). Bots poll with If-None-Match and get 304 while it is
+  // unchanged; with a bundleCache, repeat polls are answered without touching the
+  // database. The cache holds one entry per location with the bundles of each slot
+  // asked for, so a change drops them all at once.
+  route('GET', '/locations/:location_id/prompt', async ({ params, query, headers, permissions }) => {
+    const key = String(params.location_id);
+    const wanted = parseSlotQuery(query);
+    const slot = slotLabel(wanted);
+    const slots = (bundleCache && bundleCache.get(key)) || {};
+    let entry = slots[slot];
+    if (!entry) {
+      const published = await loadPublished(key, wanted);
+      if (published) {
+        const bundle = locationBundle(published.row, published.version, await loadLibrary());
+        entry = { scope: published.row, bundle, etag: bundleEtag(bundle) };
+        if (bundleCache) bundleCache.set(key, { ...slots, [slot]: entry });
+      }
+    }
+    if (!entry || !permissions.can('viewer', entry.scope)) {
+      throw new ServiceError(404, 'No published prompt for this location');
+    }
+
+    const cacheHeaders = { ETag: entry.etag, 'Cache-Control': `private, max-age=${bundleMaxAge}` };
+    if (matchesEtag(headers['if-none-match'] || headers['If-None-Match'], entry.etag)) {
+      return { status: 304, headers: cacheHeaders };
+    }
+    return { status: 200, headers: cacheHeaders, body: entry.bundle };
+  }, { keyScope: 'read-published' });
+
+  // POST /api/prompts/:id/render -> prompt text with {{variables}} resolved
+  route('POST', '/prompts/:id/render', async ({ params, body, permissions }) => {
+    const variables = body.variables === undefined ? {} : body.variables;
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+      throw new ServiceError(400, 'variables must be an object');
+    }
+
+    const current = withKnowledgebase(await loadVisiblePrompt(params.id, permissions), await loadLibrary());
+    const { text, errors, placeholders } = renderPrompt(current, variables);
+
+    if (errors.length) {
+      throw new ServiceError(422, 'Prompt has undefined template variables', { errors, text, placeholders });
+    }
+    return { status: 200, body: { text, placeholders } };
+  }, { keyScope: 'read-all' });
+
+  // POST /api/prompts/:id/test -> send { message, variables? } to the LLM with the prompt
+  // (plus knowledgebase and inventory) as the system message; the reply streams back as
+  // NDJSON (see replyLines in llm.js)
+  route('POST', '/prompts/:id/test', async ({ params, body, permissions }) => {
+    if (typeof body.message !== 'string' || !body.message.trim()) {
+      throw new ServiceError(400, 'message is required');
+    }
+    const variables = body.variables === undefined ? {} : body.variables;
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+      throw new ServiceError(400, 'variables must be an object');
+    }
+    if (!llm) throw new ServiceError(503, 'No LLM provider is configured (set LLM_PROVIDER or LLM_API_KEY)');
+
+    const current = withKnowledgebase(await loadVisiblePrompt(params.id, permissions), await loadLibrary());
+    const { messages, errors } = buildChatMessages(current, body.message, variables);
+    if (errors.length) {
+      throw new ServiceError(422, 'Prompt has undefined template variables', { errors });
+    }
+
+    const startedAt = Date.now();
+    let events;
+    try {
+      events = await llm.chat({ messages });
+    } catch (err) {
+      logger.error('LLM request failed:', err);
+      throw new ServiceError(502, 'LLM provider request failed');
+    }
+
+    return {
+      status: 200,
+      headers: { 'Content-Type': 'application/x-ndjson; charset=utf-8', 'Cache-Control': 'no-cache' },
+      stream: replyLines({ provider: llm, messages, events, startedAt, logger }),
+    };
+  });
+
+  // Resolve a test case of the prompt; cases are addressed through their prompt
+  async function loadTestCase(promptId, caseId) {
+    const { data, error } = await supabase
+      .from('prompt_test_cases')
+      .select(TEST_CASE_COLUMNS)
+      .eq('id', caseId)
+      .eq('prompt_id', promptId)
+      .maybeSingle();
+    if (error) throw supabaseFailure(error, 'Failed to load test case', logger);
+    if (!data) throw new ServiceError(404, 'Test case not found');
+    return data;
+  }
+
+  function validateTestCase(body) {
+    const { fields, errors } = checkTestCase(body);
+    if (errors.length) throw new ServiceError(400, 'Invalid test case', { errors });
+    return fields;
+  }
+
+  // GET /api/prompts/:id/test-cases -> the prompt's saved test cases (oldest first)
+  route('GET', '/prompts/:id/test-cases', async ({ params, permissions }) => {
+    await loadVisiblePrompt(params.id, permissions);
+    const { data, error } = await supabase
+      .from('prompt_test_cases')
+      .select(TEST_CASE_COLUMNS)
+      .eq('prompt_id', params.id)
+      .order('created_at', { ascending: true });
+
+    if (error) throw supabaseFailure(error, 'Failed to fetch test cases', logger);
+    return { status: 200, body: data || [] };
+  });
+
+  // POST /api/prompts/:id/test-cases -> add { name, message, expected?, patterns?, forbidden? }
+  route('POST', '/prompts/:id/test-cases', async ({ params, body, permissions }) => {
+    const current = await loadVisiblePrompt(params.id, permissions);
+    permissions.require('editor', current, 'You do not have permission to edit this prompt');
+    const fields = validateTestCase(body);
+
+    const { data, error } = await supabase
+      .from('prompt_test_cases')
+      .insert([{ ...fields, prompt_id: current.id }])
+      .select(TEST_CASE_COLUMNS)
+      .single();
+    if (error) throw supabaseFailure(error, 'Failed to create test case', logger);
+    return { status: 201, body: data };
+  });
+
+  // PUT /api/prompts/:id/test-cases/:caseId -> replace a test case
+  route('PUT', '/prompts/:id/test-cases/:caseId', async ({ params, body, permissions }) => {
+    const current = await loadVisiblePrompt(params.id, permissions);
+    permissions.require('editor', current, 'You do not have permission to edit this prompt');
+    await loadTestCase(current.id, params.caseId);
+    const fields = validateTestCase(body);
+
+    const { data, error } = await supabase
+      .from('prompt_test_cases')
+      .update(fields)
+      .eq('id', params.caseId)
+      .select(TEST_CASE_COLUMNS)
+      .single();
+    if (error) throw supabaseFailure(error, 'Failed to update test case', logger);
+    return { status: 200, body: data };
+  });
+
+  // DELETE /api/prompts/:id/test-cases/:caseId -> remove a test case (past runs keep its results)
+  route('DELETE', '/prompts/:id/test-cases/:caseId', async ({ params, permissions }) => {
+    const current = await loadVisiblePrompt(params.id, permissions);
+    permissions.require('editor', current, 'You do not have permission to edit this prompt');
+    await loadTestCase(current.id, params.caseId);
+
+    const { error } = await supabase.from('prompt_test_cases').delete().eq('id', params.caseId);
+    if (error) throw supabaseFailure(error, 'Failed to delete test case', logger);
+    return { status: 204 };
+  });
+
+  // POST /api/prompts/:id/test-suite/run -> run every test case against the current
+  // revision ({ variables? } fills custom template variables) and store the results
+  route('POST', '/prompts/:id/test-suite/run', async ({ params, body, origin, permissions }) => {
+    const variables = body.variables === undefined ? {} : body.variables;
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+      throw new ServiceError(400, 'variables must be an object');
+    }
+    if (!llm) throw new ServiceError(503, 'No LLM provider is configured (set LLM_PROVIDER or LLM_API_KEY)');
+
+    const current = withKnowledgebase(await loadVisiblePrompt(params.id, permissions), await loadLibrary());
+    permissions.require('editor', current, 'You do not have permission to run this prompt\'s tests');
+
+    const { data: cases, error: casesErr } = await supabase
+      .from('prompt_test_cases')
+      .select(TEST_CASE_COLUMNS)
+      .eq('prompt_id', current.id)
+      .order('created_at', { ascending: true });
+    if (casesErr) throw supabaseFailure(casesErr, 'Failed to run test suite', logger);
+    if (!cases || !cases.length) throw new ServiceError(400, 'Prompt has no test cases');
+
+    // Template errors are the same for every case, so check once up front
+    const { errors } = buildChatMessages(current, '', variables);
+    if (errors.length) {
+      throw new ServiceError(422, 'Prompt has undefined template variables', { errors });
+    }
+
+    const { data: rev, error: revErr } = await latestRevision(supabase, current.id);
+    if (revErr) throw supabaseFailure(revErr, 'Failed to run test suite', logger);
+
+    const results = [];
+    for (const testCase of cases) {
+      const result = { case_id: testCase.id, name: testCase.name, message: testCase.message };
+      try {
+        const { messages } = buildChatMessages(current, testCase.message, variables);
+        const { text, latency_ms: latencyMs } = await collectReply(llm, messages);
+        const failures = evaluateReply(testCase, text);
+        results.push({ ...result, passed: !failures.length, reply: text, failures, latency_ms: latencyMs });
+      } catch (err) {
+        logger.error('LLM request failed during test run:', err);
+        results.push({ ...result, passed: false, reply: null, failures: [], error: 'LLM provider request failed' });
+      }
+    }
+
+    const passed = results.filter((r) => r.passed).length;
+    const { data, error } = await supabase
+      .from('prompt_test_runs')
+      .insert([{ prompt_id: current.id, rev, actor: origin.actor, passed, failed: results.length - passed, results }])
+      .select(TEST_RUN_COLUMNS)
+      .single();
+    if (error) throw supabaseFailure(error, 'Failed to record test run', logger);
+    return { status: 201, body: data };
+  });
+
+  // GET /api/prompts/:id/test-suite/runs -> past runs (newest first), paged like the prompt list
+  route('GET', '/prompts/:id/test-suite/runs', async ({ params, query, permissions }) => {
+    const paging = parsePaging(query);
+    await loadVisiblePrompt(params.id, permissions);
+    const page = await listPage(
+      (selectOptions) => supabase
+        .from('prompt_test_runs')
+        .select(TEST_RUN_COLUMNS, selectOptions)
+        .eq('prompt_id', params.id)
+        .order('created_at', { ascending: false }),
+      null,
+      paging,
+      'Failed to fetch test runs'
+    );
+    return { status: 200, body: page };
+  });
+
+  // GET /api/audit?prompt_id=&actor=&action=&from=&to= -> audit events (newest first)
+  // for prompts the user can view, paged like the prompt list
+  route('GET', '/audit', async ({ query, permissions }) => {
+    const filters = parseAuditQuery(query);
+    const paging = parsePaging(query);
+    const page = await listPage(
+      (selectOptions) => applyAuditFilters(supabase.from('audit_events').select(AUDIT_COLUMNS, selectOptions), filters),
+      permissions,
+      paging,
+      'Failed to fetch audit events'
+    );
+    return { status: 200, body: page };
+  });
+
+  // Admin screens (roles, API keys, webhooks) need an admin grant somewhere
+  function requireAnyAdmin(permissions) {
+    if (!permissions.grants.some((grant) => grant.role === 'admin')) {
+      throw new ServiceError(403, 'Admin access required');
+    }
+  }
+
+  // GET /api/roles -> role grants the current admin manages
+  route('GET', '/roles', async ({ permissions }) => {
+    requireAnyAdmin(permissions);
+
+    const { data, error } = await supabase
+      .from('user_roles')
+      .select(ROLE_COLUMNS)
+      .order('created_at', { ascending: true });
+    if (error) throw supabaseFailure(error, 'Failed to fetch roles', logger);
+    return { status: 200, body: (data || []).filter((grant) => permissions.can('admin', grantScope(grant))) };
+  }, { keyScope: null });
+
+  // POST /api/roles -> grant { email, role, business_name?, location_id? }
+  route('POST', '/roles', async ({ body, permissions }) => {
+    const errors = [];
+    const email = normalizeEmail(body.email);
+    if (!email) errors.push({ field: 'email', message: 'is required' });
+    if (!ROLES.includes(body.role)) errors.push({ field: 'role', message: `must be one of ${ROLES.join(', ')}` });
+    if (errors.length) throw new ServiceError(400, 'Invalid role grant', { errors });
+
+    const grant = { email, role: body.role, ...grantScope(body) };
+    permissions.require('admin', grant, 'You cannot grant roles for this scope');
+
+    const { data, error } = await supabase.from('user_roles').insert([grant]).select(ROLE_COLUMNS).single();
+    if (error) throw supabaseFailure(error, 'Failed to create role', logger);
+    return { status: 201, body: data };
+  }, { keyScope: null });
+
+  // DELETE /api/roles/:id -> revoke a grant
+  route('DELETE', '/roles/:id', async ({ params, permissions }) => {
+    const { data: grant, error: loadErr } = await supabase
+      .from('user_roles')
+      .select(ROLE_COLUMNS)
+      .eq('id', params.id)
+      .maybeSingle();
+    if (loadErr) throw supabaseFailure(loadErr, 'Failed to load role', logger);
+    if (!grant) throw new ServiceError(404, 'Role not found');
+    permissions.require('admin', grantScope(grant), 'You cannot revoke roles for this scope');
+
+    const { error } = await supabase.from('user_roles').delete().eq('id', params.id);
+    if (error) throw supabaseFailure(error, 'Failed to delete role', logger);
+    return { status: 204 };
+  }, { keyScope: null });
+
+  async function loadApiKey(id, permissions) {
+    const { data, error } = await supabase.from('api_keys').select(API_KEY_COLUMNS).eq('id', id).maybeSingle();
+    if (error) throw supabaseFailure(error, 'Failed to load API key', logger);
+    if (!data || !permissions.can('admin', grantScope(data))) throw new ServiceError(404, 'API key not found');
+    return data;
+  }
+
+  // GET /api/api-keys -> keys the current admin manages, revoked ones included (never the secrets)
+  route('GET', '/api-keys', async ({ permissions }) => {
+    requireAnyAdmin(permissions);
+
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select(API_KEY_COLUMNS)
+      .order('created_at', { ascending: true });
+    if (error) throw supabaseFailure(error, 'Failed to fetch API keys', logger);
+    return { status: 200, body: (data || []).filter((key) => permissions.can('admin', grantScope(key))) };
+  }, { keyScope: null });
+
+  // POST /api/api-keys -> create { name, scopes, business_name?, location_id? }; the
+  // response's `key` is the only time the secret is shown
+  route('POST', '/api-keys', async ({ body, origin, permissions }) => {
+    const { fields, errors } = checkApiKey(body);
+    if (errors.length) throw new ServiceError(400, 'Invalid API key', { errors });
+    permissions.require('admin', grantScope(fields), 'You cannot create API keys for this scope');
+
+    const { key, ...secret } = generateApiKey();
+    const { data, error } = await supabase
+      .from('api_keys')
+      .insert([{ ...fields, ...secret, created_by: origin.actor }])
+      .select(API_KEY_COLUMNS)
+      .single();
+    if (error) throw supabaseFailure(error, 'Failed to create API key', logger);
+    return { status: 201, body: { ...data, key } };
+  }, { keyScope: null });
+
+  // POST /api/api-keys/:id/rotate -> replace the secret; the old one stops working at once
+  route('POST', '/api-keys/:id/rotate', async ({ params, permissions }) => {
+    const current = await loadApiKey(params.id, permissions);
+    if (current.revoked_at) throw new ServiceError(409, 'API key has been revoked');
+
+    const { key, ...secret } = generateApiKey();
+    const { data, error } = await supabase
+      .from('api_keys')
+      .update({ ...secret, rotated_at: new Date().toISOString() })
+      .eq('id', current.id)
+      .select(API_KEY_COLUMNS)
+      .single();
+    if (error) throw supabaseFailure(error, 'Failed to rotate API key', logger);
+    return { status: 200, body: { ...data, key } };
+  }, { keyScope: null });
+
+  // DELETE /api/api-keys/:id -> revoke (the row stays so its actor name still resolves)
+  route('DELETE', '/api-keys/:id', async ({ params, permissions }) => {
+    const current = await loadApiKey(params.id, permissions);
+    if (!current.revoked_at) {
+      const { error } = await supabase
+        .from('api_keys')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', current.id);
+      if (error) throw supabaseFailure(error, 'Failed to revoke API key', logger);
+    }
+    return { status: 204 };
+  }, { keyScope: null });
+
+  async function loadWebhook(id, permissions) {
+    const { data, error } = await supabase.from('webhooks').select('*').eq('id', id).maybeSingle();
+    if (error) throw supabaseFailure(error, 'Failed to load webhook', logger);
+    if (!data || !permissions.can('admin', grantScope(data))) throw new ServiceError(404, 'Webhook not found');
+    return data;
+  }
+
+  function validateWebhook(body) {
+    const { fields, errors } = checkWebhook(body);
+    if (errors.length) throw new ServiceError(400, 'Invalid webhook', { errors });
+    return fields;
+  }
+
+  // GET /api/webhooks -> webhooks the current admin manages (secrets are not returned)
+  route('GET', '/webhooks', async ({ permissions }) => {
+    requireAnyAdmin(permissions);
+    const { data, error } = await supabase
+      .from('webhooks')
+      .select(WEBHOOK_COLUMNS)
+      .order('created_at', { ascending: true });
+    if (error) throw supabaseFailure(error, 'Failed to fetch webhooks', logger);
+    return { status: 200, body: (data || []).filter((hook) => permissions.can('admin', grantScope(hook))) };
+  }, { keyScope: null });
+
+  // POST /api/webhooks -> create { url, events, secret?, business_name?, location_id?, active? };
+  // a generated secret is returned in this response only
+  route('POST', '/webhooks', async ({ body, origin, permissions }) => {
+    const fields = validateWebhook(body);
+    permissions.require('admin', grantScope(fields), 'You cannot create webhooks for this scope');
+
+    const secret = fields.secret || generateSecret();
+    const { data, error } = await supabase
+      .from('webhooks')
+      .insert([{ ...fields, secret, created_by: origin.actor }])
+      .select(WEBHOOK_COLUMNS)
+      .single();
+    if (error) throw supabaseFailure(error, 'Failed to create webhook', logger);
+    return { status: 201, body: { ...data, secret } };
+  }, { keyScope: null });
+
+  // PUT /api/webhooks/:id -> replace a webhook's settings (omit secret to keep it)
+  route('PUT', '/webhooks/:id', async ({ params, body, permissions }) => {
+    const current = await loadWebhook(params.id, permissions);
+    const fields = validateWebhook(body);
+    permissions.require('admin', grantScope(fields), 'You cannot move webhooks to this scope');
+
+    const { data, error } = await supabase
+      .from('webhooks')
+      .update(fields)
+      .eq('id', current.id)
+      .select(WEBHOOK_COLUMNS)
+      .single();
+    if (error) throw supabaseFailure(error, 'Failed to update webhook', logger);
+    return { status: 200, body: data };
+  }, { keyScope: null });
+
+  // DELETE /api/webhooks/:id -> remove a webhook and its delivery log
+  route('DELETE', '/webhooks/:id', async ({ params, permissions }) => {
+    const current = await loadWebhook(params.id, permissions);
+    const { error } = await supabase.from('webhooks').delete().eq('id', current.id);
+    if (error) throw supabaseFailure(error, 'Failed to delete webhook', logger);
+    return { status: 204 };
+  }, { keyScope: null });
+
+  // GET /api/webhooks/:id/deliveries -> the delivery log (newest first), paged like the prompt list
+  route('GET', '/webhooks/:id/deliveries', async ({ params, query, permissions }) => {
+    const paging = parsePaging(query);
+    const webhook = await loadWebhook(params.id, permissions);
+    const page = await listPage(
+      (selectOptions) => supabase
+        .from('webhook_deliveries')
+        .select(DELIVERY_COLUMNS, selectOptions)
+        .eq('webhook_id', webhook.id)
+        .order('created_at', { ascending: false }),
+      null,
+      paging,
+      'Failed to fetch webhook deliveries'
+    );
+    return { status: 200, body: page };
+  }, { keyScope: null });
+
+  // POST /api/webhooks/:id/deliveries/:deliveryId/redeliver -> send a delivery's payload
+  // again as a new delivery (202: it is sent in the background)
+  route('POST', '/webhooks/:id/deliveries/:deliveryId/redeliver', async ({ params, permissions }) => {
+    const webhook = await loadWebhook(params.id, permissions);
+    const { data: delivery, error } = await supabase
+      .from('webhook_deliveries')
+      .select(DELIVERY_COLUMNS)
+      .eq('id', params.deliveryId)
+      .eq('webhook_id', webhook.id)
+      .maybeSingle();
+    if (error) throw supabaseFailure(error, 'Failed to load webhook delivery', logger);
+    if (!delivery) throw new ServiceError(404, 'Delivery not found');
+
+    const queued = await webhooks.redeliver(webhook, delivery);
+    if (!queued) throw new ServiceError(500, 'Failed to queue webhook delivery');
+    return { status: 202, body: queued };
+  }, { keyScope: null });
+
+  // Resolve an API key to the user it acts as and its permissions, recording its use
+  async function authenticateApiKey(token, routeScope, ip) {
+    const { data: key, error } = await supabase
+      .from('api_keys')
+      .select(API_KEY_COLUMNS)
+      .eq('key_hash', hashApiKey(token))
+      .is('revoked_at', null)
+      .maybeSingle();
+    if (error) throw supabaseFailure(error, 'Failed to verify API key', logger);
+    if (!key) throw new ServiceError(401, 'Invalid API key');
+    if (!routeScope) throw new ServiceError(403, 'API keys cannot use this endpoint');
+    if (!hasScope(key, routeScope)) throw new ServiceError(403, `API key lacks the ${routeScope} scope`);
+
+    if (lastUsedIsStale(key)) {
+      const { error: usedErr } = await supabase
+        .from('api_keys')
+        .update({ last_used_at: new Date().toISOString(), last_used_ip: ip })
+        .eq('id', key.id);
+      if (usedErr) logger.error('Failed to record API key use:', usedErr);
+    }
+    return { user: keyUser(key), permissions: createPermissions(keyGrants(key)) };
+  }
+
+  // Count a request against the per-IP and per-credential limits; returns the result
+  // closest to its limit (a refused one first), or null when no limit applies
+  function takeRateLimit(ip, token) {
+    if (!rateLimits) return null;
+    const results = [];
+    if (rateLimits.ip && ip) results.push(rateLimits.ip.hit(ip));
+    if (rateLimits.credential && token) results.push(rateLimits.credential.hit(credentialKey(token)));
+    if (!results.length) return null;
+    return results.find((r) => !r.allowed) || results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+  }
+
+  async function runRoute({ handler, access, keyScope }, match, request) {
+    try {
+      const headers = request.headers || {};
+      let user = null;
+      let permissions = createPermissions([]);
+      if (access !== 'public') {
+        const token = bearerToken(headers);
+        if (!token) throw new ServiceError(401, 'Authentication required');
+        if (isApiKey(token)) {
+          ({ user, permissions } = await authenticateApiKey(token, keyScope, request.ip || null));
+        } else {
+          user = await auth.verify(token);
+
+          const { data: grants, error } = await loadGrants(supabase, user, adminEmails);
+          if (error) throw supabaseFailure(error, 'Failed to load permissions', logger);
+          permissions = createPermissions(grants);
+        }
+      }
+
+      return await handler({
+        params: pathParams(match),
+        query: request.query || {},
+        headers,
+        user,
+        permissions,
+        origin: { actor: actorOf(user), ip: request.ip || null },
+        body: request.body && typeof request.body === 'object' ? request.body : {},
+      });
+    } catch (err) {
+      if (err instanceof ServiceError) {
+        return { status: err.status, body: { error: err.message, ...(err.extra || {}) } };
+      }
+      logger.error('Unexpected error handling request:', err);
+      return { status: 500, body: { error: 'Unexpected server error' } };
+    }
+  }
+
+  async function handle(request) {
+    const method = (request.method || 'GET').toUpperCase();
+    const path = request.path || '/';
+
+    for (const entry of routes) {
+      if (entry.method !== method) continue;
+      const match = path.match(entry.regex);
+      if (!match) continue;
+
+      const limit = takeRateLimit(request.ip || null, bearerToken(request.headers || {}));
+      if (!limit) return runRoute(entry, match, request);
+      if (!limit.allowed) {
+        return { status: 429, headers: rateLimitHeaders(limit), body: { error: 'Too many requests', retry_after: limit.reset } };
+      }
+      const result = await runRoute(entry, match, request);
+      return { ...result, headers: { ...rateLimitHeaders(limit), ...(result.headers || {}) } };
+    }
+
+    return { status: 404, body: { error: 'Not found', method, path } };
+  }
+
+  return {
+    handle,
+    // Scheduled cleanup: purge everything trashed longer than the retention period
+    purgeExpiredTrash: () => purgeTrash({ olderThanDays: trashRetentionDays, origin: { actor: 'system', ip: null } }),
+    // Scheduled sweep: attempt webhook deliveries whose retry is due
+    deliverDueWebhooks: () => webhooks.deliverDue(),
+  };
+}
+
+module.exports = { createPromptsService, ServiceError, PROMPT_FIELDS, PROMPT_COLUMNS, TRASH_COLUMNS };
@@ -0,0 +1,87 @@
+// Draft/publish workflow. The prompts row is always the draft: edits land there and
+// are recorded in prompt_versions as usual. Publishing pins one of those revisions as
+// the live copy (published_rev), which is what GET /published/:location_id serves to
+// bots until the next publish. published_hash is the content hash of that revision so
+// list views can tell whether the draft has moved on without loading the version, and
+// published_documents the library documents it listed, as they read when it was
+// published (see documentSnapshot).
+const crypto = require('crypto');
+const { VERSION_FIELDS } = require('./promptVersions');
+const { contentHash, canonicalJson } = require('./audit');
+const { slotOf } = require('./locations');
+const { systemPrompt } = require('./llm');
+const { withKnowledgebase, documentSnapshot } = require('./knowledgebase');
+
+// Publish requests waiting for a second user's approval (PUBLISH_REQUIRES_APPROVAL)
+const PUBLISH_REQUEST_CLEARED = { publish_requested_rev: null, publish_requested_by: null, publish_requested_at: null };
+
+function parseBoolean(value) {
+  return ['1', 'true', 'yes', 'on'].includes(String(value || '').trim().toLowerCase());
+}
+
+// Do the documents the draft lists read as they did when it was published? Copies
+// published before documents were kept count as unchanged.
+function documentsUnchanged(row, library) {
+  if (!row.published_documents) return true;
+  return canonicalJson(documentSnapshot(row, library)) === canonicalJson(row.published_documents);
+}
+
+// 'draft' (never published), 'published' (draft matches the live copy) or 'changed'
+// (unpublished edits, to the prompt or to a document of `library` it lists), plus
+// 'pending' while a publish waits for approval
+function publishStatus(row, library) {
+  if (row.publish_requested_rev != null) return 'pending';
+  if (row.published_rev == null) return 'draft';
+  return contentHash(row) === row.published_hash && documentsUnchanged(row, library) ? 'published' : 'changed';
+}
+
+// Body of GET /published/:location_id: the published revision's content (revisions from
+// before prompts had slots report the default one). A business renamed since then is
+// served under its new name, which the draft row always carries.
+function publishedPrompt(row, version) {
+  const body = { id: row.id };
+  VERSION_FIELDS.forEach((field) => {
+    body[field] = version[field];
+  });
+  if (version.business_id && version.business_id === row.business_id) body.business_name = row.business_name;
+  return { ...body, ...slotOf(version), rev: version.rev, published_at: row.published_at, published_by: row.published_by };
+}
+
+// The published copy with its knowledgebase assembled from the documents kept when it
+// was published (copies published before that read the current `library`)
+const publishedWithKnowledgebase = (row, version, library) =>
+  withKnowledgebase(publishedPrompt(row, version), row.published_documents || library);
+
+// Body of GET /locations/:location_id/prompt: the published copy (see
+// publishedWithKnowledgebase), plus the system prompt built from it (as the test console
+// sends it) and the placeholders it leaves for the bot to fill in
+function locationBundle(row, version, library = []) {
+  const published = publishedWithKnowledgebase(row, version, library);
+  const { text, errors } = systemPrompt(published);
+  return { ...published, system_prompt: text, unresolved: errors.map((e) => e.variable) };
+}
+
+// Strong ETag over the whole bundle, so it changes whenever any byte served would
+function bundleEtag(bundle) {
+  return `"${crypto.createHash('sha256').update(JSON.stringify(bundle)).digest('base64url')}"`;
+}
+
+// Does an If-None-Match header list this ETag (or *)? Uses weak comparison, as the spec
+// asks for If-None-Match.
+function matchesEtag(ifNoneMatch, etag) {
+  if (!ifNoneMatch) return false;
+  const opaque = (tag) => tag.trim().replace(/^W\//, '');
+  return String(ifNoneMatch).split(',').some((tag) => tag.trim() === '*' || opaque(tag) === opaque(etag));
+}
+
+module.exports = {
+  PUBLISH_REQUEST_CLEARED,
+  parseBoolean,
+  documentsUnchanged,
+  publishStatus,
+  publishedPrompt,
+  publishedWithKnowledgebase,
+  locationBundle,
+  bundleEtag,
+  matchesEtag,
+};
@@ -0,0 +1,57 @@
+// The sample prompts `npm run seed` loads (see seed.js): one per purpose the bots handle,
+// all for one location of a demo dental practice
+const SAMPLE_BUSINESS = 'Acme Dental';
+const SAMPLE_LOCATION = 'demo-downtown';
+const SAMPLE_KNOWLEDGEBASE = 'Acme Dental is open 9am-5pm Monday to Friday. Call (555) 010-2030 for emergencies.';
+const SAMPLE_INVENTORY = {
+  items: [
+    { sku: 'CLN-1', name: 'Cleaning', price: 89, quantity: 20, availability: 'in_stock' },
+    { sku: 'WHT-1', name: 'Whitening kit', price: 149, quantity: 3, availability: 'low_stock' },
+  ],
+};
+
+const sample = (name, purpose, prompt) => ({
+  name,
+  prompt,
+  location_id: SAMPLE_LOCATION,
+  channel: 'all',
+  purpose,
+  business_name: SAMPLE_BUSINESS,
+  knowledgebase: SAMPLE_KNOWLEDGEBASE,
+  inventory: SAMPLE_INVENTORY,
+});
+
+const SAMPLE_PROMPTS = [
+  sample(
+    'No Response (Escalation)',
+    'escalation',
+    'The customer has not heard back from {{business_name}} in over 24 hours. Apologize for the delay, '
+      + 'let them know a team member has been alerted, and ask for the best number to reach them.',
+  ),
+  sample(
+    'Response (Support)',
+    'support',
+    'You are the support assistant for {{business_name}}. Answer the customer\'s question using the '
+      + 'knowledgebase and inventory, and offer to book an appointment when it helps.',
+  ),
+  sample(
+    'Processing (Reminder)',
+    'reminder',
+    'Remind the customer that {{business_name}} is still processing their request. Give them an '
+      + 'honest timeframe and tell them how to reach us if anything changes.',
+  ),
+  sample(
+    'Stuck (Follow-up)',
+    'follow_up',
+    'The customer\'s request is stuck waiting on information from them. Politely follow up, list '
+      + 'exactly what {{business_name}} still needs, and make it easy to reply.',
+  ),
+  sample(
+    'No Response (Pending)',
+    'pending',
+    'The customer has not replied to our last message. Send a short, friendly check-in from '
+      + '{{business_name}} and ask whether they still need help.',
+  ),
+];
+
+module.exports = { SAMPLE_PROMPTS };
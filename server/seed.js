@@ -0,0 +1,85 @@
+// Loads the sample prompts into the configured storage (STORAGE_DRIVER, see
+// storage/index.js): npm run seed. Their business and location are created when missing,
+// and prompts whose slot (location_id, channel and purpose) is already taken are skipped,
+// so running it again changes nothing.
+require('dotenv').config();
+const { storageFromEnv } = require('./storage');
+const { recordVersion } = require('./promptVersions');
+const { SAMPLE_PROMPTS } = require('./samplePrompts');
+const { slotOf, slotLabel } = require('./locations');
+const { nameKey } = require('./directory');
+
+// The prompt filed under its business and location, creating either when missing
+async function fileInDirectory(supabase, prompt) {
+  const now = new Date().toISOString();
+  const { data: businesses, error: businessErr } = await supabase.from('businesses').select('id, name');
+  if (businessErr) throw businessErr;
+  let business = (businesses || []).find((row) => nameKey(row.name) === nameKey(prompt.business_name));
+  if (!business) {
+    const { data, error } = await supabase
+      .from('businesses')
+      .insert([{ name: prompt.business_name, updated_at: now }])
+      .select('id, name')
+      .single();
+    if (error) throw error;
+    business = data;
+  }
+
+  const { data: location, error: locationErr } = await supabase
+    .from('locations')
+    .select('id')
+    .eq('id', prompt.location_id)
+    .maybeSingle();
+  if (locationErr) throw locationErr;
+  if (!location) {
+    const { error } = await supabase
+      .from('locations')
+      .insert([{ id: prompt.location_id, name: null, business_id: business.id, updated_at: now }]);
+    if (error) throw error;
+  }
+  return { ...prompt, business_id: business.id, business_name: business.name };
+}
+
+// Insert each prompt not yet present (with its first revision); returns the names
+// { created, skipped }
+async function seedPrompts(supabase, prompts = SAMPLE_PROMPTS) {
+  const created = [];
+  const skipped = [];
+  for (const prompt of prompts) {
+    const { data: existing, error: lookupErr } = await supabase
+      .from('prompts')
+      .select('id, channel, purpose')
+      .eq('location_id', prompt.location_id)
+      .is('deleted_at', null);
+    if (lookupErr) throw lookupErr;
+    if ((existing || []).some((row) => slotLabel(slotOf(row)) === slotLabel(slotOf(prompt)))) {
+      skipped.push(prompt.name);
+      continue;
+    }
+
+    const filed = await fileInDirectory(supabase, prompt);
+    const { data, error } = await supabase
+      .from('prompts')
+      .insert([{ ...filed, updated_at: new Date().toISOString() }])
+      .select()
+      .single();
+    if (error) throw error;
+    const { error: versionErr } = await recordVersion(supabase, data, { author: 'seed' });
+    if (versionErr) throw versionErr;
+    created.push(prompt.name);
+  }
+  return { created, skipped };
+}
+
+if (require.main === module) {
+  seedPrompts(storageFromEnv(process.env))
+    .then(({ created, skipped }) => {
+      console.log(`Seeded ${created.length} prompt(s), skipped ${skipped.length} already present`);
+    })
+    .catch((err) => {
+      console.error('Seeding failed:', err.message || err);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { seedPrompts };
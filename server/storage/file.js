@@ -0,0 +1,150 @@
+// Local JSON-file storage backend for running offline (demos, development without a
+// Supabase project). The whole database is one file, { schema_version, tables }, loaded
+// into the in-memory backend and written back after every change. Writes go to a
+// temporary file that is then renamed over the original, so a crash never leaves a
+// half-written database. Meant for a single server process; concurrent writers would
+// overwrite each other.
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { createMemorySupabase } = require('./memory');
+const { SLOT_DEFAULTS } = require('../locations');
+
+const TABLES = [
+  'prompts',
+  'prompt_versions',
+  'audit_events',
+  'user_roles',
+  'prompt_test_cases',
+  'prompt_test_runs',
+  'api_keys',
+  'webhooks',
+  'webhook_deliveries',
+  'businesses',
+  'locations',
+  'knowledgebase_documents',
+];
+
+// Each migration brings the tables up one schema version. The file records the version
+// it is at, so files written by older releases are upgraded when opened. Append new
+// migrations; never edit one that has shipped.
+const MIGRATIONS = [
+  // 1: every table the service uses
+  (tables) => {
+    TABLES.forEach((table) => {
+      if (!Array.isArray(tables[table])) tables[table] = [];
+    });
+  },
+  // 2: prompts fill a channel/purpose slot of their location; existing ones the default
+  (tables) => {
+    tables.prompts.forEach((prompt) => {
+      Object.entries(SLOT_DEFAULTS).forEach(([field, value]) => {
+        if (!prompt[field]) prompt[field] = value;
+      });
+    });
+  },
+  // 3: businesses and locations get tables of their own, de-duplicated from the prompts'
+  // free-text values as migration 0014_businesses_and_locations.sql does on Postgres
+  (tables) => {
+    const now = new Date().toISOString();
+    const key = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    ['businesses', 'locations'].forEach((table) => {
+      if (!Array.isArray(tables[table])) tables[table] = [];
+    });
+
+    const spellings = new Map();
+    tables.prompts.forEach(({ business_name: name }) => {
+      if (!key(name)) return;
+      const spelling = String(name).trim().replace(/\s+/g, ' ');
+      spellings.set(spelling, (spellings.get(spelling) || 0) + 1);
+    });
+    const byKey = new Map();
+    [...spellings].sort(([a, usesA], [b, usesB]) => usesB - usesA || (a < b ? -1 : 1)).forEach(([name]) => {
+      if (!byKey.has(key(name))) byKey.set(key(name), { id: randomUUID(), name, created_at: now, updated_at: now });
+    });
+    tables.businesses.push(...byKey.values());
+
+    const renamed = (row) => {
+      const business = byKey.get(key(row.business_name));
+      if (business && row.business_name) row.business_name = business.name;
+      return business;
+    };
+    tables.prompts.forEach((prompt) => {
+      const business = renamed(prompt);
+      prompt.business_id = business ? business.id : null;
+      if (prompt.location_id === '') prompt.location_id = null;
+    });
+    tables.prompt_versions.forEach((version) => {
+      const business = byKey.get(key(version.business_name));
+      version.business_id = business ? business.id : null;
+    });
+    ['user_roles', 'api_keys', 'webhooks'].forEach((table) => tables[table].forEach(renamed));
+
+    const owners = new Map();
+    tables.prompts.forEach((prompt) => {
+      if (!prompt.location_id) return;
+      owners.set(prompt.location_id, [...(owners.get(prompt.location_id) || []), prompt.business_id]);
+    });
+    owners.forEach((businessIds, id) => {
+      const single = businessIds[0] && businessIds.every((businessId) => businessId === businessIds[0]);
+      tables.locations.push({ id, name: null, business_id: single ? businessIds[0] : null, created_at: now, updated_at: now });
+    });
+  },
+  // 4: the knowledgebase library (0015_knowledgebase_documents.sql); prompts without
+  // knowledgebase_ids list no documents
+  (tables) => {
+    if (!Array.isArray(tables.knowledgebase_documents)) tables.knowledgebase_documents = [];
+  },
+];
+
+const SCHEMA_VERSION = MIGRATIONS.length;
+
+function readDatabase(file) {
+  if (!fs.existsSync(file)) return { schema_version: 0, tables: {} };
+  const raw = fs.readFileSync(file, 'utf8');
+  const data = raw.trim() ? JSON.parse(raw) : {};
+  return { schema_version: Number(data.schema_version) || 0, tables: data.tables || {} };
+}
+
+function writeDatabase(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, `${JSON.stringify(data, null, 2)}\n`);
+  fs.renameSync(temp, file);
+}
+
+// Apply the migrations a database has not seen yet; returns the versions applied
+function migrateDatabase(data) {
+  if (data.schema_version > SCHEMA_VERSION) {
+    throw new Error(`Storage file is at schema version ${data.schema_version}, newer than this release supports (${SCHEMA_VERSION})`);
+  }
+  const applied = [];
+  while (data.schema_version < SCHEMA_VERSION) {
+    MIGRATIONS[data.schema_version](data.tables);
+    data.schema_version += 1;
+    applied.push(data.schema_version);
+  }
+  return applied;
+}
+
+// Open (creating or migrating as needed) the database in `file`. The returned client
+// also has migrations, the schema versions applied while opening it, and schemaVersion.
+function createFileStorage({ file }) {
+  const data = readDatabase(file);
+  const migrations = migrateDatabase(data);
+
+  let client = null;
+  const save = () => writeDatabase(file, { schema_version: data.schema_version, tables: client._tables() });
+
+  client = createMemorySupabase({
+    tables: data.tables,
+    now: () => new Date().toISOString(),
+    onChange: save,
+  });
+  TABLES.forEach((table) => client._rows(table));
+  if (migrations.length || !fs.existsSync(file)) save();
+
+  return Object.assign(client, { migrations, schemaVersion: data.schema_version });
+}
+
+module.exports = { TABLES, SCHEMA_VERSION, createFileStorage, readDatabase, migrateDatabase };
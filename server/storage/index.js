@@ -0,0 +1,27 @@
+// Storage backends. The prompts service reads and writes through the subset of the
+// supabase-js query builder it uses (from(table) with select (and its count: 'exact'
+// option)/insert/update/delete, eq/is/not/lt/gte/lte filters, order, limit, range, single
+// and maybeSingle), so any backend that provides it can be swapped in. STORAGE_DRIVER picks one:
+//   supabase (default) - the hosted project in SUPABASE_URL (see supabase.js)
+//   file               - a local JSON file at STORAGE_FILE (see file.js), for offline use
+//   memory             - nothing persisted; every start is empty (demos, tests)
+const path = require('path');
+const { ServiceError } = require('../errors');
+const { createSupabaseStorage } = require('./supabase');
+const { createFileStorage } = require('./file');
+const { createMemorySupabase } = require('./memory');
+
+const DRIVERS = ['supabase', 'file', 'memory'];
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'prompts.json');
+
+const storageDriver = (env) => (env.STORAGE_DRIVER || 'supabase').toLowerCase();
+
+function storageFromEnv(env) {
+  const driver = storageDriver(env);
+  if (driver === 'supabase') return createSupabaseStorage(env);
+  if (driver === 'file') return createFileStorage({ file: path.resolve(env.STORAGE_FILE || DEFAULT_FILE) });
+  if (driver === 'memory') return createMemorySupabase({ now: () => new Date().toISOString() });
+  throw new ServiceError(500, `Unknown STORAGE_DRIVER "${driver}" (expected one of: ${DRIVERS.join(', ')})`);
+}
+
+module.exports = { DRIVERS, DEFAULT_FILE, storageDriver, storageFromEnv };
@@ -0,0 +1,258 @@
+// In-memory storage backend: the subset of the supabase-js query builder the prompts
+// service uses (see storage/index.js). Every query resolves to { data, error } like the
+// real client. The contract tests use it directly; the file backend persists it.
+const { randomUUID } = require('crypto');
+
+function deterministicClock() {
+  let clock = Date.parse('2024-01-01T00:00:00.000Z');
+  return () => new Date((clock += 1000)).toISOString();
+}
+
+function notSingleError(count) {
+  return {
+    code: 'PGRST116',
+    message: 'JSON object requested, multiple (or no) rows returned',
+    details: `The result contains ${count} rows`,
+  };
+}
+
+function project(row, columns) {
+  if (!columns || columns.trim() === '*') return { ...row };
+  const out = {};
+  columns.split(',').map((c) => c.trim()).filter(Boolean).forEach((column) => {
+    out[column] = row[column] === undefined ? null : row[column];
+  });
+  return out;
+}
+
+class QueryBuilder {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.payload = null;
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.rangeBounds = null;
+    this.countMode = null;
+    this.singleMode = null;
+  }
+
+  // { count: 'exact' } adds the number of matching rows, before range and limit, as `count`
+  select(columns = '*', { count = null } = {}) {
+    this.columns = columns;
+    this.countMode = count;
+    if (this.action !== 'select') this.returning = true;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  eq(column, value) {
+    this.filters.push((row) => row[column] !== undefined && row[column] !== null && String(row[column]) === String(value));
+    return this;
+  }
+
+  is(column, value) {
+    this.filters.push((row) => (row[column] ?? null) === value);
+    return this;
+  }
+
+  // Only the 'is' operator is needed so far (.not('deleted_at', 'is', null))
+  not(column, operator, value) {
+    if (operator !== 'is') throw new Error(`memorySupabase: unsupported not() operator ${operator}`);
+    this.filters.push((row) => (row[column] ?? null) !== value);
+    return this;
+  }
+
+  lt(column, value) {
+    this.filters.push((row) => row[column] !== undefined && row[column] !== null && row[column] < value);
+    return this;
+  }
+
+  gte(column, value) {
+    this.filters.push((row) => row[column] !== undefined && row[column] !== null && row[column] >= value);
+    return this;
+  }
+
+  lte(column, value) {
+    this.filters.push((row) => row[column] !== undefined && row[column] !== null && row[column] <= value);
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  // Rows from..to (inclusive, zero-based) of the ordered result
+  range(from, to) {
+    this.rangeBounds = [from, to];
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(resolve, reject);
+  }
+
+  matching() {
+    return this.db.rows(this.table).filter((row) => this.filters.every((f) => f(row)));
+  }
+
+  execute() {
+    let rows;
+    let error = null;
+
+    if (this.action === 'insert') {
+      ({ rows, error } = this.db.insertRows(this.table, this.payload));
+    } else if (this.action === 'update') {
+      ({ rows, error } = this.db.updateRows(this.table, this.matching(), this.payload));
+    } else if (this.action === 'delete') {
+      rows = this.db.deleteRows(this.table, this.matching());
+    } else {
+      rows = this.matching();
+    }
+
+    if (error) return { data: null, error };
+    if (this.action !== 'select') this.db.changed(this.table);
+    if (this.action !== 'select' && !this.returning) return { data: null, error: null };
+
+    rows = [...rows];
+    if (this.orders.length) {
+      rows.sort((a, b) => {
+        for (const { column, ascending } of this.orders) {
+          if (a[column] === b[column]) continue;
+          const cmp = a[column] > b[column] ? 1 : -1;
+          return ascending ? cmp : -cmp;
+        }
+        return 0;
+      });
+    }
+    const count = rows.length;
+    if (this.rangeBounds) rows = rows.slice(this.rangeBounds[0], this.rangeBounds[1] + 1);
+    if (this.limitCount !== null) rows = rows.slice(0, this.limitCount);
+    if (this.action === 'select' && this.db.maxRows) rows = rows.slice(0, this.db.maxRows);
+    rows = rows.map((row) => project(row, this.columns));
+
+    if (this.singleMode === 'single') {
+      return rows.length === 1 ? { data: rows[0], error: null } : { data: null, error: notSingleError(rows.length) };
+    }
+    if (this.singleMode === 'maybeSingle') {
+      if (rows.length > 1) return { data: null, error: notSingleError(rows.length) };
+      return { data: rows[0] || null, error: null };
+    }
+    return this.countMode ? { data: rows, error: null, count } : { data: rows, error: null };
+  }
+}
+
+// uniques: { table: [['col'], ['col_a', 'col_b']] } mirrors unique constraints (error 23505).
+// now() stamps created_at; by default a clock starting at 2024-01-01 that advances a
+// second per insert, so created_at ordering is deterministic in tests. onChange(table)
+// runs after every successful insert, update or delete. maxRows caps every select like
+// PostgREST's max_rows setting (off by default).
+function createMemorySupabase({
+  tables = {},
+  uniques = { prompt_versions: [['prompt_id', 'rev']] },
+  now = deterministicClock(),
+  onChange = () => {},
+  maxRows = null,
+} = {}) {
+  const store = {};
+
+  const db = {
+    changed: onChange,
+    maxRows,
+
+    rows(table) {
+      if (!store[table]) store[table] = [];
+      return store[table];
+    },
+
+    violatesUnique(table, candidate, ignore) {
+      return (uniques[table] || []).some((columns) =>
+        db.rows(table).some((row) =>
+          row !== ignore &&
+          columns.every((c) => candidate[c] !== undefined && candidate[c] !== null && row[c] === candidate[c])
+        )
+      );
+    },
+
+    insertRows(table, payload) {
+      const created = [];
+      for (const values of payload) {
+        const row = { id: randomUUID(), created_at: now(), ...values };
+        if (db.violatesUnique(table, row)) {
+          return { rows: [], error: { code: '23505', message: `duplicate key value violates unique constraint on ${table}` } };
+        }
+        db.rows(table).push(row);
+        created.push(row);
+      }
+      return { rows: created, error: null };
+    },
+
+    updateRows(table, rows, values) {
+      for (const row of rows) {
+        if (db.violatesUnique(table, { ...row, ...values }, row)) {
+          return { rows: [], error: { code: '23505', message: `duplicate key value violates unique constraint on ${table}` } };
+        }
+      }
+      rows.forEach((row) => Object.assign(row, values));
+      return { rows, error: null };
+    },
+
+    deleteRows(table, rows) {
+      store[table] = db.rows(table).filter((row) => !rows.includes(row));
+      return rows;
+    },
+  };
+
+  Object.entries(tables).forEach(([table, rows]) => {
+    db.insertRows(table, rows);
+  });
+
+  return {
+    from(table) {
+      return new QueryBuilder(db, table);
+    },
+    // Direct access to the stored rows (tests, and the file backend when saving)
+    _rows: (table) => db.rows(table),
+    _tables: () => store,
+  };
+}
+
+module.exports = { createMemorySupabase };
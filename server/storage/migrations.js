@@ -0,0 +1,149 @@
+// Versioned schema migrations for the Supabase/Postgres database. Each file in
+// server/migrations is named NNNN_name.sql and runs once, in order, in a transaction of
+// its own; the schema_migrations table records the version, name and checksum of every
+// file applied. Shipped files must never be edited (add a new one instead): a changed
+// checksum, or an applied version this checkout does not have, is schema drift and the
+// server refuses to start on it. The local file backend has its own migrations
+// (file.js), applied whenever the file is opened.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { TRASH_COLUMNS } = require('../promptsService');
+const { SCHEMA_VERSION } = require('./file');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const LEDGER_TABLE = 'schema_migrations';
+// pg_advisory_lock key, so two runners never apply migrations at the same time
+const LOCK_KEY = 4207316;
+
+const LEDGER_SQL = `create table if not exists ${LEDGER_TABLE} (
+  version integer primary key,
+  name text not null,
+  checksum text not null,
+  applied_at timestamptz not null default now()
+)`;
+
+// Line endings are normalized so a Windows checkout does not look like drift
+const checksum = (sql) => crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+
+const label = (migration) => `${String(migration.version).padStart(4, '0')}_${migration.name}`;
+
+// The migrations in `dir`, ordered by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs
+    .readdirSync(dir)
+    .filter((file) => file.endsWith('.sql'))
+    .map((file) => {
+      const match = /^(\d+)_([\w-]+)\.sql$/.exec(file);
+      if (!match) throw new Error(`Migration files must be named like 0001_name.sql: ${file}`);
+      const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+      return { version: Number(match[1]), name: match[2], sql, checksum: checksum(sql) };
+    })
+    .sort((a, b) => a.version - b.version);
+  migrations.forEach((migration, i) => {
+    if (i && migration.version === migrations[i - 1].version) {
+      throw new Error(`Two migrations share version ${migration.version}`);
+    }
+  });
+  return migrations;
+}
+
+// Compare the migrations in the repo with the rows of schema_migrations:
+// { pending, unknown, changed }
+function compareMigrations(migrations, applied) {
+  const appliedByVersion = new Map((applied || []).map((row) => [Number(row.version), row]));
+  const known = new Set(migrations.map((migration) => migration.version));
+  return {
+    pending: migrations.filter((migration) => !appliedByVersion.has(migration.version)),
+    unknown: (applied || []).filter((row) => !known.has(Number(row.version))),
+    changed: migrations.filter((migration) => {
+      const row = appliedByVersion.get(migration.version);
+      return row && row.checksum !== migration.checksum;
+    }),
+  };
+}
+
+// One line per problem; pending migrations only count when includePending is set
+function driftProblems({ pending, unknown, changed }, { includePending = true } = {}) {
+  return [
+    ...(includePending ? pending.map((m) => `${label(m)} has not been applied`) : []),
+    ...changed.map((m) => `${label(m)} was edited after it was applied`),
+    ...unknown.map((row) => `${label({ version: Number(row.version), name: row.name })} is applied but missing from server/migrations`),
+  ];
+}
+
+// Startup check for the storage the server is about to use. Resolves to a list of
+// problems, empty when the schema matches this release.
+async function checkSchema(storage, driver, { migrations = loadMigrations() } = {}) {
+  if (driver === 'memory') return [];
+  if (driver === 'file') {
+    return storage.schemaVersion === SCHEMA_VERSION
+      ? []
+      : [`The storage file is at schema version ${storage.schemaVersion}, this release expects ${SCHEMA_VERSION}`];
+  }
+
+  const { data, error } = await storage
+    .from(LEDGER_TABLE)
+    .select('version, name, checksum')
+    .order('version', { ascending: true });
+  if (error) return [`Could not read ${LEDGER_TABLE}: ${error.message}`];
+  const problems = driftProblems(compareMigrations(migrations, data));
+
+  // Catches columns dropped or renamed by hand, which the ledger cannot see
+  const { error: columnsError } = await storage.from('prompts').select(TRASH_COLUMNS).limit(1);
+  if (columnsError) problems.push(`prompts is missing columns the API reads: ${columnsError.message}`);
+  return problems;
+}
+
+// Apply the pending migrations with a node-postgres client. Refuses to run while
+// applied migrations have drifted. Resolves to the migrations it applied.
+async function runMigrations(client, { migrations = loadMigrations(), log = () => {} } = {}) {
+  await client.query(LEDGER_SQL);
+  await client.query('select pg_advisory_lock($1)', [LOCK_KEY]);
+  try {
+    const { rows } = await client.query(`select version, name, checksum from ${LEDGER_TABLE} order by version`);
+    const comparison = compareMigrations(migrations, rows);
+    const problems = driftProblems(comparison, { includePending: false });
+    if (problems.length) throw new Error(`Schema drift:\n  - ${problems.join('\n  - ')}`);
+
+    for (const migration of comparison.pending) {
+      log(`Applying ${label(migration)}`);
+      await client.query('begin');
+      try {
+        await client.query(migration.sql);
+        await client.query(`insert into ${LEDGER_TABLE} (version, name, checksum) values ($1, $2, $3)`, [
+          migration.version,
+          migration.name,
+          migration.checksum,
+        ]);
+        await client.query('commit');
+      } catch (err) {
+        await client.query('rollback');
+        throw new Error(`Migration ${label(migration)} failed: ${err.message}`);
+      }
+    }
+    return comparison.pending;
+  } finally {
+    await client.query('select pg_advisory_unlock($1)', [LOCK_KEY]);
+  }
+}
+
+// Pending and drifted migrations as seen over a node-postgres client, without applying any
+async function migrationStatus(client, { migrations = loadMigrations() } = {}) {
+  const { rows: [ledger] } = await client.query('select to_regclass($1) as name', [LEDGER_TABLE]);
+  if (!ledger.name) return compareMigrations(migrations, []);
+  const { rows } = await client.query(`select version, name, checksum from ${LEDGER_TABLE} order by version`);
+  return compareMigrations(migrations, rows);
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  LEDGER_TABLE,
+  label,
+  loadMigrations,
+  compareMigrations,
+  driftProblems,
+  checkSchema,
+  runMigrations,
+  migrationStatus,
+};
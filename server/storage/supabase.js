@@ -0,0 +1,26 @@
+const { createClient } = require('@supabase/supabase-js');
+const { ServiceError } = require('../errors');
+
+// The hosted Supabase project. Every table has row level security with no policies
+// (migration 0016_row_level_security.sql), so only the service role key can use them;
+// the API authorizes requests itself (see auth.js and permissions.js). The public anon
+// key is refused rather than left to fail on every query.
+function createSupabaseStorage(env) {
+  const supabaseUrl = env.SUPABASE_URL;
+  const supabaseKey = env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!supabaseUrl || !supabaseKey) {
+    throw new ServiceError(500, 'Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY environment variables');
+  }
+
+  return createClient(supabaseUrl, supabaseKey, { auth: { persistSession: false } });
+}
+
+// Client for Supabase Auth alone. A client that signs a user in sends that user's token
+// on its later queries instead of the service role key, so sign-ins get a client of their
+// own and the storage client always acts as the service role.
+function createSupabaseAuthClient(env) {
+  return createSupabaseStorage(env);
+}
+
+module.exports = { createSupabaseStorage, createSupabaseAuthClient };
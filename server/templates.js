@@ -0,0 +1,81 @@
+// Prompt templating: resolves {{placeholders}} in a prompt's text.
+//
+// Built-in variables come from the prompt row: business_name, location_id, name,
+// knowledgebase, inventory and inventory.<path> (dot path into the inventory JSON,
+// array indexes allowed, e.g. inventory.items.0.name). Any other name is a custom
+// variable whose value the caller supplies.
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][\w]*(?:\.[\w-]+)*)\s*\}\}/g;
+const BUILTIN_VARIABLES = ['business_name', 'location_id', 'name', 'knowledgebase', 'inventory'];
+
+function stringifyValue(value) {
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return JSON.stringify(value, null, 2);
+}
+
+function parseInventory(inventory) {
+  if (inventory && typeof inventory === 'object') return { value: inventory };
+  if (typeof inventory !== 'string' || !inventory.trim()) return { value: undefined };
+  try {
+    return { value: JSON.parse(inventory) };
+  } catch (err) {
+    return { error: 'Inventory is not valid JSON' };
+  }
+}
+
+function lookupPath(root, path) {
+  return path.reduce((value, key) => (value !== null && value !== undefined ? value[key] : undefined), root);
+}
+
+// List the distinct placeholder names used in a template, in order of appearance
+function listPlaceholders(template) {
+  const names = [];
+  String(template || '').replace(PLACEHOLDER, (match, name) => {
+    if (!names.includes(name)) names.push(name);
+    return match;
+  });
+  return names;
+}
+
+// Render a prompt row's template. Unresolvable placeholders are left in place and
+// reported in errors as { variable, message }.
+function renderPrompt(promptRow, customVariables = {}) {
+  const errors = [];
+  let inventory;
+
+  const resolve = (name) => {
+    const [head, ...path] = name.split('.');
+
+    if (head === 'inventory') {
+      if (!path.length && typeof promptRow.inventory === 'string') return { value: promptRow.inventory };
+      if (!inventory) inventory = parseInventory(promptRow.inventory);
+      if (inventory.error) return { error: inventory.error };
+      const value = lookupPath(inventory.value, path);
+      return value === undefined ? { error: `Inventory has no value at "${path.join('.')}"` } : { value };
+    }
+
+    if (BUILTIN_VARIABLES.includes(head)) {
+      const value = lookupPath(promptRow[head], path);
+      return value === undefined || value === null ? { error: `Prompt has no ${name}` } : { value };
+    }
+
+    if (Object.prototype.hasOwnProperty.call(customVariables, head)) {
+      const value = lookupPath(customVariables[head], path);
+      if (value !== undefined && value !== null) return { value };
+    }
+    return { error: `Variable "${name}" is not defined` };
+  };
+
+  const text = String(promptRow.prompt || '').replace(PLACEHOLDER, (match, name) => {
+    const { value, error } = resolve(name);
+    if (error) {
+      if (!errors.some((e) => e.variable === name)) errors.push({ variable: name, message: error });
+      return match;
+    }
+    return stringifyValue(value);
+  });
+
+  return { text, errors, placeholders: listPlaceholders(promptRow.prompt) };
+}
+
+module.exports = { renderPrompt, listPlaceholders, BUILTIN_VARIABLES };
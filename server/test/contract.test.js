@@ -0,0 +1,1871 @@
+// Contract tests: the Express app and the Netlify handler must behave identically
+// for every prompts route. Both run against the in-memory storage backend (storage/memory.js).
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const { createMemorySupabase } = require('../storage/memory');
+const { createFileStorage, SCHEMA_VERSION, TABLES } = require('../storage/file');
+const { loadMigrations, checkSchema, runMigrations, migrationStatus } = require('../storage/migrations');
+const { storageFromEnv } = require('../storage');
+const { seedPrompts } = require('../seed');
+const { SAMPLE_PROMPTS } = require('../samplePrompts');
+const { createApp } = require('../app');
+const { createPromptsService, TRASH_COLUMNS } = require('../promptsService');
+const { createNetlifyHandler } = require('../adapters/netlify');
+const { createLocalAuth, signJwt } = require('../auth');
+const { createMockProvider } = require('../llm');
+const { createLruCache } = require('../lruCache');
+const { createRateLimiter } = require('../limits');
+const { recordVersion } = require('../promptVersions');
+const { createWebhookDispatcher, startDeliverySweep } = require('../webhooks');
+
+const silentLogger = { error() {}, warn() {}, log() {} };
+const JWT_SECRET = 'contract-test-secret';
+const PASSWORD = 'hunter2';
+// sam is a bootstrap admin (ADMIN_EMAILS); the others get grants from user_roles
+const serviceOptions = () => ({
+  auth: createLocalAuth({
+    jwtSecret: JWT_SECRET,
+    users: ['sam', 'vic', 'eve', 'nobody'].map((name) => ({ email: `${name}@example.com`, password: PASSWORD })),
+  }),
+  adminEmails: ['sam@example.com'],
+  llm: createMockProvider(),
+});
+// Role grants, plus the businesses and (unassigned) locations the tests file prompts under
+const LOCATION_IDS = ['a-1', 'a-2', 'austin-01', 'austin-02', 'b-1', 'dallas-01', 'dallas-02', 'dallas-03', 'elsewhere', 'houston-01', 'x', 'x-1'];
+const seedTables = () => ({
+  user_roles: [
+    { id: 'role-vic', email: 'vic@example.com', role: 'viewer', business_name: 'Acme Dental', location_id: null },
+    { id: 'role-eve', email: 'eve@example.com', role: 'editor', business_name: 'Acme Dental', location_id: null },
+  ],
+  businesses: [
+    { id: 'business-acme', name: 'Acme Dental' },
+    { id: 'business-bright', name: 'Bright Smiles' },
+  ],
+  locations: LOCATION_IDS.map((id) => ({ id, name: null, business_id: null })),
+});
+
+const adapters = {
+  express: async (supabase, options) => {
+    const server = createApp({ supabase, ...options, logger: silentLogger }).listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    const base = `http://127.0.0.1:${server.address().port}/api`;
+
+    return {
+      defaultHeaders: {},
+      async call(method, path, body, { rawBody, headers } = {}) {
+        const res = await fetch(`${base}${path}`, {
+          method,
+          headers: { 'Content-Type': 'application/json', ...this.defaultHeaders, ...(headers || {}) },
+          body: rawBody !== undefined ? rawBody : body === undefined ? undefined : JSON.stringify(body),
+        });
+        const text = await res.text();
+        const isJson = (res.headers.get('content-type') || '').includes('application/json');
+        return { status: res.status, headers: res.headers, text, body: text && isJson ? JSON.parse(text) : undefined };
+      },
+      stop: () => new Promise((resolve) => server.close(resolve)),
+    };
+  },
+
+  netlify: async (supabase, options) => {
+    const handler = createNetlifyHandler(
+      () => createPromptsService({ supabase, ...options, logger: silentLogger }),
+      { cors: options.cors, bodyLimit: options.bodyLimit },
+    );
+
+    // Netlify decodes the path before the function sees it
+    const decoded = (pathname) => {
+      try {
+        return decodeURIComponent(pathname);
+      } catch (err) {
+        return pathname;
+      }
+    };
+
+    return {
+      defaultHeaders: {},
+      async call(method, path, body, { rawBody, headers } = {}) {
+        const [pathname, search = ''] = path.split('?');
+        const res = await handler({
+          httpMethod: method,
+          path: `/.netlify/functions/prompts${decoded(pathname)}`,
+          headers: { ...this.defaultHeaders, ...(headers || {}) },
+          queryStringParameters: Object.fromEntries(new URLSearchParams(search)),
+          body: rawBody !== undefined ? rawBody : body === undefined ? null : JSON.stringify(body),
+        });
+        const lowered = Object.fromEntries(Object.entries(res.headers || {}).map(([k, v]) => [k.toLowerCase(), v]));
+        const isJson = (lowered['content-type'] || '').includes('application/json');
+        return {
+          status: res.statusCode,
+          headers: { get: (name) => lowered[name.toLowerCase()] ?? null },
+          text: res.body,
+          body: res.body && isJson ? JSON.parse(res.body) : undefined,
+        };
+      },
+      stop: async () => {},
+    };
+  },
+};
+
+const samplePrompt = {
+  name: 'Response',
+  prompt: 'Thanks for reaching out to {{business_name}}!',
+  location_id: 'dallas-01',
+  business_name: 'Acme Dental',
+  knowledgebase: 'Open 9-5 Monday to Friday.',
+  inventory: { items: [{ sku: 'CLN-1', name: 'Cleaning', price: 89, quantity: 10, availability: 'in_stock' }] },
+};
+
+// Provider that records the messages it was sent and replies with `chunks`
+function spyProvider(chunks) {
+  const provider = {
+    name: 'spy',
+    model: 'spy-1',
+    calls: [],
+    async chat({ messages }) {
+      provider.calls.push(messages);
+      return (async function* events() {
+        for (const chunk of chunks) {
+          if (chunk instanceof Error) throw chunk;
+          yield { delta: chunk };
+        }
+      })();
+    },
+  };
+  return provider;
+}
+
+// Provider that answers with the system prompt it was given
+const echoProvider = {
+  name: 'echo',
+  model: 'echo-1',
+  chat: async ({ messages }) => (async function* events() {
+    yield { delta: messages[0].content };
+  })(),
+};
+
+const ndjson = (text) => text.trim().split('\n').map((line) => JSON.parse(line));
+
+// Poll until check() is truthy (background work such as webhook deliveries)
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+// Local HTTP server that records webhook requests, answering with queued statuses then 200
+async function startReceiver(statuses = []) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() || 200;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hooks`,
+    received,
+    stop: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// Supabase client whose every query fails, to check error bodies do not leak details
+function failingSupabase() {
+  const result = { data: null, error: { code: 'XX000', message: 'connection refused by 10.0.0.5' } };
+  const builder = new Proxy({}, {
+    get: (target, prop) => (prop === 'then' ? (resolve) => resolve(result) : () => builder),
+  });
+  return { from: () => builder };
+}
+
+for (const [name, start] of Object.entries(adapters)) {
+  describe(`prompts API contract (${name})`, () => {
+    let supabase;
+    let api;
+
+    // Authorization header for one of the test users
+    const as = async (name) => {
+      const login = await api.call('POST', '/auth/login', { email: `${name}@example.com`, password: PASSWORD });
+      return { headers: { authorization: `Bearer ${login.body.token}` } };
+    };
+
+    beforeEach(async () => {
+      supabase = createMemorySupabase({ tables: seedTables() });
+      api = await start(supabase, serviceOptions());
+      api.defaultHeaders = (await as('sam')).headers;
+    });
+
+    afterEach(async () => {
+      await api.stop();
+    });
+
+    it('reports health', async () => {
+      const res = await api.call('GET', '/health');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.ok, true);
+      assert.equal(typeof res.body.env.node, 'string');
+    });
+
+    it('requires a valid token', async () => {
+      const anonymous = await api.call('POST', '/prompts', samplePrompt, { headers: { authorization: '' } });
+      assert.equal(anonymous.status, 401);
+      assert.deepEqual(anonymous.body, { error: 'Authentication required' });
+
+      const forged = signJwt({ sub: 'mallory', exp: Math.floor(Date.now() / 1000) + 60 }, 'wrong-secret');
+      const invalid = await api.call('DELETE', '/prompts/any', undefined, { headers: { authorization: `Bearer ${forged}` } });
+      assert.equal(invalid.status, 401);
+
+      const expired = signJwt({ sub: 'sam', exp: Math.floor(Date.now() / 1000) - 1 }, JWT_SECRET);
+      const late = await api.call('PUT', '/prompts/any', samplePrompt, { headers: { authorization: `Bearer ${expired}` } });
+      assert.deepEqual(late.body, { error: 'Token expired' });
+
+      const read = await api.call('GET', '/prompts', undefined, { headers: { authorization: '' } });
+      assert.equal(read.status, 401);
+    });
+
+    it('logs in and identifies the user', async () => {
+      const wrong = await api.call('POST', '/auth/login', { email: 'sam@example.com', password: 'nope' });
+      assert.equal(wrong.status, 401);
+      assert.deepEqual(wrong.body, { error: 'Invalid email or password' });
+
+      const me = await api.call('GET', '/auth/me');
+      assert.equal(me.status, 200);
+      assert.deepEqual(me.body.user, { id: 'sam@example.com', email: 'sam@example.com' });
+      assert.equal(me.body.roles[0].role, 'admin');
+
+      const viewer = await api.call('GET', '/auth/me', undefined, await as('vic'));
+      assert.deepEqual(viewer.body.roles.map((r) => [r.role, r.business_name]), [['viewer', 'Acme Dental']]);
+    });
+
+    it('lists only prompts in the businesses a user has a role for', async () => {
+      await api.call('POST', '/prompts', samplePrompt);
+      await api.call('POST', '/prompts', { ...samplePrompt, location_id: 'austin-02', business_name: 'Bright Smiles' });
+
+      assert.equal((await api.call('GET', '/prompts')).body.total, 2);
+      const viewer = await api.call('GET', '/prompts', undefined, await as('vic'));
+      assert.deepEqual(viewer.body.items.map((p) => p.business_name), ['Acme Dental']);
+      assert.equal(viewer.body.total, 1);
+      assert.deepEqual((await api.call('GET', '/prompts', undefined, await as('nobody'))).body.items, []);
+
+      const exported = await api.call('GET', '/prompts/export?format=json', undefined, await as('vic'));
+      assert.equal(JSON.parse(exported.text).length, 1);
+    });
+
+    it('returns 403 for writes the role does not allow', async () => {
+      const acme = await api.call('POST', '/prompts', samplePrompt);
+      const other = await api.call('POST', '/prompts', { ...samplePrompt, location_id: 'austin-02', business_name: 'Bright Smiles' });
+      const vic = await as('vic');
+      const eve = await as('eve');
+
+      const viewerEdit = await api.call('PUT', `/prompts/${acme.body.id}`, samplePrompt, vic);
+      assert.equal(viewerEdit.status, 403);
+      assert.deepEqual(viewerEdit.body, { error: 'You do not have permission to edit this prompt' });
+      assert.equal((await api.call('DELETE', `/prompts/${acme.body.id}`, undefined, vic)).status, 403);
+      assert.equal((await api.call('POST', '/prompts', samplePrompt, vic)).status, 403);
+
+      assert.equal((await api.call('PUT', `/prompts/${acme.body.id}`, { ...samplePrompt, prompt: 'v2', updated_at: acme.body.updated_at }, eve)).status, 200);
+      assert.equal((await api.call('PUT', `/prompts/${other.body.id}`, samplePrompt, eve)).status, 403);
+      const move = await api.call('PUT', `/prompts/${acme.body.id}`, { ...samplePrompt, business_name: 'Bright Smiles' }, eve);
+      assert.equal(move.status, 403);
+
+      // Prompts outside every grant look missing to read routes
+      assert.equal((await api.call('GET', `/prompts/${other.body.id}/versions`, undefined, eve)).status, 404);
+      assert.equal((await api.call('DELETE', `/prompts/${acme.body.id}`, undefined, eve)).status, 204);
+    });
+
+    it('rejects import rows outside the editor\'s businesses', async () => {
+      const rows = [
+        { ...samplePrompt, location_id: 'a-1' },
+        { ...samplePrompt, location_id: 'b-1', business_name: 'Bright Smiles' },
+      ];
+      const res = await api.call('POST', '/prompts/import', { format: 'json', data: rows }, await as('eve'));
+      assert.deepEqual(res.body.summary, { create: 1, update: 0, skip: 0, error: 1 });
+      assert.deepEqual(res.body.rows[1].errors, [{ field: 'business_name', message: 'you do not have editor access to this business' }]);
+    });
+
+    it('lets admins manage role grants in their scope', async () => {
+      const granted = await api.call('POST', '/roles', { email: 'Nobody@Example.com', role: 'viewer', business_name: 'Bright Smiles' });
+      assert.equal(granted.status, 201);
+      assert.equal(granted.body.email, 'nobody@example.com');
+
+      const invalid = await api.call('POST', '/roles', { email: 'x@example.com', role: 'owner' });
+      assert.equal(invalid.status, 400);
+      assert.equal(invalid.body.errors[0].field, 'role');
+
+      const eve = await as('eve');
+      assert.equal((await api.call('GET', '/roles', undefined, eve)).status, 403);
+      assert.equal((await api.call('DELETE', `/roles/${granted.body.id}`, undefined, eve)).status, 403);
+
+      assert.equal((await api.call('GET', '/roles')).body.length, 3);
+      assert.equal((await api.call('DELETE', `/roles/${granted.body.id}`)).status, 204);
+      assert.equal((await api.call('DELETE', `/roles/${granted.body.id}`)).status, 404);
+    });
+
+    it('rejects creates without name or prompt', async () => {
+      const res = await api.call('POST', '/prompts', { name: 'Missing prompt' });
+      assert.equal(res.status, 422);
+      assert.deepEqual(res.body, { error: 'Invalid prompt', errors: [{ field: 'prompt', message: 'is required' }] });
+    });
+
+    it('reports every invalid field with a 422 and trims text fields', async () => {
+      const res = await api.call('POST', '/prompts', {
+        name: '   ',
+        prompt: 42,
+        location_id: 'dallas 01',
+        business_name: ['Acme'],
+        knowledgebase: { text: 'Open 9-5' },
+      });
+      assert.equal(res.status, 422);
+      assert.equal(res.body.error, 'Invalid prompt');
+      assert.deepEqual(res.body.errors, [
+        { field: 'name', message: 'is required' },
+        { field: 'prompt', message: 'must be a string' },
+        { field: 'location_id', message: 'must not contain spaces' },
+        { field: 'business_name', message: 'must be a string or null' },
+        { field: 'knowledgebase', message: 'must be a string or null' },
+      ]);
+
+      const created = await api.call('POST', '/prompts', { ...samplePrompt, name: '  Welcome  ', business_name: ' Acme Dental ' });
+      assert.equal(created.status, 201);
+      assert.equal(created.body.name, 'Welcome');
+      assert.equal(created.body.business_name, 'Acme Dental');
+
+      const schema = await api.call('GET', '/schema/prompt');
+      assert.equal(schema.status, 200);
+      assert.deepEqual(schema.body.required, ['name', 'prompt']);
+      assert.equal(schema.body.properties.location_id.patternMessage, 'must not contain spaces');
+    });
+
+    it('keeps location_id unique among live prompts', async () => {
+      const first = await api.call('POST', '/prompts', samplePrompt);
+      const taken = await api.call('POST', '/prompts', { ...samplePrompt, name: 'Second' });
+      assert.equal(taken.status, 422);
+      assert.deepEqual(taken.body.errors, [{ field: 'location_id', message: 'is already used by "Response"' }]);
+
+      const second = await api.call('POST', '/prompts', { ...samplePrompt, name: 'Second', location_id: 'dallas-02' });
+      const moved = await api.call('PUT', `/prompts/${second.body.id}`, { ...samplePrompt, name: 'Second', updated_at: second.body.updated_at });
+      assert.equal(moved.status, 422);
+      assert.equal(moved.body.errors[0].field, 'location_id');
+      const kept = await api.call('PUT', `/prompts/${first.body.id}`, { ...samplePrompt, prompt: 'Edited', updated_at: first.body.updated_at });
+      assert.equal(kept.status, 200);
+
+      // Trashed prompts give up their location_id until restored
+      assert.equal((await api.call('DELETE', `/prompts/${first.body.id}`)).status, 204);
+      const reused = await api.call('POST', '/prompts', { ...samplePrompt, name: 'Replacement' });
+      assert.equal(reused.status, 201);
+      const restore = await api.call('POST', `/prompts/${first.body.id}/restore`, {});
+      assert.equal(restore.status, 409);
+      assert.equal(restore.body.error, 'Another prompt now uses location_id dallas-01');
+
+      // Prompts the user cannot see are not named
+      const hidden = await api.call('POST', '/prompts', { ...samplePrompt, location_id: 'austin-02', business_name: 'Bright Smiles' });
+      assert.equal(hidden.status, 201);
+      const blocked = await api.call('POST', '/prompts', { ...samplePrompt, location_id: 'austin-02' }, await as('eve'));
+      assert.deepEqual(blocked.body.errors, [{ field: 'location_id', message: 'is already used by another prompt' }]);
+    });
+
+    it('files several prompts under a location by channel and purpose', async () => {
+      const general = await api.call('POST', '/prompts', samplePrompt);
+      assert.equal(general.body.channel, 'all');
+      assert.equal(general.body.purpose, 'general');
+      const sms = await api.call('POST', '/locations/dallas-01/prompts', {
+        ...samplePrompt,
+        name: 'SMS greeting',
+        location_id: 'elsewhere',
+        channel: 'sms',
+        purpose: 'greeting',
+      });
+      assert.equal(sms.status, 201);
+      assert.equal(sms.body.location_id, 'dallas-01');
+
+      const taken = await api.call('POST', '/prompts', { ...samplePrompt, name: 'Again', channel: 'sms', purpose: 'greeting' });
+      assert.deepEqual(taken.body.errors, [{ field: 'location_id', message: 'is already used by "SMS greeting" for sms/greeting' }]);
+      const unknown = await api.call('POST', '/prompts', { ...samplePrompt, channel: 'fax' });
+      assert.deepEqual(unknown.body.errors, [{ field: 'channel', message: 'must be one of: all, sms, web_chat, voice, email' }]);
+
+      // Edits that leave the slot out keep it
+      const edited = await api.call('PUT', `/prompts/${sms.body.id}`, { ...samplePrompt, name: 'SMS greeting', updated_at: sms.body.updated_at });
+      assert.equal(edited.body.channel, 'sms');
+
+      const location = await api.call('GET', '/locations/dallas-01', undefined, await as('vic'));
+      assert.equal(location.status, 200);
+      const { id, prompt_count: count, channels, prompts } = location.body;
+      assert.deepEqual(
+        { id, count, channels, prompts: prompts.map((p) => p.name) },
+        { id: 'dallas-01', count: 2, channels: ['all', 'sms'], prompts: ['Response', 'SMS greeting'] }
+      );
+      assert.equal((await api.call('GET', '/locations/dallas-01', undefined, await as('nobody'))).status, 404);
+      const listed = (await api.call('GET', '/locations')).body;
+      assert.deepEqual(listed.map((row) => row.id), LOCATION_IDS);
+      assert.deepEqual(listed.find((row) => row.id === 'dallas-01').channels, ['all', 'sms']);
+      assert.deepEqual((await api.call('GET', '/locations/dallas-01/prompts?channel=sms')).body.map((p) => p.name), ['SMS greeting']);
+      assert.equal((await api.call('GET', '/locations/dallas-01/prompts/sms/greeting')).body.id, sms.body.id);
+      assert.equal((await api.call('GET', '/locations/dallas-01/prompts/voice/greeting')).status, 404);
+      assert.equal((await api.call('GET', '/locations/dallas-01/prompts?channel=fax')).status, 400);
+
+      // Lookups fall back to the location's 'all' prompt for the purpose
+      await api.call('POST', `/prompts/${general.body.id}/publish`, {});
+      await api.call('POST', `/prompts/${sms.body.id}/publish`, {});
+      assert.equal((await api.call('GET', '/published/dallas-01?channel=sms&purpose=greeting')).body.name, 'SMS greeting');
+      assert.equal((await api.call('GET', '/published/dallas-01?channel=voice')).body.name, 'Response');
+      assert.equal((await api.call('GET', '/published/dallas-01?channel=voice&purpose=greeting')).status, 404);
+      const bundle = await api.call('GET', '/locations/dallas-01/prompt?channel=sms&purpose=greeting');
+      assert.equal(bundle.body.id, sms.body.id);
+      assert.equal(bundle.body.channel, 'sms');
+      assert.equal((await api.call('GET', '/locations/dallas-01/prompt')).body.id, general.body.id);
+
+      // Imports match existing prompts by slot
+      const plan = await api.call('POST', '/prompts/import', {
+        format: 'json',
+        dryRun: true,
+        data: [
+          { ...samplePrompt, name: 'SMS greeting', prompt: 'Hi!', channel: 'sms', purpose: 'greeting' },
+          { ...samplePrompt, name: 'Voice escalation', channel: 'voice', purpose: 'escalation' },
+        ],
+      });
+      assert.deepEqual(plan.body.rows.map((row) => row.action), ['update', 'create']);
+    });
+
+    it('creates prompts and lists them with created_at', async () => {
+      const created = await api.call('POST', '/prompts', samplePrompt);
+      assert.equal(created.status, 201);
+      assert.equal(created.body.location_id, 'dallas-01');
+
+      const list = await api.call('GET', '/prompts');
+      assert.equal(list.status, 200);
+      const { items, ...meta } = list.body;
+      assert.deepEqual(meta, { total: 1, page: 1, page_size: 25, pages: 1, token_budget: { warn: 12800, limit: 16000 } });
+      assert.equal(items[0].id, created.body.id);
+      assert.ok(items[0].created_at);
+    });
+
+    it('searches, filters, sorts and paginates the list', async () => {
+      const seed = [
+        { name: 'Greeting', location_id: 'a-1', business_name: 'Acme Dental' },
+        { name: 'Billing', location_id: 'a-2', business_name: 'Acme Dental' },
+        { name: 'After hours', location_id: 'b-1', business_name: 'Bright Smiles', knowledgebase: 'Closed on Sundays' },
+      ];
+      for (const fields of seed) await api.call('POST', '/prompts', { ...samplePrompt, ...fields });
+
+      const names = async (query) => (await api.call('GET', `/prompts?${query}`)).body.items.map((p) => p.name);
+
+      assert.deepEqual(await names('q=sundays'), ['After hours']);
+      assert.deepEqual(await names('q=cleaning%20acme'), ['Greeting', 'Billing']);
+      assert.deepEqual(await names('q=price'), []);
+      assert.deepEqual(await names('business_name=Acme%20Dental&sort=name'), ['Billing', 'Greeting']);
+      assert.deepEqual(await names('sort=location_id&direction=desc'), ['After hours', 'Billing', 'Greeting']);
+
+      const page = await api.call('GET', '/prompts?sort=name&page=2&page_size=2');
+      assert.deepEqual(page.body.items.map((p) => p.name), ['Greeting']);
+      assert.equal(page.body.total, 3);
+      assert.equal(page.body.pages, 2);
+
+      assert.equal((await api.call('GET', '/prompts?sort=prompt')).status, 400);
+      assert.deepEqual((await api.call('GET', '/prompts?page=0')).body, { error: 'page must be a positive integer' });
+    });
+
+    it('leaves prompts without a location unassigned', async () => {
+      const { location_id, ...withoutLocation } = samplePrompt;
+      const created = await api.call('POST', '/prompts', withoutLocation);
+      assert.equal(created.status, 201);
+      assert.equal(created.body.location_id, null);
+      assert.equal(created.body.business_id, 'business-acme');
+    });
+
+    it('files prompts under businesses and locations and keeps renames in step', async () => {
+      const taken = await api.call('POST', '/businesses', { name: ' bright  SMILES ' });
+      assert.equal(taken.status, 422);
+      assert.deepEqual(taken.body.errors, [{ field: 'name', message: 'is already used by "Bright Smiles"' }]);
+      assert.equal((await api.call('POST', '/businesses', { name: 'Cool Clinic' }, await as('eve'))).status, 403);
+      const clinic = await api.call('POST', '/businesses', { name: ' Cool   Clinic ' });
+      assert.equal(clinic.status, 201);
+      assert.equal(clinic.body.name, 'Cool Clinic');
+
+      const main = await api.call('POST', '/locations', { id: 'cc-01', name: 'Main St', business_id: clinic.body.id });
+      assert.equal(main.status, 201);
+      assert.equal(main.body.business_name, 'Cool Clinic');
+      assert.deepEqual((await api.call('POST', '/locations', { id: 'cc-01' })).body.errors, [{ field: 'id', message: 'is already used by another location' }]);
+      assert.deepEqual((await api.call('POST', '/locations', { id: 'c c' })).body.errors, [{ field: 'id', message: 'must not contain spaces' }]);
+      assert.deepEqual((await api.call('POST', '/locations', { id: 'cc-02', business_id: 'nope' })).body.errors, [
+        { field: 'business_id', message: 'is not a known business' },
+      ]);
+      assert.equal((await api.call('POST', '/locations', { id: 'cc-02', business_id: clinic.body.id }, await as('eve'))).status, 403);
+
+      // The location supplies the business; names match in any spelling
+      const { business_name: omitted, ...unnamed } = samplePrompt;
+      const atClinic = await api.call('POST', '/prompts', { ...unnamed, location_id: 'cc-01' });
+      assert.equal(atClinic.body.business_id, clinic.body.id);
+      assert.equal(atClinic.body.business_name, 'Cool Clinic');
+      const acme = await api.call('POST', '/prompts', { ...samplePrompt, business_name: 'acme  dental' });
+      assert.equal(acme.body.business_name, 'Acme Dental');
+      assert.equal(acme.body.business_id, 'business-acme');
+      const unknown = await api.call('POST', '/prompts', { ...samplePrompt, business_name: 'Acme Dentl', location_id: 'nowhere' });
+      assert.equal(unknown.status, 422);
+      assert.deepEqual(unknown.body.errors, [
+        { field: 'location_id', message: 'is not a known location' },
+        { field: 'business_name', message: 'is not a known business' },
+      ]);
+      const elsewhere = await api.call('POST', '/prompts', { ...samplePrompt, location_id: 'cc-01', purpose: 'greeting' });
+      assert.deepEqual(elsewhere.body.errors, [{ field: 'location_id', message: 'belongs to "Cool Clinic"' }]);
+      assert.deepEqual((await api.call('GET', '/prompts?business_id=business-acme')).body.items.map((p) => p.id), [acme.body.id]);
+
+      // One published prompt matches its draft, the other has unpublished edits
+      assert.equal((await api.call('POST', `/prompts/${acme.body.id}/publish`)).status, 200);
+      const branch = await api.call('POST', '/prompts', { ...samplePrompt, location_id: 'dallas-02', prompt: 'Hi from {{business_name}}' });
+      assert.equal((await api.call('POST', `/prompts/${branch.body.id}/publish`)).status, 200);
+      await api.call('PUT', `/prompts/${branch.body.id}`, { ...samplePrompt, location_id: 'dallas-02', prompt: 'Draft', updated_at: branch.body.updated_at });
+
+      // Renaming a business renames its prompts, their published copies, the grants
+      // scoped to it and its audit trail
+      assert.equal((await api.call('PUT', '/businesses/business-acme', { name: 'Acme Dental Group' }, await as('eve'))).status, 403);
+      const renamed = await api.call('PUT', '/businesses/business-acme', { name: 'Acme Dental Group' });
+      assert.equal(renamed.status, 200);
+      const bundle = await api.call('GET', '/locations/dallas-02/prompt');
+      assert.deepEqual([bundle.body.business_name, bundle.body.prompt, bundle.body.system_prompt.split('\n')[0]], [
+        'Acme Dental Group',
+        'Hi from {{business_name}}',
+        'Hi from Acme Dental Group',
+      ]);
+      const statuses = await api.call('GET', '/prompts?business_id=business-acme');
+      assert.deepEqual(statuses.body.items.map((p) => [p.location_id, p.publish_status, p.published_rev]).sort(), [
+        ['dallas-01', 'published', 2],
+        ['dallas-02', 'changed', 1],
+      ]);
+      assert.equal((await api.call('GET', '/locations/dallas-01/prompt')).body.rev, 2);
+      const trail = await api.call('GET', '/audit', undefined, await as('vic'));
+      assert.ok(trail.body.items.length > 0);
+      assert.deepEqual([...new Set(trail.body.items.map((event) => event.business_name))], ['Acme Dental Group']);
+      const viewer = await api.call('GET', '/prompts', undefined, await as('vic'));
+      assert.deepEqual(viewer.body.items.map((p) => p.business_name), ['Acme Dental Group', 'Acme Dental Group']);
+      assert.deepEqual((await api.call('GET', '/businesses', undefined, await as('vic'))).body.map((b) => b.name), ['Acme Dental Group']);
+      const versions = await api.call('GET', `/prompts/${acme.body.id}/versions`);
+      assert.deepEqual(versions.body.map((v) => v.business_name), ['Acme Dental Group', 'Acme Dental']);
+      const events = await api.call('GET', `/audit?prompt_id=${acme.body.id}`);
+      assert.deepEqual(events.body.items[0].changed_fields, ['business_name']);
+      const latest = statuses.body.items.find((p) => p.id === acme.body.id);
+      const restoredAcme = await api.call('POST', `/prompts/${acme.body.id}/versions/1/restore`, { updated_at: latest.updated_at });
+      assert.equal(restoredAcme.body.business_name, 'Acme Dental Group');
+
+      // Nothing referenced can be deleted, the trash included
+      assert.equal((await api.call('PUT', '/locations/dallas-01', { business_id: clinic.body.id })).status, 409);
+      await api.call('DELETE', `/prompts/${atClinic.body.id}`);
+      assert.deepEqual((await api.call('DELETE', '/locations/cc-01')).body, { error: 'Location is still used by 1 prompt' });
+      assert.deepEqual((await api.call('DELETE', `/businesses/${clinic.body.id}`)).body, {
+        error: 'Business is still used by 1 location and 1 prompt',
+      });
+      await api.call('POST', '/prompts/trash/purge', { ids: [atClinic.body.id] });
+      assert.equal((await api.call('DELETE', '/locations/cc-01')).status, 204);
+      assert.equal((await api.call('GET', '/locations/cc-01')).status, 404);
+      assert.equal((await api.call('DELETE', `/businesses/${clinic.body.id}`)).status, 204);
+      assert.equal((await api.call('GET', `/businesses/${clinic.body.id}`)).status, 404);
+    });
+
+    it('decodes percent-encoded ids in paths', async () => {
+      for (const id of ['café-1', '50%off']) {
+        assert.equal((await api.call('POST', '/locations', { id, name: 'Encoded' })).status, 201);
+        const location = await api.call('GET', `/locations/${encodeURIComponent(id)}`);
+        assert.equal(location.status, 200);
+        assert.equal(location.body.id, id);
+        const created = await api.call('POST', `/locations/${encodeURIComponent(id)}/prompts`, { ...samplePrompt, location_id: undefined });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.location_id, id);
+        await api.call('POST', `/prompts/${created.body.id}/publish`, {});
+        assert.equal((await api.call('GET', `/published/${encodeURIComponent(id)}`)).body.location_id, id);
+      }
+      // Netlify hands the function a path it has already decoded, so only Express sees
+      // a malformed escape
+      if (name === 'express') {
+        assert.deepEqual((await api.call('GET', '/locations/%E0%A4%A')).body, { error: 'Invalid location_id in path' });
+      }
+    });
+
+    it('updates prompts and records revisions', async () => {
+      const created = await api.call('POST', '/prompts', samplePrompt);
+      const updated = await api.call('PUT', `/prompts/${created.body.id}`, { ...samplePrompt, prompt: 'v2', updated_at: created.body.updated_at });
+      assert.equal(updated.status, 200);
+      assert.equal(updated.body.prompt, 'v2');
+
+      const versions = await api.call('GET', `/prompts/${created.body.id}/versions`);
+      assert.equal(versions.status, 200);
+      assert.deepEqual(versions.body.map((v) => v.rev), [2, 1]);
+      assert.equal(versions.body[0].author, 'sam@example.com');
+      assert.equal(versions.body[1].prompt, samplePrompt.prompt);
+    });
+
+    it('snapshots prompts created before history existed', async () => {
+      const { data: legacy } = await supabase.from('prompts').insert([samplePrompt]).select().single();
+      await api.call('PUT', `/prompts/${legacy.id}`, { ...samplePrompt, prompt: 'edited', updated_at: legacy.created_at });
+
+      const versions = await api.call('GET', `/prompts/${legacy.id}/versions`);
+      assert.deepEqual(versions.body.map((v) => v.prompt), ['edited', samplePrompt.prompt]);
+    });
+
+    it('restores an earlier revision as a new revision', async () => {
+      const created = await api.call('POST', '/prompts', samplePrompt);
+      const broken = await api.call('PUT', `/prompts/${created.body.id}`, { ...samplePrompt, prompt: 'broken', updated_at: created.body.updated_at });
+
+      // Like an edit, a restore names the revision it replaces
+      const missing = await api.call('POST', `/prompts/${created.body.id}/versions/1/restore`, {});
+      assert.equal(missing.status, 428);
+      const stale = await api.call('POST', `/prompts/${created.body.id}/versions/1/restore`, { updated_at: created.body.updated_at });
+      assert.equal(stale.status, 409);
+      assert.equal(stale.body.current.prompt, 'broken');
+
+      const restored = await api.call('POST', `/prompts/${created.body.id}/versions/1/restore`, {}, {
+        headers: { 'If-Match': broken.headers.get('etag') },
+      });
+      assert.equal(restored.status, 200);
+      assert.equal(restored.body.prompt, samplePrompt.prompt);
+      assert.equal(restored.headers.get('etag'), `"${restored.body.updated_at}"`);
+
+      const versions = await api.call('GET', `/prompts/${created.body.id}/versions`);
+      assert.equal(versions.body[0].rev, 3);
+      assert.equal(versions.body[0].restored_from, 1);
+    });
+
+    it('requires the revision being edited and rejects stale ones', async () => {
+      const created = await api.call('POST', '/prompts', samplePrompt);
+      const id = created.body.id;
+      assert.ok(created.body.updated_at);
+      assert.equal(created.headers.get('etag'), `"${created.body.updated_at}"`);
+
+      const missing = await api.call('PUT', `/prompts/${id}`, { ...samplePrompt, prompt: 'v2' });
+      assert.equal(missing.status, 428);
+
+      const first = await api.call('PUT', `/prompts/${id}`, { ...samplePrompt, prompt: 'v2' }, {
+        headers: { 'If-Match': created.headers.get('etag') },
+      });
+      assert.equal(first.status, 200);
+      assert.notEqual(first.body.updated_at, created.body.updated_at);
+      assert.equal(first.headers.get('etag'), `"${first.body.updated_at}"`);
+
+      const stale = await api.call('PUT', `/prompts/${id}`, { ...samplePrompt, prompt: 'v3', updated_at: created.body.updated_at });
+      assert.equal(stale.status, 409);
+      assert.equal(stale.body.error, 'Prompt was changed by someone else');
+      assert.equal(stale.body.current.prompt, 'v2');
+      assert.equal(stale.body.current.updated_at, first.body.updated_at);
+
+      const retried = await api.call('PUT', `/prompts/${id}`, { ...samplePrompt, prompt: 'v3', updated_at: stale.body.current.updated_at });
+      assert.equal(retried.status, 200);
+      assert.equal(retried.body.prompt, 'v3');
+    });
+
+    it('returns 404 for unknown prompts and revisions', async () => {
+      const update = await api.call('PUT', '/prompts/does-not-exist', samplePrompt);
+      assert.equal(update.status, 404);
+      assert.deepEqual(update.body, { error: 'Prompt not found' });
+
+      const created = await api.call('POST', '/prompts', samplePrompt);
+      const restore = await api.call('POST', `/prompts/${created.body.id}/versions/99/restore`, {});
+      assert.equal(restore.status, 404);
+      assert.deepEqual(restore.body, { error: 'Version not found' });
+    });
+
+    it('normalizes inventory JSON strings and empty inventories', async () => {
+      const fromString = await api.call('POST', '/prompts', { ...samplePrompt, inventory: JSON.stringify(samplePrompt.inventory.items) });
+      assert.equal(fromString.status, 201);
+      assert.deepEqual(fromString.body.inventory, samplePrompt.inventory);
+
+      const empty = await api.call('POST', '/prompts', { ...samplePrompt, location_id: 'austin-01', inventory: '' });
+      assert.equal(empty.status, 201);
+      assert.deepEqual(empty.body.inventory, { items: [] });
+    });
+
+    it('rejects invalid inventory with field-level errors', async () => {
+      const res = await api.call('POST', '/prompts', {
+        ...samplePrompt,
+        inventory: {
+          items: [
+            { sku: 'A1', name: 'Kit', price: -1, quantity: 1.5, availability: 'in_stock' },
+            { sku: 'A2', name: '', price: 5, quantity: 1, availability: 'maybe', color: 'red' },
+          ],
+        },
+      });
+      assert.equal(res.status, 422);
+      assert.equal(res.body.error, 'Invalid inventory');
+      assert.deepEqual(res.body.errors.map((e) => e.field), [
+        'inventory.items[0].price',
+        'inventory.items[0].quantity',
+        'inventory.items[1].name',
+        'inventory.items[1].availability',
+        'inventory.items[1].color',
+      ]);
+
+      const notJson = await api.call('POST', '/prompts', { ...samplePrompt, inventory: 'two chairs' });
+      assert.deepEqual(notJson.body.errors, [{ field: 'inventory', message: 'must be valid JSON' }]);
+
+      const created = await api.call('POST', '/prompts', samplePrompt);
+      const duplicate = await api.call('PUT', `/prompts/${created.body.id}`, {
+        ...samplePrompt,
+        inventory: { items: [samplePrompt.inventory.items[0], samplePrompt.inventory.items[0]] },
+      });
+      assert.equal(duplicate.status, 422);
+      assert.deepEqual(duplicate.body.errors, [{ field: 'inventory.items[1].sku', message: 'duplicates items[0].sku' }]);
+    });
+
+    it('renders template variables', async () => {
+      const created = await api.call('POST', '/prompts', {
+        ...samplePrompt,
+        prompt: 'Hi from {{business_name}} ({{ location_id }}). Top item: {{inventory.items.0.name}}. {{greeting}}',
+        inventory: JSON.stringify({ items: [{ sku: 'A1', name: 'Whitening kit', price: 49.5, quantity: 3, availability: 'in_stock' }] }),
+      });
+
+      const res = await api.call('POST', `/prompts/${created.body.id}/render`, { variables: { greeting: 'See you soon!' } });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.text, 'Hi from Acme Dental (dallas-01). Top item: Whitening kit. See you soon!');
+    });
+
+    it('reports undefined template variables', async () => {
+      const created = await api.call('POST', '/prompts', { ...samplePrompt, prompt: 'Hello {{customer_name}}, {{inventory.missing}}' });
+
+      const res = await api.call('POST', `/prompts/${created.body.id}/render`, {});
+      assert.equal(res.status, 422);
+      assert.deepEqual(res.body.errors.map((e) => e.variable), ['customer_name', 'inventory.missing']);
+      assert.equal(res.body.text, 'Hello {{customer_name}}, {{inventory.missing}}');
+    });
+
+    it('exports prompts as CSV and JSON', async () => {
+      await api.call('POST', '/prompts', { ...samplePrompt, knowledgebase: 'Line one, "quoted"\nLine two' });
+
+      const csv = await api.call('GET', '/prompts/export?format=csv');
+      assert.equal(csv.status, 200);
+      assert.match(csv.headers.get('content-type'), /text\/csv/);
+      assert.match(csv.headers.get('content-disposition'), /attachment; filename="prompts-.*\.csv"/);
+      assert.ok(csv.text.startsWith('name,prompt,location_id,business_name,knowledgebase,inventory,channel,purpose,knowledgebase_ids\r\n'));
+      assert.ok(csv.text.includes('"Line one, ""quoted""\nLine two"'));
+
+      // Cells a spreadsheet would run as formulas are exported as text, and import back as written
+      const formula = await api.call('POST', '/prompts', {
+        ...samplePrompt,
+        name: '=HYPERLINK("http://evil.test","Click")',
+        location_id: 'dallas-02',
+        knowledgebase: "'=1+1 stays quoted",
+      });
+      const exported = await api.call('GET', '/prompts/export?format=csv');
+      assert.ok(exported.text.includes(`"'=HYPERLINK(""http://evil.test"",""Click"")"`));
+      assert.ok(exported.text.includes("''=1+1 stays quoted"));
+      const reimported = await api.call('POST', '/prompts/import', { format: 'csv', data: exported.text, dryRun: true });
+      assert.deepEqual(reimported.body.summary, { create: 0, update: 0, skip: 2, error: 0 });
+      assert.equal(formula.status, 201);
+
+      const json = await api.call('GET', '/prompts/export?format=json');
+      assert.equal(json.status, 200);
+      assert.equal(JSON.parse(json.text)[0].location_id, 'dallas-01');
+
+      const bad = await api.call('GET', '/prompts/export?format=xml');
+      assert.equal(bad.status, 400);
+    });
+
+    it('previews an import without writing in dry-run mode', async () => {
+      await api.call('POST', '/prompts', samplePrompt);
+      const rows = [
+        samplePrompt,
+        { ...samplePrompt, prompt: 'Changed' },
+        { ...samplePrompt, location_id: 'austin-01' },
+        { ...samplePrompt, location_id: 'houston-01', name: '' },
+      ];
+
+      const res = await api.call('POST', '/prompts/import', { format: 'json', data: rows, dryRun: true });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.dryRun, true);
+      assert.deepEqual(res.body.rows.map((r) => r.action), ['skip', 'error', 'create', 'error']);
+      assert.deepEqual(res.body.rows[1].errors, [{ field: 'location_id', message: 'duplicates row 1' }]);
+      assert.deepEqual(res.body.rows[3].errors, [{ field: 'name', message: 'is required' }]);
+      assert.deepEqual(res.body.summary, { create: 1, update: 0, skip: 1, error: 2 });
+      assert.equal((await api.call('GET', '/prompts')).body.total, 1);
+    });
+
+    it('imports CSV, upserting by location_id', async () => {
+      await api.call('POST', '/prompts', samplePrompt);
+      const exported = await api.call('GET', '/prompts/export?format=csv');
+      const csv = exported.text
+        .replace('Thanks for reaching out', 'Welcome')
+        + 'Greeting,Hello there,austin-01,Acme Dental,"Multi\nline",\r\n';
+
+      const res = await api.call('POST', '/prompts/import', { format: 'csv', data: csv });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.summary, { create: 1, update: 1, skip: 0, error: 0 });
+
+      const list = (await api.call('GET', '/prompts')).body.items;
+      assert.equal(list.length, 2);
+      assert.equal(list[0].prompt, 'Welcome to {{business_name}}!');
+      assert.equal(list[1].knowledgebase, 'Multi\nline');
+      assert.deepEqual(list[1].inventory, { items: [] });
+    });
+
+    it('moves deleted prompts to the trash', async () => {
+      const created = await api.call('POST', '/prompts', samplePrompt);
+      const res = await api.call('DELETE', `/prompts/${created.body.id}`);
+      assert.equal(res.status, 204);
+      assert.equal(res.body, undefined);
+      assert.equal((await api.call('GET', '/prompts')).body.total, 0);
+      assert.equal((await api.call('PUT', `/prompts/${created.body.id}`, samplePrompt)).status, 404);
+      assert.equal((await api.call('DELETE', `/prompts/${created.body.id}`)).status, 404);
+
+      const trash = await api.call('GET', '/prompts/trash');
+      assert.equal(trash.body.length, 1);
+      assert.equal(trash.body[0].deleted_by, 'sam@example.com');
+      assert.ok(trash.body[0].deleted_at);
+      assert.equal(supabase._rows('prompts').length, 1);
+    });
+
+    it('restores prompts from the trash', async () => {
+      const created = await api.call('POST', '/prompts', samplePrompt);
+      assert.equal((await api.call('POST', `/prompts/${created.body.id}/restore`)).status, 409);
+      await api.call('DELETE', `/prompts/${created.body.id}`);
+
+      assert.equal((await api.call('POST', `/prompts/${created.body.id}/restore`, undefined, await as('vic'))).status, 403);
+      const restored = await api.call('POST', `/prompts/${created.body.id}/restore`, undefined, await as('eve'));
+      assert.equal(restored.status, 200);
+      assert.equal(restored.body.prompt, samplePrompt.prompt);
+      assert.equal((await api.call('GET', '/prompts')).body.total, 1);
+      assert.deepEqual((await api.call('GET', '/prompts/trash')).body, []);
+    });
+
+    it('lets admins purge the trash', async () => {
+      const first = await api.call('POST', '/prompts', samplePrompt);
+      const second = await api.call('POST', '/prompts', { ...samplePrompt, location_id: 'dallas-02' });
+      const kept = await api.call('POST', '/prompts', { ...samplePrompt, location_id: 'dallas-03' });
+      await api.call('DELETE', `/prompts/${first.body.id}`);
+      await api.call('DELETE', `/prompts/${second.body.id}`);
+
+      const denied = await api.call('POST', '/prompts/trash/purge', { ids: [first.body.id] }, await as('eve'));
+      assert.equal(denied.status, 403);
+
+      const recent = await api.call('POST', '/prompts/trash/purge', { older_than_days: 1 });
+      assert.deepEqual(recent.body, { purged: [] });
+
+      const one = await api.call('POST', '/prompts/trash/purge', { ids: [first.body.id, kept.body.id] });
+      assert.deepEqual(one.body, { purged: [first.body.id] });
+
+      const rest = await api.call('POST', '/prompts/trash/purge', {});
+      assert.deepEqual(rest.body, { purged: [second.body.id] });
+      assert.deepEqual(supabase._rows('prompts').map((p) => p.id), [kept.body.id]);
+    });
+
+    it('records an audit event for every change', async () => {
+      const created = await api.call('POST', '/prompts', samplePrompt);
+      const id = created.body.id;
+      const edited = await api.call('PUT', `/prompts/${id}`, { ...samplePrompt, knowledgebase: 'Open 24/7', updated_at: created.body.updated_at }, await as('eve'));
+      await api.call('POST', `/prompts/${id}/versions/1/restore`, { updated_at: edited.body.updated_at });
+      await api.call('DELETE', `/prompts/${id}`);
+      await api.call('POST', `/prompts/${id}/restore`);
+
+      const res = await api.call('GET', `/audit?prompt_id=${id}`);
+      assert.equal(res.status, 200);
+      const events = [...res.body.items].reverse();
+      assert.deepEqual(events.map((e) => e.action), ['create', 'update', 'restore_version', 'delete', 'restore']);
+      assert.deepEqual(events.map((e) => e.actor), ['sam@example.com', 'eve@example.com', 'sam@example.com', 'sam@example.com', 'sam@example.com']);
+      assert.deepEqual(events[1].changed_fields, ['knowledgebase']);
+      assert.equal(events[1].before_hash, events[0].after_hash);
+      assert.notEqual(events[1].after_hash, events[1].before_hash);
+      // Rolling back to rev 1 brings back the original content hash
+      assert.equal(events[2].after_hash, events[0].after_hash);
+      assert.equal(events[3].after_hash, null);
+      assert.equal(events[0].prompt_name, samplePrompt.name);
+
+      const byActor = await api.call('GET', '/audit?actor=eve@example.com');
+      assert.deepEqual(byActor.body.items.map((e) => e.action), ['update']);
+      // The in-memory clock starts at 2024-01-01; a bare `to` date covers the whole day
+      assert.equal((await api.call('GET', '/audit?from=2024-01-01&to=2024-01-01')).body.total, 5);
+      assert.equal((await api.call('GET', '/audit?from=2024-01-02')).body.total, 0);
+      assert.equal((await api.call('GET', '/audit?to=yesterday')).status, 400);
+    });
+
+    it('only shows audit events for prompts the user can view', async () => {
+      await api.call('POST', '/prompts', samplePrompt);
+      await api.call('POST', '/prompts', { ...samplePrompt, location_id: 'austin-02', business_name: 'Bright Smiles' });
+
+      const viewer = await api.call('GET', '/audit', undefined, await as('vic'));
+      assert.deepEqual(viewer.body.items.map((e) => e.business_name), ['Acme Dental']);
+      assert.equal((await api.call('GET', '/audit')).body.total, 2);
+    });
+
+    it('pages past the storage row cap', async () => {
+      // PostgREST answers at most max_rows rows per request; cap the store well below it
+      const tables = seedTables();
+      tables.user_roles.push(
+        { id: 'role-nobody-1', email: 'nobody@example.com', role: 'viewer', business_name: 'Bright Smiles', location_id: null },
+        { id: 'role-nobody-2', email: 'nobody@example.com', role: 'viewer', business_name: null, location_id: 'dallas-01' },
+      );
+      const custom = await start(createMemorySupabase({ tables, maxRows: 3 }), serviceOptions());
+      const login = async (who) => {
+        const res = await custom.call('POST', '/auth/login', { email: `${who}@example.com`, password: PASSWORD });
+        return { headers: { authorization: `Bearer ${res.body.token}` } };
+      };
+      try {
+        custom.defaultHeaders = (await login('sam')).headers;
+        for (const location of ['dallas-01', 'dallas-02', 'dallas-03']) {
+          await custom.call('POST', '/prompts', { ...samplePrompt, location_id: location });
+        }
+        for (const location of ['b-1', 'x-1']) {
+          await custom.call('POST', '/prompts', { ...samplePrompt, location_id: location, business_name: 'Bright Smiles' });
+        }
+
+        const all = await custom.call('GET', '/prompts?page_size=2&page=3');
+        assert.deepEqual([all.body.total, all.body.pages, all.body.items.length], [5, 3, 1]);
+        assert.equal((await custom.call('GET', '/prompts?q=thanks&page_size=100')).body.total, 5);
+        assert.equal(JSON.parse((await custom.call('GET', '/prompts/export?format=json')).text).length, 5);
+        assert.equal((await custom.call('GET', '/audit?page_size=4&page=2')).body.items.length, 1);
+
+        // One grant pages in the query, several are checked row by row
+        const eve = await custom.call('GET', '/prompts?page_size=2', undefined, await login('eve'));
+        assert.deepEqual([eve.body.total, eve.body.items.length], [3, 2]);
+        const nobody = await custom.call('GET', '/audit', undefined, await login('nobody'));
+        assert.deepEqual(nobody.body.items.map((e) => e.location_id).sort(), ['b-1', 'dallas-01', 'x-1']);
+      } finally {
+        await custom.stop();
+      }
+    });
+
+    it('streams a test reply from the LLM provider', async () => {
+      const created = await api.call('POST', '/prompts', samplePrompt);
+      const res = await api.call('POST', `/prompts/${created.body.id}/test`, { message: 'Are you open Sunday?' }, await as('vic'));
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get('content-type'), /application\/x-ndjson/);
+
+      const lines = ndjson(res.text);
+      const done = lines.pop();
+      assert.ok(lines.length > 1);
+      assert.ok(lines.every((line) => line.type === 'delta'));
+      assert.match(lines.map((line) => line.text).join(''), /^Mock reply to "Are you open Sunday\?"/);
+      assert.equal(done.type, 'done');
+      assert.equal(done.provider, 'mock');
+      assert.equal(done.usage.total_tokens, done.usage.prompt_tokens + done.usage.completion_tokens);
+      assert.equal(done.usage.estimated, false);
+      assert.equal(typeof done.latency_ms, 'number');
+
+      assert.equal((await api.call('POST', `/prompts/${created.body.id}/test`, {})).status, 400);
+      assert.equal((await api.call('POST', `/prompts/${created.body.id}/test`, { message: 'hi' }, await as('nobody'))).status, 404);
+    });
+
+    it('sends the rendered prompt, knowledgebase and inventory to the provider', async () => {
+      const llm = spyProvider(['Yes, ', new Error('connection reset')]);
+      const custom = await start(createMemorySupabase({ tables: seedTables() }), { ...serviceOptions(), llm });
+      try {
+        custom.defaultHeaders = api.defaultHeaders;
+        const created = await custom.call('POST', '/prompts', samplePrompt);
+        const res = await custom.call('POST', `/prompts/${created.body.id}/test`, { message: 'Price of a cleaning?' });
+
+        const [system, user] = llm.calls[0];
+        assert.equal(system.role, 'system');
+        assert.match(system.content, /^Thanks for reaching out to Acme Dental!/);
+        assert.match(system.content, /## Knowledgebase\nOpen 9-5 Monday to Friday\./);
+        assert.match(system.content, /- CLN-1 Cleaning \(price 89, quantity 10, in_stock\)/);
+        assert.deepEqual(user, { role: 'user', content: 'Price of a cleaning?' });
+
+        // A failure after the reply started is reported in the stream itself
+        assert.deepEqual(ndjson(res.text), [
+          { type: 'delta', text: 'Yes, ' },
+          { type: 'error', error: 'LLM provider stream failed' },
+        ]);
+
+        const templated = await custom.call('POST', '/prompts', { ...samplePrompt, location_id: 'x', prompt: 'Hi {{customer}}' });
+        const unresolved = await custom.call('POST', `/prompts/${templated.body.id}/test`, { message: 'hi' });
+        assert.equal(unresolved.status, 422);
+        assert.deepEqual(unresolved.body.errors, [{ variable: 'customer', message: 'Variable "customer" is not defined' }]);
+      } finally {
+        await custom.stop();
+      }
+    });
+
+    it('counts tokens per field and enforces the token budget', async () => {
+      const store = createMemorySupabase({ tables: seedTables() });
+      const custom = await start(store, {
+        ...serviceOptions(),
+        tokenBudget: { warn: 50, limit: 70 },
+      });
+      try {
+        custom.defaultHeaders = api.defaultHeaders;
+        const small = await custom.call('POST', '/prompts', { ...samplePrompt, inventory: '' });
+        assert.equal(small.status, 201);
+        // "Thanks for reaching out to {{business_name}}!" and "Open 9-5 Monday to Friday."
+        assert.deepEqual(small.body.tokens, { prompt: 14, knowledgebase: 10, inventory: 0, total: 24, status: 'ok' });
+
+        const list = await custom.call('GET', '/prompts');
+        assert.deepEqual(list.body.token_budget, { warn: 50, limit: 70 });
+        assert.equal(list.body.items[0].tokens.total, 24);
+
+        const warn = await custom.call('PUT', `/prompts/${small.body.id}`, { ...samplePrompt, updated_at: small.body.updated_at });
+        assert.equal(warn.status, 200);
+        assert.equal(warn.body.tokens.status, 'warn');
+        assert.ok(warn.body.tokens.inventory > 0);
+
+        const tooLong = { ...samplePrompt, location_id: 'x-1', knowledgebase: 'Open late. '.repeat(20) };
+        const over = await custom.call('POST', '/prompts', tooLong);
+        assert.equal(over.status, 422);
+        assert.equal(over.body.error, 'Prompt exceeds the token budget');
+        assert.equal(over.body.errors[0].field, 'tokens');
+
+        const imported = await custom.call('POST', '/prompts/import', { format: 'json', data: [tooLong] });
+        assert.equal(imported.body.rows[0].action, 'error');
+        assert.equal(imported.body.rows[0].errors[0].field, 'tokens');
+
+        // A revision saved under a higher limit cannot be restored over this one
+        store._rows('prompt_versions').find((v) => v.prompt_id === small.body.id && v.rev === 1).knowledgebase = tooLong.knowledgebase;
+        const restore = await custom.call('POST', `/prompts/${small.body.id}/versions/1/restore`, { updated_at: warn.body.updated_at });
+        assert.equal(restore.status, 422);
+        assert.equal(restore.body.errors[0].field, 'tokens');
+
+        // So can a document edit that would put a prompt listing it over
+        const hours = await custom.call('POST', '/knowledgebase', { name: 'Hours', content: 'Open 9-5.' });
+        const listing = await custom.call('POST', '/prompts', { ...samplePrompt, location_id: 'dallas-02', inventory: '', knowledgebase_ids: [hours.body.id] });
+        assert.equal(listing.status, 201);
+        const grown = await custom.call('PUT', `/knowledgebase/${hours.body.id}`, { content: tooLong.knowledgebase });
+        assert.equal(grown.status, 422);
+        assert.equal(grown.body.error, 'Document would put prompts over the token budget');
+        assert.deepEqual(grown.body.errors.map((e) => e.field), ['content']);
+        assert.match(grown.body.errors[0].message, /^would put "Response" over the token budget \(it is about \d+ tokens, over the 70 token limit\)$/);
+        assert.equal(store._rows('knowledgebase_documents')[0].content, 'Open 9-5.');
+      } finally {
+        await custom.stop();
+      }
+    });
+
+    it('manages test cases and validates them', async () => {
+      const created = await api.call('POST', '/prompts', samplePrompt);
+      const base = `/prompts/${created.body.id}/test-cases`;
+
+      const invalid = await api.call('POST', base, { name: '', message: 'hi', patterns: ['(unclosed'] });
+      assert.equal(invalid.status, 400);
+      assert.deepEqual(invalid.body.errors, [
+        { field: 'name', message: 'is required' },
+        { field: 'patterns[0]', message: 'is not a valid regular expression' },
+      ]);
+      const noChecks = await api.call('POST', base, { name: 'Hours', message: 'hi' });
+      assert.equal(noChecks.body.errors[0].field, 'expected');
+
+      const added = await api.call('POST', base, { name: 'Hours', message: 'When are you open?', expected: ['9-5'] });
+      assert.equal(added.status, 201);
+      assert.deepEqual(added.body.forbidden, []);
+      assert.equal((await api.call('POST', base, { name: 'x', message: 'y', expected: ['z'] }, await as('vic'))).status, 403);
+
+      const edited = await api.call('PUT', `${base}/${added.body.id}`, { ...added.body, forbidden: ['closed'] });
+      assert.deepEqual(edited.body.forbidden, ['closed']);
+      assert.deepEqual((await api.call('GET', base, undefined, await as('vic'))).body.map((c) => c.name), ['Hours']);
+      assert.equal((await api.call('GET', base, undefined, await as('nobody'))).status, 404);
+
+      assert.equal((await api.call('DELETE', `${base}/${added.body.id}`)).status, 204);
+      assert.equal((await api.call('DELETE', `${base}/${added.body.id}`)).status, 404);
+      assert.equal((await api.call('POST', `/prompts/${created.body.id}/test-suite/run`, {})).status, 400);
+    });
+
+    it('runs the test suite and records which revision broke a case', async () => {
+      const custom = await start(createMemorySupabase({ tables: seedTables() }), { ...serviceOptions(), llm: echoProvider });
+      try {
+        custom.defaultHeaders = api.defaultHeaders;
+        const created = await custom.call('POST', '/prompts', samplePrompt);
+        const id = created.body.id;
+        const hours = await custom.call('POST', `/prompts/${id}/test-cases`, {
+          name: 'Hours', message: 'When are you open?', expected: ['monday to friday'], forbidden: ['closed'],
+        });
+        await custom.call('POST', `/prompts/${id}/test-cases`, { name: 'Price', message: 'Cleaning?', patterns: ['CLN-1 .*price \\d+'] });
+
+        const first = await custom.call('POST', `/prompts/${id}/test-suite/run`, {});
+        assert.equal(first.status, 201);
+        assert.equal(first.body.rev, 1);
+        assert.equal(first.body.actor, 'sam@example.com');
+        assert.deepEqual([first.body.passed, first.body.failed], [2, 0]);
+
+        await custom.call('PUT', `/prompts/${id}`, { ...samplePrompt, knowledgebase: 'Closed for renovation.', updated_at: created.body.updated_at });
+        const second = await custom.call('POST', `/prompts/${id}/test-suite/run`, {}, await as('eve'));
+        assert.equal(second.body.rev, 2);
+        assert.deepEqual([second.body.passed, second.body.failed], [1, 1]);
+        const broken = second.body.results.find((r) => r.case_id === hours.body.id);
+        assert.equal(broken.passed, false);
+        assert.deepEqual(broken.failures, [
+          { check: 'expected', value: 'monday to friday' },
+          { check: 'forbidden', value: 'closed' },
+        ]);
+
+        assert.equal((await custom.call('POST', `/prompts/${id}/test-suite/run`, {}, await as('vic'))).status, 403);
+        const runs = await custom.call('GET', `/prompts/${id}/test-suite/runs`, undefined, await as('vic'));
+        assert.deepEqual(runs.body.items.map((r) => r.rev), [2, 1]);
+        assert.equal(runs.body.total, 2);
+      } finally {
+        await custom.stop();
+      }
+    });
+
+    it('publishes drafts and serves the published copy by location', async () => {
+      const created = await api.call('POST', '/prompts', samplePrompt);
+      const id = created.body.id;
+      assert.equal(created.body.publish_status, 'draft');
+      assert.equal((await api.call('GET', '/published/dallas-01')).status, 404);
+      assert.equal((await api.call('POST', `/prompts/${id}/discard-draft`, {})).status, 409);
+
+      assert.equal((await api.call('POST', `/prompts/${id}/publish`, {}, await as('vic'))).status, 403);
+      const published = await api.call('POST', `/prompts/${id}/publish`, {}, await as('eve'));
+      assert.equal(published.status, 200);
+      assert.equal(published.body.publish_status, 'published');
+      assert.equal(published.body.published_rev, 1);
+      assert.equal(published.body.published_by, 'eve@example.com');
+      assert.equal((await api.call('POST', `/prompts/${id}/publish`, {})).status, 409);
+
+      const edited = await api.call('PUT', `/prompts/${id}`, { ...samplePrompt, prompt: 'Draft wording', updated_at: created.body.updated_at });
+      assert.equal(edited.body.publish_status, 'changed');
+      const live = await api.call('GET', '/published/dallas-01', undefined, await as('vic'));
+      assert.equal(live.status, 200);
+      assert.equal(live.body.prompt, samplePrompt.prompt);
+      assert.equal(live.body.rev, 1);
+      assert.deepEqual(live.body.inventory, samplePrompt.inventory);
+      assert.equal((await api.call('GET', '/published/dallas-01', undefined, await as('nobody'))).status, 404);
+
+      const discarded = await api.call('POST', `/prompts/${id}/discard-draft`, {});
+      assert.equal(discarded.status, 200);
+      assert.equal(discarded.body.prompt, samplePrompt.prompt);
+      assert.equal(discarded.body.publish_status, 'published');
+      const versions = await api.call('GET', `/prompts/${id}/versions`);
+      assert.deepEqual(versions.body.map((v) => [v.rev, v.restored_from]), [[3, 1], [2, null], [1, null]]);
+
+      const activity = await api.call('GET', `/audit?prompt_id=${id}`);
+      assert.deepEqual(activity.body.items.map((e) => e.action), ['discard_draft', 'update', 'publish', 'create']);
+    });
+
+    it('requires a second user to approve publishing when configured', async () => {
+      const custom = await start(createMemorySupabase({ tables: seedTables() }), { ...serviceOptions(), publishRequiresApproval: true });
+      try {
+        custom.defaultHeaders = api.defaultHeaders;
+        const created = await custom.call('POST', '/prompts', samplePrompt);
+        const id = created.body.id;
+        const eve = await as('eve');
+
+        const requested = await custom.call('POST', `/prompts/${id}/publish`, {}, eve);
+        assert.equal(requested.status, 202);
+        assert.equal(requested.body.publish_status, 'pending');
+        assert.equal(requested.body.publish_requested_by, 'eve@example.com');
+        assert.equal((await custom.call('GET', '/published/dallas-01')).status, 404);
+
+        const self = await custom.call('POST', `/prompts/${id}/publish`, {}, eve);
+        assert.equal(self.status, 403);
+        assert.deepEqual(self.body, { error: 'Publishing must be approved by a different user' });
+
+        const approved = await custom.call('POST', `/prompts/${id}/publish`, {});
+        assert.equal(approved.status, 200);
+        assert.equal(approved.body.publish_status, 'published');
+        assert.equal(approved.body.published_by, 'sam@example.com');
+        assert.equal(approved.body.publish_requested_rev, null);
+        assert.equal((await custom.call('GET', '/published/dallas-01')).body.rev, 1);
+
+        // Editing the draft withdraws a pending request
+        const again = await custom.call('PUT', `/prompts/${id}`, { ...samplePrompt, name: 'Renamed', updated_at: approved.body.updated_at });
+        await custom.call('POST', `/prompts/${id}/publish`, {}, eve);
+        const withdrawn = await custom.call('PUT', `/prompts/${id}`, { ...samplePrompt, name: 'Renamed again', updated_at: again.body.updated_at }, eve);
+        assert.equal(withdrawn.body.publish_status, 'changed');
+        assert.equal((await custom.call('POST', `/prompts/${id}/publish`, {})).status, 202);
+
+        // So does editing a document it lists, and publishing the edit takes approval too
+        const hours = await custom.call('POST', '/knowledgebase', { name: 'Hours', content: 'Open 9-5.' });
+        const listing = await custom.call('PUT', `/prompts/${id}`, { ...samplePrompt, knowledgebase_ids: [hours.body.id], updated_at: withdrawn.body.updated_at });
+        await custom.call('POST', `/prompts/${id}/publish`, {}, eve);
+        assert.equal((await custom.call('POST', `/prompts/${id}/publish`, {})).status, 200);
+        await custom.call('PUT', `/knowledgebase/${hours.body.id}`, { content: 'Open 8-6.' });
+        assert.equal((await custom.call('POST', `/prompts/${id}/publish`, {}, eve)).status, 202);
+        await custom.call('PUT', `/knowledgebase/${hours.body.id}`, { content: 'Open 8-7.' });
+        const [edited] = (await custom.call('GET', '/prompts')).body.items;
+        assert.deepEqual([edited.publish_status, edited.updated_at], ['changed', listing.body.updated_at]);
+        assert.match((await custom.call('GET', '/published/dallas-01')).body.knowledgebase, /Open 9-5\./);
+        assert.equal((await custom.call('POST', `/prompts/${id}/publish`, {})).status, 202);
+        assert.equal((await custom.call('POST', `/prompts/${id}/publish`, {}, eve)).status, 200);
+        assert.match((await custom.call('GET', '/published/dallas-01')).body.knowledgebase, /Open 8-7\./);
+      } finally {
+        await custom.stop();
+      }
+    });
+
+    it('serves cached location bundles with ETags and invalidates them on writes', async () => {
+      const custom = await start(supabase, { ...serviceOptions(), bundleCache: createLruCache() });
+      try {
+        custom.defaultHeaders = api.defaultHeaders;
+        const created = await custom.call('POST', '/prompts', samplePrompt);
+        const id = created.body.id;
+        assert.equal((await custom.call('GET', '/locations/dallas-01/prompt')).status, 404);
+        await custom.call('POST', `/prompts/${id}/publish`, {});
+
+        const first = await custom.call('GET', '/locations/dallas-01/prompt', undefined, await as('vic'));
+        assert.equal(first.status, 200);
+        assert.equal(first.body.rev, 1);
+        assert.equal(first.body.system_prompt, [
+          'Thanks for reaching out to Acme Dental!',
+          '## Knowledgebase\nOpen 9-5 Monday to Friday.',
+          '## Inventory\n- CLN-1 Cleaning (price 89, quantity 10, in_stock)',
+        ].join('\n\n'));
+        assert.deepEqual(first.body.unresolved, []);
+        const etag = first.headers.get('etag');
+        assert.match(etag, /^"[\w-]+"$/);
+        assert.equal(first.headers.get('cache-control'), 'private, max-age=30');
+        assert.equal((await custom.call('GET', '/locations/dallas-01/prompt', undefined, await as('nobody'))).status, 404);
+
+        const unchanged = await custom.call('GET', '/locations/dallas-01/prompt', undefined, {
+          headers: { 'If-None-Match': `W/${etag}, "other"` },
+        });
+        assert.equal(unchanged.status, 304);
+        assert.equal(unchanged.headers.get('etag'), etag);
+
+        // Repeat reads come from the cache, not the database
+        await supabase.from('prompt_versions').update({ prompt: 'Changed behind the API' }).eq('prompt_id', id);
+        assert.equal((await custom.call('GET', '/locations/dallas-01/prompt')).headers.get('etag'), etag);
+
+        const edited = await custom.call('PUT', `/prompts/${id}`, { ...samplePrompt, prompt: 'Hello {{customer}}', updated_at: created.body.updated_at });
+        await custom.call('POST', `/prompts/${id}/publish`, {});
+        const republished = await custom.call('GET', '/locations/dallas-01/prompt', undefined, { headers: { 'If-None-Match': etag } });
+        assert.equal(republished.status, 200);
+        assert.equal(republished.body.rev, 2);
+        assert.equal(republished.body.prompt, edited.body.prompt);
+        assert.deepEqual(republished.body.unresolved, ['customer']);
+        assert.notEqual(republished.headers.get('etag'), etag);
+      } finally {
+        await custom.stop();
+      }
+    });
+
+    it('shares knowledgebase documents between prompts and publishes them with each prompt', async () => {
+      const custom = await start(supabase, { ...serviceOptions(), bundleCache: createLruCache() });
+      try {
+        custom.defaultHeaders = api.defaultHeaders;
+        const eve = await as('eve');
+        assert.equal((await custom.call('POST', '/knowledgebase', { name: 'Policies', content: 'No refunds.' }, eve)).status, 403);
+        const hours = await custom.call('POST', '/knowledgebase', { name: ' Hours ', content: 'Open 9-5.', business_id: 'business-acme' }, eve);
+        assert.equal(hours.status, 201);
+        assert.deepEqual([hours.body.name, hours.body.business_name, hours.body.used_by], ['Hours', 'Acme Dental', 0]);
+        const policies = await custom.call('POST', '/knowledgebase', { name: 'Policies', content: 'No refunds.' });
+        const faq = await custom.call('POST', '/knowledgebase', { name: 'FAQ', content: 'Ask us.', business_id: 'business-bright' });
+        const taken = await custom.call('POST', '/knowledgebase', { name: 'HOURS', content: '', business_id: 'business-acme' });
+        assert.equal(taken.status, 422);
+        assert.deepEqual(taken.body.errors, [{ field: 'name', message: 'is already used by another document' }]);
+        assert.deepEqual((await custom.call('POST', '/knowledgebase', { name: 'X', content: '', business_id: 'nope' })).body.errors, [
+          { field: 'business_id', message: 'is not a known business' },
+        ]);
+
+        // Prompts list documents in order (repeats dropped) ahead of their own block
+        const created = await custom.call('POST', '/prompts', {
+          ...samplePrompt,
+          knowledgebase: 'Closed on the 4th.',
+          knowledgebase_ids: [hours.body.id, policies.body.id, hours.body.id],
+        });
+        assert.equal(created.status, 201);
+        assert.deepEqual(created.body.knowledgebase_ids, [hours.body.id, policies.body.id]);
+        assert.deepEqual(created.body.knowledgebase_documents.map((d) => d.name), ['Hours', 'Policies']);
+        const second = await custom.call('POST', '/prompts', { ...samplePrompt, location_id: 'dallas-02', knowledgebase_ids: [hours.body.id] });
+        const wrong = await custom.call('POST', '/prompts', { ...samplePrompt, location_id: 'dallas-03', knowledgebase_ids: [faq.body.id, 'nope'] });
+        assert.deepEqual(wrong.body.errors, [
+          { field: 'knowledgebase_ids[0]', message: 'belongs to "Bright Smiles"' },
+          { field: 'knowledgebase_ids[1]', message: 'is not a known document' },
+        ]);
+        const library = await custom.call('GET', '/knowledgebase', undefined, await as('vic'));
+        assert.deepEqual(library.body.map((d) => [d.name, d.used_by]), [['Hours', 2], ['Policies', 1]]);
+        const detail = await custom.call('GET', `/knowledgebase/${hours.body.id}`, undefined, eve);
+        assert.deepEqual(detail.body.prompts.map((p) => p.location_id), ['dallas-01', 'dallas-02']);
+
+        await custom.call('POST', `/prompts/${created.body.id}/publish`, {});
+        const bundle = await custom.call('GET', '/locations/dallas-01/prompt');
+        assert.equal(bundle.body.knowledgebase, [
+          '### Hours\nOpen 9-5.',
+          '### Policies\nNo refunds.',
+          '### This location (takes precedence over the documents above)\nClosed on the 4th.',
+        ].join('\n\n'));
+        assert.ok(bundle.body.system_prompt.includes('## Knowledgebase\n### Hours\nOpen 9-5.'));
+
+        // A document edit reaches the draft of every prompt listing it, and bots once the
+        // prompt is published again
+        assert.equal((await custom.call('PUT', `/knowledgebase/${hours.body.id}`, { content: 'Open 8-6.' }, await as('vic'))).status, 403);
+        const edited = await custom.call('PUT', `/knowledgebase/${hours.body.id}`, { content: 'Open 8-6.' }, eve);
+        assert.deepEqual([edited.status, edited.body.name, edited.body.used_by], [200, 'Hours', 2]);
+        const kept = await custom.call('GET', '/locations/dallas-01/prompt', undefined, { headers: { 'If-None-Match': bundle.headers.get('etag') } });
+        assert.equal(kept.status, 304);
+        assert.equal((await custom.call('GET', '/published/dallas-01')).body.knowledgebase, bundle.body.knowledgebase);
+        const [changed] = (await custom.call('GET', '/prompts?location_id=dallas-01')).body.items;
+        assert.equal(changed.publish_status, 'changed');
+        assert.equal(changed.published_documents, undefined);
+        // ...and is recorded as an update of each of them, whose stored content is unchanged
+        for (const prompt of [created.body, second.body]) {
+          const [event] = (await custom.call('GET', `/audit?prompt_id=${prompt.id}`)).body.items;
+          assert.deepEqual([event.action, event.actor, event.changed_fields], ['update', 'eve@example.com', ['knowledgebase']]);
+          assert.equal(event.before_hash, event.after_hash);
+        }
+        const republished = await custom.call('POST', `/prompts/${created.body.id}/publish`, {});
+        assert.deepEqual([republished.status, republished.body.publish_status], [200, 'published']);
+        const fresh = await custom.call('GET', '/locations/dallas-01/prompt', undefined, { headers: { 'If-None-Match': bundle.headers.get('etag') } });
+        assert.equal(fresh.status, 200);
+        assert.match(fresh.body.knowledgebase, /^### Hours\nOpen 8-6\./);
+        assert.equal((await custom.call('GET', '/published/dallas-01')).body.knowledgebase, fresh.body.knowledgebase);
+        assert.equal((await custom.call('POST', `/prompts/${created.body.id}/publish`, {})).status, 409);
+        const [live] = (await custom.call('GET', '/prompts?location_id=dallas-01')).body.items;
+
+        // Documents in use stay until no live prompt lists them; the trash lets go of them
+        assert.deepEqual((await custom.call('DELETE', `/knowledgebase/${hours.body.id}`)).body, { error: 'Document is still used by 2 prompts' });
+        assert.deepEqual((await custom.call('DELETE', '/businesses/business-bright')).body, {
+          error: 'Business is still used by 1 knowledgebase document',
+        });
+        await custom.call('DELETE', `/prompts/${second.body.id}`);
+        const dropped = await custom.call('PUT', `/prompts/${created.body.id}`, {
+          ...samplePrompt,
+          knowledgebase: 'Closed on the 4th.',
+          knowledgebase_ids: [policies.body.id],
+          updated_at: live.updated_at,
+        });
+        assert.equal(dropped.status, 200);
+        const events = await custom.call('GET', `/audit?prompt_id=${created.body.id}`);
+        assert.deepEqual(events.body.items[0].changed_fields, ['knowledgebase_ids']);
+        // ...and the published copy bots are served still lists it until it is republished
+        assert.deepEqual((await custom.call('DELETE', `/knowledgebase/${hours.body.id}`)).body, {
+          error: 'Document is still used by the published copy of 1 prompt',
+        });
+        await custom.call('POST', `/prompts/${created.body.id}/publish`, {});
+        assert.equal((await custom.call('DELETE', `/knowledgebase/${hours.body.id}`)).status, 204);
+        const { data: trashed } = await supabase.from('prompts').select('*').eq('id', second.body.id).single();
+        assert.equal(trashed.knowledgebase_ids, null);
+        assert.match((await custom.call('GET', '/locations/dallas-01/prompt')).body.knowledgebase, /^### Policies\n/);
+
+        // Discarding a draft brings back the published copy without documents deleted since
+        await supabase.from('knowledgebase_documents').delete().eq('id', policies.body.id);
+        const discarded = await custom.call('POST', `/prompts/${created.body.id}/discard-draft`, {});
+        assert.equal(discarded.status, 200);
+        assert.deepEqual(discarded.body.knowledgebase_ids, []);
+      } finally {
+        await custom.stop();
+      }
+    });
+
+    it('issues scoped API keys and rotates and revokes them', async () => {
+      const bearer = (key) => ({ headers: { authorization: `Bearer ${key}` } });
+      const created = await api.call('POST', '/prompts', samplePrompt);
+      await api.call('POST', `/prompts/${created.body.id}/publish`, {});
+
+      const invalid = await api.call('POST', '/api-keys', { name: 'Bot', scopes: ['everything'] });
+      assert.equal(invalid.status, 400);
+      assert.equal(invalid.body.errors[0].field, 'scopes[0]');
+      assert.equal((await api.call('GET', '/api-keys', undefined, await as('eve'))).status, 403);
+      assert.equal((await api.call('POST', '/api-keys', { name: 'Bot', scopes: ['write'] }, await as('eve'))).status, 403);
+
+      const bot = await api.call('POST', '/api-keys', { name: 'Dallas bot', scopes: ['read-published'], location_id: 'dallas-01' });
+      assert.equal(bot.status, 201);
+      assert.match(bot.body.key, /^pcrud_/);
+      assert.ok(bot.body.key.startsWith(bot.body.prefix));
+      assert.equal(bot.body.key_hash, undefined);
+
+      assert.equal((await api.call('GET', '/locations/dallas-01/prompt', undefined, bearer(bot.body.key))).status, 200);
+      const readAll = await api.call('GET', '/prompts', undefined, bearer(bot.body.key));
+      assert.equal(readAll.status, 403);
+      assert.deepEqual(readAll.body, { error: 'API key lacks the read-all scope' });
+      assert.equal((await api.call('POST', '/prompts', samplePrompt, bearer(bot.body.key))).status, 403);
+      const manage = await api.call('GET', '/api-keys', undefined, bearer(bot.body.key));
+      assert.deepEqual(manage.body, { error: 'API keys cannot use this endpoint' });
+      assert.deepEqual((await api.call('GET', '/prompts', undefined, bearer('pcrud_nope'))).body, { error: 'Invalid API key' });
+
+      const crm = await api.call('POST', '/api-keys', { name: 'CRM', scopes: ['read-all', 'write'], business_name: 'Acme Dental' });
+      const other = await api.call('POST', '/prompts', { ...samplePrompt, location_id: 'austin-02', business_name: 'Bright Smiles' }, bearer(crm.body.key));
+      assert.equal(other.status, 403);
+      const written = await api.call('POST', '/prompts', { ...samplePrompt, location_id: 'dallas-02' }, bearer(crm.body.key));
+      assert.equal(written.status, 201);
+      const activity = await api.call('GET', `/audit?prompt_id=${written.body.id}`);
+      assert.equal(activity.body.items[0].actor, `api-key:${crm.body.prefix}`);
+
+      const listed = await api.call('GET', '/api-keys');
+      assert.deepEqual(listed.body.map((k) => k.name), ['Dallas bot', 'CRM']);
+      assert.ok(listed.body.every((k) => k.last_used_at && k.key_hash === undefined));
+
+      const rotated = await api.call('POST', `/api-keys/${bot.body.id}/rotate`, {});
+      assert.equal(rotated.status, 200);
+      assert.notEqual(rotated.body.key, bot.body.key);
+      assert.equal((await api.call('GET', '/published/dallas-01', undefined, bearer(bot.body.key))).status, 401);
+      assert.equal((await api.call('GET', '/published/dallas-01', undefined, bearer(rotated.body.key))).status, 200);
+
+      assert.equal((await api.call('DELETE', `/api-keys/${bot.body.id}`)).status, 204);
+      assert.equal((await api.call('GET', '/published/dallas-01', undefined, bearer(rotated.body.key))).status, 401);
+      assert.equal((await api.call('POST', `/api-keys/${bot.body.id}/rotate`, {})).status, 409);
+      assert.equal((await api.call('DELETE', `/api-keys/${bot.body.id}`, undefined, await as('eve'))).status, 404);
+    });
+
+    it('rate limits per IP and per credential with 429 and RateLimit headers', async () => {
+      const custom = await start(createMemorySupabase({ tables: seedTables() }), {
+        ...serviceOptions(),
+        rateLimits: {
+          ip: createRateLimiter({ max: 4, windowMs: 60000 }),
+          credential: createRateLimiter({ max: 2, windowMs: 60000 }),
+        },
+      });
+      try {
+        // The Express server sees the loopback address; the Netlify adapter reads the client IP header
+        custom.defaultHeaders = { 'x-nf-client-connection-ip': '203.0.113.7' };
+        const login = await custom.call('POST', '/auth/login', { email: 'sam@example.com', password: PASSWORD });
+        assert.equal(login.headers.get('ratelimit-limit'), '4');
+        assert.equal(login.headers.get('ratelimit-remaining'), '3');
+        custom.defaultHeaders.authorization = `Bearer ${login.body.token}`;
+
+        const first = await custom.call('GET', '/prompts');
+        assert.equal(first.status, 200);
+        assert.equal(first.headers.get('ratelimit-limit'), '2');
+        assert.equal(first.headers.get('ratelimit-remaining'), '1');
+        assert.equal((await custom.call('GET', '/prompts')).headers.get('ratelimit-remaining'), '0');
+
+        const limited = await custom.call('GET', '/prompts');
+        assert.equal(limited.status, 429);
+        assert.equal(limited.body.error, 'Too many requests');
+        const retryAfter = Number(limited.headers.get('retry-after'));
+        assert.ok(retryAfter >= 1 && retryAfter <= 60);
+        assert.equal(limited.body.retry_after, retryAfter);
+
+        // The IP budget is shared by every credential (and anonymous calls) from the client
+        delete custom.defaultHeaders.authorization;
+        const health = await custom.call('GET', '/health');
+        assert.equal(health.status, 429);
+        assert.equal(health.headers.get('ratelimit-limit'), '4');
+      } finally {
+        await custom.stop();
+      }
+    });
+
+    it('rejects oversized prompt fields and request bodies with 413', async () => {
+      const custom = await start(createMemorySupabase({ tables: seedTables() }), {
+        ...serviceOptions(),
+        fieldLimits: { knowledgebase: 100, inventory: 200 },
+        bodyLimit: 2000,
+      });
+      try {
+        const login = await custom.call('POST', '/auth/login', { email: 'sam@example.com', password: PASSWORD });
+        custom.defaultHeaders = { authorization: `Bearer ${login.body.token}` };
+
+        const tooBig = await custom.call('POST', '/prompts', { ...samplePrompt, knowledgebase: 'x'.repeat(101) });
+        assert.equal(tooBig.status, 413);
+        assert.equal(tooBig.body.error, 'Prompt fields are too large');
+        assert.deepEqual(tooBig.body.errors.map((e) => e.field), ['knowledgebase']);
+        const items = Array.from({ length: 5 }, (_, i) => ({ sku: `SKU-${i}`, name: 'Whitening kit', price: 10, quantity: 1 }));
+        const inventory = await custom.call('POST', '/prompts', { ...samplePrompt, inventory: { items } });
+        assert.equal(inventory.status, 413);
+        assert.deepEqual(inventory.body.errors.map((e) => e.field), ['inventory']);
+        assert.equal((await custom.call('POST', '/prompts', { ...samplePrompt, knowledgebase: 'x'.repeat(100) })).status, 201);
+
+        const preview = await custom.call('POST', '/prompts/import', {
+          format: 'json',
+          data: [{ ...samplePrompt, location_id: 'austin-02', knowledgebase: 'x'.repeat(101) }],
+          dryRun: true,
+        });
+        assert.equal(preview.status, 200);
+        assert.equal(preview.body.summary.error, 1);
+
+        const body = await custom.call('POST', '/prompts', { ...samplePrompt, prompt: 'y'.repeat(3000) });
+        assert.equal(body.status, 413);
+        assert.deepEqual(body.body, { error: 'Request body too large' });
+      } finally {
+        await custom.stop();
+      }
+    });
+
+    it('sends CORS headers only to allowlisted origins', async () => {
+      const custom = await start(createMemorySupabase(), { ...serviceOptions(), cors: { origins: ['https://admin.example.com'] } });
+      try {
+        const allowed = await custom.call('GET', '/health', undefined, { headers: { origin: 'https://admin.example.com' } });
+        assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://admin.example.com');
+        assert.match(allowed.headers.get('access-control-expose-headers'), /RateLimit-Remaining/);
+
+        const preflight = await custom.call('OPTIONS', '/prompts', undefined, {
+          headers: { origin: 'https://admin.example.com', 'access-control-request-method': 'PUT' },
+        });
+        assert.equal(preflight.status, 204);
+        assert.match(preflight.headers.get('access-control-allow-headers'), /If-Match/);
+
+        const blocked = await custom.call('GET', '/health', undefined, { headers: { origin: 'https://evil.example.com' } });
+        assert.equal(blocked.status, 200);
+        assert.equal(blocked.headers.get('access-control-allow-origin'), null);
+      } finally {
+        await custom.stop();
+      }
+    });
+
+    it('fires signed webhooks with retries and a redeliverable log', async () => {
+      const receiver = await startReceiver([500]);
+      const custom = await start(createMemorySupabase({ tables: seedTables() }), { ...serviceOptions(), webhookOptions: { baseDelayMs: 10 } });
+      try {
+        custom.defaultHeaders = api.defaultHeaders;
+        const secret = 'receiver-shared-secret';
+        const invalid = await custom.call('POST', '/webhooks', { url: 'ftp://example.com', events: ['prompt.renamed'] });
+        assert.equal(invalid.status, 400);
+        assert.deepEqual(invalid.body.errors.map((e) => e.field), ['url', 'events[0]']);
+        assert.equal((await custom.call('GET', '/webhooks', undefined, await as('eve'))).status, 403);
+
+        const hook = await custom.call('POST', '/webhooks', {
+          url: receiver.url, events: ['prompt.updated', 'prompt.published'], business_name: 'Acme Dental', secret,
+        });
+        assert.equal(hook.status, 201);
+        assert.equal(hook.body.secret, secret);
+        assert.equal((await custom.call('GET', '/webhooks')).body[0].secret, undefined);
+
+        const created = await custom.call('POST', '/prompts', samplePrompt);
+        const elsewhere = await custom.call('POST', '/prompts', { ...samplePrompt, location_id: 'austin-02', business_name: 'Bright Smiles' });
+        await custom.call('POST', `/prompts/${elsewhere.body.id}/publish`, {});
+        await custom.call('PUT', `/prompts/${created.body.id}`, { ...samplePrompt, prompt: 'Updated', updated_at: created.body.updated_at });
+
+        const deliveries = () => custom.call('GET', `/webhooks/${hook.body.id}/deliveries`);
+        await waitFor(async () => (await deliveries()).body.items.some((d) => d.status === 'succeeded'));
+        const log = await deliveries();
+        assert.equal(log.body.total, 1);
+        const [delivery] = log.body.items;
+        assert.deepEqual([delivery.event, delivery.attempts, delivery.response_status], ['prompt.updated', 2, 200]);
+
+        assert.equal(receiver.received.length, 2);
+        const { headers, body } = receiver.received[1];
+        const expected = crypto.createHmac('sha256', secret).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+        assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+        assert.equal(headers['x-webhook-delivery'], delivery.id);
+        const payload = JSON.parse(body);
+        assert.equal(payload.event, 'prompt.updated');
+        assert.deepEqual(payload.data.changed_fields, ['prompt']);
+        assert.equal(payload.data.location_id, 'dallas-01');
+
+        const again = await custom.call('POST', `/webhooks/${hook.body.id}/deliveries/${delivery.id}/redeliver`, {});
+        assert.equal(again.status, 202);
+        await waitFor(() => receiver.received.length === 3);
+        assert.equal(receiver.received[2].body, body);
+        assert.equal(receiver.received[2].headers['x-webhook-delivery'], again.body.id);
+        assert.equal((await custom.call('POST', `/webhooks/${hook.body.id}/deliveries/nope/redeliver`, {})).status, 404);
+
+        // Editing a document updates every prompt listing it
+        const hours = await custom.call('POST', '/knowledgebase', { name: 'Hours', content: 'Open 9-5.', business_id: 'business-acme' });
+        await custom.call('POST', '/prompts', { ...samplePrompt, location_id: 'dallas-02', knowledgebase_ids: [hours.body.id] });
+        await custom.call('PUT', `/knowledgebase/${hours.body.id}`, { content: 'Open 8-6.' });
+        await waitFor(() => receiver.received.length === 4);
+        const documentEdit = JSON.parse(receiver.received[3].body);
+        assert.deepEqual([documentEdit.event, documentEdit.data.location_id, documentEdit.data.changed_fields], ['prompt.updated', 'dallas-02', ['knowledgebase']]);
+      } finally {
+        await custom.stop();
+        await receiver.stop();
+      }
+    });
+
+    it('sends each webhook attempt once and sweeps up retries from the delivery log', async () => {
+      const receiver = await startReceiver([500]);
+      const store = createMemorySupabase({ tables: { webhooks: [], webhook_deliveries: [] } });
+      await store.from('webhooks').insert([{ id: 'hook-1', url: receiver.url, secret: 'receiver-shared-secret', events: ['prompt.updated'], active: true }]);
+      // No retry timers: only the sweep can send the second attempt, as after a restart
+      const dispatcher = createWebhookDispatcher({ supabase: store, baseDelayMs: 10, schedule: () => {}, logger: silentLogger });
+      const delivery = () => store._rows('webhook_deliveries')[0];
+      let stopSweep = () => {};
+      try {
+        // The background first attempt and two sweeps race for the same attempt
+        await dispatcher.dispatch({ action: 'update', prompt_id: 'p-1', business_name: 'Acme Dental', location_id: 'dallas-01', changed_fields: ['prompt'] });
+        await Promise.all([dispatcher.deliverDue(), dispatcher.deliverDue()]);
+        await waitFor(() => delivery().response_status === 500);
+        assert.equal(receiver.received.length, 1);
+        assert.deepEqual([delivery().status, delivery().attempts], ['pending', 1]);
+
+        stopSweep = startDeliverySweep(dispatcher.deliverDue, { intervalMs: 10, logger: silentLogger });
+        await waitFor(() => delivery().status === 'succeeded');
+        assert.equal(receiver.received.length, 2);
+        assert.equal(delivery().attempts, 2);
+        assert.deepEqual(receiver.received.map((request) => request.headers['x-webhook-delivery']), [delivery().id, delivery().id]);
+      } finally {
+        stopSweep();
+        await receiver.stop();
+      }
+    });
+
+    it('rejects malformed JSON bodies', async () => {
+      const res = await api.call('POST', '/prompts', undefined, { rawBody: '{"name":' });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, { error: 'Invalid JSON body' });
+    });
+
+    it('returns 404 for unknown routes', async () => {
+      const res = await api.call('GET', '/nope');
+      assert.equal(res.status, 404);
+      assert.equal(res.body.error, 'Not found');
+    });
+  });
+
+  describe(`prompts API errors (${name})`, () => {
+    it('does not leak Supabase error details', async () => {
+      const api = await start(failingSupabase(), serviceOptions());
+      try {
+        const login = await api.call('POST', '/auth/login', { email: 'sam@example.com', password: PASSWORD });
+        const res = await api.call('GET', '/prompts', undefined, { headers: { authorization: `Bearer ${login.body.token}` } });
+        assert.equal(res.status, 500);
+        assert.deepEqual(res.body, { error: 'Failed to fetch prompts' });
+      } finally {
+        await api.stop();
+      }
+    });
+
+    it('fails writes whose revision cannot be recorded', async () => {
+      const store = createMemorySupabase({ tables: seedTables() });
+      const { data: prompt } = await store.from('prompts').insert([{ ...samplePrompt, updated_at: '2024-01-01T00:00:00.000Z' }]).select().single();
+      await recordVersion(store, prompt);
+      const broken = {
+        from: (table) => {
+          const query = store.from(table);
+          if (table === 'prompt_versions') {
+            query.insert = () => ({ select: () => ({ single: async () => ({ data: null, error: { code: 'XX000', message: 'disk full' } }) }) });
+          }
+          return query;
+        },
+      };
+      const api = await start(broken, serviceOptions());
+      try {
+        const login = await api.call('POST', '/auth/login', { email: 'sam@example.com', password: PASSWORD });
+        const auth = { headers: { authorization: `Bearer ${login.body.token}` } };
+        const created = await api.call('POST', '/prompts', { ...samplePrompt, location_id: 'dallas-02' }, auth);
+        assert.deepEqual([created.status, created.body], [500, { error: 'Failed to create prompt' }]);
+        const edited = await api.call('PUT', `/prompts/${prompt.id}`, { ...samplePrompt, name: 'Renamed', updated_at: prompt.updated_at }, auth);
+        assert.deepEqual([edited.status, edited.body], [500, { error: 'Failed to update prompt' }]);
+
+        const rows = store._rows('prompts');
+        assert.deepEqual(rows.map((row) => [row.name, row.updated_at]), [['Response', prompt.updated_at]]);
+        assert.equal(store._rows('audit_events').length, 0);
+      } finally {
+        await api.stop();
+      }
+    });
+
+    it('numbers concurrent revisions without reusing one', async () => {
+      const store = createMemorySupabase();
+      const { data: prompt } = await store.from('prompts').insert([samplePrompt]).select().single();
+      const results = await Promise.all([1, 2, 3].map(() => recordVersion(store, prompt)));
+      assert.deepEqual(results.map((result) => result.error), [null, null, null]);
+      assert.deepEqual(results.map((result) => result.data.rev).sort(), [1, 2, 3]);
+    });
+
+    it('reports LLM providers that are missing or refuse the request', async () => {
+      const supabase = createMemorySupabase();
+      const { data: prompt } = await supabase.from('prompts').insert([samplePrompt]).select().single();
+      const failing = { name: 'down', model: 'down-1', chat: async () => { throw new Error('401 invalid api key'); } };
+
+      for (const [llm, status, error] of [
+        [null, 503, 'No LLM provider is configured (set LLM_PROVIDER or LLM_API_KEY)'],
+        [failing, 502, 'LLM provider request failed'],
+      ]) {
+        const api = await start(supabase, { ...serviceOptions(), llm });
+        try {
+          const login = await api.call('POST', '/auth/login', { email: 'sam@example.com', password: PASSWORD });
+          const res = await api.call('POST', `/prompts/${prompt.id}/test`, { message: 'hi' }, { headers: { authorization: `Bearer ${login.body.token}` } });
+          assert.equal(res.status, status);
+          assert.deepEqual(res.body, { error });
+        } finally {
+          await api.stop();
+        }
+      }
+    });
+  });
+}
+
+describe('local file storage', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-crud-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('creates, migrates and persists the database file', async () => {
+    const file = path.join(dir, 'nested', 'prompts.json');
+    const storage = createFileStorage({ file });
+    assert.deepEqual(storage.migrations, Array.from({ length: SCHEMA_VERSION }, (_, i) => i + 1));
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.equal(saved.schema_version, SCHEMA_VERSION);
+    assert.deepEqual(saved.tables.prompts, []);
+
+    const { data: created } = await storage.from('prompts').insert([samplePrompt]).select().single();
+    await storage.from('prompts').update({ name: 'Renamed' }).eq('id', created.id);
+
+    const reopened = createFileStorage({ file });
+    assert.deepEqual(reopened.migrations, []);
+    const { data: row } = await reopened.from('prompts').select('*').eq('id', created.id).single();
+    assert.equal(row.name, 'Renamed');
+    assert.equal(row.created_at, created.created_at);
+    assert.deepEqual(fs.readdirSync(path.dirname(file)), ['prompts.json']);
+
+    fs.writeFileSync(file, JSON.stringify({ schema_version: SCHEMA_VERSION + 1, tables: {} }));
+    assert.throws(() => createFileStorage({ file }), /newer than this release supports/);
+  });
+
+  it('selects the backend from STORAGE_DRIVER', () => {
+    const file = path.join(dir, 'prompts.json');
+    assert.ok(storageFromEnv({ STORAGE_DRIVER: 'file', STORAGE_FILE: file }).migrations);
+    assert.ok(fs.existsSync(file));
+    assert.equal(typeof storageFromEnv({ STORAGE_DRIVER: 'memory' }).from, 'function');
+    assert.throws(() => storageFromEnv({ STORAGE_DRIVER: 'mysql' }), /Unknown STORAGE_DRIVER "mysql"/);
+    assert.throws(() => storageFromEnv({}), /Missing SUPABASE_URL/);
+    assert.throws(() => storageFromEnv({ SUPABASE_URL: 'https://example.supabase.co', SUPABASE_ANON_KEY: 'public' }), /SUPABASE_SERVICE_ROLE_KEY/);
+  });
+
+  it('turns business names and location ids of older files into directory rows', async () => {
+    const file = path.join(dir, 'prompts.json');
+    const prompt = (id, business_name, location_id) => ({ ...samplePrompt, id, business_name, location_id });
+    const tables = Object.fromEntries(['prompts', 'prompt_versions', 'user_roles', 'api_keys', 'webhooks'].map((t) => [t, []]));
+    tables.prompts = [
+      prompt('p1', 'Acme Dental', 'dallas-01'),
+      prompt('p2', 'acme  dental', 'dallas-01'),
+      prompt('p3', 'Acme Dental', 'dallas-02'),
+      prompt('p4', 'Bright Smiles', 'dallas-02'),
+      prompt('p5', '', ''),
+    ];
+    tables.prompt_versions = [{ prompt_id: 'p2', version: 1, business_name: 'acme  dental' }];
+    tables.user_roles = [{ user_id: 'vic', role: 'viewer', business_name: 'ACME DENTAL', location_id: null }];
+    fs.writeFileSync(file, JSON.stringify({ schema_version: 2, tables }));
+
+    const storage = createFileStorage({ file });
+    assert.deepEqual(storage.migrations, Array.from({ length: SCHEMA_VERSION - 2 }, (_, i) => i + 3));
+    const { data: businesses } = await storage.from('businesses').select('*').order('name');
+    assert.deepEqual(businesses.map((b) => b.name), ['Acme Dental', 'Bright Smiles']);
+    const [acme, bright] = businesses.map((b) => b.id);
+    const { data: prompts } = await storage.from('prompts').select('*').order('id');
+    assert.deepEqual(prompts.map((p) => [p.business_name, p.business_id, p.location_id]), [
+      ['Acme Dental', acme, 'dallas-01'],
+      ['Acme Dental', acme, 'dallas-01'],
+      ['Acme Dental', acme, 'dallas-02'],
+      ['Bright Smiles', bright, 'dallas-02'],
+      ['', null, null],
+    ]);
+    const { data: locations } = await storage.from('locations').select('*').order('id');
+    assert.deepEqual(locations.map((l) => [l.id, l.business_id]), [['dallas-01', acme], ['dallas-02', null]]);
+    const { data: version } = await storage.from('prompt_versions').select('*').single();
+    assert.equal(version.business_id, acme);
+    const { data: grant } = await storage.from('user_roles').select('*').single();
+    assert.equal(grant.business_name, 'Acme Dental');
+  });
+
+  it('seeds the sample prompts once and serves them through the API', async () => {
+    const file = path.join(dir, 'prompts.json');
+    const first = await seedPrompts(createFileStorage({ file }));
+    assert.equal(first.created.length, SAMPLE_PROMPTS.length);
+    const again = await seedPrompts(createFileStorage({ file }));
+    assert.deepEqual(again, { created: [], skipped: SAMPLE_PROMPTS.map((p) => p.name) });
+
+    const api = await adapters.express(createFileStorage({ file }), serviceOptions());
+    try {
+      const login = await api.call('POST', '/auth/login', { email: 'sam@example.com', password: PASSWORD });
+      api.defaultHeaders = { authorization: `Bearer ${login.body.token}` };
+      const list = await api.call('GET', '/prompts?sort=name');
+      assert.deepEqual(list.body.items.map((p) => p.name), SAMPLE_PROMPTS.map((p) => p.name).sort());
+      assert.equal((await api.call('POST', '/locations', { id: 'file-01' })).status, 201);
+      const created = await api.call('POST', '/prompts', { ...samplePrompt, location_id: 'file-01' });
+      assert.equal(created.status, 201);
+      const versions = await api.call('GET', `/prompts/${list.body.items[0].id}/versions`);
+      assert.equal(versions.body[0].author, 'seed');
+    } finally {
+      await api.stop();
+    }
+
+    const { data: stored } = await createFileStorage({ file }).from('prompts').select('*').eq('location_id', 'file-01');
+    assert.equal(stored.length, 1);
+  });
+});
+
+// Stand-in for a node-postgres client: keeps schema_migrations rows and records every
+// other statement it is asked to run
+function fakePostgres({ failOn } = {}) {
+  const ledger = [];
+  const statements = [];
+  let pending = null;
+  return {
+    ledger,
+    statements,
+    async query(sql, params = []) {
+      if (sql.startsWith('select to_regclass')) return { rows: [{ name: ledger.length ? 'schema_migrations' : null }] };
+      if (sql.startsWith('select version')) return { rows: ledger.map((row) => ({ ...row })) };
+      if (sql.startsWith('insert into schema_migrations')) {
+        pending = { version: params[0], name: params[1], checksum: params[2] };
+        return { rows: [] };
+      }
+      if (sql === 'commit') ledger.push(pending);
+      if (failOn && sql.includes(failOn)) throw new Error('syntax error');
+      statements.push(sql);
+      return { rows: [] };
+    },
+  };
+}
+
+describe('schema migrations', () => {
+  it('covers every table and column the API uses', () => {
+    const migrations = loadMigrations();
+    assert.deepEqual(migrations.map((m) => m.version), migrations.map((_, i) => i + 1));
+    const sql = migrations.map((m) => m.sql).join('\n');
+    TABLES.forEach((table) => assert.match(sql, new RegExp(`create table if not exists ${table} \\(`), table));
+    // Only the service role may touch the tables through the REST API
+    TABLES.forEach((table) => assert.match(sql, new RegExp(`alter table ${table} enable row level security`), table));
+    assert.doesNotMatch(sql, /create policy/);
+    TRASH_COLUMNS.split(', ').forEach((column) => assert.match(sql, new RegExp(`\\b${column}\\b`), column));
+    assert.match(sql, /drop index if exists prompts_location_id_live_key/);
+    assert.match(sql, /create unique index if not exists prompts_location_slot_live_key\s+on prompts \(location_id, channel, purpose\) where deleted_at is null/);
+    assert.match(sql, /create trigger prompts_set_updated_at/);
+  });
+
+  it('applies pending migrations once, in order, and refuses to run over drift', async () => {
+    const migrations = loadMigrations();
+    const client = fakePostgres();
+    const logged = [];
+    const applied = await runMigrations(client, { migrations, log: (line) => logged.push(line) });
+    assert.deepEqual(applied.map((m) => m.version), migrations.map((m) => m.version));
+    assert.deepEqual(client.ledger.map((row) => row.checksum), migrations.map((m) => m.checksum));
+    assert.equal(logged[0], 'Applying 0001_prompts');
+    assert.ok(client.statements.includes(migrations[0].sql));
+    assert.equal(client.statements.at(-1), 'select pg_advisory_unlock($1)');
+
+    assert.deepEqual(await runMigrations(client, { migrations }), []);
+    assert.deepEqual((await migrationStatus(client, { migrations })).pending, []);
+
+    const edited = migrations.map((m, i) => (i === 1 ? { ...m, checksum: 'edited' } : m));
+    const newer = [...migrations, { version: 999, name: 'later', sql: 'select 1', checksum: 'x' }];
+    await assert.rejects(runMigrations(client, { migrations: edited }), /0002_prompt_versions was edited after it was applied/);
+    await assert.rejects(runMigrations(client, { migrations: migrations.slice(0, -1) }), /is applied but missing from server\/migrations/);
+    const status = await migrationStatus(client, { migrations: newer });
+    assert.deepEqual(status.pending.map((m) => m.version), [999]);
+
+    const failing = fakePostgres({ failOn: 'create table if not exists prompt_versions' });
+    await assert.rejects(runMigrations(failing, { migrations }), /Migration 0002_prompt_versions failed: syntax error/);
+    assert.deepEqual(failing.ledger.map((row) => row.version), [1]);
+    assert.ok(failing.statements.includes('rollback'));
+  });
+
+  it('reports schema drift at startup', async () => {
+    const migrations = loadMigrations();
+    const ledger = migrations.map(({ version, name, checksum }) => ({ version, name, checksum }));
+    const storage = (rows) => createMemorySupabase({ tables: { schema_migrations: rows } });
+
+    assert.deepEqual(await checkSchema(storage(ledger), 'supabase', { migrations }), []);
+    assert.deepEqual(await checkSchema(storage(ledger.slice(0, -1)), 'supabase', { migrations }), [
+      `${migrations.at(-1).version.toString().padStart(4, '0')}_${migrations.at(-1).name} has not been applied`,
+    ]);
+    const drifted = await checkSchema(
+      storage([{ ...ledger[0], checksum: 'edited' }, ...ledger.slice(1), { version: 999, name: 'later', checksum: 'x' }]),
+      'supabase',
+      { migrations }
+    );
+    assert.deepEqual(drifted, ['0001_prompts was edited after it was applied', '0999_later is applied but missing from server/migrations']);
+
+    const broken = storage(ledger);
+    const from = broken.from.bind(broken);
+    broken.from = (table) => {
+      const query = from(table);
+      if (table === 'prompts') query.limit = async () => ({ data: null, error: { message: 'column prompts.updated_at does not exist' } });
+      return query;
+    };
+    assert.deepEqual(await checkSchema(broken, 'supabase', { migrations }), [
+      'prompts is missing columns the API reads: column prompts.updated_at does not exist',
+    ]);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-crud-'));
+    try {
+      const file = createFileStorage({ file: path.join(dir, 'prompts.json') });
+      assert.deepEqual(await checkSchema(file, 'file'), []);
+      assert.match((await checkSchema({ ...file, schemaVersion: 0 }, 'file'))[0], /schema version 0, this release expects/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+    assert.deepEqual(await checkSchema(createMemorySupabase(), 'memory'), []);
+  });
+});
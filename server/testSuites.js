@@ -0,0 +1,73 @@
+// Saved test cases per prompt (prompt_test_cases) and the results of running them
+// (prompt_test_runs). A case sends `message` to the LLM and passes when the reply
+// contains every `expected` phrase, matches every regex in `patterns` and contains none
+// of the `forbidden` phrases. Phrase checks ignore case; patterns use the i flag.
+const { validateSchema } = require('./schema');
+
+const TEST_CASE_COLUMNS = 'id, prompt_id, name, message, expected, patterns, forbidden, created_at';
+const TEST_RUN_COLUMNS = 'id, prompt_id, rev, actor, passed, failed, results, created_at';
+const CHECK_FIELDS = ['expected', 'patterns', 'forbidden'];
+
+const phrases = { type: 'array', items: { type: 'string', minLength: 1, maxLength: 1000 } };
+const TEST_CASE_SCHEMA = {
+  type: 'object',
+  required: ['name', 'message'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 200 },
+    message: { type: 'string', minLength: 1, maxLength: 4000 },
+    expected: phrases,
+    patterns: phrases,
+    forbidden: phrases,
+  },
+};
+
+// Check a create/update body; returns the columns to write plus any field errors
+function checkTestCase(body) {
+  const errors = validateSchema(TEST_CASE_SCHEMA, body);
+  const fields = {
+    name: typeof body.name === 'string' ? body.name.trim() : body.name,
+    message: body.message,
+  };
+  CHECK_FIELDS.forEach((field) => {
+    fields[field] = Array.isArray(body[field]) ? body[field] : [];
+  });
+
+  if (!errors.some((e) => e.field.startsWith('patterns'))) {
+    fields.patterns.forEach((pattern, index) => {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (err) {
+        errors.push({ field: `patterns[${index}]`, message: 'is not a valid regular expression' });
+      }
+    });
+  }
+  if (!errors.length && CHECK_FIELDS.every((field) => !fields[field].length)) {
+    errors.push({ field: 'expected', message: 'add at least one expected phrase, pattern or forbidden phrase' });
+  }
+
+  return { fields, errors };
+}
+
+// Why a reply fails a case, as [{ check, value }] (empty when it passes)
+function evaluateReply(testCase, reply) {
+  const text = String(reply || '');
+  const lower = text.toLowerCase();
+  const failures = [];
+  (testCase.expected || []).forEach((value) => {
+    if (!lower.includes(value.toLowerCase())) failures.push({ check: 'expected', value });
+  });
+  (testCase.patterns || []).forEach((value) => {
+    if (!new RegExp(value, 'i').test(text)) failures.push({ check: 'pattern', value });
+  });
+  (testCase.forbidden || []).forEach((value) => {
+    if (lower.includes(value.toLowerCase())) failures.push({ check: 'forbidden', value });
+  });
+  return failures;
+}
+
+module.exports = {
+  TEST_CASE_COLUMNS,
+  TEST_RUN_COLUMNS,
+  checkTestCase,
+  evaluateReply,
+};
@@ -0,0 +1,62 @@
+// Approximate token counts for a prompt's fields and the payload the bot builds from
+// them (prompt + knowledgebase + inventory JSON), checked against a per-deployment
+// budget. Counting is local and deterministic: text is split the way BPE tokenizers
+// pre-split it (words with their leading space, runs of up to three digits, runs of
+// punctuation), then words count one token per four characters and punctuation one
+// per two. client/src/utils/tokens.js mirrors this file so the editor's meter matches
+// what the server enforces.
+const PIECE = /\s?[A-Za-z\u00C0-\u024F]+|\s?\d{1,3}|\s?[^\sA-Za-z\d\u00C0-\u024F]+|\s+/g;
+const LETTER = /[A-Za-z\u00C0-\u024F]/;
+const DEFAULT_LIMIT = 16000;
+const WARN_RATIO = 0.8;
+
+function pieceTokens(piece) {
+  const text = piece.trim();
+  if (!text) return 1;
+  if (/\d/.test(text[0])) return 1;
+  return Math.ceil(text.length / (LETTER.test(text[0]) ? 4 : 2));
+}
+
+function countTokens(text) {
+  if (!text) return 0;
+  const pieces = String(text).match(PIECE) || [];
+  return pieces.reduce((sum, piece) => sum + pieceTokens(piece), 0);
+}
+
+// The inventory as the bot sees it: compact JSON, nothing at all when it has no items
+function inventoryText(inventory) {
+  if (!inventory) return '';
+  if (typeof inventory === 'string') return inventory;
+  return Array.isArray(inventory.items) && inventory.items.length ? JSON.stringify(inventory) : '';
+}
+
+// TOKEN_BUDGET_LIMIT is the hard limit saves are refused above; TOKEN_BUDGET_WARN
+// (default 80% of the limit) is where the meter turns amber
+function budgetFromEnv(env) {
+  const limit = Number(env.TOKEN_BUDGET_LIMIT) || DEFAULT_LIMIT;
+  const warn = Math.min(Number(env.TOKEN_BUDGET_WARN) || Math.floor(limit * WARN_RATIO), limit);
+  return { warn, limit };
+}
+
+// { prompt, knowledgebase, inventory, total, status } where status is ok, warn or over
+function promptTokens(row, budget) {
+  const counts = {
+    prompt: countTokens(row.prompt),
+    knowledgebase: countTokens(row.knowledgebase),
+    inventory: countTokens(inventoryText(row.inventory)),
+  };
+  const total = counts.prompt + counts.knowledgebase + counts.inventory;
+  let status = 'ok';
+  if (total > budget.limit) status = 'over';
+  else if (total > budget.warn) status = 'warn';
+  return { ...counts, total, status };
+}
+
+// Field error for a prompt over the hard limit, or null
+function budgetError(row, budget) {
+  const { total } = promptTokens(row, budget);
+  if (total <= budget.limit) return null;
+  return { field: 'tokens', message: `is about ${total} tokens, over the ${budget.limit} token limit` };
+}
+
+module.exports = { countTokens, budgetFromEnv, promptTokens, budgetError };
@@ -0,0 +1,249 @@
+// Outgoing webhooks (webhooks table) and their delivery log (webhook_deliveries). Prompt
+// writes are mapped to events, every active webhook subscribed to the event whose scope
+// covers the prompt gets a delivery, and deliveries are POSTed as JSON signed with the
+// webhook's secret:
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>">
+// Failed attempts are retried with exponential backoff (baseDelayMs, 2x, 4x, ...) until
+// maxAttempts; deliveries are at least once, so receivers should dedupe on
+// X-Webhook-Delivery. Each attempt first claims its delivery in the table (see claim), so
+// a retry timer, the background first attempt and a due-delivery sweep never send the
+// same attempt twice.
+const crypto = require('crypto');
+const { validateSchema } = require('./schema');
+const { grantCovers } = require('./permissions');
+
+const WEBHOOK_EVENTS = ['prompt.created', 'prompt.updated', 'prompt.deleted', 'prompt.published'];
+const WEBHOOK_COLUMNS = 'id, url, events, business_name, location_id, active, created_by, created_at';
+const DELIVERY_COLUMNS = 'id, webhook_id, event, payload, status, attempts, response_status, error, next_attempt_at, delivered_at, created_at';
+
+// Audit actions (audit.js) and the webhook event each one fires
+const ACTION_EVENTS = {
+  create: 'prompt.created',
+  update: 'prompt.updated',
+  restore: 'prompt.updated',
+  restore_version: 'prompt.updated',
+  discard_draft: 'prompt.updated',
+  delete: 'prompt.deleted',
+  purge: 'prompt.deleted',
+  publish: 'prompt.published',
+};
+
+const WEBHOOK_SCHEMA = {
+  type: 'object',
+  required: ['url', 'events'],
+  properties: {
+    url: { type: 'string', pattern: '^https?://', maxLength: 2000 },
+    secret: { type: 'string', minLength: 16, maxLength: 200 },
+    events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+    business_name: { type: ['string', 'null'], maxLength: 200 },
+    location_id: { type: ['string', 'null'], maxLength: 200 },
+    active: { type: 'boolean' },
+  },
+};
+
+// Check a create/update body; returns the columns to write plus any field errors. A
+// missing secret is left out so updates keep the current one.
+function checkWebhook(body) {
+  const errors = validateSchema(WEBHOOK_SCHEMA, body);
+  if (!errors.length && !body.events.length) errors.push({ field: 'events', message: 'must include at least one event' });
+  const fields = {
+    url: body.url,
+    events: Array.isArray(body.events) ? [...new Set(body.events)] : body.events,
+    business_name: body.business_name || null,
+    location_id: body.location_id || null,
+    active: body.active !== false,
+  };
+  if (body.secret !== undefined) fields.secret = body.secret;
+  return { fields, errors };
+}
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// `schedule` runs a retry later (an unref'd setTimeout by default, so pending retries
+// never keep the process alive)
+function createWebhookDispatcher({
+  supabase,
+  fetchImpl = fetch,
+  maxAttempts = 5,
+  baseDelayMs = 1000,
+  timeoutMs = 5000,
+  schedule = (fn, delay) => setTimeout(fn, delay).unref(),
+  logger = console,
+}) {
+  // Take the next attempt of a pending delivery: count it and push next_attempt_at past
+  // the time the POST may take, so the sweep leaves it alone while it is in flight (and
+  // picks it up again if this process dies before saving the outcome). Only one caller
+  // gets the row for a given attempt count; everyone else gets null and skips it.
+  async function claim(delivery) {
+    const attempts = delivery.attempts || 0;
+    const { data, error } = await supabase
+      .from('webhook_deliveries')
+      .update({ attempts: attempts + 1, next_attempt_at: new Date(Date.now() + 2 * timeoutMs).toISOString() })
+      .eq('id', delivery.id)
+      .eq('status', 'pending')
+      .eq('attempts', attempts)
+      .select(DELIVERY_COLUMNS)
+      .maybeSingle();
+    if (error) logger.error('Failed to claim webhook delivery:', error);
+    return data;
+  }
+
+  // Record the outcome of the attempt that made `attempts`, unless the delivery has been
+  // claimed again since (the claim ran out before the receiver answered)
+  async function saveDelivery(id, attempts, changes) {
+    const { data, error } = await supabase
+      .from('webhook_deliveries')
+      .update(changes)
+      .eq('id', id)
+      .eq('attempts', attempts)
+      .select(DELIVERY_COLUMNS)
+      .maybeSingle();
+    if (error) logger.error('Failed to update webhook delivery:', error);
+    return data;
+  }
+
+  // One POST of a delivery, once claimed (null when another caller has the attempt).
+  // Failures schedule the next attempt unless retry is false (the sweep, which picks due
+  // deliveries up again on its next run).
+  async function attempt(delivery, webhook, { retry = true } = {}) {
+    const claimed = await claim(delivery);
+    if (!claimed) return null;
+    const body = JSON.stringify(claimed.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const { attempts } = claimed;
+    let result;
+    try {
+      const response = await fetchImpl(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'prompt-crud-webhooks',
+          'X-Webhook-Event': claimed.event,
+          'X-Webhook-Delivery': claimed.id,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      result = response.ok
+        ? { status: 'succeeded', response_status: response.status, error: null, delivered_at: new Date().toISOString() }
+        : { response_status: response.status, error: `Receiver responded with ${response.status}` };
+    } catch (err) {
+      result = { response_status: null, error: err.name === 'TimeoutError' ? 'Timed out' : err.message };
+    }
+
+    if (result.status !== 'succeeded') {
+      const delay = baseDelayMs * 2 ** (attempts - 1);
+      result.status = attempts >= maxAttempts ? 'failed' : 'pending';
+      result.next_attempt_at = result.status === 'pending' ? new Date(Date.now() + delay).toISOString() : null;
+      if (result.status === 'pending' && retry) {
+        schedule(() => attempt(claimed, webhook).catch((err) => logger.error('Webhook retry failed:', err)), delay);
+      }
+    } else {
+      result.next_attempt_at = null;
+    }
+    return saveDelivery(claimed.id, attempts, result);
+  }
+
+  // Log a delivery of `payload` to the webhook and start sending it in the background
+  async function enqueue(webhook, event, payload) {
+    const { data: delivery, error } = await supabase
+      .from('webhook_deliveries')
+      .insert([{ webhook_id: webhook.id, event, payload, status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString() }])
+      .select(DELIVERY_COLUMNS)
+      .single();
+    if (error) {
+      logger.error('Failed to record webhook delivery:', error);
+      return null;
+    }
+    attempt(delivery, webhook).catch((err) => logger.error('Webhook delivery failed:', err));
+    return delivery;
+  }
+
+  // Fan an audit event (see audit.js) out to the webhooks subscribed to it
+  async function dispatch(auditRow) {
+    const event = ACTION_EVENTS[auditRow.action];
+    if (!event) return;
+    const { data: webhooks, error } = await supabase.from('webhooks').select('*').eq('active', true);
+    if (error) {
+      logger.error('Failed to load webhooks:', error);
+      return;
+    }
+
+    const payload = {
+      event,
+      occurred_at: new Date().toISOString(),
+      data: {
+        prompt_id: auditRow.prompt_id,
+        name: auditRow.prompt_name,
+        business_name: auditRow.business_name,
+        location_id: auditRow.location_id,
+        actor: auditRow.actor,
+        changed_fields: auditRow.changed_fields,
+      },
+    };
+    const targets = (webhooks || []).filter((hook) => (hook.events || []).includes(event) && grantCovers(hook, auditRow));
+    for (const webhook of targets) await enqueue(webhook, event, payload);
+  }
+
+  // Send an earlier delivery's payload again as a new delivery
+  const redeliver = (webhook, delivery) => enqueue(webhook, delivery.event, delivery.payload);
+
+  // Attempt every pending delivery that is due (for the scheduled function and the
+  // Express server's sweep, since retry timers do not outlive the process that set them)
+  async function deliverDue() {
+    const { data: due, error } = await supabase
+      .from('webhook_deliveries')
+      .select(DELIVERY_COLUMNS)
+      .eq('status', 'pending')
+      .lte('next_attempt_at', new Date().toISOString());
+    if (error) throw error;
+
+    let delivered = 0;
+    for (const delivery of due || []) {
+      const { data: webhook } = await supabase.from('webhooks').select('*').eq('id', delivery.webhook_id).maybeSingle();
+      if (!webhook) continue;
+      const saved = await attempt(delivery, webhook, { retry: false });
+      if (saved && saved.status === 'succeeded') delivered += 1;
+    }
+    return { attempted: (due || []).length, delivered };
+  }
+
+  return { dispatch, redeliver, deliverDue };
+}
+
+// Run deliverDue (a service's deliverDueWebhooks) every intervalMs for a long-lived
+// server, as the deliver-webhooks scheduled function does on Netlify; returns a function
+// that stops it. The timer is unref'd so it never keeps the process alive.
+function startDeliverySweep(deliverDue, { intervalMs = 60 * 1000, logger = console } = {}) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await deliverDue();
+    } catch (err) {
+      logger.error('Failed to deliver webhooks:', err.message || err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_COLUMNS,
+  DELIVERY_COLUMNS,
+  checkWebhook,
+  generateSecret,
+  signPayload,
+  createWebhookDispatcher,
+  startDeliverySweep,
+};